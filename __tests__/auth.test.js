@@ -0,0 +1,159 @@
+/**
+ * Tests for auth.js — password hashing, signed sessions, revocation and roles
+ */
+
+const {
+  hashPassword,
+  verifyPassword,
+  parseUsers,
+  loadAuthConfig,
+  login,
+  ssoLogin,
+  verifySession,
+  canAccess,
+  homePath,
+  getCookie,
+} = require('../auth');
+
+describe('auth', () => {
+  let users;
+
+  // Low iteration count keeps the suite fast; production hashes use the default
+  beforeAll(async () => {
+    users = [
+      { username: 'ada', name: 'Ada Ahn', role: 'admin', passwordHash: await hashPassword('correct horse battery', 1000), sessionVersion: 0 },
+      { username: 'cmo', role: 'executive', passwordHash: await hashPassword('executive password', 1000) },
+    ];
+  });
+
+  const config = (overrides = {}) => ({ users, secret: 'test-secret', ttlHours: 1, ...overrides });
+
+  describe('passwords', () => {
+    it('salts each hash', async () => {
+      const a = await hashPassword('same password', 1000);
+      const b = await hashPassword('same password', 1000);
+      expect(a).not.toBe(b);
+      expect(a).toMatch(/^pbkdf2-sha256\$1000\$/);
+    });
+
+    it('verifies the right password only', async () => {
+      const stored = await hashPassword('s3cret passphrase', 1000);
+      expect(await verifyPassword('s3cret passphrase', stored)).toBe(true);
+      expect(await verifyPassword('S3cret passphrase', stored)).toBe(false);
+      expect(await verifyPassword('anything', 'not-a-hash')).toBe(false);
+    });
+  });
+
+  describe('config', () => {
+    it('fails closed without a secret or users', () => {
+      expect(loadAuthConfig({ CEU_USERS: JSON.stringify({ users }) })).toBeNull();
+      expect(loadAuthConfig({ SESSION_SECRET: 'x' })).toBeNull();
+      expect(loadAuthConfig({ SESSION_SECRET: 'x', CEU_USERS: '{not json' })).toBeNull();
+    });
+
+    it('accepts SSO without local accounts', () => {
+      const auth = loadAuthConfig({ SESSION_SECRET: 'x', OIDC_ISSUER: 'https://idp.example.com', OIDC_CLIENT_ID: 'ceu' });
+      expect(auth.users).toEqual([]);
+      expect(auth.oidc).toMatchObject({ issuer: 'https://idp.example.com', clientId: 'ceu' });
+    });
+
+    it('fails closed on an invalid OIDC role map', () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      expect(loadAuthConfig({
+        SESSION_SECRET: 'x', OIDC_ISSUER: 'https://idp.example.com', OIDC_CLIENT_ID: 'ceu', OIDC_ROLE_MAP: '{"a":"root"}',
+      })).toBeNull();
+      console.log.mockRestore();
+    });
+
+    it('drops accounts with an unknown role', () => {
+      expect(parseUsers({ users: [...users, { username: 'x', role: 'owner', passwordHash: 'h' }] })).toHaveLength(2);
+    });
+  });
+
+  describe('sessions', () => {
+    it('issues a token that verifies to the current account', async () => {
+      const session = await login(config(), 'ADA', 'correct horse battery');
+      expect(session.maxAge).toBe(3600);
+
+      expect(await verifySession(config(), session.token)).toMatchObject({ username: 'ada', name: 'Ada Ahn', role: 'admin' });
+    });
+
+    it('rejects wrong passwords and unknown or disabled users', async () => {
+      expect(await login(config(), 'ada', 'wrong')).toBeNull();
+      expect(await login(config(), 'nobody', 'correct horse battery')).toBeNull();
+      const disabled = config({ users: users.map(u => ({ ...u, disabled: true })) });
+      expect(await login(disabled, 'ada', 'correct horse battery')).toBeNull();
+    });
+
+    it('rejects tampered, foreign and expired tokens', async () => {
+      const { token } = await login(config(), 'cmo', 'executive password');
+      const [version, payload, sig] = token.split('.');
+      const forged = Buffer.from(JSON.stringify({ sub: 'ada', ver: 0, iat: 0, exp: 9999999999 })).toString('base64url');
+
+      expect(await verifySession(config(), `${version}.${forged}.${sig}`)).toBeNull();
+      expect(await verifySession(config({ secret: 'other-secret' }), token)).toBeNull();
+      expect(await verifySession(config(), `${version}.${payload}`)).toBeNull();
+
+      const expired = await login(config({ ttlHours: -1 }), 'cmo', 'executive password');
+      expect(await verifySession(config(), expired.token)).toBeNull();
+    });
+
+    it('revokes every session when the account is revoked, disabled or removed', async () => {
+      const { token } = await login(config(), 'ada', 'correct horse battery');
+      const revoked = users.map(u => (u.username === 'ada' ? { ...u, sessionVersion: 1 } : u));
+      const disabled = users.map(u => (u.username === 'ada' ? { ...u, disabled: true } : u));
+
+      expect(await verifySession(config({ users: revoked }), token)).toBeNull();
+      expect(await verifySession(config({ users: disabled }), token)).toBeNull();
+      expect(await verifySession(config({ users: users.slice(1) }), token)).toBeNull();
+    });
+  });
+
+  describe('SSO sessions', () => {
+    const identity = { username: 'eve@example.com', name: 'Eve', role: 'executive' };
+    const ssoConfig = (overrides = {}) => config({ oidc: { issuer: 'https://idp.example.com' }, ...overrides });
+
+    it('carries the role from sign-in', async () => {
+      const { token } = await ssoLogin(ssoConfig(), identity);
+      expect(await verifySession(ssoConfig(), token)).toMatchObject({ username: 'eve@example.com', name: 'Eve', role: 'executive' });
+    });
+
+    it('ends when SSO is switched off or the person is disabled locally', async () => {
+      const { token } = await ssoLogin(ssoConfig(), identity);
+      expect(await verifySession(config(), token)).toBeNull();
+
+      const blocked = [...users, { username: 'EVE@example.com', role: 'executive', passwordHash: 'x', disabled: true }];
+      expect(await verifySession(ssoConfig({ users: blocked }), token)).toBeNull();
+    });
+  });
+
+  describe('roles', () => {
+    it('gives admins everything', () => {
+      expect(canAccess('admin', 'POST', '/api/runs')).toBe(true);
+    });
+
+    it('keeps compliance viewers read-only', () => {
+      expect(canAccess('compliance', 'GET', '/api/providers')).toBe(true);
+      expect(canAccess('compliance', 'POST', '/api/runs')).toBe(false);
+    });
+
+    it('reserves the admin tools for admins', () => {
+      expect(canAccess('admin', 'GET', '/api/admin/logins')).toBe(true);
+      expect(canAccess('compliance', 'GET', '/api/admin/logins')).toBe(false);
+      expect(canAccess('compliance', 'GET', '/evidence/run-1/Ada_Ahn__NP_login_error_attempt1.zip')).toBe(false);
+    });
+
+    it('limits executives to the CMO dashboard', () => {
+      expect(canAccess('executive', 'GET', '/cmo')).toBe(true);
+      expect(canAccess('executive', 'GET', '/')).toBe(false);
+      expect(canAccess('executive', 'GET', '/api/providers')).toBe(false);
+      expect(homePath('executive')).toBe('/cmo');
+      expect(canAccess('unknown', 'GET', '/')).toBe(false);
+    });
+  });
+
+  it('reads a cookie from the header', () => {
+    expect(getCookie('a=1; ceu_session=tok.en; b=2', 'ceu_session')).toBe('tok.en');
+    expect(getCookie(undefined, 'ceu_session')).toBeNull();
+  });
+});
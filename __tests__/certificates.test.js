@@ -0,0 +1,114 @@
+/**
+ * Tests for certificate downloads (certificates.js and the certificate columns
+ * in database.js), with a fake Playwright page
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/** A page whose context's request.get() answers with files[href] (a 404 when missing) */
+function fakePage(files) {
+  const request = {
+    get: jest.fn(async href => ({
+      ok: () => href in files,
+      status: () => (href in files ? 200 : 404),
+      body: async () => Buffer.from(files[href]),
+    })),
+  };
+  return { context: () => ({ request }), request };
+}
+
+describe('certificates', () => {
+  let certificates;
+  let database;
+  let dir;
+
+  beforeEach(() => {
+    jest.resetModules();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ceu-certificates-'));
+    process.env.CERTIFICATES_DIR = dir;
+    process.env.DATABASE_PATH = ':memory:';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    database = require('../database');
+    certificates = require('../certificates');
+  });
+
+  afterEach(() => {
+    database.closeDatabase();
+    delete process.env.CERTIFICATES_DIR;
+    delete process.env.DATABASE_PATH;
+    delete process.env.CERTIFICATE_DOWNLOADS;
+    fs.rmSync(dir, { recursive: true, force: true });
+    console.log.mockRestore();
+  });
+
+  it('stores each certificate once, under its content hash', () => {
+    const a = certificates.storeCertificate(Buffer.from('%PDF-1.4 ethics'));
+    const b = certificates.storeCertificate(Buffer.from('%PDF-1.4 ethics'));
+
+    expect(a).toMatch(/^[0-9a-f]{64}$/);
+    expect(b).toBe(a);
+    expect(fs.readdirSync(dir)).toEqual([`${a}.pdf`]);
+    expect(certificates.resolveCertificate(a)).toBe(path.join(dir, `${a}.pdf`));
+    expect(() => certificates.storeCertificate(Buffer.from('<html>Sign in</html>'))).toThrow('not a PDF');
+  });
+
+  it('only resolves well-formed hashes of stored files', () => {
+    expect(certificates.resolveCertificate('0'.repeat(64))).toBeNull();
+    expect(certificates.resolveCertificate('../providers')).toBeNull();
+    expect(certificates.resolveCertificate(undefined)).toBeNull();
+  });
+
+  it('downloads linked certificates and links them to the course rows', async () => {
+    const page = fakePage({
+      'https://www.netce.com/print/1': '%PDF-1.4 ethics',
+      'https://www.netce.com/print/3': '<html>Session expired</html>',
+    });
+    const courses = await certificates.attachCertificates(page, [
+      { name: 'Ethics', hours: 2, date: '03/01/2025', certificateHref: 'https://www.netce.com/print/1' },
+      { name: 'Pharmacology', hours: 3, date: '06/10/2024', certificateHref: null },
+      { name: 'Opioids', hours: 1, date: '01/15/2025', certificateHref: 'https://www.netce.com/print/3' },
+    ], { providerName: 'Ada Ahn, NP', source: 'NetCE' });
+
+    const [ethics, pharm, opioids] = courses;
+    expect(ethics.certificateUrl).toMatch(/^\/api\/certificates\/[0-9a-f]{64}$/);
+    expect(pharm).toEqual({ name: 'Pharmacology', hours: 3, date: '06/10/2024' });
+    expect(opioids).toEqual({ name: 'Opioids', hours: 1, date: '01/15/2025' });
+
+    const runId = database.startRun();
+    database.saveProviderRun(runId, { name: 'Ada Ahn, NP', type: 'NP' }, {
+      platformResults: [{ platform: 'NetCE', status: 'success', courses }],
+    });
+    expect(database.getCertificates({ providerName: 'Ada Ahn, NP' })).toEqual([
+      expect.objectContaining({ name: 'Ethics', date: '2025-03-01', platform: 'NetCE', certificateUrl: ethics.certificateUrl }),
+    ]);
+    expect(database.getCourseHistoryExport()['Ada Ahn, NP'].courses.find(c => c.name === 'Ethics').certificateUrl)
+      .toBe(ethics.certificateUrl);
+  });
+
+  it("doesn't download a certificate the course already has", async () => {
+    const sha256 = certificates.storeCertificate(Buffer.from('%PDF-1.4 ethics'));
+    const provider = database.getOrCreateProvider('Ada Ahn, NP', 'NP');
+    database.saveCourse(provider.id, { name: 'Ethics', hours: 2, date: '2025-03-01', certificateUrl: certificates.certificateUrl(sha256) });
+
+    const page = fakePage({});
+    const [ethics] = await certificates.attachCertificates(page, [
+      { name: 'Ethics', hours: 2, date: '03/01/2025', certificateHref: 'https://www.netce.com/print/1' },
+    ], { providerName: 'Ada Ahn, NP', source: 'NetCE' });
+
+    expect(page.request.get).not.toHaveBeenCalled();
+    expect(ethics.certificateUrl).toBe(certificates.certificateUrl(sha256));
+  });
+
+  it('skips downloads when CERTIFICATE_DOWNLOADS=off', async () => {
+    process.env.CERTIFICATE_DOWNLOADS = 'off';
+    const page = fakePage({ 'https://www.netce.com/print/1': '%PDF-1.4 ethics' });
+    const courses = await certificates.attachCertificates(page, [
+      { name: 'Ethics', hours: 2, date: '03/01/2025', certificateHref: 'https://www.netce.com/print/1' },
+    ], { providerName: 'Ada Ahn, NP', source: 'NetCE' });
+
+    expect(page.request.get).not.toHaveBeenCalled();
+    expect(courses).toEqual([{ name: 'Ethics', hours: 2, date: '03/01/2025' }]);
+  });
+});
@@ -1,4 +1,4 @@
-const { licenseStatus, computeComplianceSummary } = require('../utils');
+const { licenseStatus, providerStatus, computeComplianceSummary } = require('../utils');
 
 // Build an ISO date string N days from today so deadline-based tests are
 // deterministic regardless of when they run.
@@ -27,6 +27,24 @@ describe('licenseStatus', () => {
   });
 });
 
+describe('providerStatus', () => {
+  const complete   = { hoursRemaining: 0,  hoursRequired: 20, renewalDeadline: daysFromNow(365) };
+  const atRisk     = { hoursRemaining: 10, hoursRequired: 20, renewalDeadline: daysFromNow(30) };
+  const inProgress = { hoursRemaining: 10, hoursRequired: 20, renewalDeadline: daysFromNow(200) };
+  const unknown    = { hoursRemaining: null, hoursRequired: null, renewalDeadline: null };
+
+  test('the worst license wins', () => {
+    expect(providerStatus([complete, inProgress, atRisk])).toBe('At Risk');
+    expect(providerStatus([complete, inProgress])).toBe('In Progress');
+    expect(providerStatus([complete, complete])).toBe('Complete');
+  });
+
+  test('Unknown when any license lacks data and none is behind, or there are none', () => {
+    expect(providerStatus([complete, unknown])).toBe('Unknown');
+    expect(providerStatus([])).toBe('Unknown');
+  });
+});
+
 describe('computeComplianceSummary', () => {
   // Regression for the misleading "18%" headline: no-data ("Unknown") licenses
   // must NOT be counted as non-compliant — they are excluded and reported as
@@ -0,0 +1,171 @@
+/**
+ * Tests for course-dedupe.js: one course-history.json entry per course, and the
+ * admin review queue for the duplicates it can't settle alone
+ */
+
+const { courseKey, dedupeCourses } = require('../course-dedupe');
+
+describe('dedupeCourses', () => {
+  const GENETICS = 'Navigating genetic disorders of the pulmonary system: strategies for healthcare professionals';
+
+  it('lists a course CE Broker repeats with different hours once, and queues it', () => {
+    const { courses, reviews } = dedupeCourses([
+      { date: '2025-10-03', name: GENETICS, hours: 10, state: 'Florida' },
+      { date: '2025-10-03', name: GENETICS, hours: 15, state: 'Florida' },
+      { date: '2025-10-03', name: GENETICS, hours: 15.1, state: 'Florida' },
+      { date: '2025-10-03', name: 'Ethics', hours: 2, state: 'Florida' },
+    ]);
+
+    expect(courses).toHaveLength(2);
+    expect(courses[0]).toMatchObject({
+      name: GENETICS, hours: 15, state: 'Florida', review: 'pending',
+      courseKey: courseKey({ date: '10/03/2025', name: GENETICS }),
+      sources: [
+        { source: 'CE Broker', hours: 10 },
+        { source: 'CE Broker', hours: 15 },
+        { source: 'CE Broker', hours: 15.1 },
+      ],
+    });
+    expect(courses[1]).not.toHaveProperty('review');
+    expect(reviews).toEqual([expect.objectContaining({
+      kind: 'hours', key: courses[0].courseKey, hours: 15, status: 'pending',
+      options: [{ source: 'CE Broker', hours: 10 }, { source: 'CE Broker', hours: 15 }, { source: 'CE Broker', hours: 15.1 }],
+    })]);
+
+    // On a tie the smallest value counts
+    expect(dedupeCourses([
+      { date: '2025-10-03', name: GENETICS, hours: 10, state: 'Florida' },
+      { date: '2025-10-03', name: GENETICS, hours: 5, state: 'Florida' },
+    ]).courses[0].hours).toBe(5);
+  });
+
+  it('merges CE Broker and platforms, believing the issuer on hours', () => {
+    const { courses, reviews } = dedupeCourses([
+      { date: '2025-06-12', name: '91413: Prescription opioids: risk management and strategies for safe use', hours: 5, state: 'New Mexico' },
+      { date: '2025-06-12', name: 'Prescription Opioids: Risk Management & Strategies for Safe Use', hours: 2, platform: 'NetCE', cost: 18, certificateUrl: '/api/certificates/abc' },
+      { date: '2025-06-12', name: 'Prescription Opioids - Risk Management and Strategies for Safe Use', hours: 2, platform: 'AANP Cert', cost: null },
+    ]);
+
+    expect(reviews).toEqual([]);
+    expect(courses).toEqual([{
+      date: '2025-06-12',
+      name: 'Prescription Opioids: Risk Management & Strategies for Safe Use',
+      hours: 2,
+      state: 'New Mexico',
+      platform: 'NetCE',
+      cost: 18,
+      certificateUrl: '/api/certificates/abc',
+      courseKey: '2025-06-12:prescription-opioids-risk-management-and-strategies-for-safe-use',
+      sources: [
+        { source: 'NetCE', hours: 2, cost: 18 },
+        { source: 'AANP Cert', hours: 2, name: 'Prescription Opioids - Risk Management and Strategies for Safe Use' },
+        { source: 'CE Broker', hours: 5, name: '91413: Prescription opioids: risk management and strategies for safe use' },
+      ],
+    }]);
+  });
+
+  it('queues similar courses from different sources and merges them once decided', () => {
+    const rows = [
+      { date: '2023-07-27', name: 'Herbal Medications', hours: 10, platform: 'AANP Cert' },
+      { date: '2023-07-29', name: 'Herbal Medications: An Evidence-Based Review', hours: 8, platform: 'NetCE' },
+      { date: '2023-07-27', name: 'Herbal Medication Safety', hours: 1, platform: 'AANP Cert' },
+    ];
+
+    const pending = dedupeCourses(rows);
+    expect(pending.courses).toHaveLength(3);
+    expect(pending.reviews).toEqual([expect.objectContaining({
+      kind: 'match',
+      key: '2023-07-27:herbal-medications|2023-07-29:herbal-medications-an-evidence-based-review',
+      similarity: 0.9,
+      daysApart: 2,
+      status: 'pending',
+    })]);
+    const { key } = pending.reviews[0];
+
+    expect(dedupeCourses(rows, [{ kind: 'match', key, decision: 'separate' }]).courses).toHaveLength(3);
+
+    const merged = dedupeCourses(rows, [{ kind: 'match', key, decision: 'merge' }]);
+    expect(merged.courses).toHaveLength(2);
+    expect(merged.courses[0]).toMatchObject({ name: 'Herbal Medications', hours: 8, review: 'pending' });
+    expect(merged.reviews.map(r => [r.kind, r.status])).toEqual([['match', 'decided'], ['hours', 'pending']]);
+
+    const settled = dedupeCourses(rows, [
+      { kind: 'match', key, decision: 'merge' },
+      { kind: 'hours', key: merged.courses[0].courseKey, decision: 'hours', hours: 10 },
+    ]);
+    expect(settled.courses[0]).toMatchObject({ hours: 10, sources: [{ source: 'AANP Cert', hours: 10 }, expect.objectContaining({ source: 'NetCE', hours: 8 })] });
+    expect(settled.courses[0]).not.toHaveProperty('review');
+  });
+
+  it('gives the same result when deduplicated history is merged again', () => {
+    const rows = [
+      { date: '2025-06-12', name: 'Opioid Safety', hours: 2, state: 'Florida', scrapedAt: '2026-03-01' },
+      { date: '2025-06-12', name: 'Opioid safety', hours: 2, platform: 'NetCE', cost: 18, scrapedAt: '2026-03-02' },
+      { date: '2025-06-12', name: 'Opioid Safety', hours: 3, state: 'Florida', scrapedAt: '2026-03-01' },
+    ];
+    const once = dedupeCourses(rows).courses;
+
+    expect(dedupeCourses(once).courses).toEqual(once);
+    expect(dedupeCourses([...once, rows[1]]).courses).toEqual(once);
+  });
+});
+
+describe('review queue (database)', () => {
+  let database;
+  let courseDedupe;
+  let providerId;
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env.DATABASE_PATH = ':memory:';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    database = require('../database');
+    courseDedupe = require('../course-dedupe');
+    jest.spyOn(database, 'exportJsonFiles').mockImplementation(() => ({}));
+    providerId = database.getOrCreateProvider('Ada Ahn, NP', 'NP').id;
+    for (const hours of [10, 15]) {
+      database.saveCourse(providerId, { name: 'Genetics Update', date: '10/03/2025', hours, state: 'Florida' });
+    }
+    database.saveCourse(providerId, { name: 'Ethics', date: '03/01/2025', hours: 2, platform: 'NetCE' });
+  });
+
+  afterEach(() => {
+    database.closeDatabase();
+    delete process.env.DATABASE_PATH;
+    jest.restoreAllMocks();
+  });
+
+  it('exports one course per course and applies an admin decision', () => {
+    expect(database.getCourseHistoryExport()['Ada Ahn, NP'].courses.map(c => [c.name, c.hours])).toEqual([
+      ['Genetics Update', 10],
+      ['Ethics', 2],
+    ]);
+    const [review] = database.getCourseMergeReviews();
+    expect(review).toMatchObject({ providerName: 'Ada Ahn, NP', kind: 'hours', key: '2025-10-03:genetics-update', status: 'pending' });
+
+    const decided = courseDedupe.decideReview({
+      providerName: 'ada ahn, np', kind: 'hours', key: review.key, decision: 'hours', hours: 15, decidedBy: 'ben',
+    });
+
+    expect(decided).toMatchObject({ status: 'decided', decision: 'hours', hours: 15, decidedBy: 'ben' });
+    expect(database.exportJsonFiles).toHaveBeenCalled();
+    expect(database.getCourseMergeReviews()).toEqual([]);
+    expect(database.getCourseHistoryExport()['Ada Ahn, NP'].courses[0]).toMatchObject({ name: 'Genetics Update', hours: 15 });
+    // The stored rows are untouched
+    expect(database.getProviderCourses(providerId).courses).toHaveLength(3);
+
+    courseDedupe.decideReview({ providerName: 'Ada Ahn, NP', kind: 'hours', key: review.key, decision: 'reopen' });
+    expect(database.getCourseMergeReviews().map(r => r.status)).toEqual(['pending']);
+  });
+
+  it('rejects decisions that do not fit the review', () => {
+    const [{ key }] = database.getCourseMergeReviews();
+    const decide = request => () => courseDedupe.decideReview({ providerName: 'Ada Ahn, NP', kind: 'hours', key, ...request });
+
+    expect(decide({ decision: 'merge' })).toThrow('decision must be one of: hours, reopen');
+    expect(decide({ decision: 'hours', hours: -1 })).toThrow('hours must be a number of hours, 0 or more');
+    expect(decide({ decision: 'hours', hours: 2, key: '2025-10-03:other' })).toThrow(expect.objectContaining({ status: 404 }));
+    expect(decide({ decision: 'hours', hours: 2, providerName: 'Nobody' })).toThrow('Unknown provider: Nobody');
+    expect(database.exportJsonFiles).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,225 @@
+/**
+ * Tests for hand-uploaded transcripts and certificates (course-import.js and
+ * the course_imports functions in database.js)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+
+/** A one-page certificate PDF drawn by pdfkit (Flate-compressed content stream) */
+function certificatePdf(lines) {
+  return new Promise(resolve => {
+    const doc = new PDFDocument();
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    for (const line of lines) doc.text(line);
+    doc.end();
+  });
+}
+
+const TRANSCRIPT_CSV = [
+  'Course Title,Date Completed,Contact Hours,Provider,Subject,Price',
+  '"Pain Management, Part 1",03/01/2025,2.0,Pri-Med,Pharmacology,$25.00',
+  'Wound Care Update,2025-02-14,1.5 contact hours,,,',
+  'Ethics,,1,,,',
+  '',
+  'Total,,4.5,,,',
+].join('\r\n');
+
+describe('parsing', () => {
+  let courseImport;
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env.PDFTOTEXT = 'off';
+    courseImport = require('../course-import');
+  });
+
+  afterEach(() => {
+    delete process.env.PDFTOTEXT;
+  });
+
+  it('reads a CSV transcript into rows for review', async () => {
+    const { format, rows, warnings } = await courseImport.parseImportFile(Buffer.from(TRANSCRIPT_CSV));
+
+    expect(format).toBe('csv');
+    expect(warnings).toEqual([]);
+    expect(rows).toEqual([
+      {
+        name: 'Pain Management, Part 1', date: '2025-03-01', hours: 2, provider: 'Pri-Med',
+        category: 'Pharmacology', cost: 25, issues: [], include: true,
+      },
+      {
+        name: 'Wound Care Update', date: '2025-02-14', hours: 1.5, provider: null,
+        category: null, cost: null, issues: [], include: true,
+      },
+      expect.objectContaining({ name: 'Ethics', date: '', issues: ['missing or unreadable date'], include: false }),
+    ]);
+  });
+
+  it('finds the header under the title rows of a vendor export', async () => {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Transcript');
+    sheet.addRow(['Acme Learning — Learner Transcript']);
+    sheet.addRow(['Learner: Ada Ahn']);
+    sheet.addRow([]);
+    sheet.addRow(['Activity Title', 'Completion Date', 'Credits Earned', 'Credit Type']);
+    sheet.addRow([{ richText: [{ text: 'Opioid ' }, { text: 'Safety' }] }, new Date(Date.UTC(2025, 0, 9)), 3, 'Pharmacology']);
+    sheet.addRow(['Stroke Update', { formula: 'DATE(2024,11,30)', result: new Date(Date.UTC(2024, 10, 30)) }, '1.25', '']);
+    const buffer = Buffer.from(await workbook.xlsx.writeBuffer());
+
+    const { format, rows } = await courseImport.parseImportFile(buffer);
+
+    expect(format).toBe('xlsx');
+    expect(rows.map(r => [r.name, r.date, r.hours, r.category])).toEqual([
+      ['Opioid Safety', '2025-01-09', 3, 'Pharmacology'],
+      ['Stroke Update', '2024-11-30', 1.25, null],
+    ]);
+  });
+
+  it('rejects tables without a recognisable header and binary files', async () => {
+    await expect(courseImport.parseImportFile(Buffer.from('a,b,c\n1,2,3\n')))
+      .rejects.toThrow('No header row found');
+    await expect(courseImport.parseImportFile(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x01])))
+      .rejects.toThrow('Unsupported file');
+  });
+
+  it('reads the course off a certificate PDF without external tools', async () => {
+    const pdf = await certificatePdf([
+      'Certificate of Completion',
+      'This certifies that Ada Ahn, NP has successfully completed',
+      'Opioid Prescribing: Safe Practice (2025)',
+      'on March 4, 2025 and is awarded 2.5 contact hours.',
+      'Provider: Pri-Med',
+    ]);
+
+    const { format, rows } = await courseImport.parseImportFile(pdf);
+
+    expect(format).toBe('pdf');
+    expect(rows).toEqual([expect.objectContaining({
+      name: 'Opioid Prescribing: Safe Practice (2025)', date: '2025-03-04', hours: 2.5, provider: 'Pri-Med', include: true,
+    })]);
+  });
+
+  it('prefers labelled certificate fields', () => {
+    const row = courseImport.parseCertificateText([
+      'Certificate',
+      'Course Title: Managing Chronic Pain',
+      'Date of Completion: 2/3/2025',
+      'Credits Awarded: 1.75',
+      'Accredited by ANCC',
+      'Printed 04/01/2025',
+    ].join('\n'));
+
+    expect(row).toMatchObject({ name: 'Managing Chronic Pain', date: '2025-02-03', hours: 1.75, provider: 'ANCC' });
+  });
+});
+
+describe('imports', () => {
+  let courseImport;
+  let database;
+  let dirs;
+
+  beforeEach(() => {
+    jest.resetModules();
+    dirs = ['imports', 'certificates'].map(name => fs.mkdtempSync(path.join(os.tmpdir(), `ceu-${name}-`)));
+    process.env.IMPORTS_DIR = dirs[0];
+    process.env.CERTIFICATES_DIR = dirs[1];
+    process.env.DATABASE_PATH = ':memory:';
+    process.env.PDFTOTEXT = 'off';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    database = require('../database');
+    courseImport = require('../course-import');
+    jest.spyOn(database, 'exportJsonFiles').mockImplementation(() => ({}));
+    database.getOrCreateProvider('Ada Ahn, NP', 'NP');
+  });
+
+  afterEach(() => {
+    database.closeDatabase();
+    for (const key of ['IMPORTS_DIR', 'CERTIFICATES_DIR', 'DATABASE_PATH', 'PDFTOTEXT']) delete process.env[key];
+    for (const dir of dirs) fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  const stage = (content = Buffer.from(TRANSCRIPT_CSV), filename = 'transcript.csv') =>
+    courseImport.stageImport({ providerName: 'ada ahn, np', filename, content, importedBy: 'ada' });
+
+  it('keeps the uploaded file and stages its rows', async () => {
+    const entry = await stage();
+
+    expect(entry).toMatchObject({ providerName: 'Ada Ahn, NP', filename: 'transcript.csv', format: 'csv', status: 'pending', createdBy: 'ada' });
+    expect(entry.rows).toHaveLength(3);
+    expect(fs.readdirSync(dirs[0])).toEqual([entry.sourceFile]);
+    expect(courseImport.sourcePath(entry)).toBe(path.join(dirs[0], `${entry.sourceSha256}.csv`));
+    expect(database.getProviderCourses(entry.providerId).courses).toEqual([]);
+
+    await expect(courseImport.stageImport({ providerName: 'Nobody', filename: 'x.csv', content: Buffer.from(TRANSCRIPT_CSV) }))
+      .rejects.toThrow('Unknown provider: Nobody');
+  });
+
+  it('confirms reviewed rows as courses the lookback and cost logic can use', async () => {
+    const entry = await stage();
+
+    // A row that still needs its date can't be confirmed
+    expect(() => courseImport.confirmImport(entry.id, { rows: entry.rows.map(r => ({ ...r, include: true })) }))
+      .toThrow(expect.objectContaining({ status: 400, details: ['Row 3 (Ethics): missing or unreadable date'] }));
+    // Unticked rows still count, so the number matches the review table
+    expect(() => courseImport.confirmImport(entry.id, { rows: entry.rows.map((r, i) => ({ ...r, include: i !== 0 })) }))
+      .toThrow(expect.objectContaining({ details: ['Row 3 (Ethics): missing or unreadable date'] }));
+
+    const rows = entry.rows.map(r => (r.name === 'Ethics' ? { ...r, date: '01/20/2025', include: true } : r));
+    const confirmed = courseImport.confirmImport(entry.id, { rows, reviewedBy: 'ben' });
+
+    expect(confirmed).toMatchObject({ status: 'confirmed', courseCount: 3, reviewedBy: 'ben' });
+    expect(database.exportJsonFiles).toHaveBeenCalled();
+    const { courses } = database.getCourseHistoryExport()['Ada Ahn, NP'];
+    expect(courses).toEqual(expect.arrayContaining([
+      expect.objectContaining({ name: 'Pain Management, Part 1', date: '2025-03-01', hours: 2, platform: 'Pri-Med', cost: 25, category: 'Pharmacology', importId: entry.id }),
+      expect.objectContaining({ name: 'Ethics', date: '2025-01-20', platform: courseImport.MANUAL_PLATFORM, importId: entry.id }),
+    ]));
+
+    expect(() => courseImport.confirmImport(entry.id)).toThrow(`Import #${entry.id} is already confirmed`);
+    expect(() => courseImport.discardImport(entry.id)).toThrow(expect.objectContaining({ status: 409 }));
+  });
+
+  it('links an imported certificate to its course', async () => {
+    const pdf = await certificatePdf(['Course: Ethics in Practice', 'Completed on 01/15/2025', 'Contact hours: 2']);
+    const entry = await stage(pdf, 'certificate.pdf');
+    const sha256 = fs.readdirSync(dirs[1])[0].replace('.pdf', '');
+
+    expect(entry.rows[0]).toMatchObject({ name: 'Ethics in Practice', certificateUrl: `/api/certificates/${sha256}` });
+    courseImport.confirmImport(entry.id);
+    expect(database.getCertificates({ providerName: 'Ada Ahn, NP' })).toEqual([
+      expect.objectContaining({ name: 'Ethics in Practice', platform: courseImport.MANUAL_PLATFORM, certificateUrl: `/api/certificates/${sha256}` }),
+    ]);
+  });
+
+  it('takes certificate links from the staged rows, not the review', async () => {
+    const entry = await stage();
+    const rows = entry.rows.map(r => ({
+      ...r,
+      certificateUrl: 'javascript:alert(1)',
+      include: r.name === 'Wound Care Update' ? 'false' : r.include,
+    }));
+
+    expect(courseImport.confirmImport(entry.id, { rows })).toMatchObject({ courseCount: 1 });
+    const { courses } = database.getCourseHistoryExport()['Ada Ahn, NP'];
+    expect(courses.map(c => c.name)).toEqual(['Pain Management, Part 1']);
+    expect(courses[0]).not.toHaveProperty('certificateUrl');
+  });
+
+  it('discards an import without touching courses', async () => {
+    const entry = await stage();
+    const discarded = courseImport.discardImport(entry.id, { reviewedBy: 'ben' });
+
+    expect(discarded).toMatchObject({ status: 'discarded', reviewedBy: 'ben' });
+    expect(database.getProviderCourses(entry.providerId).courses).toEqual([]);
+    expect(database.listCourseImports({ status: 'pending' })).toEqual([]);
+    expect(database.listCourseImports().map(i => i.id)).toEqual([entry.id]);
+    expect(courseImport.sourcePath(discarded)).not.toBeNull();
+  });
+});
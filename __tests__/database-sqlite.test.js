@@ -0,0 +1,295 @@
+/**
+ * Integration tests for database.js against a real in-memory SQLite database
+ * (database.test.js covers the same module with better-sqlite3 mocked out).
+ */
+
+describe('database (in-memory SQLite)', () => {
+  let database;
+
+  const provider = { name: 'Jane Doe, NP', type: 'NP', username: 'jane', password: 'secret' };
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env.DATABASE_PATH = ':memory:';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    database = require('../database');
+  });
+
+  afterEach(() => {
+    database.closeDatabase();
+    delete process.env.DATABASE_PATH;
+    console.log.mockRestore();
+  });
+
+  function recordRun(overrides = {}) {
+    const runId = database.startRun();
+    database.saveProviderRun(runId, provider, {
+      result: { name: provider.name, status: 'success' },
+      records: [{
+        providerName: provider.name,
+        state: 'Florida',
+        licenseType: 'APRN',
+        renewalDeadline: '04/30/2027',
+        hoursRequired: 24,
+        hoursCompleted: 20,
+        hoursRemaining: 4,
+        subjectAreas: [
+          { topicName: 'Pharmacology', hoursRequired: 3, hoursCompleted: 1, hoursNeeded: 2 },
+          { topicName: 'Ethics', hoursRequired: 2, hoursCompleted: 2, hoursNeeded: 0 },
+        ],
+        completedCourses: [
+          { name: 'Opioid Prescribing', hours: 2, date: '01/15/2026' },
+        ],
+      }],
+      platformResults: [{
+        platform: 'NetCE',
+        providerName: provider.name,
+        status: 'success',
+        hoursEarned: 5,
+        totalSpent: 49,
+        courses: [
+          { name: 'Opioid Prescribing', hours: 2, date: '01/15/2026', platform: 'NetCE' },
+          { name: 'Diabetes Update', hours: 3, date: '02/01/2026', platform: 'NetCE' },
+        ],
+        orders: [{ total: 49 }],
+      }],
+      licenses: {
+        providerType: 'NP',
+        statesSearched: 2,
+        lastFullScan: '2026-03-01T10:00:00.000Z',
+        licenses: [{ state: 'FL', licenseNumber: 'APRN123', licenseType: 'APRN', status: 'Active', verificationSource: 'FL DOH MQA' }],
+      },
+      ...overrides,
+    });
+    database.completeRun(runId, [{ name: provider.name, status: 'success' }]);
+    return runId;
+  }
+
+  it('builds a history.json snapshot from a saved run', () => {
+    const runId = recordRun();
+    const snapshot = database.getRunSnapshot(runId);
+
+    expect(snapshot).toMatchObject({ succeeded: 1, failed: 0, notConfigured: 0, loginErrors: [] });
+    expect(snapshot.providers).toEqual([{
+      name: provider.name,
+      state: 'Florida',
+      hoursRequired: 24,
+      hoursCompleted: 20,
+      hoursRemaining: 4,
+      renewalDeadline: '04/30/2027',
+      subjectAreas: [{ topic: 'Pharmacology', required: 3, completed: 1, needed: 2 }],
+    }]);
+  });
+
+  it('reports login errors and emits a placeholder for providers without records', () => {
+    const runId = database.startRun();
+    database.saveProviderRun(runId, provider, {
+      result: { name: provider.name, status: 'login_error', error: 'Invalid username or password', errorCode: 'invalid_credentials' },
+      records: [{ providerName: provider.name, state: null, hoursRequired: null, hoursCompleted: null, hoursRemaining: null, renewalDeadline: null }],
+    });
+    database.completeRun(runId, [{ status: 'login_error' }]);
+
+    const snapshot = database.getRunSnapshot(runId);
+    expect(snapshot.failed).toBe(1);
+    expect(snapshot.loginErrors[0]).toMatchObject({ name: provider.name, errorCode: 'invalid_credentials' });
+    expect(snapshot.providers[0]).toMatchObject({ name: provider.name, state: null, hoursRequired: null });
+  });
+
+  it('leaves unfinished runs out of the history export', () => {
+    recordRun();
+    database.startRun(); // crashed before completeRun
+
+    expect(database.getHistoryExport()).toHaveLength(1);
+  });
+
+  it('merges CE Broker and platform courses like course-history.json', () => {
+    recordRun();
+    const history = database.getCourseHistoryExport();
+    const entry = history[provider.name];
+
+    expect(entry.type).toBe('NP');
+    expect(entry.courses).toHaveLength(2);
+    expect(entry.courses.find(c => c.name === 'Opioid Prescribing')).toMatchObject({
+      date: '2026-01-15', hours: 2, state: 'Florida', platform: 'NetCE',
+    });
+    expect(entry.deadlines).toEqual([{ date: '2027-04-30', state: 'Florida', licenseType: 'APRN' }]);
+    expect(entry.platformSpend).toEqual({ NetCE: 49 });
+  });
+
+  it('archives each CE cycle and keeps earlier ones when the renewal rolls over', () => {
+    const license = { providerName: provider.name, state: 'Florida', licenseType: 'APRN', completedCourses: [] };
+    const prior = {
+      cycleId: '2023-05-01/2025-04-30', hoursRequired: 24, hoursCompleted: 22, hoursRemaining: 2,
+      subjectAreas: [{ topicName: 'Pharmacology', hoursRequired: 3, hoursCompleted: 1, hoursNeeded: 2 }],
+      completedCourses: [{ name: 'Wound Care Basics', hours: 22, date: '03/10/2024' }],
+    };
+    recordRun({ records: [{ ...license, cycleId: '2025-05-01/2027-04-30', renewalDeadline: '04/30/2027', hoursRequired: 24, hoursCompleted: 20, hoursRemaining: 4, priorCycles: [prior] }] });
+
+    const [providerRow] = database.getProviders();
+    expect(database.getLicenseCycles(providerRow.id)).toEqual([
+      expect.objectContaining({ cycleId: '2025-05-01/2027-04-30', current: true, hoursCompleted: 20, courses: [] }),
+      expect.objectContaining({
+        cycleId: '2023-05-01/2025-04-30', startDate: '2023-05-01', endDate: '2025-04-30', current: false,
+        subjectAreas: [{ topic: 'Pharmacology', required: 3, completed: 1, needed: 2 }],
+        courses: [{ name: 'Wound Care Basics', hours: 22, date: '03/10/2024' }],
+      }),
+    ]);
+    expect(database.getCourseHistoryExport()[provider.name].courses.map(c => c.name)).toContain('Wound Care Basics');
+
+    // Next cycle: the old current one is now only listed under the picker, with late hours posted
+    recordRun({ records: [{ ...license, cycleId: '2027-05-01/2029-04-30', renewalDeadline: '04/30/2029', hoursRequired: 24, hoursCompleted: 0, hoursRemaining: 24, priorCycles: [
+      { cycleId: '2025-05-01/2027-04-30', hoursRequired: 24, hoursCompleted: 24, hoursRemaining: 0 },
+    ] }] });
+
+    const cycles = database.getCourseHistoryExport()[provider.name].cycles;
+    expect(cycles.map(c => [c.cycleId, c.current, c.hoursCompleted])).toEqual([
+      ['2027-05-01/2029-04-30', true, 0],
+      ['2025-05-01/2027-04-30', false, 24],
+      ['2023-05-01/2025-04-30', false, 22],
+    ]);
+    expect(cycles[2]).toMatchObject({ state: 'Florida', licenseType: 'APRN', courseCount: 1 });
+    expect(cycles[2]).not.toHaveProperty('courses');
+  });
+
+  it('exports platform data for a run and the latest license scan', () => {
+    const runId = recordRun();
+
+    expect(database.getPlatformDataExport(runId).results).toEqual([{
+      providerName: provider.name, platform: 'NetCE', status: 'success',
+      hoursEarned: 5, totalSpent: 49, courseCount: 2, orderCount: 1,
+    }]);
+
+    const licenses = database.getLicenseExport();
+    expect(licenses.providers[provider.name]).toMatchObject({
+      statesSearched: 2,
+      statesWithLicense: 1,
+      licenses: [{ state: 'FL', stateFullName: 'Florida', licenseNumber: 'APRN123', disciplineActions: false }],
+    });
+    expect(licenses.verificationStats.activeLicenses).toBe(1);
+  });
+
+  it('rolls back the whole provider when any write fails', () => {
+    const runId = database.startRun();
+    expect(() => database.saveProviderRun(runId, provider, {
+      result: { status: 'success' },
+      records: [{ state: 'Florida', hoursRequired: 24, subjectAreas: [{ hoursRequired: 1 }] }], // subject name missing
+    })).toThrow();
+
+    expect(database.getLatestComplianceStatus()).toEqual([]);
+  });
+
+  // Move a run (and everything it wrote) back to a past timestamp
+  function backdate(runId, ts) {
+    const db = database.initDatabase();
+    db.prepare('UPDATE run_history SET started_at = ?, completed_at = ? WHERE id = ?').run(ts, ts, runId);
+    db.prepare('UPDATE compliance_records SET scraped_at = ? WHERE run_id = ?').run(ts, runId);
+    db.prepare('UPDATE platform_results SET scraped_at = ? WHERE run_id = ?').run(ts, runId);
+  }
+
+  it('rebuilds compliance as it stood on a past date', () => {
+    const first = recordRun();
+    backdate(first, '2026-01-20 22:30:00');
+    const second = recordRun({
+      records: [{ state: 'Florida', licenseType: 'APRN', renewalDeadline: '04/30/2027', hoursRequired: 24, hoursCompleted: 24, hoursRemaining: 0 }],
+    });
+    backdate(second, '2026-02-10 22:30:00');
+
+    const january = database.getComplianceAsOf('2026-01-25');
+    expect(january.run.id).toBe(first);
+    const [jane] = january.providers;
+    expect(jane.licenses).toEqual([expect.objectContaining({ hoursCompleted: 20, hoursRemaining: 4 })]);
+    expect(jane.licenses[0].subjectAreas).toHaveLength(2);
+    // Diabetes Update was completed 2026-02-01, after the as-of date
+    expect(jane.courses.map(c => c.name)).toEqual(['Opioid Prescribing']);
+
+    const february = database.getComplianceAsOf('2026-02-10');
+    expect(february.run.id).toBe(second);
+    expect(february.providers[0].licenses[0].hoursRemaining).toBe(0);
+    expect(february.providers[0].totalCourseHours).toBe(5);
+
+    expect(database.getComplianceAsOf('2025-12-31')).toEqual({ asOf: '2025-12-31', run: null, providers: [] });
+  });
+
+  it('replays credential health up to the as-of date', () => {
+    const loginFailure = { result: { status: 'login_error', error: 'Bad password' }, records: [], platformResults: [], licenses: null };
+    backdate(recordRun(), '2026-01-01 22:30:00');
+    backdate(recordRun(loginFailure), '2026-01-02 22:30:00');
+    backdate(recordRun(loginFailure), '2026-01-03 22:30:00');
+    backdate(recordRun(loginFailure), '2026-01-04 22:30:00');
+
+    const health = (asOf) => database.getComplianceAsOf(asOf).providers[0].credentialHealth
+      .find(h => h.platform === 'CE Broker');
+
+    expect(health('2026-01-02')).toMatchObject({ status: 'healthy', consecutiveFailures: 1, lastError: 'Bad password' });
+    expect(health('2026-01-03')).toMatchObject({ status: 'degraded', consecutiveFailures: 2 });
+    expect(health('2026-01-04')).toMatchObject({ status: 'critical', lastSuccess: '2026-01-01T22:30:00.000Z' });
+  });
+
+  it('records each migration and skips the JSON import for in-memory databases', () => {
+    const status = database.getMigrationStatus();
+
+    expect(status.map(m => m.version)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15]);
+    expect(status.every(m => m.applied)).toBe(true);
+    expect(database.getHistoryExport()).toEqual([]);
+  });
+
+  it('rolls back one migration at a time and stops at the irreversible JSON import', () => {
+    const applied = () => database.getMigrationStatus().filter(m => m.applied).map(m => m.version);
+
+    database.rollbackMigration();
+    expect(applied()).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14]);
+    while (applied().length > 3) database.rollbackMigration();
+    expect(applied()).toEqual([1, 2, 3]);
+
+    expect(() => database.rollbackMigration()).toThrow(/irreversible/);
+    expect(applied()).toEqual([1, 2, 3]);
+  });
+});
+
+describe('schema migrations', () => {
+  const Database = require('better-sqlite3');
+  const initialSchema = require('../migrations/001_initial_schema');
+  const runTracking = require('../migrations/002_run_tracking');
+
+  let db;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    initialSchema.up(db);
+    db.prepare("INSERT INTO providers (name, type) VALUES ('Jane Doe, NP', 'NP')").run();
+    db.prepare(`
+      INSERT INTO courses (provider_id, platform, course_name, hours, completion_date)
+      VALUES (1, 'NetCE', 'Ethics', 2, '2025-01-15')
+    `).run();
+  });
+
+  afterEach(() => db.close());
+
+  const columns = (table) => db.pragma(`table_info(${table})`).map(c => c.name);
+
+  it('adds run tracking to an existing database without losing courses', () => {
+    runTracking.up(db);
+
+    expect(columns('compliance_records')).toContain('run_id');
+    expect(columns('courses')).toEqual(expect.arrayContaining(['state', 'cost']));
+    expect(db.prepare('SELECT course_name, platform FROM courses').all())
+      .toEqual([{ course_name: 'Ethics', platform: 'NetCE' }]);
+
+    // hours is now part of the course identity
+    db.prepare(`
+      INSERT INTO courses (provider_id, course_name, hours, completion_date)
+      VALUES (1, 'Ethics', 1, '2025-01-15')
+    `).run();
+    expect(db.prepare('SELECT COUNT(*) AS n FROM courses').get().n).toBe(2);
+  });
+
+  it('rolls run tracking back to the original schema', () => {
+    runTracking.up(db);
+    runTracking.down(db);
+
+    expect(columns('compliance_records')).not.toContain('run_id');
+    expect(columns('courses')).not.toContain('cost');
+    expect(db.prepare("SELECT name FROM sqlite_master WHERE name = 'run_results'").get()).toBeUndefined();
+    expect(db.prepare('SELECT COUNT(*) AS n FROM courses').get().n).toBe(1);
+  });
+});
@@ -3,17 +3,24 @@ const fs = require('fs');
 
 // Mock better-sqlite3
 const mockDb = {
+  memory: true,
   pragma: jest.fn(),
   exec: jest.fn(),
   prepare: jest.fn(),
   close: jest.fn(),
+  // Mirrors better-sqlite3: transaction(fn) returns a callable with .immediate()
+  transaction: jest.fn((fn) => Object.assign((...args) => fn(...args), {
+    immediate: (...args) => fn(...args),
+  })),
 };
 
-mockDb.prepare.mockReturnValue({
-  get: jest.fn(),
-  all: jest.fn().mockReturnValue([]),
-  run: jest.fn().mockReturnValue({ lastInsertRowid: 1 }),
-});
+function defaultStatement() {
+  return {
+    get: jest.fn(),
+    all: jest.fn().mockReturnValue([]),
+    run: jest.fn().mockReturnValue({ lastInsertRowid: 1 }),
+  };
+}
 
 jest.mock('better-sqlite3', () => {
   return jest.fn(() => mockDb);
@@ -26,11 +33,14 @@ describe('database', () => {
     jest.resetModules();
     jest.clearAllMocks();
     process.env.DATABASE_PATH = ':memory:';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    mockDb.prepare = jest.fn().mockReturnValue(defaultStatement());
     database = require('../database');
   });
 
   afterEach(() => {
     delete process.env.DATABASE_PATH;
+    console.log.mockRestore();
   });
 
   describe('initDatabase', () => {
@@ -44,7 +54,7 @@ describe('database', () => {
       database.initDatabase();
 
       expect(mockDb.exec).toHaveBeenCalled();
-      const execCall = mockDb.exec.mock.calls[0][0];
+      const execCall = mockDb.exec.mock.calls.map(call => call[0]).join('\n');
 
       expect(execCall).toContain('CREATE TABLE IF NOT EXISTS providers');
       expect(execCall).toContain('CREATE TABLE IF NOT EXISTS compliance_records');
@@ -53,27 +63,31 @@ describe('database', () => {
       expect(execCall).toContain('CREATE TABLE IF NOT EXISTS platform_results');
       expect(execCall).toContain('CREATE TABLE IF NOT EXISTS credential_health');
       expect(execCall).toContain('CREATE TABLE IF NOT EXISTS run_history');
+      expect(execCall).toContain('CREATE TABLE IF NOT EXISTS run_results');
+      expect(execCall).toContain('CREATE TABLE IF NOT EXISTS schema_version');
     });
 
     it('should create indexes', () => {
       database.initDatabase();
 
-      const execCall = mockDb.exec.mock.calls[0][0];
+      const execCall = mockDb.exec.mock.calls.map(call => call[0]).join('\n');
       expect(execCall).toContain('CREATE INDEX IF NOT EXISTS idx_compliance_provider');
       expect(execCall).toContain('CREATE INDEX IF NOT EXISTS idx_courses_provider');
     });
 
     it('should only initialize once', () => {
       database.initDatabase();
+      const execCalls = mockDb.exec.mock.calls.length;
       database.initDatabase();
 
-      // Should only be called once since db is cached
-      expect(mockDb.exec).toHaveBeenCalledTimes(1);
+      // No further schema work since db is cached
+      expect(mockDb.exec).toHaveBeenCalledTimes(execCalls);
     });
   });
 
   describe('getOrCreateProvider', () => {
     it('should create new provider when not exists', () => {
+      database.initDatabase();
       const mockPrepare = jest.fn();
       const mockGet = jest.fn().mockReturnValueOnce(null).mockReturnValueOnce({ id: 1, name: 'Test Provider' });
       const mockRun = jest.fn().mockReturnValue({ lastInsertRowid: 1 });
@@ -81,18 +95,17 @@ describe('database', () => {
       mockPrepare.mockReturnValue({ get: mockGet, run: mockRun });
       mockDb.prepare = mockPrepare;
 
-      database.initDatabase();
       const result = database.getOrCreateProvider('Test Provider', 'NP', 'test@test.com', true);
 
       expect(result).toBeDefined();
     });
 
     it('should return existing provider when found', () => {
+      database.initDatabase();
       const existingProvider = { id: 1, name: 'Existing', type: 'RN' };
       const mockGet = jest.fn().mockReturnValue(existingProvider);
       mockDb.prepare.mockReturnValue({ get: mockGet, run: jest.fn() });
 
-      database.initDatabase();
       const result = database.getOrCreateProvider('Existing', 'RN');
 
       expect(mockGet).toHaveBeenCalled();
@@ -101,10 +114,10 @@ describe('database', () => {
 
   describe('saveComplianceRecord', () => {
     it('should insert compliance record', () => {
+      database.initDatabase();
       const mockRun = jest.fn().mockReturnValue({ lastInsertRowid: 42 });
       mockDb.prepare.mockReturnValue({ run: mockRun, get: jest.fn() });
 
-      database.initDatabase();
       const recordId = database.saveComplianceRecord(1, {
         state: 'FL',
         licenseType: 'RN',
@@ -118,10 +131,10 @@ describe('database', () => {
     });
 
     it('should save subject areas when provided', () => {
+      database.initDatabase();
       const mockRun = jest.fn().mockReturnValue({ lastInsertRowid: 42 });
       mockDb.prepare.mockReturnValue({ run: mockRun, get: jest.fn() });
 
-      database.initDatabase();
       database.saveComplianceRecord(1, {
         state: 'FL',
         licenseType: 'RN',
@@ -142,10 +155,10 @@ describe('database', () => {
 
   describe('saveCourse', () => {
     it('should insert course record', () => {
+      database.initDatabase();
       const mockRun = jest.fn();
       mockDb.prepare.mockReturnValue({ run: mockRun, get: jest.fn() });
 
-      database.initDatabase();
       const result = database.saveCourse(1, {
         platform: 'NetCE',
         name: 'Test Course',
@@ -158,12 +171,12 @@ describe('database', () => {
     });
 
     it('should return false for duplicate course', () => {
+      database.initDatabase();
       const mockRun = jest.fn().mockImplementation(() => {
         throw new Error('UNIQUE constraint failed');
       });
       mockDb.prepare.mockReturnValue({ run: mockRun, get: jest.fn() });
 
-      database.initDatabase();
       const result = database.saveCourse(1, {
         name: 'Duplicate Course',
         date: '2025-01-15',
@@ -175,17 +188,18 @@ describe('database', () => {
 
   describe('updateCredentialHealth', () => {
     it('should create new record when not exists', () => {
+      database.initDatabase();
       const mockGet = jest.fn().mockReturnValue(null);
       const mockRun = jest.fn();
       mockDb.prepare.mockReturnValue({ get: mockGet, run: mockRun });
 
-      database.initDatabase();
       database.updateCredentialHealth(1, 'CE Broker', true);
 
       expect(mockRun).toHaveBeenCalled();
     });
 
     it('should update status on failure', () => {
+      database.initDatabase();
       const mockGet = jest.fn().mockReturnValue({
         consecutive_failures: 2,
         status: 'degraded'
@@ -193,7 +207,6 @@ describe('database', () => {
       const mockRun = jest.fn();
       mockDb.prepare.mockReturnValue({ get: mockGet, run: mockRun });
 
-      database.initDatabase();
       database.updateCredentialHealth(1, 'CE Broker', false, 'Login failed');
 
       expect(mockRun).toHaveBeenCalled();
@@ -202,13 +215,13 @@ describe('database', () => {
 
   describe('getLatestComplianceStatus', () => {
     it('should return all providers with latest compliance', () => {
+      database.initDatabase();
       const mockAll = jest.fn().mockReturnValue([
         { id: 1, name: 'Provider 1', hours_remaining: 10 },
         { id: 2, name: 'Provider 2', hours_remaining: 5 },
       ]);
       mockDb.prepare.mockReturnValue({ all: mockAll, get: jest.fn() });
 
-      database.initDatabase();
       const result = database.getLatestComplianceStatus();
 
       expect(result).toHaveLength(2);
@@ -217,10 +230,10 @@ describe('database', () => {
 
   describe('startRun and completeRun', () => {
     it('should create and complete a run', () => {
+      database.initDatabase();
       const mockRun = jest.fn().mockReturnValue({ lastInsertRowid: 99 });
       mockDb.prepare.mockReturnValue({ run: mockRun, get: jest.fn() });
 
-      database.initDatabase();
       const runId = database.startRun();
 
       expect(runId).toBe(99);
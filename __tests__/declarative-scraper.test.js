@@ -0,0 +1,203 @@
+/**
+ * Tests for declarative platform scrapers (platforms/declarative.js): a
+ * platforms.json "scraper" block run against a fake transcript portal
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const platformsPath = path.join(__dirname, '..', 'platforms.json');
+const readFileSync = fs.readFileSync;
+
+const acme = {
+  name: 'Acme CE',
+  slug: 'acme',
+  type: 'ceu-source',
+  description: 'CE courses',
+  urls: {
+    login: 'https://acme.example/login',
+    transcript: 'https://acme.example/account/transcript',
+  },
+  scraper: {
+    login: {
+      username: 'input[name=email]',
+      password: 'input[name=password]',
+      submit: 'button[type=submit]',
+      error: '.alert-danger',
+    },
+    transcript: {
+      rows: 'table.transcript tbody tr',
+      columns: { name: 'td.title', hours: 'td.credits', date: 'td.completed', certificate: 'a.cert' },
+      dateFormats: ['DD.MM.YYYY', 'MMM D, YYYY'],
+      requireDate: true,
+      pagination: { param: 'page', maxPages: 5 },
+    },
+  },
+  status: 'active',
+};
+
+/** Load the registry with Acme CE added to platforms.json */
+function loadRegistry(entry = acme) {
+  jest.spyOn(fs, 'readFileSync').mockImplementation((file, ...rest) => {
+    if (file === platformsPath) {
+      return JSON.stringify({ ...JSON.parse(readFileSync(file, 'utf8')), acme: entry });
+    }
+    return readFileSync(file, ...rest);
+  });
+  return require('../platform-registry');
+}
+
+/**
+ * A portal page: `pages` maps a URL to the raw rows the transcript evaluate
+ * returns there; `selectors` are the ones present on every page
+ */
+function fakePortal(pages, selectors = []) {
+  let url = 'about:blank';
+  const filled = {};
+  const locator = sel => ({
+    count: async () => (selectors.includes(sel) ? 1 : 0),
+    first: () => locator(sel),
+    isVisible: async () => selectors.includes(sel),
+    innerText: async () => '',
+  });
+  const page = {
+    goto: jest.fn(async u => { url = u; }),
+    url: () => url,
+    waitForSelector: jest.fn(async sel => {
+      if (!selectors.includes(sel)) throw new Error(`Timeout waiting for ${sel}`);
+    }),
+    waitForURL: jest.fn(async () => {}),
+    fill: jest.fn(async (sel, value) => { filled[sel] = value; }),
+    click: jest.fn(async () => {}),
+    locator,
+    evaluate: jest.fn(async () => pages[url] || []),
+    context: () => context,
+  };
+  const context = {
+    newPage: async () => page,
+    close: jest.fn(async () => {}),
+    clearCookies: async () => {},
+    request: { get: jest.fn() },
+  };
+  return { page, filled, browser: { newContext: async () => context } };
+}
+
+beforeEach(() => {
+  jest.resetModules();
+  process.env.SCRAPE_TRACE = 'off';
+  process.env.CERTIFICATE_DOWNLOADS = 'off';
+  jest.doMock('../utils', () => ({ ...jest.requireActual('../utils'), sleep: async () => {} }));
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  delete process.env.SCRAPE_TRACE;
+  delete process.env.CERTIFICATE_DOWNLOADS;
+  jest.restoreAllMocks();
+});
+
+describe('normalizeScraperConfig', () => {
+  const { normalizeScraperConfig } = jest.requireActual('../platforms/declarative');
+
+  it('fills in defaults', () => {
+    const { transcript } = normalizeScraperConfig('Acme CE', {
+      ...acme,
+      scraper: { ...acme.scraper, transcript: { rows: 'tr', columns: { name: 'td', hours: 'td' }, pagination: { next: 'a.next' } } },
+    });
+    expect(transcript).toMatchObject({
+      url: acme.urls.transcript,
+      dateFormats: ['MM/DD/YYYY'],
+      pagination: { next: 'a.next', maxPages: 10, start: 1 },
+    });
+  });
+
+  it('names what is missing', () => {
+    const without = (section, field) => ({
+      ...acme,
+      scraper: { ...acme.scraper, [section]: { ...acme.scraper[section], [field]: undefined } },
+    });
+    expect(() => normalizeScraperConfig('Acme CE', without('login', 'submit')))
+      .toThrow('Platform "Acme CE" scraper: login.submit selector is required');
+    expect(() => normalizeScraperConfig('Acme CE', without('transcript', 'rows')))
+      .toThrow('transcript.rows selector is required');
+    expect(() => normalizeScraperConfig('Acme CE', { ...without('transcript', 'url'), urls: { login: 'x' } }))
+      .toThrow('transcript.url (or urls.transcript) is required');
+    expect(() => normalizeScraperConfig('Acme CE', {
+      ...acme, scraper: { ...acme.scraper, transcript: { ...acme.scraper.transcript, pagination: { maxPages: 3 } } },
+    })).toThrow('transcript.pagination needs "next" or "param"');
+    expect(() => normalizeScraperConfig('Acme CE', {
+      ...acme, scraper: { ...acme.scraper, transcript: { ...acme.scraper.transcript, dateFormats: ['MM/YYYY'] } },
+    })).toThrow('date format "MM/YYYY" needs year, month and day tokens');
+  });
+});
+
+describe('parseDateText', () => {
+  const { parseDateText } = jest.requireActual('../platforms/declarative');
+
+  it('rewrites dates to MM/DD/YYYY', () => {
+    expect(parseDateText('Completed 3/1/2025', ['MM/DD/YYYY'])).toBe('03/01/2025');
+    expect(parseDateText('01.03.2025', ['DD.MM.YYYY'])).toBe('03/01/2025');
+    expect(parseDateText('Sept. 4, 2025', ['MMM D, YYYY'])).toBe('09/04/2025');
+    expect(parseDateText('2025-03-04', ['MM/DD/YYYY', 'YYYY-MM-DD'])).toBe('03/04/2025');
+    expect(parseDateText('04/03/25', ['DD/MM/YY'])).toBe('03/04/2025');
+  });
+
+  it('returns an empty string when no format fits', () => {
+    expect(parseDateText('In progress', ['MM/DD/YYYY'])).toBe('');
+    expect(parseDateText('13/45/2025', ['MM/DD/YYYY'])).toBe('');
+    expect(parseDateText('123/01/2025', ['MM/DD/YYYY'])).toBe('');
+  });
+});
+
+describe('declarative platform', () => {
+  it('is registered from platforms.json alongside the module plugins', () => {
+    const registry = loadRegistry();
+    const plugin = registry.getPlatform('Acme CE');
+
+    expect(plugin).toMatchObject({ name: 'Acme CE', key: 'acme' });
+    expect(registry.listPlatforms({ activeOnly: true }).map(p => p.name)).toContain('Acme CE');
+    expect(plugin.anchors.anchors.map(a => a.name)).toEqual(['usernameField', 'passwordField', 'transcriptTable']);
+  });
+
+  it('logs in and reads every transcript page', async () => {
+    loadRegistry();
+    const { scrapePlatform } = require('../platform-scrapers');
+    const { page, filled, browser } = fakePortal({
+      'https://acme.example/account/transcript': [
+        { name: 'Course', hours: 'Credits', date: 'Completed', certificateHref: null },
+        { name: 'Pain Management', hours: '2.0 contact hours', date: '01.03.2025', certificateHref: 'https://acme.example/cert/1.pdf' },
+        { name: 'Wound Care', hours: '1.5', date: 'In progress', certificateHref: null },
+      ],
+      'https://acme.example/account/transcript?page=2': [
+        { name: 'Ethics in Nursing', hours: '3', date: 'Feb 14, 2025', certificateHref: null },
+      ],
+    }, ['input[name=email]', 'input[name=password]']);
+
+    const result = await scrapePlatform(browser, { platform: 'Acme CE', username: 'ada@example.com', password: 'pw' }, 'Ada Ahn, NP');
+
+    expect(filled).toEqual({ 'input[name=email]': 'ada@example.com', 'input[name=password]': 'pw' });
+    expect(page.goto.mock.calls.map(c => c[0])).toEqual([
+      'https://acme.example/login',
+      'https://acme.example/account/transcript',
+      'https://acme.example/account/transcript?page=2',
+      'https://acme.example/account/transcript?page=3',
+    ]);
+    expect(result).toMatchObject({
+      platform: 'Acme CE',
+      status: 'success',
+      hoursEarned: 5,
+      courses: [
+        { name: 'Pain Management', hours: 2, date: '03/01/2025', platform: 'Acme CE' },
+        { name: 'Ethics in Nursing', hours: 3, date: '02/14/2025', platform: 'Acme CE' },
+      ],
+    });
+  });
+
+  it('reports bad credentials from testLogin', async () => {
+    const registry = loadRegistry();
+    const plugin = registry.getPlatform('Acme CE');
+    const { page } = fakePortal({}, ['input[name=email]', 'input[name=password]', '.alert-danger']);
+
+    await expect(plugin.testLogin(page, { username: 'ada', password: 'wrong' })).rejects.toThrow('Invalid credentials');
+  });
+});
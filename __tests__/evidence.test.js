@@ -0,0 +1,149 @@
+/**
+ * Tests for failure evidence (evidence.js and the run_evidence functions in
+ * database.js), with a fake Playwright page
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/** A page whose context traces like Playwright's: stop({ path }) writes the zip */
+function fakePage() {
+  const context = {
+    tracing: {
+      start: jest.fn(async () => {}),
+      stop: jest.fn(async ({ path: file }) => fs.writeFileSync(file, 'zip')),
+    },
+  };
+  return {
+    context: () => context,
+    screenshot: jest.fn(async ({ path: file }) => fs.writeFileSync(file, 'png')),
+  };
+}
+
+/**
+ * A login page whose trace, like Playwright's, records each action's parameters
+ * and every input's current value in its snapshots
+ */
+function fakeLoginPage() {
+  const inputs = { username: { type: 'text', value: '' }, password: { type: 'password', value: '' } };
+  let recorded = null;
+  const snapshot = () => recorded?.push({ snapshot: Object.fromEntries(Object.entries(inputs).map(([k, v]) => [k, v.value])) });
+  const context = {
+    tracing: {
+      start: jest.fn(async () => { recorded = []; snapshot(); }),
+      stop: jest.fn(async ({ path: file }) => fs.writeFileSync(file, JSON.stringify(recorded))),
+    },
+  };
+  const frame = {
+    $$eval: async (selector, fn) => fn(Object.values(inputs).filter(i => selector.includes(`"${i.type}"`))),
+  };
+  return {
+    context: () => context,
+    frames: () => [frame],
+    fill: async (name, value) => { recorded?.push({ action: 'fill', name, value }); inputs[name].value = value; snapshot(); },
+    screenshot: jest.fn(async ({ path: file }) => fs.writeFileSync(file, 'png')),
+  };
+}
+
+describe('evidence', () => {
+  let evidence;
+  let database;
+  let dir;
+
+  beforeEach(() => {
+    jest.resetModules();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ceu-evidence-'));
+    process.env.EVIDENCE_DIR = dir;
+    process.env.DATABASE_PATH = ':memory:';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    database = require('../database');
+    evidence = require('../evidence');
+  });
+
+  afterEach(() => {
+    database.closeDatabase();
+    delete process.env.EVIDENCE_DIR;
+    delete process.env.DATABASE_PATH;
+    delete process.env.SCRAPE_TRACE;
+    delete process.env.EVIDENCE_RETENTION_DAYS;
+    fs.rmSync(dir, { recursive: true, force: true });
+    console.log.mockRestore();
+  });
+
+  it('saves the screenshot and trace of a failed attempt and links them to the run', async () => {
+    const runId = database.startRun();
+    evidence.setEvidenceRun(runId);
+    const page = fakePage();
+    await evidence.startTrace(page.context(), 'CE Broker — Ada Ahn, NP');
+
+    const err = Object.assign(new Error('Timeout 15000ms exceeded'), {
+      classified: { code: 'timeout', message: 'CE Broker took too long to respond' },
+    });
+    const saved = await evidence.captureFailure(page, { providerName: 'Ada Ahn, NP', source: 'CE Broker', label: 'login_error_attempt1', error: err });
+
+    expect(saved.screenshotPath).toMatch(new RegExp(`^run-${runId}[\\\\/]Ada_Ahn__NP_login_error_attempt1_.*\\.png$`));
+    expect(saved.tracePath).toMatch(/\.zip$/);
+    expect(fs.readFileSync(evidence.resolveEvidenceFile(saved.tracePath), 'utf8')).toBe('zip');
+    expect(database.getRunEvidence(runId)).toEqual([expect.objectContaining({
+      id: saved.id,
+      providerName: 'Ada Ahn, NP',
+      source: 'CE Broker',
+      errorCode: 'timeout',
+      error: 'CE Broker took too long to respond',
+      screenshotPath: saved.screenshotPath,
+      tracePath: saved.tracePath,
+    })]);
+  });
+
+  it('keeps only the screenshot when tracing is off, and nothing in the database outside a run', async () => {
+    process.env.SCRAPE_TRACE = 'off';
+    const page = fakePage();
+    await evidence.startTrace(page.context(), 'NetCE — Ada Ahn, NP');
+
+    const saved = await evidence.captureFailure(page, { providerName: 'Ada Ahn, NP', source: 'NetCE', label: 'netce_error', error: new Error('boom') });
+
+    expect(page.context().tracing.start).not.toHaveBeenCalled();
+    expect(saved).toEqual({ id: null, screenshotPath: expect.stringMatching(/^adhoc[\\/]/), tracePath: null });
+    expect(database.getEvidenceRuns()).toEqual([]);
+  });
+
+  it('leaves the password out of the trace of a failed login', async () => {
+    const runId = database.startRun();
+    evidence.setEvidenceRun(runId);
+    const page = fakeLoginPage();
+    await evidence.startTrace(page.context(), 'CE Broker — Ada Ahn, NP', { afterLogin: true });
+
+    await page.fill('username', 'ada.ahn');
+    await page.fill('password', 'correct horse battery');
+    expect(page.context().tracing.start).not.toHaveBeenCalled();
+    await evidence.startTraceAfterLogin(page);
+    await page.fill('username', 'ada.ahn@example.com');   // e.g. a second login step
+
+    const saved = await evidence.captureFailure(page, { providerName: 'Ada Ahn, NP', source: 'CE Broker', label: 'login_error_attempt1' });
+    const trace = fs.readFileSync(evidence.resolveEvidenceFile(saved.tracePath), 'utf8');
+    expect(trace).toContain('ada.ahn@example.com');
+    expect(trace).not.toContain('correct horse battery');
+  });
+
+  it('only resolves files inside the evidence directory', () => {
+    fs.writeFileSync(path.join(dir, 'kept.png'), 'png');
+    expect(evidence.resolveEvidenceFile('kept.png')).toBe(path.join(dir, 'kept.png'));
+    expect(evidence.resolveEvidenceFile('../etc/passwd')).toBeNull();
+    expect(evidence.resolveEvidenceFile('missing.png')).toBeNull();
+  });
+
+  it('prunes files and records past the retention period', async () => {
+    process.env.EVIDENCE_RETENTION_DAYS = '14';
+    const runId = database.startRun();
+    evidence.setEvidenceRun(runId);
+    const { screenshotPath } = await evidence.captureFailure(fakePage(), { providerName: 'Ada Ahn, NP', source: 'CE Broker', label: 'scrape_error' });
+
+    expect(evidence.pruneEvidence()).toEqual({ files: 0, rows: 0 });
+
+    const later = Date.now() + 15 * 24 * 60 * 60 * 1000;
+    expect(evidence.pruneEvidence({ now: later })).toEqual({ files: 1, rows: 1 });
+    expect(fs.existsSync(path.join(dir, screenshotPath))).toBe(false);
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+});
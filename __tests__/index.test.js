@@ -0,0 +1,274 @@
+/**
+ * Tests for incremental and resumed runs (index.js --force / --resume) against an
+ * in-memory SQLite database, with the browser-driven scrapers mocked out
+ */
+
+jest.mock('child_process', () => ({ execSync: jest.fn() }));
+jest.mock('../sentry', () => ({
+  initSentry: jest.fn(),
+  captureError: jest.fn(),
+  captureMessage: jest.fn(),
+  addBreadcrumb: jest.fn(),
+  flush: jest.fn(async () => {}),
+}));
+jest.mock('../scraper', () => ({
+  launchBrowser: jest.fn(async () => ({ close: jest.fn(async () => {}) })),
+  loginProvider: jest.fn(async () => ({})),
+  scrapeLicenseData: jest.fn(async (page, provider) => [{
+    providerName: provider.name,
+    state: 'Florida',
+    licenseType: 'APRN',
+    renewalDeadline: '04/30/2027',
+    hoursRequired: 24,
+    hoursCompleted: 20,
+    hoursRemaining: 4,
+    subjectAreas: [],
+  }]),
+  closePage: jest.fn(async () => {}),
+}));
+jest.mock('../platform-scrapers', () => ({
+  runPlatformScrapers: jest.fn(async (browser, providers, { onProviderDone }) => {
+    const results = providers.map(p => ({ providerName: p.name, platform: 'NetCE', status: 'success', courses: [] }));
+    results.forEach(r => onProviderDone(r.providerName, [r]));
+    return results;
+  }),
+}));
+jest.mock('../license-scraper', () => ({
+  ...jest.requireActual('../license-scraper'),
+  runLicenseVerification: jest.fn(async (browser, providers, { onProviderDone }) => {
+    const licenseData = { providers: {} };
+    for (const p of providers) {
+      licenseData.providers[p.name] = { licenses: [], statesSearched: 2, lastFullScan: new Date().toISOString() };
+      onProviderDone(p.name, licenseData.providers[p.name]);
+    }
+    return { licenseData };
+  }),
+  saveLicenseData: jest.fn(), // don't rewrite the repo's licenses.json
+}));
+jest.mock('../exporter', () => ({ buildReport: jest.fn(async () => 'report.xlsx') }));
+jest.mock('../dashboard-builder', () => ({ buildDashboard: jest.fn(() => 'public/index.html') }));
+jest.mock('../change-detector', () => ({ runChangeDetection: jest.fn(() => ({ detected: 0 })) }));
+jest.mock('../credentials-loader', () => ({
+  getAllProviders: jest.fn(() => [
+    { name: 'Ada Ahn, NP', type: 'NP', username: 'ada', password: 'x' },
+    { name: 'Ben Bell, MD', type: 'MD', username: 'ben', password: 'y' },
+  ]),
+}));
+jest.mock('../utils', () => ({
+  ...jest.requireActual('../utils'),
+  printSummary: jest.fn(),
+  randomDelay: jest.fn(async () => {}),
+}));
+jest.mock('../evidence', () => ({
+  ...jest.requireActual('../evidence'),
+  pruneEvidence: jest.fn(), // leave any local evidence/ alone
+}));
+jest.mock('../database', () => ({
+  ...jest.requireActual('../database'),
+  exportJsonFiles: jest.fn(() => null), // don't rewrite the repo's JSON files
+}));
+
+describe('index.js runScrape', () => {
+  let database;
+  let index;
+  let scraper;
+  let platforms;
+  let licenses;
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env.DATABASE_PATH = ':memory:';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    database = require('../database');
+    scraper = require('../scraper');
+    platforms = require('../platform-scrapers');
+    licenses = require('../license-scraper');
+    index = require('../index');
+  });
+
+  afterEach(() => {
+    database.closeDatabase();
+    delete process.env.DATABASE_PATH;
+    console.log.mockRestore();
+    console.error.mockRestore();
+  });
+
+  /** A run that died after finishing Ada's CE Broker and platform stages */
+  function interruptedRun() {
+    const runId = database.startRun(null);
+    database.saveRunCheckpoint(runId, 'Ada Ahn, NP', 'cebroker', {
+      result: { name: 'Ada Ahn, NP', status: 'success' },
+      records: [{ providerName: 'Ada Ahn, NP', state: 'Florida', licenseType: 'APRN', hoursRequired: 24, hoursCompleted: 24, hoursRemaining: 0, subjectAreas: [] }],
+    });
+    database.saveRunCheckpoint(runId, 'Ada Ahn, NP', 'platforms', []);
+    return runId;
+  }
+
+  it('redoes only the providers and stages that were still outstanding', async () => {
+    const runId = interruptedRun();
+
+    const result = await index.runScrape({ resumeRunId: runId });
+
+    expect(result).toMatchObject({ runId, providers: 2, succeeded: 2 });
+    expect(scraper.loginProvider).toHaveBeenCalledTimes(1);
+    expect(scraper.loginProvider.mock.calls[0][1].name).toBe('Ben Bell, MD');
+    expect(platforms.runPlatformScrapers.mock.calls[0][1].map(p => p.name)).toEqual(['Ben Bell, MD']);
+    expect(licenses.runLicenseVerification.mock.calls[0][1].map(p => p.name)).toEqual(['Ada Ahn, NP', 'Ben Bell, MD']);
+
+    // Both providers end up in the run, from the checkpoint and from the resumed scrape
+    const snapshot = database.getRunSnapshot(runId);
+    expect(snapshot.providers.map(p => [p.name, p.hoursCompleted])).toEqual(expect.arrayContaining([
+      ['Ada Ahn, NP', 24],
+      ['Ben Bell, MD', 20],
+    ]));
+    expect(database.getRunCheckpoints(runId)).toEqual({});
+    expect(() => database.getResumableRun(runId)).toThrow(/already finished/);
+  });
+
+  it('does not save a provider twice when the run died while saving', async () => {
+    const runId = interruptedRun();
+    const provider = { name: 'Ada Ahn, NP', type: 'NP' };
+    expect(database.saveProviderRunOnce(runId, provider, { result: { status: 'success' } })).toBe(true);
+    expect(database.saveProviderRunOnce(runId, provider, { result: { status: 'success' } })).toBe(false);
+
+    await index.runScrape({ resumeRunId: runId });
+    const ada = database.getRunSnapshot(runId).providers.filter(p => p.name === 'Ada Ahn, NP');
+    expect(ada).toHaveLength(1);
+  });
+
+  it('retries providers whose login failed', async () => {
+    const runId = database.startRun(['Ben Bell, MD']);
+    database.saveRunCheckpoint(runId, 'Ben Bell, MD', 'cebroker', { result: { name: 'Ben Bell, MD', status: 'login_error' }, records: [] });
+
+    await index.runScrape({ resumeRunId: runId });
+    expect(scraper.loginProvider.mock.calls.map(c => c[1].name)).toEqual(['Ben Bell, MD']);
+  });
+
+  it('stops before saving anything once another run has taken the lock over', async () => {
+    let execSync;
+    database.closeDatabase();
+    jest.isolateModules(() => {
+      const runLock = jest.requireActual('../run-lock');
+      jest.doMock('../run-lock', () => ({
+        ...runLock,
+        withRunLock: async (owner, fn) => {
+          const lock = await runLock.acquireRunLock(owner, { store: runLock.memoryStore() });
+          lock.lost = true;
+          try { return await fn(lock); } finally { await lock.release(); }
+        },
+      }));
+      index = require('../index');
+      database = require('../database');
+      ({ execSync } = require('child_process'));
+    });
+
+    await expect(index.runScrape()).rejects.toThrow('Lost the run lock before saving Ada Ahn, NP');
+    const [run] = database.getIncompleteRuns();
+    expect(database.getRunSnapshot(run.id).providers).toEqual([]);
+    expect(database.exportJsonFiles).not.toHaveBeenCalled();
+    expect(execSync).not.toHaveBeenCalled();
+    jest.dontMock('../run-lock');
+  });
+
+  it('writes licenses.json itself when the database export fails', async () => {
+    database.exportJsonFiles.mockImplementationOnce(() => { throw new Error('disk I/O error'); });
+
+    await index.runScrape();
+    expect(licenses.saveLicenseData).toHaveBeenCalledTimes(1);
+    expect(Object.keys(licenses.saveLicenseData.mock.calls[0][0].providers)).toEqual(['Ada Ahn, NP', 'Ben Bell, MD']);
+  });
+
+  it('refuses to resume unknown runs', async () => {
+    await expect(index.runScrape({ resumeRunId: 99 })).rejects.toThrow('Run #99 not found');
+  });
+
+  describe('incremental runs', () => {
+    it('reuses fresh results instead of logging in again', async () => {
+      await index.runScrape();
+      expect(scraper.loginProvider).toHaveBeenCalledTimes(2);
+
+      const { runId } = await index.runScrape();
+      expect(scraper.loginProvider).toHaveBeenCalledTimes(2);
+      expect(console.log).toHaveBeenCalledWith(expect.stringMatching(/Scrape plan: CE Broker 0\/2 due/));
+
+      const snapshot = database.getRunSnapshot(runId);
+      expect(snapshot.providers.map(p => [p.name, p.hoursCompleted])).toEqual(expect.arrayContaining([
+        ['Ada Ahn, NP', 20],
+        ['Ben Bell, MD', 20],
+      ]));
+    });
+
+    it('keeps reused data dated to the scrape it came from, not counted as a login', async () => {
+      const first = await index.runScrape();
+      // Move the first run two days back
+      const db = database.initDatabase();
+      db.prepare("UPDATE run_history SET started_at = datetime(started_at, '-2 days'), completed_at = datetime(completed_at, '-2 days')").run();
+      db.prepare("UPDATE compliance_records SET scraped_at = datetime(scraped_at, '-2 days')").run();
+      db.prepare('UPDATE scrape_state SET last_attempt_at = last_attempt_at - @ms, last_success_at = last_success_at - @ms').run({ ms: 2 * 24 * 60 * 60 * 1000 });
+      const scrapedOn = db.prepare('SELECT scraped_at FROM compliance_records LIMIT 1').get().scraped_at.slice(0, 10);
+
+      const second = await index.runScrape();
+
+      expect(first).toMatchObject({ succeeded: 2, reused: 0 });
+      expect(second).toMatchObject({ succeeded: 0, reused: 2 });
+      const snapshot = database.getRunSnapshot(second.runId);
+      expect(snapshot).toMatchObject({ succeeded: 0, reused: 2 });
+      expect(snapshot.providers[0].reusedFrom.slice(0, 10)).toBe(scrapedOn);
+
+      // As of today the records still date from the first run, and nobody logged in again
+      const [ada] = database.getComplianceAsOf(new Date().toISOString().slice(0, 10)).providers;
+      expect(ada.licenses[0].scrapedAt.slice(0, 10)).toBe(scrapedOn);
+      const ceBroker = ada.credentialHealth.find(h => h.platform === 'CE Broker');
+      expect(ceBroker).toMatchObject({ status: 'healthy', consecutiveFailures: 0 });
+      expect(ceBroker.lastSuccess.slice(0, 10)).toBe(scrapedOn);
+    });
+
+    it('scrapes everything again when forced', async () => {
+      await index.runScrape();
+      await index.runScrape({ force: true });
+      expect(scraper.loginProvider).toHaveBeenCalledTimes(4);
+    });
+  });
+
+  describe('portal layout changes', () => {
+    const { defineAnchors } = jest.requireActual('../layout-drift');
+    const anchors = defineAnchors('CE Broker', { usernameField: { page: 'login', selector: 'input[name="username"]' } });
+    const redesigned = { locator: () => ({ count: async () => 0 }) };
+
+    beforeEach(() => {
+      require('../credentials-loader').getAllProviders.mockReturnValue(
+        ['Ada Ahn, NP', 'Ben Bell, MD', 'Cy Cole, RN'].map((name, i) => ({ name, type: 'NP', username: `user${i}`, password: 'x' }))
+      );
+    });
+
+    it('raises one alert instead of a login error per provider', async () => {
+      const sentry = require('../sentry');
+      const { checkAnchors } = require('../layout-drift');
+      scraper.loginProvider.mockImplementation(async (browser, provider) => {
+        await checkAnchors(redesigned, anchors, provider.name, 'login');
+        throw new Error('page.waitForSelector: Timeout 15000ms exceeded');
+      });
+
+      const { runId, layoutChanges } = await index.runScrape();
+
+      expect(layoutChanges).toEqual(['CE Broker']);
+      expect(sentry.captureMessage).toHaveBeenCalledTimes(1);
+      expect(sentry.captureMessage.mock.calls[0][0]).toMatch(/^Portal layout changed: CE Broker/);
+      expect(sentry.captureError).not.toHaveBeenCalled();
+      expect(database.getRunSnapshot(runId).loginErrors.map(e => e.errorCode)).toEqual(['site_changed', 'site_changed', 'site_changed']);
+      expect(database.getAnchorBaseline()).toEqual([{ source: 'CE Broker', anchor: 'usernameField', checked: 3, matched: 0 }]);
+    });
+
+    it('reports a single provider\'s login error as usual', async () => {
+      const sentry = require('../sentry');
+      scraper.loginProvider.mockRejectedValueOnce(new Error('Invalid password'));
+
+      const { layoutChanges } = await index.runScrape();
+
+      expect(layoutChanges).toEqual([]);
+      expect(sentry.captureMessage).not.toHaveBeenCalled();
+      expect(sentry.captureError).toHaveBeenCalledWith(expect.any(Error), expect.objectContaining({ provider: 'Ada Ahn, NP' }));
+    });
+  });
+});
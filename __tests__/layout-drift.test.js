@@ -0,0 +1,95 @@
+/**
+ * Tests for selector drift detection (layout-drift.js), with fake Playwright pages
+ */
+
+const {
+  defineAnchors, checkAnchors, takeAnchorReports, summarizeAnchors, detectLayoutChanges, describeLayoutChange,
+} = require('../layout-drift');
+
+/** A page that has the given selectors and body text */
+function fakePage({ selectors = [], text = '' } = {}) {
+  return {
+    locator: (sel) => ({
+      count: async () => (selectors.includes(sel) ? 1 : 0),
+      innerText: async () => text,
+    }),
+  };
+}
+
+const ANCHORS = defineAnchors('NetCE', {
+  usernameField: { page: 'login', selector: 'input[name="username"]', description: 'login username field' },
+  summary: { page: 'transcript', anyOf: [{ text: /Hours Posted/ }, { text: /Total Hours:/ }] },
+  courses: { page: 'transcript', selector: 'table tbody tr', required: false },
+});
+
+/** Reports for `total` providers checking one anchor, `missing` of whom miss it */
+function reports(anchor, total, missing, { source = 'NetCE', required = true } = {}) {
+  return Array.from({ length: total }, (_, i) => ({
+    source, providerName: `Provider ${i}`, page: 'login', anchor, description: anchor, required, matched: i >= missing,
+  }));
+}
+
+describe('layout-drift', () => {
+  beforeEach(() => takeAnchorReports());
+
+  describe('checkAnchors', () => {
+    it('checks the page kind\'s anchors by selector, text and alternatives', async () => {
+      const page = fakePage({ selectors: ['table tbody tr'], text: 'Total Hours: 24' });
+
+      const outcome = await checkAnchors(page, ANCHORS, 'Ada Ahn, NP', 'transcript');
+
+      expect(outcome).toEqual({ matched: ['summary', 'courses'], missed: [] });
+      expect(takeAnchorReports()).toEqual([
+        { source: 'NetCE', providerName: 'Ada Ahn, NP', page: 'transcript', anchor: 'summary', description: 'summary', required: true, matched: true },
+        { source: 'NetCE', providerName: 'Ada Ahn, NP', page: 'transcript', anchor: 'courses', description: 'courses', required: false, matched: true },
+      ]);
+      expect(takeAnchorReports()).toEqual([]);
+    });
+
+    it('records a miss instead of throwing when the page is gone', async () => {
+      const closed = { locator: () => ({ count: async () => { throw new Error('Target closed'); } }) };
+
+      await expect(checkAnchors(closed, ANCHORS, 'Ada Ahn, NP', 'login')).resolves.toEqual({ matched: [], missed: ['usernameField'] });
+    });
+  });
+
+  it('counts a provider as matched if any of their checks matched', () => {
+    const retried = [
+      { source: 'NetCE', providerName: 'Ada', anchor: 'usernameField', description: 'x', required: true, matched: false },
+      { source: 'NetCE', providerName: 'Ada', anchor: 'usernameField', description: 'x', required: true, matched: true },
+      { source: 'NetCE', providerName: 'Ben', anchor: 'usernameField', description: 'x', required: true, matched: false },
+    ];
+    expect(summarizeAnchors(retried)).toEqual([
+      { source: 'NetCE', anchor: 'usernameField', description: 'x', required: true, checked: 2, matched: 1, missedBy: ['Ben'] },
+    ]);
+  });
+
+  describe('detectLayoutChanges', () => {
+    it('flags a required anchor most providers stopped matching', () => {
+      const changes = detectLayoutChanges(summarizeAnchors(reports('usernameField', 5, 4)));
+
+      expect(changes).toEqual([{
+        source: 'NetCE',
+        providers: ['Provider 0', 'Provider 1', 'Provider 2', 'Provider 3'],
+        anchors: [{ anchor: 'usernameField', description: 'usernameField', checked: 5, matched: 1, baselineRate: null }],
+      }]);
+      expect(describeLayoutChange(changes[0])).toBe(
+        'Portal layout changed: NetCE — usernameField (1/5 matched); 4 provider(s) affected'
+      );
+    });
+
+    it('leaves misses by a few providers to their own errors', () => {
+      expect(detectLayoutChanges(summarizeAnchors(reports('usernameField', 3, 2)))).toEqual([]);
+      expect(detectLayoutChanges(summarizeAnchors(reports('usernameField', 10, 5)))).toEqual([]);
+    });
+
+    it('judges anchors against how often they matched in recent runs', () => {
+      const optional = summarizeAnchors(reports('courses', 5, 4, { required: false }));
+      expect(detectLayoutChanges(optional)).toEqual([]);
+      expect(detectLayoutChanges(optional, [{ source: 'NetCE', anchor: 'courses', checked: 50, matched: 48 }])).toHaveLength(1);
+
+      const alwaysFlaky = summarizeAnchors(reports('usernameField', 5, 4));
+      expect(detectLayoutChanges(alwaysFlaky, [{ source: 'NetCE', anchor: 'usernameField', checked: 50, matched: 20 }])).toEqual([]);
+    });
+  });
+});
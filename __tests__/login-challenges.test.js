@@ -0,0 +1,155 @@
+/**
+ * Tests for verification challenges during portal logins (login-challenges.js and
+ * the login_challenges functions in database.js), with a fake Playwright page
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Polls and waits after submitting a code take a few ms instead of seconds
+jest.mock('../utils', () => ({ ...jest.requireActual('../utils'), sleep: () => new Promise(resolve => setTimeout(resolve, 5)) }));
+
+/** A portal page asking for a code until it is given one of `accepted` */
+function fakePortal({ challenge = true, accepted = ['482913'], text = 'Verify your identity\nEnter the verification code we emailed to a***@example.com' } = {}) {
+  const portal = { challenge, typed: [] };
+  const submit = async () => {
+    if (accepted.includes(portal.typed[portal.typed.length - 1])) portal.challenge = false;
+  };
+  portal.page = {
+    locator: (sel) => {
+      if (sel === 'body') return { innerText: async () => (portal.challenge ? text : 'Dashboard') };
+      if (sel.includes('one-time-code')) {
+        return { first: () => ({ isVisible: async () => portal.challenge, fill: async (code) => { portal.typed.push(code); }, press: submit }) };
+      }
+      return { first: () => ({ isVisible: async () => true, click: submit }) };
+    },
+  };
+  return portal;
+}
+
+describe('login-challenges', () => {
+  let challenges;
+  let database;
+  let dir;
+
+  beforeEach(() => {
+    jest.resetModules();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ceu-challenges-'));
+    process.env.DATABASE_PATH = ':memory:';
+    process.env.OTP_DROP_DIR = dir;
+    process.env.OTP_CHANNEL = 'dashboard';
+    process.env.OTP_TIMEOUT_MINUTES = '0.05';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    database = require('../database');
+    challenges = require('../login-challenges');
+  });
+
+  afterEach(() => {
+    challenges.setChallengeRun(null);
+    database.closeDatabase();
+    for (const key of ['DATABASE_PATH', 'OTP_DROP_DIR', 'OTP_CHANNEL', 'OTP_TIMEOUT_MINUTES']) delete process.env[key];
+    fs.rmSync(dir, { recursive: true, force: true });
+    console.log.mockRestore();
+  });
+
+  it('only sees a challenge when a code field and a request for a code are both on the page', async () => {
+    expect(await challenges.detectChallenge(fakePortal().page)).toEqual({
+      kind: 'email',
+      prompt: 'Verify your identity — Enter the verification code we emailed to a***@example.com',
+    });
+    expect(await challenges.detectChallenge(fakePortal({ text: 'Use your authenticator app' }).page)).toMatchObject({ kind: 'otp' });
+    expect(await challenges.detectChallenge(fakePortal({ text: 'Have a promo code?' }).page)).toBeNull();
+    expect(await challenges.detectChallenge(fakePortal({ challenge: false }).page)).toBeNull();
+  });
+
+  it('continues the login with a code entered on the dashboard', async () => {
+    const runId = database.startRun();
+    const waiting = [];
+    challenges.setChallengeRun(runId, {
+      onWaiting: (c) => {
+        waiting.push(c);
+        database.answerLoginChallenge(c.id, '482913', 'ada');
+      },
+    });
+    const portal = fakePortal();
+
+    await expect(challenges.passChallenge(portal.page, { providerName: 'Ada Ahn, NP', source: 'CE Broker' })).resolves.toBe(true);
+
+    expect(portal.typed).toEqual(['482913']);
+    expect(waiting).toEqual([expect.objectContaining({ providerName: 'Ada Ahn, NP', source: 'CE Broker', kind: 'email' })]);
+    expect(database.getLoginChallenge(waiting[0].id)).toMatchObject({ runId, status: 'accepted', channel: 'dashboard', answeredBy: 'ada' });
+    expect(database.takeLoginChallengeCode(waiting[0].id)).toBeNull();
+  });
+
+  it('fails straight away when the dashboard cannot show the challenge', async () => {
+    jest.spyOn(database, 'createLoginChallenge').mockImplementation(() => { throw new Error('database is locked'); });
+    const onWaiting = jest.fn();
+    challenges.setChallengeRun(null, { onWaiting });
+
+    await expect(challenges.passChallenge(fakePortal().page, { providerName: 'Ada Ahn, NP', source: 'CE Broker' }))
+      .rejects.toMatchObject({ challenge: { outcome: 'unanswered', kind: 'email' } });
+    expect(onWaiting).not.toHaveBeenCalled();
+  });
+
+  it('fails straight away in CI when no channel was chosen', async () => {
+    delete process.env.OTP_CHANNEL;
+    process.env.GITHUB_ACTIONS = 'true';
+    const onWaiting = jest.fn();
+    challenges.setChallengeRun(null, { onWaiting });
+    try {
+      await expect(challenges.passChallenge(fakePortal().page, { providerName: 'Ada Ahn, NP', source: 'CE Broker' }))
+        .rejects.toMatchObject({ challenge: { outcome: 'unanswered', kind: 'email' } });
+      expect(onWaiting).not.toHaveBeenCalled();
+    } finally {
+      delete process.env.GITHUB_ACTIONS;
+    }
+  });
+
+  it('does nothing when the login was not challenged', async () => {
+    await expect(challenges.passChallenge(fakePortal({ challenge: false }).page, { providerName: 'Ada Ahn, NP', source: 'NetCE' })).resolves.toBe(false);
+    expect(database.getPendingLoginChallenges()).toEqual([]);
+  });
+
+  it('reads the code from a file dropped next to the request', async () => {
+    process.env.OTP_CHANNEL = 'file';
+    const requests = [];
+    challenges.setChallengeRun(null, {
+      onWaiting: (c) => setTimeout(() => {
+        requests.push(JSON.parse(fs.readFileSync(path.join(dir, `challenge-${c.id}.json`), 'utf8')));
+        fs.writeFileSync(path.join(dir, `challenge-${c.id}.code`), '482913\n');
+      }, 20),
+    });
+    const portal = fakePortal();
+
+    await expect(challenges.passChallenge(portal.page, { providerName: 'Ada Ahn, NP', source: 'NetCE' })).resolves.toBe(true);
+    expect(portal.typed).toEqual(['482913']);
+    expect(requests).toEqual([expect.objectContaining({ providerName: 'Ada Ahn, NP', source: 'NetCE', kind: 'email' })]);
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+
+  it('gives a rejected code one more try, through a plugged-in channel', async () => {
+    const codes = ['000000', '482913'];
+    challenges.registerChannel('test', { ask: jest.fn(async () => codes.shift()) });
+    process.env.OTP_CHANNEL = 'test';
+    const portal = fakePortal();
+
+    await expect(challenges.passChallenge(portal.page, { providerName: 'Ada Ahn, NP', source: 'NetCE' })).resolves.toBe(true);
+    expect(portal.typed).toEqual(['000000', '482913']);
+    expect(() => { process.env.OTP_CHANNEL = 'pigeon'; challenges.channelName(); }).toThrow(/Unknown OTP_CHANNEL/);
+  });
+
+  it('fails the login when no code comes in time, and does not ask again this run', async () => {
+    process.env.OTP_TIMEOUT_MINUTES = '0.0005';
+    const onWaiting = jest.fn();
+    challenges.setChallengeRun(null, { onWaiting });
+
+    const first = challenges.passChallenge(fakePortal().page, { providerName: 'Ada Ahn, NP', source: 'CE Broker' });
+    await expect(first).rejects.toMatchObject({ challenge: { outcome: 'unanswered', kind: 'email' } });
+    expect(database.getLoginChallenge(onWaiting.mock.calls[0][0].id).status).toBe('expired');
+
+    const retry = challenges.passChallenge(fakePortal().page, { providerName: 'Ada Ahn, NP', source: 'CE Broker' });
+    await expect(retry).rejects.toMatchObject({ challenge: { outcome: 'unanswered' } });
+    expect(onWaiting).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Tests for sign-in throttling and the login audit trail (login-guard.js)
+ */
+
+const { POLICY, checkLogin, recordLogin, memoryStore } = require('../login-guard');
+
+describe('login-guard', () => {
+  let store;
+  const attempt = { ip: '203.0.113.5', username: 'Cat', userAgent: 'jest' };
+
+  async function fail(times, overrides = {}) {
+    for (let i = 0; i < times; i++) await recordLogin(store, { ...attempt, ...overrides, outcome: 'failure' });
+  }
+
+  beforeEach(() => {
+    store = memoryStore();
+    jest.useFakeTimers({ now: new Date('2026-03-01T12:00:00Z') });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    console.log.mockRestore();
+  });
+
+  it('allows attempts under the limit', async () => {
+    await fail(POLICY.account.maxFailures - 1);
+    expect(await checkLogin(store, attempt)).toEqual({ allowed: true });
+  });
+
+  it('locks the account after too many failures, whatever the IP', async () => {
+    await fail(POLICY.account.maxFailures);
+    const result = await checkLogin(store, { ...attempt, ip: '198.51.100.9', username: 'cat' });
+    expect(result).toEqual({ allowed: false, retryAfter: POLICY.baseLockSeconds });
+  });
+
+  it('locks an IP that tries many accounts', async () => {
+    for (let i = 0; i < POLICY.ip.maxFailures; i++) await fail(1, { username: `user${i}` });
+    expect((await checkLogin(store, { ...attempt, username: 'someone-else' })).allowed).toBe(false);
+  });
+
+  it('doubles the lockout each time it is hit again', async () => {
+    await fail(POLICY.account.maxFailures);
+    jest.advanceTimersByTime(POLICY.baseLockSeconds * 1000);
+    expect((await checkLogin(store, attempt)).allowed).toBe(true);
+
+    await fail(POLICY.account.maxFailures);
+    expect((await checkLogin(store, attempt)).retryAfter).toBe(POLICY.baseLockSeconds * 2);
+  });
+
+  it('caps the lockout length', async () => {
+    for (let i = 0; i < 10; i++) {
+      await fail(POLICY.account.maxFailures);
+      jest.advanceTimersByTime(POLICY.maxLockSeconds * 1000);
+    }
+    await fail(POLICY.account.maxFailures);
+    expect((await checkLogin(store, attempt)).retryAfter).toBe(POLICY.maxLockSeconds);
+  });
+
+  it('clears the counters after a successful sign-in', async () => {
+    await fail(POLICY.account.maxFailures - 1);
+    await recordLogin(store, { ...attempt, outcome: 'success', role: 'compliance' });
+    await fail(POLICY.account.maxFailures - 1);
+    expect((await checkLogin(store, attempt)).allowed).toBe(true);
+  });
+
+  it('keeps IP failures from other accounts after a successful sign-in', async () => {
+    for (let i = 0; i < POLICY.ip.maxFailures - 1; i++) await fail(1, { username: `user${i}` });
+    await recordLogin(store, { ...attempt, outcome: 'success', role: 'compliance' });
+    await fail(1, { username: 'user-b' });
+    expect((await checkLogin(store, { ...attempt, username: 'user-c' })).allowed).toBe(false);
+  });
+
+  it('audits SSO sign-ins without throttling them', async () => {
+    for (let i = 0; i < POLICY.account.maxFailures; i++) {
+      await recordLogin(store, { ...attempt, outcome: 'failure', method: 'oidc' });
+    }
+    expect((await checkLogin(store, attempt)).allowed).toBe(true);
+    expect((await store.recentAudit())[0]).toMatchObject({ outcome: 'failure', method: 'oidc' });
+  });
+
+  it('audits every attempt, newest first', async () => {
+    await fail(1);
+    await recordLogin(store, { ...attempt, outcome: 'success', role: 'compliance' });
+    await recordLogin(store, { ip: '198.51.100.9', username: 'ada', outcome: 'locked' });
+
+    const events = await store.recentAudit();
+    expect(events.map(e => [e.username, e.outcome])).toEqual([['ada', 'locked'], ['Cat', 'success'], ['Cat', 'failure']]);
+    expect(events[1]).toEqual({
+      at: '2026-03-01T12:00:00.000Z',
+      username: 'Cat',
+      ip: '203.0.113.5',
+      userAgent: 'jest',
+      outcome: 'success',
+      role: 'compliance',
+      method: 'password',
+    });
+    expect((await store.recentAudit({ username: 'cat', limit: 1 })).map(e => e.outcome)).toEqual(['success']);
+  });
+});
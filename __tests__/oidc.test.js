@@ -0,0 +1,140 @@
+/**
+ * Tests for OIDC single sign-on (oidc.js) against the local mock IdP
+ */
+
+const { OidcError, loadOidcConfig, authorizationRequest, completeAuthorization, mapIdentity } = require('../oidc');
+const { startMockIdp } = require('../mock-idp');
+
+describe('oidc', () => {
+  let idp;
+  const redirectUri = 'http://localhost:3000/__oidc/callback';
+
+  const env = (overrides = {}) => ({
+    OIDC_ISSUER: idp.issuer,
+    OIDC_CLIENT_ID: 'ceu-tracker',
+    OIDC_CLIENT_SECRET: 'mock-secret',
+    OIDC_ROLE_MAP: JSON.stringify({ 'ceu-admins': 'admin', compliance: 'compliance', leadership: 'executive' }),
+    OIDC_ALLOWED_DOMAINS: 'example.com',
+    ...overrides,
+  });
+
+  // Play the browser: follow the authorize redirect as the given user
+  async function signInAs(email, oidc = loadOidcConfig(env())) {
+    const { url, state } = await authorizationRequest(oidc, redirectUri);
+    const res = await fetch(`${url}&login_hint=${encodeURIComponent(email)}`, { redirect: 'manual' });
+    const back = new URL(res.headers.get('location'));
+    expect(back.searchParams.get('state')).toBe(state.state);
+    return { oidc, state, code: back.searchParams.get('code') };
+  }
+
+  async function identityFor(email, oidc) {
+    const { state, code, oidc: config } = await signInAs(email, oidc);
+    return completeAuthorization(config, { code, redirectUri, expected: state });
+  }
+
+  beforeAll(async () => {
+    idp = await startMockIdp();
+  });
+
+  afterAll(async () => {
+    await idp.close();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  describe('config', () => {
+    it('is off unless an issuer and client are set', () => {
+      expect(loadOidcConfig({})).toBeNull();
+      expect(loadOidcConfig({ OIDC_ISSUER: 'https://idp.example.com' })).toBeNull();
+    });
+
+    it('rejects role maps with unknown roles', () => {
+      expect(() => loadOidcConfig(env({ OIDC_ROLE_MAP: '{"ceu-admins":"owner"}' }))).toThrow(/unknown role/);
+    });
+  });
+
+  it('sends a PKCE challenge and nonce to the identity provider', async () => {
+    const { url, state } = await authorizationRequest(loadOidcConfig(env()), redirectUri);
+    const params = new URL(url).searchParams;
+
+    expect(params.get('code_challenge_method')).toBe('S256');
+    expect(params.get('code_challenge')).not.toBe(state.verifier);
+    expect(params.get('nonce')).toBe(state.nonce);
+    expect(params.get('redirect_uri')).toBe(redirectUri);
+  });
+
+  it('signs users in with the role mapped from their groups', async () => {
+    expect(await identityFor('admin@example.com')).toMatchObject({ username: 'admin@example.com', name: 'Ada Admin', role: 'admin' });
+    expect((await identityFor('exec@example.com')).role).toBe('executive');
+  });
+
+  it('works as a public client with PKCE only', async () => {
+    const publicIdp = await startMockIdp({ clientSecret: null });
+    try {
+      const oidc = loadOidcConfig(env({ OIDC_ISSUER: publicIdp.issuer, OIDC_CLIENT_SECRET: '' }));
+      const { url, state } = await authorizationRequest(oidc, redirectUri);
+      const res = await fetch(`${url}&login_hint=viewer@example.com`, { redirect: 'manual' });
+      const code = new URL(res.headers.get('location')).searchParams.get('code');
+      expect((await completeAuthorization(oidc, { code, redirectUri, expected: state })).role).toBe('compliance');
+    } finally {
+      await publicIdp.close();
+    }
+  });
+
+  it('refuses users outside the allowed domains', async () => {
+    await expect(identityFor('guest@other.org')).rejects.toThrow(/not from an allowed domain/);
+  });
+
+  it('refuses users in no mapped group unless a default role is set', async () => {
+    await expect(identityFor('nobody@example.com')).rejects.toThrow(OidcError);
+    const oidc = loadOidcConfig(env({ OIDC_DEFAULT_ROLE: 'executive' }));
+    expect((await identityFor('nobody@example.com', oidc)).role).toBe('executive');
+  });
+
+  it('refuses a code redeemed with the wrong PKCE verifier', async () => {
+    const { oidc, state, code } = await signInAs('admin@example.com');
+    await expect(completeAuthorization(oidc, { code, redirectUri, expected: { ...state, verifier: 'stolen' } }))
+      .rejects.toThrow(/did not accept/);
+  });
+
+  it('refuses an ID token minted for another sign-in', async () => {
+    const { oidc, state, code } = await signInAs('admin@example.com');
+    await expect(completeAuthorization(oidc, { code, redirectUri, expected: { ...state, nonce: 'other' } }))
+      .rejects.toThrow(/did not match/);
+  });
+
+  describe('mapIdentity', () => {
+    const oidc = () => loadOidcConfig(env());
+
+    it('picks the most privileged mapped role', () => {
+      expect(mapIdentity(oidc(), { email: 'a@example.com', email_verified: true, groups: ['leadership', 'compliance'] }).role).toBe('compliance');
+    });
+
+    it('refuses unverified email addresses', () => {
+      expect(() => mapIdentity(oidc(), { email: 'a@example.com', email_verified: false, groups: ['ceu-admins'] }))
+        .toThrow(/not a verified email/);
+    });
+
+    it('only checks the domain of a real email claim', () => {
+      expect(() => mapIdentity(oidc(), { preferred_username: 'a@example.com', groups: ['ceu-admins'] }))
+        .toThrow(/no verified email address/);
+      expect(mapIdentity(loadOidcConfig(env({ OIDC_ALLOWED_DOMAINS: '' })), { preferred_username: 'a@example.com', groups: ['ceu-admins'] }))
+        .toMatchObject({ username: 'a@example.com', role: 'admin' });
+    });
+
+    it('needs email_verified to be true before checking the domain', () => {
+      expect(() => mapIdentity(oidc(), { email: 'a@example.com', groups: ['ceu-admins'] }))
+        .toThrow(/no verified email address/);
+      expect(() => mapIdentity(oidc(), { email: 'a@example.com', email_verified: 'true', groups: ['ceu-admins'] }))
+        .toThrow(/no verified email address/);
+      expect(mapIdentity(loadOidcConfig(env({ OIDC_ALLOWED_DOMAINS: '' })), { email: 'a@example.com', groups: ['ceu-admins'] }))
+        .toMatchObject({ username: 'a@example.com', role: 'admin' });
+    });
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Tests for the platform plugin registry (platform-registry.js) and the plugin
+ * runner in platform-scrapers.js, with a fake Playwright browser
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const platformsJson = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'platforms.json'), 'utf8'));
+
+/** A browser whose pages log what the plugin does with them */
+function fakeBrowser() {
+  const visits = [];
+  const page = {
+    goto: jest.fn(async url => { visits.push(url); }),
+    context: () => context,
+  };
+  const context = {
+    newPage: jest.fn(async () => page),
+    close: jest.fn(async () => {}),
+    request: { get: jest.fn() },
+  };
+  return { browser: { newContext: jest.fn(async () => context) }, visits, context };
+}
+
+describe('platform registry', () => {
+  let registry;
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env.SCRAPE_TRACE = 'off';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    registry = require('../platform-registry');
+  });
+
+  afterEach(() => {
+    delete process.env.SCRAPE_TRACE;
+    console.log.mockRestore();
+  });
+
+  it('registers a plugin for every platform module named in platforms.json', () => {
+    const named = Object.values(platformsJson).filter(p => p.module).map(p => p.name);
+    const plugins = registry.listPlatforms();
+
+    expect(plugins.map(p => p.name)).toEqual(named);
+    for (const plugin of plugins) {
+      for (const method of ['login', 'testLogin', 'scrapeTranscript', 'scrapeOrders', 'parse']) {
+        expect(typeof plugin[method]).toBe('function');
+      }
+      expect(plugin.anchors.source).toBe(plugin.name);
+    }
+    expect(registry.listPlatforms({ activeOnly: true }).map(p => p.name)).not.toContain('Nursece4less');
+  });
+
+  it('looks up configuration by display name', () => {
+    expect(registry.getPlatformConfig('CE Broker')).toMatchObject({ key: 'cebroker', type: 'primary' });
+    expect(registry.getPlatformConfig('AANP Cert')).toMatchObject({ key: 'aanpcert', slug: 'aanp' });
+    expect(registry.getPlatformConfig('Nope')).toBeNull();
+    expect(registry.isPlatformEnabled('NetCE')).toBe(true);
+    expect(registry.isPlatformEnabled('Nursece4less')).toBe(false);
+    expect(registry.getPlatform('CE Broker')).toBeNull();
+  });
+
+  it('rejects plugins missing from platforms.json or the interface', () => {
+    const login = async () => {};
+    const scrapeTranscript = async () => [];
+    expect(() => registry.registerPlatform('Acme CE', { login, scrapeTranscript })).toThrow('not in platforms.json');
+    expect(() => registry.registerPlatform('NetCE', { login })).toThrow('has no scrapeTranscript()');
+  });
+
+  it('parses AANP certification status and expiry', () => {
+    const aanp = registry.getPlatform('AANP Cert');
+    const parsed = aanp.parse({
+      transcript: {
+        certBody: 'MY CERTIFICATIONS*\nFNP\nActive\n07/01/2024\n06/30/2029\nPENDING CERTIFICATION APPLICATIONS\nWALL CERTIFICATES\n01/01/2030',
+        courses: [{ name: 'Pharmacology update', hours: 2, date: '03/01/2025' }],
+        totalHours: 42.5,
+      },
+      orders: [],
+    });
+
+    expect(parsed).toEqual({
+      courses: [{ name: 'Pharmacology update', hours: 2, date: '03/01/2025' }],
+      hoursEarned: 42.5,
+      hoursRequired: 100,
+      hoursRemaining: 57.5,
+      certStatus: 'Active',
+      certExpires: '06/30/2029',
+    });
+  });
+
+  it('runs a plugin: login, transcript, orders, parse', async () => {
+    registry.listPlatforms(); // load the real plugins before overriding one
+    const plugin = registry.registerPlatform('ExclamationCE', {
+      login: jest.fn(async () => {}),
+      scrapeTranscript: jest.fn(async () => [
+        { name: 'Ethics', hours: 2, date: '03/01/2025', certificateHref: null },
+        { name: 'Opioids', hours: 1.5, date: '01/15/2025' },
+      ]),
+      scrapeOrders: jest.fn(async () => { throw new Error('no orders page'); }),
+    });
+    const { scrapePlatform } = require('../platform-scrapers');
+    const { browser, visits, context } = fakeBrowser();
+
+    const result = await scrapePlatform(browser, { platform: 'ExclamationCE', username: 'ada', password: 'x' }, 'Ada Ahn, NP');
+
+    expect(visits[0]).toBe(platformsJson.exclamationce.urls.login);
+    expect(plugin.login).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+      platform: 'ExclamationCE', key: 'exclamationce', providerName: 'Ada Ahn, NP', username: 'ada', password: 'x',
+    }));
+    expect(result).toMatchObject({
+      platform: 'ExclamationCE',
+      providerName: 'Ada Ahn, NP',
+      status: 'success',
+      hoursEarned: 3.5,
+      orders: [],
+      totalSpent: null,
+      courses: [
+        { name: 'Ethics', hours: 2, date: '03/01/2025', platform: 'ExclamationCE' },
+        { name: 'Opioids', hours: 1.5, date: '01/15/2025', platform: 'ExclamationCE' },
+      ],
+    });
+    expect(context.close).toHaveBeenCalled();
+  });
+
+  it('returns a failed result when a plugin step throws', async () => {
+    registry.listPlatforms();
+    registry.registerPlatform('CEUfast', {
+      login: async () => { throw new Error('Timeout 15000ms exceeded'); },
+      scrapeTranscript: async () => [],
+    });
+    const { scrapePlatform } = require('../platform-scrapers');
+    const { browser, context } = fakeBrowser();
+    context.newPage = jest.fn(async () => ({
+      goto: async () => {},
+      context: () => context,
+      screenshot: async () => {},
+    }));
+
+    const result = await scrapePlatform(browser, { platform: 'CEUfast', username: 'ada', password: 'x' }, 'Ada Ahn, NP');
+
+    expect(result).toMatchObject({ platform: 'CEUfast', status: 'failed', error: 'Timeout 15000ms exceeded', courses: [] });
+    expect(context.close).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * Tests for platform-scheduler.js and the concurrent runPlatformScrapers
+ */
+
+const { createPlatformScheduler, isThrottled } = require('../platform-scheduler');
+
+/** A promise the test resolves by hand */
+function deferred() {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  return { promise, resolve };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('isThrottled', () => {
+  it('spots captchas, rate limits and block pages', () => {
+    expect(isThrottled({ status: 'failed', throttled: true })).toBe(true);
+    expect(isThrottled({ status: 'failed', error: 'HTTP 429 Too Many Requests' })).toBe(true);
+    expect(isThrottled(new Error('Please complete the CAPTCHA'))).toBe(true);
+    expect(isThrottled({ status: 'failed', error: 'Timeout 15000ms exceeded' })).toBe(false);
+    expect(isThrottled(null)).toBe(false);
+  });
+});
+
+describe('createPlatformScheduler', () => {
+  beforeEach(() => jest.spyOn(console, 'log').mockImplementation(() => {}));
+  afterEach(() => jest.restoreAllMocks());
+
+  it('runs different platforms side by side but one login per platform', async () => {
+    const scheduler = createPlatformScheduler({ concurrency: 3, wait: async () => {} });
+    const gates = { a1: deferred(), a2: deferred(), b1: deferred(), c1: deferred() };
+    const started = [];
+
+    const done = scheduler.run(
+      [{ id: 'a1', platform: 'A' }, { id: 'a2', platform: 'A' }, { id: 'b1', platform: 'B' }, { id: 'c1', platform: 'C' }],
+      async job => { started.push(job.id); await gates[job.id].promise; }
+    );
+
+    await tick();
+    expect(started).toEqual(['a1', 'b1', 'c1']);
+
+    gates.b1.resolve();
+    await tick();
+    expect(started).toEqual(['a1', 'b1', 'c1']); // a2 still waits for a1
+
+    gates.a1.resolve();
+    await tick();
+    expect(started).toEqual(['a1', 'b1', 'c1', 'a2']);
+
+    gates.a2.resolve();
+    gates.c1.resolve();
+    await done;
+  });
+
+  it('honours the overall concurrency and per-platform maxConcurrent', async () => {
+    const scheduler = createPlatformScheduler({
+      concurrency: 2,
+      politenessFor: platform => (platform === 'A' ? { maxConcurrent: 2 } : null),
+      wait: async () => {},
+    });
+    const gates = [deferred(), deferred(), deferred()];
+    const started = [];
+
+    const done = scheduler.run(
+      [{ id: 0, platform: 'A' }, { id: 1, platform: 'A' }, { id: 2, platform: 'B' }],
+      async job => { started.push(job.id); await gates[job.id].promise; }
+    );
+
+    await tick();
+    expect(started).toEqual([0, 1]);
+    gates[0].resolve();
+    await tick();
+    expect(started).toEqual([0, 1, 2]);
+    gates[1].resolve();
+    gates[2].resolve();
+    await done;
+  });
+
+  it('spaces attempt starts on a platform', async () => {
+    const waits = [];
+    const scheduler = createPlatformScheduler({
+      politenessFor: platform => (platform === 'slow' ? { minSpacingMs: 5000 } : null),
+      wait: async ms => { waits.push(ms); },
+      now: () => 1000,
+    });
+
+    await scheduler.pace('A');
+    await scheduler.pace('A');
+    await scheduler.pace('A');
+    await scheduler.pace('slow');
+    await scheduler.pace('slow');
+
+    expect(waits).toEqual([2000, 4000, 5000]);
+  });
+
+  it('backs off after failures, harder when throttled, and recovers on success', async () => {
+    let clock = 0;
+    const scheduler = createPlatformScheduler({ wait: async () => {}, now: () => clock });
+
+    await scheduler.attempt('A', async () => ({ status: 'failed', error: 'Timeout' }));
+    expect(scheduler.spacing('A')).toBe(4000);
+
+    await scheduler.attempt('A', async () => ({ status: 'failed', throttled: true })).catch(() => {});
+    expect(scheduler.spacing('A')).toBe(16000);
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('[Platform] A looks throttled — spacing attempts 16s apart'));
+
+    await expect(scheduler.attempt('A', async () => { throw new Error('Too many requests'); })).rejects.toThrow();
+    expect(scheduler.spacing('A')).toBe(64000);
+
+    for (let i = 0; i < 10; i++) await scheduler.attempt('A', async () => ({ status: 'success' }));
+    expect(scheduler.spacing('A')).toBe(2000);
+    expect(scheduler.spacing('B')).toBe(2000);
+
+    // A failure pushes the next start out by the new spacing
+    const waits = [];
+    const paced = createPlatformScheduler({ wait: async ms => { waits.push(ms); }, now: () => clock });
+    paced.report('A', { status: 'failed' });
+    await paced.pace('A');
+    expect(waits).toEqual([4000]);
+  });
+});
+
+describe('runPlatformScrapers', () => {
+  let registry;
+  let health;
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env.SCRAPE_TRACE = 'off';
+    jest.doMock('../utils', () => ({ ...jest.requireActual('../utils'), sleep: async () => {} }));
+    jest.doMock('../credential-health', () => ({ recordSuccess: jest.fn(), recordFailure: jest.fn() }));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    registry = require('../platform-registry');
+    health = require('../credential-health');
+    registry.listPlatforms(); // load the real plugins before overriding them
+  });
+
+  afterEach(() => {
+    delete process.env.SCRAPE_TRACE;
+    jest.restoreAllMocks();
+  });
+
+  const fakeBrowser = () => {
+    const context = { close: async () => {}, request: { get: jest.fn() } };
+    context.newPage = async () => ({ goto: async () => {}, context: () => context });
+    return { newContext: async () => context };
+  };
+
+  it('scrapes platforms concurrently and reports each provider once it is done', async () => {
+    let running = 0;
+    let peak = 0;
+    const transcript = courses => async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await tick();
+      running--;
+      return courses;
+    };
+    registry.registerPlatform('NetCE', {
+      login: async () => {},
+      scrapeTranscript: transcript([{ name: 'Ethics', hours: 2, date: '03/01/2025' }]),
+    });
+    registry.registerPlatform('CEUfast', {
+      login: async () => {},
+      scrapeTranscript: transcript([{ name: 'Pain', hours: 1, date: '01/02/2025' }]),
+    });
+    let exclamationFailures = 1;
+    registry.registerPlatform('ExclamationCE', {
+      login: async () => {
+        if (exclamationFailures-- > 0) throw new Error('Timeout 15000ms exceeded');
+      },
+      scrapeTranscript: transcript([]),
+    });
+
+    const { runPlatformScrapers } = require('../platform-scrapers');
+    const done = [];
+    const results = await runPlatformScrapers(fakeBrowser(), [
+      { name: 'Ada Ahn, NP', platforms: [{ platform: 'NetCE' }, { platform: 'CEUfast' }] },
+      { name: 'Ben Bell, MD', platforms: [{ platform: 'ExclamationCE' }, { platform: 'Nursece4less' }] },
+      { name: 'Cy Cole, RN' },
+    ], {
+      concurrency: 3,
+      onProviderDone: (name, providerResults) => done.push([name, providerResults.map(r => r.platform)]),
+    });
+
+    expect(peak).toBeGreaterThan(1);
+    expect(results.map(r => [r.providerName, r.platform, r.status])).toEqual([
+      ['Ada Ahn, NP', 'NetCE', 'success'],
+      ['Ada Ahn, NP', 'CEUfast', 'success'],
+      ['Ben Bell, MD', 'ExclamationCE', 'success'], // retried after the timeout
+    ]);
+    expect(done).toEqual(expect.arrayContaining([
+      ['Ada Ahn, NP', ['NetCE', 'CEUfast']],
+      ['Ben Bell, MD', ['ExclamationCE']],
+      ['Cy Cole, RN', []],
+    ]));
+    expect(done).toHaveLength(3);
+    expect(health.recordSuccess).toHaveBeenCalledTimes(3);
+  });
+});
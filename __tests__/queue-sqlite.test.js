@@ -0,0 +1,164 @@
+/**
+ * Tests for the SQLite job queue (queue-sqlite.js and the job functions in database.js)
+ * against an in-memory database
+ */
+
+describe('SQLite job queue', () => {
+  let database;
+  let queue;
+
+  const options = { priority: 10, attempts: 3, backoffMs: 60000 };
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env.DATABASE_PATH = ':memory:';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    database = require('../database');
+    queue = require('../queue-sqlite');
+  });
+
+  afterEach(async () => {
+    await queue.close();
+    database.closeDatabase();
+    delete process.env.DATABASE_PATH;
+    console.log.mockRestore();
+    console.error.mockRestore();
+  });
+
+  /** Resolve once the job reaches one of the given statuses */
+  async function waitFor(id, statuses) {
+    for (let i = 0; i < 200; i++) {
+      const job = await queue.getJob(id);
+      if (statuses.includes(job?.status)) return job;
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error(`job ${id} never reached ${statuses.join('/')}`);
+  }
+
+  describe('claiming', () => {
+    it('runs lower priority numbers first, then oldest first', async () => {
+      const now = Date.now();
+      database.enqueueJob('scrape', { n: 1 }, { ...options, now });
+      database.enqueueJob('scrape', { n: 2 }, { ...options, priority: 1, now: now + 1 });
+      database.enqueueJob('scrape', { n: 3 }, { ...options, priority: 1, now: now + 2 });
+
+      const order = [1, 2, 3].map(() => database.claimNextJob('w1', 30000, now + 10).data.n);
+      expect(order).toEqual([2, 3, 1]);
+      expect(database.claimNextJob('w1', 30000, now + 10)).toBeNull();
+    });
+
+    it('holds back delayed jobs until they are due', async () => {
+      const now = Date.now();
+      const { id } = await queue.add('scrape', {}, { ...options, delayMs: 5000 });
+
+      expect((await queue.getJob(id)).status).toBe('delayed');
+      expect(database.claimNextJob('w1', 30000, now + 1000)).toBeNull();
+      expect(database.claimNextJob('w1', 30000, now + 6000).id).toBe(Number(id));
+    });
+  });
+
+  describe('failures', () => {
+    it('retries with exponential backoff, then dead-letters the job', () => {
+      const now = Date.now();
+      const id = database.enqueueJob('scrape', {}, { ...options, now });
+
+      database.claimNextJob('w1', 30000, now);
+      expect(database.failJob(id, 'w1', 'boom', now)).toEqual({ retrying: true, runAt: now + 60000 });
+      database.claimNextJob('w1', 30000, now + 60000);
+      expect(database.failJob(id, 'w1', 'boom', now + 60000)).toEqual({ retrying: true, runAt: now + 60000 + 120000 });
+      database.claimNextJob('w1', 30000, now + 180000);
+      expect(database.failJob(id, 'w1', 'still broken', now + 180000)).toEqual({ retrying: false, runAt: null });
+
+      expect(database.getQueueJob(id)).toMatchObject({ status: 'failed', attemptsMade: 3, error: 'still broken' });
+    });
+
+    it('lists dead-lettered jobs and retries them with fresh attempts', async () => {
+      const { id } = await queue.add('scrape', {}, { ...options, attempts: 1 });
+      database.claimNextJob('w1', 30000);
+      database.failJob(Number(id), 'w1', 'boom');
+
+      expect((await queue.getDeadLetterJobs()).map(j => j.id)).toEqual([id]);
+      expect(await queue.retryJob(id)).toBe(true);
+      expect(await queue.getJob(id)).toMatchObject({ status: 'waiting', attemptsMade: 0, failedReason: null });
+      expect(await queue.retryJob(id)).toBe(false);
+    });
+
+    it('recovers jobs from a worker that stopped renewing its lock', () => {
+      const now = Date.now();
+      const id = database.enqueueJob('scrape', {}, { ...options, now });
+      database.claimNextJob('crashed', 30000, now);
+
+      expect(database.recoverStalledJobs(now + 10000)).toEqual([]);
+      expect(database.recoverStalledJobs(now + 31000)).toEqual([id]);
+      expect(database.getQueueJob(id)).toMatchObject({ status: 'waiting', attemptsMade: 1, lockedBy: null });
+      expect(database.getQueueJob(id).error).toMatch(/stopped while running/);
+
+      // The crashed worker can no longer finish it
+      expect(database.completeJob(id, 'crashed', {})).toBe(false);
+    });
+
+    it('keeps a heartbeating job locked', () => {
+      const now = Date.now();
+      const id = database.enqueueJob('scrape', {}, { ...options, now });
+      database.claimNextJob('w1', 30000, now);
+
+      expect(database.heartbeatJob(id, 'w1', 30000, now + 20000)).toBe(true);
+      expect(database.recoverStalledJobs(now + 31000)).toEqual([]);
+      expect(database.heartbeatJob(id, 'other', 30000, now + 20000)).toBe(false);
+    });
+  });
+
+  describe('worker', () => {
+    it('runs jobs and records progress and results', async () => {
+      const { id } = await queue.add('scrape', { providerNames: ['A'] }, options);
+      const handler = jest.fn(async (data, job) => {
+        await job.updateProgress({ phase: 'providers' });
+        return { succeeded: data.providerNames.length };
+      });
+
+      queue.startWorker(handler, { pollMs: 10 });
+      const job = await waitFor(id, ['completed']);
+
+      expect(handler).toHaveBeenCalledWith({ providerNames: ['A'] }, expect.objectContaining({ id }));
+      expect(job).toMatchObject({ progress: { phase: 'providers' }, result: { succeeded: 1 }, attemptsMade: 1 });
+    });
+
+    it('puts a failed job back to wait out its backoff', async () => {
+      const { id } = await queue.add('scrape', {}, options);
+      queue.startWorker(async () => { throw new Error('login failed'); }, { pollMs: 10 });
+
+      const job = await waitFor(id, ['delayed']);
+      expect(job).toMatchObject({ attemptsMade: 1, failedReason: 'login failed' });
+    });
+  });
+
+  it('tells subscribers about progress and completion', async () => {
+    const { id } = await queue.add('scrape', {}, options);
+    const events = [];
+    const done = new Promise((resolve) => {
+      queue.subscribeToJob(id, (event) => {
+        events.push(event);
+        if (event.type !== 'progress') resolve();
+      });
+    });
+
+    database.claimNextJob('w1', 30000);
+    database.saveJobProgress(Number(id), 'w1', { phase: 'saving' });
+    await new Promise(resolve => setTimeout(resolve, 600));
+    database.completeJob(Number(id), 'w1', { ok: true });
+    await done;
+
+    expect(events).toEqual([
+      { type: 'progress', data: { phase: 'saving' } },
+      { type: 'completed', data: null },
+    ]);
+  });
+
+  it('counts jobs by state', async () => {
+    await queue.add('scrape', {}, options);
+    await queue.add('scrape', {}, { ...options, delayMs: 60000 });
+
+    expect(await queue.getQueueStatus()).toMatchObject({ backend: 'sqlite', waiting: 1, delayed: 1, active: 0 });
+  });
+});
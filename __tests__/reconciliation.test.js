@@ -0,0 +1,128 @@
+/**
+ * Tests for reconciliation.js: platform courses matched against CE Broker
+ */
+
+const { titleSimilarity, reconcileCourses, reconcileProviders } = require('../reconciliation');
+
+describe('titleSimilarity', () => {
+  it('scores reworded, shortened and misspelt titles as alike', () => {
+    expect(titleSimilarity('Medical Errors Prevention', 'Prevention of Medical Errors')).toBe(1);
+    expect(titleSimilarity('Recognizing Impairment in the Workplace', 'Recognising Impairment in Workplace')).toBe(1);
+    expect(titleSimilarity('Opioid Prescribing: Safe Practices for Pain Management', 'Opioid Prescribing Safe Practice'))
+      .toBeGreaterThanOrEqual(0.85);
+  });
+
+  it('scores unrelated titles low', () => {
+    expect(titleSimilarity('Human Trafficking', 'Domestic Violence')).toBe(0);
+    expect(titleSimilarity('Pain Management, Part 1', 'Wound Care')).toBe(0);
+    expect(titleSimilarity('', 'Ethics')).toBe(0);
+  });
+});
+
+describe('reconcileCourses', () => {
+  const ceBroker = [
+    { name: 'Prevention of Medical Errors', date: '03/05/2025', hours: 2 },
+    { name: 'General CE', date: '03/10/2025', hours: 2 },
+    { name: 'Florida Laws and Rules', date: '01/10/2025', hours: 2 },
+  ];
+
+  it('sorts platform courses into reported, possible and missing', () => {
+    const result = reconcileCourses([
+      { name: 'Medical Errors Prevention', date: '03/01/2025', hours: 2, platform: 'NetCE' },
+      { name: 'Human Trafficking', date: '2025-03-10', hours: 2, platform: 'CEUfast' },
+      { name: 'Zika Virus', date: '2025-02-01', hours: 1, platform: 'CEUfast' },
+    ], ceBroker);
+
+    expect(result.reported).toEqual([expect.objectContaining({
+      course: expect.objectContaining({ name: 'Medical Errors Prevention', date: '2025-03-01' }),
+      match: { name: 'Prevention of Medical Errors', date: '2025-03-05', hours: 2 },
+      daysApart: 4,
+    })]);
+    // Same day and hours but nothing alike in the title: someone should look
+    expect(result.possible).toEqual([expect.objectContaining({
+      course: expect.objectContaining({ name: 'Human Trafficking' }),
+      match: expect.objectContaining({ name: 'General CE' }),
+    })]);
+    expect(result.missing.map(m => m.course.name)).toEqual(['Zika Virus']);
+  });
+
+  it('only matches within the date window and pairs each CE Broker course once', () => {
+    const result = reconcileCourses([
+      { name: 'Florida Laws and Rules', date: '2025-01-09', hours: 2, platform: 'NetCE' },
+      { name: 'Florida Laws & Rules', date: '2025-01-12', hours: 2, platform: 'CEUfast' },
+      { name: 'Prevention of Medical Errors', date: '2025-06-01', hours: 2, platform: 'NetCE' },
+    ], ceBroker, { windowDays: 30 });
+
+    expect(result.reported.map(r => [r.course.platform, r.match.date])).toEqual([['NetCE', '2025-01-10']]);
+    expect(result.missing.map(m => [m.course.platform, m.course.date])).toEqual([
+      ['CEUfast', '2025-01-12'],
+      ['NetCE', '2025-06-01'],
+    ]);
+  });
+
+  it('needs a strong title match when the hours differ', () => {
+    const result = reconcileCourses([
+      { name: 'Prevention of Medical Errors', date: '2025-03-05', hours: 3, platform: 'NetCE' },
+      { name: 'Florida Rules Overview', date: '2025-01-10', hours: 1, platform: 'NetCE' },
+    ], ceBroker);
+
+    expect(result.reported.map(r => r.course.name)).toEqual(['Prevention of Medical Errors']);
+    expect(result.possible.map(r => r.course.name)).toEqual(['Florida Rules Overview']);
+  });
+});
+
+describe('reconcileProviders', () => {
+  it('reads both sides from this run and course-history.json', () => {
+    const courseHistory = {
+      'Ada Ahn, NP': {
+        cycles: [{ startDate: '2024-02-01', endDate: '2026-01-31' }],
+        courses: [
+          { date: '2025-03-05', name: 'Prevention of Medical Errors', hours: 2, state: 'FL' },
+          { date: '2025-02-01', name: 'Zika Virus', hours: 1, platform: 'CEUfast', cost: 0 },
+          { date: '2023-06-01', name: 'Old Course', hours: 3, platform: 'NetCE', cost: 0 },
+          { date: '2025-04-01', name: 'Conference Session', hours: 4, platform: 'AANP', importId: 3 },
+        ],
+      },
+      'Ben Bell, MD': {
+        courses: [{ date: '2025-01-01', name: 'Sepsis', hours: 1, platform: 'NetCE' }],
+      },
+    };
+    const records = [
+      { providerName: 'Ada Ahn, NP', completedCourses: [{ name: 'HIV/AIDS', date: '04/02/2025', hours: 1 }] },
+    ];
+    const platformData = [
+      { providerName: 'Ada Ahn, NP', platform: 'NetCE', status: 'success', courses: [
+        { name: 'Medical Errors Prevention', date: '03/01/2025', hours: 2 },
+        { name: 'HIV / AIDS Update', date: '04/01/2025', hours: 1 },
+      ] },
+      { providerName: 'Ada Ahn, NP', platform: 'CEUfast', status: 'failed', courses: [{ name: 'Ignored', date: '03/01/2025', hours: 9 }] },
+    ];
+
+    const results = reconcileProviders({ courseHistory, records, platformData });
+
+    // Ben has no CE Broker courses to compare with
+    expect(results).toHaveLength(1);
+    expect(results[0]).toMatchObject({ providerName: 'Ada Ahn, NP', since: '2024-02-01', checked: 3, missingHours: 1 });
+    expect(results[0].reported.map(r => r.course.name).sort()).toEqual(['HIV / AIDS Update', 'Medical Errors Prevention']);
+    expect(results[0].missing.map(m => m.course)).toEqual([
+      { date: '2025-02-01', name: 'Zika Virus', hours: 1, platform: 'CEUfast', cost: 0 },
+    ]);
+  });
+});
+
+describe('email digest', () => {
+  it('lists the providers with unreported courses', () => {
+    const { generateEmailHTML } = require('../email-digest');
+    const html = generateEmailHTML([], { complete: 0, inProgress: 0, atRisk: 0, total: 0 }, [{
+      providerName: 'Ada Ahn, NP',
+      missingHours: 1,
+      possible: [],
+      missing: [{ course: { name: 'Zika <Virus>', date: '2025-02-01', hours: 1, platform: 'CEUfast' } }],
+    }]);
+
+    expect(html).toContain('Not Reported to CE Broker (1)');
+    expect(html).toContain('Zika &lt;Virus&gt;');
+    expect(generateEmailHTML([], { complete: 0, inProgress: 0, atRisk: 0, total: 0 }, []))
+      .not.toContain('Not Reported to CE Broker');
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Tests for the run lock (run-lock.js)
+ */
+
+const { RunLockedError, RunLockLostError, acquireRunLock, withRunLock, getRunLock, memoryStore } = require('../run-lock');
+
+describe('run-lock', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    console.log.mockRestore();
+    console.error.mockRestore();
+  });
+
+  it('turns away a second run and names the one in progress', async () => {
+    const store = memoryStore();
+    const lock = await acquireRunLock('GitHub Actions run 12', { store });
+
+    const err = await acquireRunLock('node index.js', { store }).catch(e => e);
+    expect(err).toBeInstanceOf(RunLockedError);
+    expect(err.message).toMatch(/already in progress \(GitHub Actions run 12 on .+ \(pid \d+\), started /);
+    expect((await getRunLock({ store })).holder).toBe(lock.holder);
+
+    await lock.release();
+    expect(await getRunLock({ store })).toBeNull();
+    await (await acquireRunLock('node index.js', { store })).release();
+  });
+
+  it('releases the lock even when the run fails', async () => {
+    const store = memoryStore();
+    await expect(withRunLock('queue job 3', async () => { throw new Error('boom'); }, { store })).rejects.toThrow('boom');
+    expect(await withRunLock('queue job 4', async () => 'ran', { store })).toBe('ran');
+  });
+
+  it('keeps the lease alive with a heartbeat and lets a stale one be taken over', async () => {
+    jest.useFakeTimers({ now: 1_000_000 });
+    const store = memoryStore();
+    const options = { store, leaseMs: 1000, heartbeatMs: 250 };
+
+    const live = await acquireRunLock('node index.js', options);
+    await jest.advanceTimersByTimeAsync(5000);
+    await expect(acquireRunLock('scheduler', options)).rejects.toThrow(RunLockedError);
+
+    // A crashed holder stops renewing; once its lease lapses the next run takes over
+    await live.release();
+    await store.acquire({ token: 'crashed', holder: 'node index.js on old-box (pid 9)', acquiredAt: Date.now(), heartbeatAt: Date.now(), expiresAt: Date.now() + 1000 });
+    await jest.advanceTimersByTimeAsync(1001);
+    const takeover = await acquireRunLock('scheduler', options);
+    expect(console.log).toHaveBeenCalledWith(expect.stringMatching(/Took over a stale lock from node index.js on old-box/));
+    await takeover.release();
+  });
+
+  it('flags a lock that was taken over while still running', async () => {
+    jest.useFakeTimers({ now: 1_000_000 });
+    const store = memoryStore();
+    const lock = await acquireRunLock('node index.js', { store, leaseMs: 1000, heartbeatMs: 250 });
+
+    // Simulate another process taking the lease (e.g. this one was suspended past its expiry)
+    await store.release((await store.get()).token);
+    await store.acquire({ token: 'other', holder: 'other', acquiredAt: Date.now(), heartbeatAt: Date.now(), expiresAt: Date.now() + 1000 });
+    await jest.advanceTimersByTimeAsync(250);
+
+    expect(lock.lost).toBe(true);
+    expect(() => lock.assertHeld('publishing the dashboard')).toThrow(RunLockLostError);
+    expect(() => lock.assertHeld('publishing the dashboard')).toThrow(/Lost the run lock before publishing the dashboard/);
+    await lock.release();
+    expect((await store.get()).token).toBe('other');
+  });
+
+  describe('default store', () => {
+    const saved = { ...process.env };
+
+    beforeEach(() => {
+      jest.resetModules();
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      delete process.env.KV_REST_API_URL;
+      delete process.env.KV_REST_API_TOKEN;
+    });
+
+    afterEach(() => {
+      process.env = { ...saved };
+      console.warn.mockRestore();
+    });
+
+    it('warns once in CI that the lock is not shared without KV', () => {
+      process.env.GITHUB_ACTIONS = 'true';
+      const { defaultStore } = require('../run-lock');
+      defaultStore();
+      defaultStore();
+      expect(console.warn).toHaveBeenCalledTimes(1);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringMatching(/without KV_REST_API_URL\/KV_REST_API_TOKEN.+will NOT stop a run on another machine/));
+    });
+
+    it('stays quiet outside CI and when KV is configured', () => {
+      delete process.env.GITHUB_ACTIONS;
+      delete process.env.CI;
+      require('../run-lock').defaultStore();
+
+      jest.resetModules();
+      process.env.CI = '1';
+      process.env.KV_REST_API_URL = 'https://kv.example';
+      process.env.KV_REST_API_TOKEN = 'token';
+      require('../run-lock').defaultStore();
+
+      expect(console.warn).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('SQLite store', () => {
+    let database;
+
+    beforeEach(() => {
+      jest.resetModules();
+      process.env.DATABASE_PATH = ':memory:';
+      database = require('../database');
+    });
+
+    afterEach(() => {
+      database.closeDatabase();
+      delete process.env.DATABASE_PATH;
+    });
+
+    it('shares the lock through the database', async () => {
+      const { acquireRunLock: acquire, sqliteStore: dbStore } = require('../run-lock');
+      const lock = await acquire('queue job 1', { store: dbStore() });
+
+      await expect(acquire('node index.js', { store: dbStore() })).rejects.toThrow(/queue job 1/);
+      expect(database.getRunLease('scrape').holder).toBe(lock.holder);
+
+      await lock.release();
+      expect(database.getRunLease('scrape')).toBeNull();
+    });
+
+    it('takes over a lease that has expired', async () => {
+      database.acquireRunLease('scrape', { token: 'old', holder: 'crashed', acquiredAt: 1, heartbeatAt: 1, expiresAt: 2 });
+      const { acquireRunLock: acquire, sqliteStore: dbStore } = require('../run-lock');
+      const lock = await acquire('node index.js', { store: dbStore() });
+      expect(database.getRunLease('scrape').holder).toBe(lock.holder);
+      await lock.release();
+    });
+  });
+});
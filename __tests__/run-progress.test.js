@@ -0,0 +1,56 @@
+/**
+ * Tests for live run progress snapshots (run-progress.js)
+ */
+
+const { createRunProgress } = require('../run-progress');
+
+describe('run-progress', () => {
+  it('starts every provider as queued', () => {
+    const progress = createRunProgress(['Ada', 'Ben']);
+    expect(progress.snapshot()).toMatchObject({
+      phase: 'starting',
+      total: 2,
+      completed: 0,
+      providers: [
+        { name: 'Ada', stage: 'queued', status: 'pending' },
+        { name: 'Ben', stage: 'queued', status: 'pending' },
+      ],
+    });
+  });
+
+  it('sends a snapshot after every change', () => {
+    const snapshots = [];
+    const progress = createRunProgress(['Ada'], s => snapshots.push(s));
+
+    progress.phase('providers');
+    progress.provider('Ada', 'login');
+    progress.provider('Ada', 'courses');
+    progress.provider('Ada', 'done', { status: 'success' });
+
+    expect(snapshots.map(s => [s.phase, s.providers[0].stage])).toEqual([
+      ['providers', 'queued'],
+      ['providers', 'login'],
+      ['providers', 'courses'],
+      ['providers', 'done'],
+    ]);
+    expect(snapshots[3].completed).toBe(1);
+  });
+
+  it('keeps a failure visible through later stages', () => {
+    const progress = createRunProgress(['Ada']);
+    progress.provider('Ada', 'login', { status: 'failed', error: 'Bad password' });
+    progress.provider('Ada', 'platforms', { detail: 'NetCE' });
+    progress.provider('Ada', 'done', { status: 'success' });
+
+    expect(progress.snapshot()).toMatchObject({
+      failed: 1,
+      providers: [{ stage: 'done', status: 'failed', error: 'Bad password' }],
+    });
+  });
+
+  it('ignores unknown providers and listener errors', () => {
+    const progress = createRunProgress(['Ada'], () => { throw new Error('listener broke'); });
+    expect(() => progress.provider('Zed', 'login')).not.toThrow();
+    expect(() => progress.provider('Ada', 'login')).not.toThrow();
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * Tests for recording and replaying scraper fixtures (scrape-fixtures.js), with a
+ * fake Playwright browser standing in for Chromium
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SECRETS = { username: 'ada.ahn@clinic.org', password: 'Hunter2!pw' };
+
+/** A raw HAR the way Playwright records a CE Broker login */
+function rawHar() {
+  return {
+    log: {
+      version: '1.2',
+      pages: [{ id: 'page@1', title: 'Ada Ahn — Dashboard' }],
+      entries: [
+        {
+          request: {
+            method: 'POST',
+            url: 'https://licensees.cebroker.com/login',
+            headers: [{ name: 'Cookie', value: 'sid=abc' }, { name: 'Referer', value: 'https://licensees.cebroker.com/?user=ada.ahn@clinic.org' }],
+            cookies: [{ name: 'sid', value: 'abc' }],
+            queryString: [],
+            postData: { mimeType: 'application/json', text: '{"username":"ada.ahn@clinic.org","password":"Hunter2!pw"}' },
+          },
+          response: {
+            status: 200,
+            headers: [{ name: 'Set-Cookie', value: 'sid=def' }, { name: 'Content-Type', value: 'application/json' }],
+            cookies: [{ name: 'sid', value: 'def' }],
+            redirectURL: '',
+            content: { mimeType: 'application/json', text: '{"access_token":"eyJhbGciOi.eyJzdWIiOi.c2lnbmF0dXJl","name":"AHN, ADA","phone":"(305) 555-1234"}' },
+          },
+        },
+        {
+          request: { method: 'GET', url: 'https://licensees.cebroker.com/logo.png', headers: [], cookies: [], queryString: [] },
+          response: { status: 200, headers: [], cookies: [], redirectURL: '', content: { mimeType: 'image/png', text: 'iVBORw0', encoding: 'base64' } },
+        },
+      ],
+    },
+  };
+}
+
+/** Just enough of a Playwright browser for newScrapeContext */
+function fakeBrowser() {
+  const pages = [];
+  const listeners = {};
+  const context = {
+    on: (event, fn) => { listeners[event] = fn; },
+    pages: () => pages,
+    close: jest.fn(async () => {
+      if (context.options.recordHar) fs.writeFileSync(context.options.recordHar.path, JSON.stringify(rawHar()));
+    }),
+    routeFromHAR: jest.fn(async () => {}),
+    tracing: { start: jest.fn(async () => {}) },
+    /** Simulate the scraper opening a page that loads `html` */
+    open(url, html) {
+      const page = { url: () => url, content: async () => html, on: (event, fn) => { page.onLoad = fn; } };
+      pages.push(page);
+      listeners.page(page);
+      return page;
+    },
+  };
+  return {
+    context,
+    newContext: jest.fn(async (options) => {
+      context.options = options;
+      return context;
+    }),
+  };
+}
+
+describe('scrape-fixtures', () => {
+  let fixtures;
+  let dir;
+
+  beforeEach(() => {
+    jest.resetModules();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ceu-fixtures-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    fixtures = require('../scrape-fixtures');
+  });
+
+  afterEach(() => {
+    delete process.env.SCRAPE_RECORD;
+    delete process.env.SCRAPE_REPLAY;
+    fs.rmSync(dir, { recursive: true, force: true });
+    console.log.mockRestore();
+  });
+
+  it('opens plain contexts when neither mode is on', async () => {
+    const browser = fakeBrowser();
+    await fixtures.newScrapeContext(browser, { viewport: { width: 1, height: 1 } }, { source: 'NetCE', providerName: 'Ada Ahn, NP' });
+    expect(browser.newContext).toHaveBeenCalledWith({ viewport: { width: 1, height: 1 } });
+  });
+
+  describe('scrubbing', () => {
+    const rules = () => fixtures.scrubRules('Ada Ahn, NP', SECRETS, { name: 'Pat FixtureA, NP', username: 'fixture-a@example.com' });
+
+    it('replaces the provider with their alias, keeping case', () => {
+      const text = 'Welcome Ada Ahn, NP — AHN, ADA (ada.ahn@clinic.org) · password Hunter2!pw · Ahn';
+      expect(fixtures.scrubText(text, rules())).toBe('Welcome Pat FixtureA, NP — FIXTUREA, PAT (fixture-a@example.com) · password ******** · FixtureA');
+    });
+
+    it('masks tokens, other emails and phone numbers', () => {
+      const text = '{"token":"s3cr3t"} Bearer eyJa.eyJb.sig office@board.gov (305) 555-1234';
+      expect(fixtures.scrubText(text, rules())).toBe('{"token":"redacted"} Bearer redacted.jwt.token redacted@example.com 555-0100');
+    });
+
+    it('drops cookies, auth headers, POST bodies and images from the HAR', () => {
+      const har = fixtures.scrubHar(rawHar(), rules());
+      const [login, ...rest] = har.log.entries;
+
+      expect(rest).toEqual([]);
+      expect(login.request.postData).toBeUndefined();
+      expect(login.request.cookies).toEqual([]);
+      expect(login.request.headers).toEqual([{ name: 'Referer', value: 'https://licensees.cebroker.com/?user=fixture-a@example.com' }]);
+      expect(login.response.headers.map(h => h.name)).toEqual(['Content-Type']);
+      expect(JSON.parse(login.response.content.text)).toEqual({ access_token: 'redacted', name: 'FIXTUREA, PAT', phone: '555-0100' });
+      expect(har.log.pages[0].title).toBe('Pat FixtureA — Dashboard');
+    });
+  });
+
+  describe('recording', () => {
+    it('writes a scrubbed HAR and page HTML per context, listed in the manifest', async () => {
+      process.env.SCRAPE_RECORD = dir;
+      const browser = fakeBrowser();
+      const context = await fixtures.newScrapeContext(browser, {}, { source: 'CE Broker', providerName: 'Ada Ahn, NP', secrets: SECRETS });
+
+      expect(browser.newContext).toHaveBeenCalledWith({ recordHar: expect.objectContaining({ content: 'embed', mode: 'minimal' }) });
+      expect(browser.newContext.mock.calls[0][0].recordHar.path.startsWith(dir)).toBe(false);
+
+      const page = context.open('https://licensees.cebroker.com/login', '<p>Sign in as ada.ahn@clinic.org</p>');
+      await page.onLoad();
+      await context.close();
+
+      const manifest = JSON.parse(fs.readFileSync(path.join(dir, 'manifest.json'), 'utf8'));
+      expect(manifest.fixtures).toEqual([expect.objectContaining({
+        id: '001-ce-broker-pat-fixturea-np',
+        source: 'CE Broker',
+        providerName: 'Pat FixtureA, NP',
+        login: { username: 'fixture-a@example.com', password: 'fixture-password' },
+        pages: [
+          { url: 'https://licensees.cebroker.com/login', file: 'pages/01-licensees-cebroker-com-login.html' },
+          { url: 'https://licensees.cebroker.com/login', file: 'pages/02-licensees-cebroker-com-login.html' },
+        ],
+      })]);
+
+      const fixtureDir = path.join(dir, '001-ce-broker-pat-fixturea-np');
+      const written = fs.readFileSync(path.join(fixtureDir, 'session.har'), 'utf8') +
+        fs.readFileSync(path.join(fixtureDir, 'pages/01-licensees-cebroker-com-login.html'), 'utf8') +
+        fs.readFileSync(path.join(dir, 'manifest.json'), 'utf8');
+      for (const secret of ['Ada', 'Ahn', 'ada.ahn@clinic.org', 'Hunter2!pw', 'sid=', '555-1234']) {
+        expect(written).not.toContain(secret);
+      }
+    });
+
+    it('gives each provider their own alias', async () => {
+      process.env.SCRAPE_RECORD = dir;
+      const record = async (source, providerName) => {
+        const context = await fixtures.newScrapeContext(fakeBrowser(), {}, { source, providerName, secrets: SECRETS });
+        await context.close();
+      };
+      await record('CE Broker', 'Ada Ahn, NP');
+      await record('NetCE', 'Ben Bell, MD');
+      await record('FL license', 'Ada Ahn, NP');
+
+      const manifest = JSON.parse(fs.readFileSync(path.join(dir, 'manifest.json'), 'utf8'));
+      expect(manifest.fixtures.map(f => [f.id, f.providerName])).toEqual([
+        ['001-ce-broker-pat-fixturea-np', 'Pat FixtureA, NP'],
+        ['002-netce-pat-fixtureb-md', 'Pat FixtureB, MD'],
+        ['003-fl-license-pat-fixturea-np', 'Pat FixtureA, NP'],
+      ]);
+    });
+  });
+
+  describe('replay', () => {
+    beforeEach(() => {
+      fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify({
+        version: 1,
+        fixtures: [
+          { id: '001-ce-broker-pat-fixturea-np', source: 'CE Broker', providerName: 'Pat FixtureA, NP', pages: [] },
+          { id: '002-ce-broker-pat-fixturea-np', source: 'CE Broker', providerName: 'Pat FixtureA, NP', pages: [] },
+        ],
+      }));
+      process.env.SCRAPE_REPLAY = dir;
+    });
+
+    it('serves contexts from the recorded HAR, retries in recorded order', async () => {
+      const browser = fakeBrowser();
+      const open = () => fixtures.newScrapeContext(browser, {}, { source: 'CE Broker', providerName: 'Pat FixtureA, NP' });
+
+      await open();
+      await open();
+      await open();
+      expect(browser.context.routeFromHAR.mock.calls.map(c => path.relative(dir, c[0]))).toEqual([
+        path.join('001-ce-broker-pat-fixturea-np', 'session.har'),
+        path.join('002-ce-broker-pat-fixturea-np', 'session.har'),
+        path.join('002-ce-broker-pat-fixturea-np', 'session.har'),
+      ]);
+      expect(browser.context.routeFromHAR).toHaveBeenCalledWith(expect.any(String), { notFound: 'abort' });
+    });
+
+    it('refuses to go live for a source that was not recorded', async () => {
+      await expect(fixtures.newScrapeContext(fakeBrowser(), {}, { source: 'NetCE', providerName: 'Pat FixtureA, NP' }))
+        .rejects.toThrow(/No NetCE fixture for Pat FixtureA, NP/);
+    });
+  });
+});
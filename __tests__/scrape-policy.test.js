@@ -0,0 +1,144 @@
+/**
+ * Tests for incremental scraping (scrape-policy.js and the scrape_state functions in database.js)
+ */
+
+const { planScrape, refreshIntervalHours, fingerprint, summarizePlan } = require('../scrape-policy');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+describe('scrape-policy', () => {
+  const now = Date.now();
+  const inDays = days => new Date(now + days * DAY).toISOString().split('T')[0];
+
+  const provider = {
+    name: 'Ada Ahn, NP',
+    username: 'ada',
+    password: 'x',
+    platforms: [{ platform: 'NetCE' }, { platform: 'CEUfast' }],
+  };
+
+  /** scrape_state rows for Ada: a completed license and two platforms, all last scraped `ageDays` ago */
+  function states({ deadlineDays = 200, ageDays = 2, changeTimes = [] } = {}) {
+    const data = { records: [{ state: 'FL', renewalDeadline: inDays(deadlineDays), hoursRequired: 24, hoursCompleted: 24, hoursRemaining: 0 }] };
+    return ['CE Broker', 'NetCE', 'CEUfast'].map(source => ({
+      providerName: provider.name,
+      source,
+      lastAttemptAt: now - ageDays * DAY,
+      lastSuccessAt: now - ageDays * DAY,
+      lastStatus: 'success',
+      changeTimes,
+      data: source === 'CE Broker' ? data : { platform: source, status: 'success', courses: [] },
+    }));
+  }
+
+  describe('refreshIntervalHours', () => {
+    it('refreshes more often as the renewal deadline gets closer', () => {
+      const changeTimes = [now - 10 * DAY]; // neither busy nor stable
+      const interval = daysToDeadline => refreshIntervalHours({ daysToDeadline, riskLevel: 'low', changeTimes, now });
+
+      expect(interval(-5)).toBe(0);
+      expect(interval(20)).toBe(0);
+      expect(interval(60)).toBe(24);
+      expect(interval(150)).toBe(72);
+      expect(interval(300)).toBe(168);
+      expect(interval(900)).toBe(336);
+      expect(interval(null)).toBe(336);
+    });
+
+    it('caps the interval for high-risk providers', () => {
+      const changeTimes = [now - 10 * DAY];
+      expect(refreshIntervalHours({ daysToDeadline: 300, riskLevel: 'high', changeTimes, now })).toBe(24);
+      expect(refreshIntervalHours({ daysToDeadline: 300, riskLevel: 'critical', changeTimes, now })).toBe(0);
+    });
+
+    it('halves it for data that changes often and stretches it for data that never does', () => {
+      const busy = [now - DAY, now - 5 * DAY];
+      expect(refreshIntervalHours({ daysToDeadline: 300, riskLevel: 'low', changeTimes: busy, now })).toBe(84);
+      expect(refreshIntervalHours({ daysToDeadline: 300, riskLevel: 'low', changeTimes: [], now })).toBe(252);
+      expect(refreshIntervalHours({ daysToDeadline: null, riskLevel: 'low', changeTimes: [], now })).toBe(504);
+    });
+  });
+
+  describe('planScrape', () => {
+    it('skips sources whose last success is still fresh', () => {
+      const plan = planScrape([provider], states({ ageDays: 2 }), { now });
+
+      expect(plan[provider.name].ceBroker).toMatchObject({ scrape: false, reason: expect.stringMatching(/^fresh/) });
+      expect(plan[provider.name].platforms.NetCE.scrape).toBe(false);
+      expect(summarizePlan(plan)).toBe('CE Broker 0/1 due, platforms 0/2 due');
+    });
+
+    it('scrapes stale, never-scraped and last-failed sources', () => {
+      const rows = states({ ageDays: 2 }).filter(s => s.source !== 'CEUfast');
+      rows.find(s => s.source === 'NetCE').lastAttemptAt = now - HOUR;
+      rows.find(s => s.source === 'NetCE').lastStatus = 'failed';
+
+      const plan = planScrape([provider], rows, { now })[provider.name];
+      expect(plan.platforms.CEUfast).toMatchObject({ scrape: true, reason: 'never scraped' });
+      expect(plan.platforms.NetCE).toMatchObject({ scrape: true, reason: 'last attempt failed' });
+
+      const stale = planScrape([provider], states({ ageDays: 20 }), { now })[provider.name];
+      expect(stale.ceBroker.scrape).toBe(true);
+    });
+
+    it('scrapes every run once the deadline is close', () => {
+      const plan = planScrape([provider], states({ deadlineDays: 10, ageDays: 0.5 }), { now })[provider.name];
+      expect(plan.daysToDeadline).toBeLessThanOrEqual(10);
+      expect(plan.ceBroker.scrape).toBe(true);
+      expect(plan.platforms.NetCE.scrape).toBe(true);
+    });
+
+    it('scrapes everything when forced', () => {
+      const plan = planScrape([provider], states(), { now, force: true });
+      expect(summarizePlan(plan)).toBe('CE Broker 1/1 due, platforms 2/2 due');
+      expect(plan[provider.name].ceBroker.reason).toBe('forced');
+    });
+
+    it('leaves out CE Broker for providers without credentials', () => {
+      const plan = planScrape([{ name: 'Platform Only', platforms: [] }], [], { now });
+      expect(plan['Platform Only'].ceBroker).toBeNull();
+    });
+  });
+
+  it('fingerprints data without the fields that change every run', () => {
+    const a = { courses: [{ name: 'Pain', hours: 2 }], hoursEarned: 2, lastUpdated: '2026-01-01' };
+    const b = { hoursEarned: 2, lastUpdated: '2026-02-01', courses: [{ hours: 2, name: 'Pain' }] };
+    expect(fingerprint(a)).toBe(fingerprint(b));
+    expect(fingerprint(a)).not.toBe(fingerprint({ ...a, hoursEarned: 4 }));
+  });
+
+  describe('scrape_state', () => {
+    let database;
+
+    beforeEach(() => {
+      jest.resetModules();
+      process.env.DATABASE_PATH = ':memory:';
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      database = require('../database');
+    });
+
+    afterEach(() => {
+      database.closeDatabase();
+      delete process.env.DATABASE_PATH;
+      console.log.mockRestore();
+    });
+
+    it('keeps the last good result and counts changes between successes', () => {
+      database.recordScrapeResult('Ada Ahn, NP', 'NetCE', { status: 'success', data: { hours: 2 }, fingerprint: 'a' }, 1000);
+      database.recordScrapeResult('Ada Ahn, NP', 'NetCE', { status: 'success', data: { hours: 2 }, fingerprint: 'a' }, 2000);
+      database.recordScrapeResult('Ada Ahn, NP', 'NetCE', { status: 'success', data: { hours: 4 }, fingerprint: 'b' }, 3000);
+      database.recordScrapeResult('Ada Ahn, NP', 'NetCE', { status: 'failed' }, 4000);
+
+      expect(database.getScrapeStates()).toEqual([{
+        providerName: 'Ada Ahn, NP',
+        source: 'NetCE',
+        lastAttemptAt: 4000,
+        lastSuccessAt: 3000,
+        lastStatus: 'failed',
+        changeTimes: [3000],
+        data: { hours: 4 },
+      }]);
+    });
+  });
+});
@@ -0,0 +1,722 @@
+/**
+ * Tests for the REST API in server.js against an in-memory SQLite database
+ */
+
+const { hashPassword } = require('../auth');
+const { startMockIdp } = require('../mock-idp');
+
+// The run queue needs Redis; stand in for it with an emitter per job id
+jest.mock('../job-queue', () => {
+  const { EventEmitter } = require('events');
+  const events = new EventEmitter();
+  return {
+    events,
+    waitForQueue: jest.fn(async () => {}),
+    triggerManualScrape: jest.fn(async () => ({ id: '7' })),
+    getRecentJobs: jest.fn(async () => ({ completed: [], failed: [], active: [], waiting: [] })),
+    getJob: jest.fn(async () => null),
+    subscribeToJob: jest.fn((id, listener) => {
+      events.on(id, listener);
+      return () => events.off(id, listener);
+    }),
+  };
+});
+
+describe('server API', () => {
+  let database;
+  let server;
+  let baseUrl;
+
+  const auth = { Authorization: 'Bearer test-token' };
+
+  function seedProvider(provider, records, courses = []) {
+    const runId = database.startRun();
+    database.saveProviderRun(runId, provider, {
+      result: { status: 'success' },
+      records,
+      platformResults: courses.length
+        ? [{ platform: 'NetCE', status: 'success', totalSpent: 20, courses }]
+        : [],
+      licenses: {
+        statesSearched: 1,
+        licenses: [{ state: 'FL', licenseNumber: 'APRN1', licenseType: 'APRN', status: 'Active' }],
+      },
+    });
+    database.completeRun(runId, [{ status: 'success' }]);
+  }
+
+  // Deadlines relative to today so the status math is stable
+  function deadlineIn(days) {
+    const d = new Date();
+    d.setDate(d.getDate() + days);
+    return `${String(d.getMonth() + 1).padStart(2, '0')}/${String(d.getDate()).padStart(2, '0')}/${d.getFullYear()}`;
+  }
+
+  const get = (path, headers = auth) => fetch(baseUrl + path, { headers, redirect: 'manual' });
+
+  let accounts;
+  beforeAll(async () => {
+    accounts = [
+      { username: 'ada', role: 'admin', passwordHash: await hashPassword('admin password 1', 1000) },
+      { username: 'cat', role: 'compliance', passwordHash: await hashPassword('viewer password 1', 1000) },
+      { username: 'cmo', role: 'executive', passwordHash: await hashPassword('executive password 1', 1000) },
+    ];
+  });
+
+  function useAccounts(users = accounts) {
+    process.env.SESSION_SECRET = 'test-secret';
+    process.env.CEU_USERS = JSON.stringify({ users });
+  }
+
+  async function signIn(username, password) {
+    const res = await fetch(baseUrl + '/__auth', {
+      method: 'POST',
+      body: new URLSearchParams({ username, password }),
+      redirect: 'manual',
+    });
+    const cookie = (res.headers.get('set-cookie') || '').split(';')[0];
+    return { res, headers: { Cookie: cookie } };
+  }
+
+  beforeEach(async () => {
+    jest.resetModules();
+    process.env.DATABASE_PATH = ':memory:';
+    process.env.CEU_API_TOKEN = 'test-token';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    database = require('../database');
+    seedProvider({ name: 'Ada Ahn, NP', type: 'NP' }, [
+      { state: 'Florida', renewalDeadline: deadlineIn(30), hoursRequired: 24, hoursCompleted: 10, hoursRemaining: 14 },
+    ], [
+      { name: 'Ethics', hours: 2, date: '2025-03-01' },
+      { name: 'Pharmacology', hours: 3, date: '2024-06-10' },
+    ]);
+    seedProvider({ name: 'Ben Bell, MD', type: 'MD' }, [
+      { state: 'Texas', renewalDeadline: deadlineIn(300), hoursRequired: 48, hoursCompleted: 48, hoursRemaining: 0 },
+    ]);
+
+    const app = require('../server');
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+    database.closeDatabase();
+    delete process.env.DATABASE_PATH;
+    delete process.env.CEU_API_TOKEN;
+    delete process.env.SESSION_SECRET;
+    delete process.env.CEU_USERS;
+    for (const key of Object.keys(process.env).filter(k => k.startsWith('OIDC_'))) delete process.env[key];
+    console.log.mockRestore();
+  });
+
+  describe('auth', () => {
+    it('rejects API requests without credentials', async () => {
+      useAccounts();
+      const res = await get('/api/providers', {});
+      expect(res.status).toBe(401);
+    });
+
+    it('shows the login page instead of the dashboard', async () => {
+      useAccounts();
+      const res = await get('/', {});
+      expect(res.status).toBe(200);
+      expect(await res.text()).toContain('action="/__auth"');
+    });
+
+    it('signs users in with a session cookie', async () => {
+      useAccounts();
+      const { res, headers } = await signIn('cat', 'viewer password 1');
+
+      expect(res.status).toBe(303);
+      expect(res.headers.get('set-cookie')).toMatch(/HttpOnly/);
+      expect((await get('/api/providers', headers)).status).toBe(200);
+    });
+
+    it('rejects a wrong password', async () => {
+      useAccounts();
+      const { res } = await signIn('cat', 'nope');
+      expect(res.status).toBe(401);
+    });
+
+    it('keeps compliance viewers read-only', async () => {
+      useAccounts();
+      const { headers } = await signIn('cat', 'viewer password 1');
+      const res = await fetch(baseUrl + '/api/providers', { method: 'POST', headers });
+      expect(res.status).toBe(403);
+    });
+
+    it('serves only public assets, not the repo root', async () => {
+      useAccounts();
+      const { headers } = await signIn('cat', 'viewer password 1');
+
+      for (const file of ['/users.json', '/ceu_tracker.db', '/server.js', '/credentials-loader.js', '/package.json']) {
+        expect([403, 404]).toContain((await get(file, headers)).status);
+      }
+      expect((await get('/fountain-logo.png', headers)).status).toBe(200);
+    });
+
+    it('sends executives to the CMO dashboard only', async () => {
+      useAccounts();
+      const { res, headers } = await signIn('cmo', 'executive password 1');
+
+      expect(res.headers.get('location')).toBe('/cmo');
+      expect((await get('/api/providers', headers)).status).toBe(403);
+      const home = await get('/', headers);
+      expect(home.status).toBe(303);
+      expect(home.headers.get('location')).toBe('/cmo');
+    });
+
+    it('ends sessions when the user is revoked', async () => {
+      useAccounts();
+      const { headers } = await signIn('ada', 'admin password 1');
+      useAccounts(accounts.map(u => (u.username === 'ada' ? { ...u, sessionVersion: 1 } : u)));
+
+      expect((await get('/api/providers', headers)).status).toBe(401);
+    });
+
+    it('locks an account out after repeated failures', async () => {
+      useAccounts();
+      for (let i = 0; i < 5; i++) await signIn('cat', 'nope');
+
+      const { res } = await signIn('cat', 'viewer password 1');
+      expect(res.status).toBe(429);
+      expect(Number(res.headers.get('retry-after'))).toBeGreaterThan(0);
+      expect(await res.text()).toContain('Too many sign-in attempts');
+    });
+
+    it('shows admins the sign-in audit log', async () => {
+      useAccounts();
+      await signIn('cat', 'nope');
+      const { headers } = await signIn('ada', 'admin password 1');
+
+      const body = await (await get('/api/admin/logins', headers)).json();
+      expect(body.data.map(e => [e.username, e.outcome])).toEqual([['ada', 'success'], ['cat', 'failure']]);
+      expect(body.data[0]).toMatchObject({ role: 'admin', ip: expect.any(String) });
+
+      const filtered = await (await get('/api/admin/logins?username=cat', headers)).json();
+      expect(filtered.data).toHaveLength(1);
+    });
+
+    it('keeps the audit log from non-admins', async () => {
+      useAccounts();
+      const { headers } = await signIn('cat', 'viewer password 1');
+      expect((await get('/api/admin/logins', headers)).status).toBe(403);
+      expect((await get('/api/admin/logins')).status).toBe(403);
+    });
+
+    it('fails closed when nothing is configured', async () => {
+      delete process.env.CEU_API_TOKEN;
+      const res = await get('/api/providers');
+      expect(res.status).toBe(503);
+    });
+  });
+
+  describe('single sign-on', () => {
+    let idp;
+
+    beforeAll(async () => {
+      idp = await startMockIdp();
+    });
+
+    afterAll(async () => {
+      await idp.close();
+    });
+
+    function useSso() {
+      process.env.SESSION_SECRET = 'test-secret';
+      process.env.OIDC_ISSUER = idp.issuer;
+      process.env.OIDC_CLIENT_ID = 'ceu-tracker';
+      process.env.OIDC_CLIENT_SECRET = 'mock-secret';
+      process.env.OIDC_ROLE_MAP = JSON.stringify({ 'ceu-admins': 'admin', leadership: 'executive' });
+      process.env.OIDC_ALLOWED_DOMAINS = 'example.com';
+    }
+
+    // Play the browser through /__oidc/login → IdP → /__oidc/callback
+    async function ssoAs(email) {
+      const start = await get('/__oidc/login', {});
+      const stateCookie = start.headers.get('set-cookie').split(';')[0];
+      const atIdp = await fetch(`${start.headers.get('location')}&login_hint=${encodeURIComponent(email)}`, { redirect: 'manual' });
+      const callback = new URL(atIdp.headers.get('location'));
+      return get(callback.pathname + callback.search, { Cookie: stateCookie });
+    }
+
+    const sessionFrom = res => ({ Cookie: res.headers.getSetCookie().find(c => c.startsWith('ceu_session=')).split(';')[0] });
+
+    it('offers SSO on the login page without local accounts', async () => {
+      useSso();
+      const html = await (await get('/', {})).text();
+      expect(html).toContain('href="/__oidc/login"');
+      expect(html).not.toContain('name="password"');
+    });
+
+    it('signs users in through the identity provider', async () => {
+      useSso();
+      const res = await ssoAs('admin@example.com');
+
+      expect(res.status).toBe(303);
+      expect(res.headers.get('location')).toBe('/');
+      expect((await get('/api/admin/logins', sessionFrom(res))).status).toBe(200);
+    });
+
+    it('maps groups to roles', async () => {
+      useSso();
+      const res = await ssoAs('exec@example.com');
+      expect(res.headers.get('location')).toBe('/cmo');
+      expect((await get('/api/providers', sessionFrom(res))).status).toBe(403);
+    });
+
+    it('turns away users outside the allowed domains and audits it', async () => {
+      useSso();
+      const res = await ssoAs('guest@other.org');
+      expect(res.status).toBe(403);
+      expect(await res.text()).toContain('not from an allowed domain');
+
+      expect(database.getLoginAudit()[0]).toMatchObject({ username: 'guest@other.org', outcome: 'failure', method: 'oidc' });
+    });
+
+    it('rejects a callback without the matching state cookie', async () => {
+      useSso();
+      const start = await get('/__oidc/login', {});
+      const atIdp = await fetch(`${start.headers.get('location')}&login_hint=admin@example.com`, { redirect: 'manual' });
+      const callback = new URL(atIdp.headers.get('location'));
+
+      expect((await get(callback.pathname + callback.search, {})).status).toBe(400);
+    });
+  });
+
+  describe('GET /api/providers', () => {
+    it('lists providers with dashboard status', async () => {
+      const body = await (await get('/api/providers')).json();
+
+      expect(body.total).toBe(2);
+      expect(body.data.map(p => [p.name, p.status])).toEqual([
+        ['Ada Ahn, NP', 'At Risk'],
+        ['Ben Bell, MD', 'Complete'],
+      ]);
+      expect(body.data[0].daysUntilDeadline).toBe(30);
+    });
+
+    it('filters by state, status and deadline window', async () => {
+      const byState = await (await get('/api/providers?state=TX')).json();
+      expect(byState.data.map(p => p.name)).toEqual(['Ben Bell, MD']);
+
+      const byStatus = await (await get('/api/providers?status=At%20Risk')).json();
+      expect(byStatus.data.map(p => p.name)).toEqual(['Ada Ahn, NP']);
+
+      const byDeadline = await (await get('/api/providers?deadlineWithin=60')).json();
+      expect(byDeadline.data.map(p => p.name)).toEqual(['Ada Ahn, NP']);
+    });
+
+    it('paginates', async () => {
+      const body = await (await get('/api/providers?limit=1&offset=1')).json();
+      expect(body).toMatchObject({ total: 2, limit: 1, offset: 1 });
+      expect(body.data.map(p => p.name)).toEqual(['Ben Bell, MD']);
+    });
+
+    it('rejects invalid filters', async () => {
+      expect((await get('/api/providers?status=Late')).status).toBe(400);
+      expect((await get('/api/providers?limit=0')).status).toBe(400);
+    });
+  });
+
+  describe('GET /api/providers/:id', () => {
+    it('returns records, courses, platform results, licenses and risk', async () => {
+      const list = await (await get('/api/providers')).json();
+      const body = await (await get(`/api/providers/${list.data[0].id}`)).json();
+
+      expect(body.name).toBe('Ada Ahn, NP');
+      expect(body.licenses[0]).toMatchObject({ state: 'Florida', status: 'At Risk' });
+      expect(body.courses.map(c => c.name)).toEqual(['Ethics', 'Pharmacology']);
+      expect(body.platformResults).toEqual([expect.objectContaining({ platform: 'NetCE', totalSpent: 20 })]);
+      expect(body.stateLicenses).toEqual([expect.objectContaining({ licenseNumber: 'APRN1' })]);
+      expect(body.risk).toEqual(expect.objectContaining({ level: expect.any(String), score: expect.any(Number) }));
+    });
+
+    it('404s for unknown providers', async () => {
+      expect((await get('/api/providers/999')).status).toBe(404);
+    });
+  });
+
+  describe('GET /api/providers/:id/courses', () => {
+    it('filters courses by date range', async () => {
+      const list = await (await get('/api/providers')).json();
+      const body = await (await get(`/api/providers/${list.data[0].id}/courses?from=2025-01-01`)).json();
+
+      expect(body.total).toBe(1);
+      expect(body.data[0]).toMatchObject({ name: 'Ethics', platform: 'NetCE' });
+    });
+  });
+
+  describe('certificates', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ceu-certificates-'));
+      process.env.CERTIFICATES_DIR = dir;
+    });
+
+    afterEach(() => {
+      delete process.env.CERTIFICATES_DIR;
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("lists a provider's certificates and serves the PDF", async () => {
+      const { storeCertificate, certificateUrl } = require('../certificates');
+      const sha256 = storeCertificate(Buffer.from('%PDF-1.4 ethics'));
+      const list = await (await get('/api/providers')).json();
+      const ada = list.data.find(p => p.name === 'Ada Ahn, NP');
+      database.saveCourse(ada.id, { name: 'Ethics', hours: 2, date: '2025-03-01', certificateUrl: certificateUrl(sha256) });
+
+      const body = await (await get(`/api/providers/${ada.id}/certificates`)).json();
+      expect(body.total).toBe(1);
+      expect(body.data[0]).toMatchObject({ name: 'Ethics', platform: 'NetCE', certificateUrl: `/api/certificates/${sha256}` });
+
+      const res = await get(body.data[0].certificateUrl);
+      expect(res.status).toBe(200);
+      expect(res.headers.get('content-disposition')).toMatch(/attachment/);
+      expect(await res.text()).toBe('%PDF-1.4 ethics');
+
+      // Only through the API: the store itself is never served
+      useAccounts();
+      const viewer = await signIn('cat', 'viewer password 1');
+      expect((await get(`/certificates/${sha256}.pdf`, viewer.headers)).status).toBe(404);
+    });
+
+    it('404s for unknown or malformed hashes', async () => {
+      expect((await get(`/api/certificates/${'0'.repeat(64)}`)).status).toBe(404);
+      expect((await get('/api/certificates/..%2F..%2Fproviders.json')).status).toBe(404);
+    });
+  });
+
+  describe('runs', () => {
+    let queue;
+
+    beforeEach(() => {
+      queue = require('../job-queue');
+    });
+
+    async function postRun(body, headers) {
+      return fetch(baseUrl + '/api/runs', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        redirect: 'manual',
+      });
+    }
+
+    it('lets admins queue a run for chosen providers', async () => {
+      useAccounts();
+      const { headers } = await signIn('ada', 'admin password 1');
+      const res = await postRun({ providers: ['ada ahn, np'] }, headers);
+
+      expect(res.status).toBe(202);
+      expect(await res.json()).toMatchObject({ id: '7', events: '/api/runs/7/events' });
+      expect(queue.triggerManualScrape).toHaveBeenCalledWith(['Ada Ahn, NP'], { force: false });
+    });
+
+    it('queues a full run when no providers are given, forced if asked', async () => {
+      useAccounts();
+      const { headers } = await signIn('ada', 'admin password 1');
+      expect((await postRun({ force: true }, headers)).status).toBe(202);
+      expect(queue.triggerManualScrape).toHaveBeenCalledWith(null, { force: true });
+    });
+
+    it('refuses to queue a run while another holds the run lock', async () => {
+      useAccounts();
+      const { headers } = await signIn('ada', 'admin password 1');
+      const now = Date.now();
+      database.acquireRunLease('scrape', {
+        token: 'other', holder: 'GitHub Actions run 99 on runner (pid 1)', acquiredAt: now, heartbeatAt: now, expiresAt: now + 60000,
+      });
+
+      const res = await postRun({}, headers);
+      expect(res.status).toBe(409);
+      expect((await res.json()).error).toMatch(/already in progress \(GitHub Actions run 99/);
+      expect(queue.triggerManualScrape).not.toHaveBeenCalled();
+    });
+
+    it('rejects unknown providers and read-only callers', async () => {
+      useAccounts();
+      const { headers } = await signIn('ada', 'admin password 1');
+      expect((await postRun({ providers: ['Nobody'] }, headers)).status).toBe(400);
+      expect((await postRun({}, auth)).status).toBe(403);
+      expect(queue.triggerManualScrape).not.toHaveBeenCalled();
+    });
+
+    it('answers 503 when the queue is down', async () => {
+      queue.waitForQueue.mockRejectedValueOnce(new Error('Redis is not reachable'));
+      const res = await get('/api/runs');
+      expect(res.status).toBe(503);
+    });
+
+    it('streams progress until the run ends', async () => {
+      const progress = { phase: 'providers', total: 2, completed: 0, providers: [] };
+      queue.getJob.mockResolvedValue({ id: '7', status: 'active', progress });
+
+      const res = await get('/api/runs/7/events');
+      expect(res.headers.get('content-type')).toMatch(/text\/event-stream/);
+
+      queue.events.emit('7', { type: 'progress', data: { ...progress, completed: 1 } });
+      queue.getJob.mockResolvedValue({ id: '7', status: 'completed', progress: { ...progress, completed: 2 } });
+      queue.events.emit('7', { type: 'completed' });
+
+      const events = (await res.text()).trim().split('\n\n').map((chunk) => {
+        const [event, data] = chunk.split('\n');
+        return [event.slice(7), JSON.parse(data.slice(6))];
+      });
+      expect(events.map(([event, data]) => [event, data.progress.completed])).toEqual([
+        ['progress', 0],
+        ['progress', 1],
+        ['end', 2],
+      ]);
+      expect(queue.events.listenerCount('7')).toBe(0);
+    });
+
+    it('holds events that arrive while the run is looked up until the stream starts', async () => {
+      const progress = { phase: 'providers', total: 2, completed: 0, providers: [] };
+      queue.getJob.mockImplementationOnce(async (id) => {
+        queue.events.emit(id, { type: 'progress', data: { ...progress, completed: 1 } });
+        queue.events.emit(id, { type: 'completed' });
+        return { id, status: 'active', progress };
+      });
+      queue.getJob.mockResolvedValue({ id: '8', status: 'completed', progress: { ...progress, completed: 2 } });
+
+      const res = await get('/api/runs/8/events');
+      expect(res.headers.get('content-type')).toMatch(/text\/event-stream/);
+      const events = (await res.text()).trim().split('\n\n').map(chunk => chunk.split('\n')[0].slice(7));
+      expect(events).toEqual(['progress', 'progress', 'end']);
+      expect(queue.events.listenerCount('8')).toBe(0);
+    });
+
+    it('404s for unknown runs', async () => {
+      expect((await get('/api/runs/99/events')).status).toBe(404);
+    });
+  });
+
+  describe('failure evidence', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ceu-evidence-'));
+      process.env.EVIDENCE_DIR = dir;
+      fs.mkdirSync(path.join(dir, 'run-1'));
+      fs.writeFileSync(path.join(dir, 'run-1', 'login.png'), 'png');
+      database.saveRunEvidence(1, {
+        providerName: 'Ada Ahn, NP',
+        source: 'CE Broker',
+        label: 'login_error_attempt1',
+        errorCode: 'site_changed',
+        error: 'CE Broker login page has changed',
+        screenshotPath: path.join('run-1', 'login.png'),
+        tracePath: path.join('run-1', 'login.zip'), // already pruned
+      });
+    });
+
+    afterEach(() => {
+      delete process.env.EVIDENCE_DIR;
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('lists runs and their failed attempts for admins', async () => {
+      useAccounts();
+      const { headers } = await signIn('ada', 'admin password 1');
+
+      const runs = await (await get('/api/admin/evidence', headers)).json();
+      expect(runs).toMatchObject({ retentionDays: 30, runs: [{ runId: 1, failures: 1, providers: 1 }] });
+
+      const { data } = await (await get('/api/admin/evidence/runs/1', headers)).json();
+      expect(data).toEqual([expect.objectContaining({
+        providerName: 'Ada Ahn, NP',
+        errorCode: 'site_changed',
+        screenshotUrl: `/api/admin/evidence/${data[0].id}/screenshot`,
+        traceUrl: null,
+      })]);
+
+      const screenshot = await get(data[0].screenshotUrl, headers);
+      expect(screenshot.status).toBe(200);
+      expect(await screenshot.text()).toBe('png');
+      expect((await get(`/api/admin/evidence/${data[0].id}/trace`, headers)).status).toBe(404);
+    });
+
+    it('keeps evidence from non-admins', async () => {
+      useAccounts();
+      const { headers } = await signIn('cat', 'viewer password 1');
+      expect((await get('/api/admin/evidence', headers)).status).toBe(403);
+      expect((await get('/evidence/run-1/login.png', headers)).status).toBe(403);
+    });
+  });
+
+  describe('verification challenges', () => {
+    const answer = (id, code, headers) => fetch(baseUrl + `/api/admin/challenges/${id}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify({ code }),
+    });
+
+    it('lets admins give the code a waiting login asked for, once', async () => {
+      const id = database.createLoginChallenge({
+        providerName: 'Ada Ahn, NP', source: 'NetCE', kind: 'otp', prompt: 'Enter the code we texted you', channel: 'dashboard',
+        expiresAt: Date.now() + 60000,
+      });
+      useAccounts();
+      const { headers } = await signIn('ada', 'admin password 1');
+
+      const { data } = await (await get('/api/admin/challenges', headers)).json();
+      expect(data).toEqual([expect.objectContaining({ id, providerName: 'Ada Ahn, NP', source: 'NetCE', status: 'pending' })]);
+      expect(data[0]).not.toHaveProperty('code');
+
+      expect((await answer(id, 'not a code!', headers)).status).toBe(400);
+      const res = await answer(id, ' 482913 ', headers);
+      expect(res.status).toBe(200);
+      expect(await res.json()).toMatchObject({ id, status: 'answered', answeredBy: 'ada' });
+      expect(database.takeLoginChallengeCode(id)).toBe('482913');
+
+      expect((await answer(id, '111111', headers)).status).toBe(409);
+      expect((await answer(id + 1, '111111', headers)).status).toBe(404);
+    });
+
+    it('keeps challenges from non-admins', async () => {
+      useAccounts();
+      const { headers } = await signIn('cat', 'viewer password 1');
+      expect((await get('/api/admin/challenges', headers)).status).toBe(403);
+      expect((await get('/challenges/challenge-1.json', headers)).status).toBe(404);
+    });
+  });
+
+  describe('course imports', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    let dir;
+
+    const post = (url, body, headers, contentType = 'application/json') => fetch(baseUrl + url, {
+      method: 'POST',
+      headers: { 'Content-Type': contentType, ...headers },
+      body,
+    });
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ceu-imports-'));
+      process.env.IMPORTS_DIR = dir;
+      jest.spyOn(database, 'exportJsonFiles').mockImplementation(() => ({}));
+    });
+
+    afterEach(() => {
+      delete process.env.IMPORTS_DIR;
+      fs.rmSync(dir, { recursive: true, force: true });
+      database.exportJsonFiles.mockRestore();
+    });
+
+    it('stages an upload, keeps the file and confirms the reviewed rows', async () => {
+      useAccounts();
+      const { headers } = await signIn('ada', 'admin password 1');
+      const csv = 'Course,Date,Hours,Provider\nStroke Update,01/15/2025,1.5,AANP\nSepsis,,1,AANP\n';
+
+      const upload = await post('/api/admin/imports?provider=Ada%20Ahn%2C%20NP&filename=aanp.csv', csv, headers, 'text/csv');
+      expect(upload.status).toBe(201);
+      const staged = await upload.json();
+      expect(staged).toMatchObject({ providerName: 'Ada Ahn, NP', filename: 'aanp.csv', status: 'pending', createdBy: 'ada' });
+
+      const { data } = await (await get('/api/admin/imports?status=pending', headers)).json();
+      expect(data.map(i => i.id)).toEqual([staged.id]);
+      const detail = await (await get(`/api/admin/imports/${staged.id}`, headers)).json();
+      expect(await (await get(detail.sourceUrl, headers)).text()).toBe(csv);
+      expect((await get(`/imports/${detail.sourceFile}`, headers)).status).toBe(404);
+
+      const rows = staged.rows.map(r => ({ ...r, include: true }));
+      const rejected = await post(`/api/admin/imports/${staged.id}/confirm`, JSON.stringify({ rows }), headers);
+      expect(rejected.status).toBe(400);
+      expect((await rejected.json()).details).toEqual(['Row 2 (Sepsis): missing or unreadable date']);
+
+      const res = await post(`/api/admin/imports/${staged.id}/confirm`, JSON.stringify({ rows: staged.rows }), headers);
+      expect(res.status).toBe(200);
+      expect(await res.json()).toMatchObject({ status: 'confirmed', courseCount: 1, reviewedBy: 'ada' });
+      const courses = database.getCourseHistoryExport()['Ada Ahn, NP'].courses;
+      expect(courses).toContainEqual(expect.objectContaining({ name: 'Stroke Update', platform: 'AANP', importId: staged.id }));
+
+      expect((await post(`/api/admin/imports/${staged.id}/discard`, '{}', headers)).status).toBe(409);
+    });
+
+    it('rejects unknown providers and keeps imports from non-admins', async () => {
+      useAccounts();
+      const admin = await signIn('ada', 'admin password 1');
+      const res = await post('/api/admin/imports?provider=Nobody&filename=x.csv', 'Course,Hours\nA course,1\n', admin.headers, 'text/csv');
+      expect(res.status).toBe(400);
+      expect((await res.json()).error).toBe('Unknown provider: Nobody');
+
+      const viewer = await signIn('cat', 'viewer password 1');
+      expect((await get('/api/admin/imports', viewer.headers)).status).toBe(403);
+    });
+  });
+
+  describe('course reviews', () => {
+    const post = (url, body, headers) => fetch(baseUrl + url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+    });
+
+    beforeEach(() => {
+      jest.spyOn(database, 'exportJsonFiles').mockImplementation(() => ({}));
+      const [ada] = database.getProviders().filter(p => p.name === 'Ada Ahn, NP');
+      database.saveCourse(ada.id, { name: 'Ethics', hours: 3, date: '2025-03-01', platform: 'CEUfast' });
+    });
+
+    afterEach(() => {
+      database.exportJsonFiles.mockRestore();
+    });
+
+    it('lists hours conflicts and records the admin\'s choice', async () => {
+      useAccounts();
+      const { headers } = await signIn('ada', 'admin password 1');
+
+      const { data } = await (await get('/api/admin/course-reviews', headers)).json();
+      expect(data).toEqual([expect.objectContaining({
+        providerName: 'Ada Ahn, NP', kind: 'hours', key: '2025-03-01:ethics', hours: 2,
+        options: [{ source: 'NetCE', hours: 2 }, { source: 'CEUfast', hours: 3 }],
+      })]);
+
+      const review = { provider: 'Ada Ahn, NP', kind: 'hours', key: '2025-03-01:ethics' };
+      const rejected = await post('/api/admin/course-reviews', { ...review, decision: 'merge' }, headers);
+      expect(rejected.status).toBe(400);
+      expect((await rejected.json()).error).toBe('decision must be one of: hours, reopen');
+      expect((await post('/api/admin/course-reviews', { ...review, key: 'nope', decision: 'hours', hours: 3 }, headers)).status).toBe(404);
+
+      const res = await post('/api/admin/course-reviews', { ...review, decision: 'hours', hours: 3 }, headers);
+      expect(res.status).toBe(200);
+      expect(await res.json()).toMatchObject({ status: 'decided', hours: 3, decidedBy: 'ada' });
+      expect((await (await get('/api/admin/course-reviews', headers)).json()).data).toEqual([]);
+      expect((await (await get('/api/admin/course-reviews?status=decided', headers)).json()).data).toHaveLength(1);
+
+      const viewer = await signIn('cat', 'viewer password 1');
+      expect((await get('/api/admin/course-reviews', viewer.headers)).status).toBe(403);
+    });
+  });
+
+  describe('GET /api/licenses', () => {
+    it('lists licenses soonest deadline first with state board matches', async () => {
+      const body = await (await get('/api/licenses')).json();
+
+      expect(body.data.map(l => [l.providerName, l.state])).toEqual([
+        ['Ada Ahn, NP', 'Florida'],
+        ['Ben Bell, MD', 'Texas'],
+      ]);
+      expect(body.data[0].stateBoard).toEqual([expect.objectContaining({ state: 'FL' })]);
+      expect(body.data[1].stateBoard).toEqual([]);
+    });
+
+    it('filters by status', async () => {
+      const body = await (await get('/api/licenses?status=Complete')).json();
+      expect(body.data.map(l => l.providerName)).toEqual(['Ben Bell, MD']);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Tests for saved browser sessions (session-store.js), with a fake Playwright context
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const STATE = {
+  cookies: [{ name: 'SESSION', value: 'secret-cookie-value', domain: 'licensees.cebroker.com', path: '/' }],
+  origins: [],
+};
+
+const fakeContext = (state = STATE) => ({ storageState: jest.fn(async () => state) });
+
+describe('session-store', () => {
+  let store;
+  let dir;
+
+  beforeEach(() => {
+    jest.resetModules();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ceu-sessions-'));
+    process.env.SESSIONS_DIR = dir;
+    process.env.CREDENTIALS_KEY = 'correct horse battery staple';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    store = require('../session-store');
+  });
+
+  afterEach(() => {
+    for (const key of ['SESSIONS_DIR', 'CREDENTIALS_KEY', 'SESSION_REUSE', 'SESSION_MAX_AGE_HOURS', 'SCRAPE_REPLAY']) {
+      delete process.env[key];
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+    console.log.mockRestore();
+  });
+
+  it('saves a session encrypted under an anonymous name and loads it back', async () => {
+    expect(await store.saveSession(fakeContext(), 'Ada Ahn, NP', 'CE Broker')).toBe(true);
+
+    const [file] = fs.readdirSync(dir);
+    expect(file).toMatch(/^[0-9a-f]{32}\.enc$/);
+    const raw = fs.readFileSync(path.join(dir, file), 'utf8');
+    expect(raw).not.toContain('secret-cookie-value');
+    expect(raw).not.toContain('Ada');
+    if (process.platform !== 'win32') expect(fs.statSync(path.join(dir, file)).mode & 0o777).toBe(0o600);
+
+    expect(store.loadSession('Ada Ahn, NP', 'CE Broker')).toEqual(STATE);
+    expect(store.loadSession('Ada Ahn, NP', 'NetCE')).toBeNull();
+    expect(store.listSessions()).toEqual([
+      { file, providerName: 'Ada Ahn, NP', source: 'CE Broker', savedAt: expect.any(String) },
+    ]);
+  });
+
+  it('drops sessions past their maximum age or that no longer decrypt', async () => {
+    process.env.SESSION_MAX_AGE_HOURS = '12';
+    await store.saveSession(fakeContext(), 'Ada Ahn, NP', 'CE Broker');
+    await store.saveSession(fakeContext(), 'Ada Ahn, NP', 'NetCE');
+
+    expect(store.loadSession('Ada Ahn, NP', 'CE Broker', { now: Date.now() + 13 * 3600000 })).toBeNull();
+    expect(fs.readdirSync(dir)).toHaveLength(1);
+
+    process.env.CREDENTIALS_KEY = 'rotated key';
+    expect(store.loadSession('Ada Ahn, NP', 'NetCE')).toBeNull();
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+
+  it('neither saves nor loads without CREDENTIALS_KEY, when turned off, or while replaying fixtures', async () => {
+    await store.saveSession(fakeContext(), 'Ada Ahn, NP', 'CE Broker');
+
+    for (const [key, value] of [['SESSION_REUSE', 'off'], ['SCRAPE_REPLAY', dir], ['CREDENTIALS_KEY', '']]) {
+      const before = process.env[key];
+      process.env[key] = value;
+      expect(store.sessionsEnabled()).toBe(false);
+      expect(store.loadSession('Ada Ahn, NP', 'CE Broker')).toBeNull();
+      expect(await store.saveSession(fakeContext(), 'Ben Bao, NP', 'CE Broker')).toBe(false);
+      if (before === undefined) delete process.env[key]; else process.env[key] = before;
+    }
+    expect(store.sessionsEnabled()).toBe(true);
+    expect(fs.readdirSync(dir)).toHaveLength(1);
+  });
+
+  it('clears one session or all of them', async () => {
+    await store.saveSession(fakeContext(), 'Ada Ahn, NP', 'CE Broker');
+    await store.saveSession(fakeContext(), 'Ben Bao, NP', 'CEUfast');
+
+    store.clearSession('Ada Ahn, NP', 'CE Broker');
+    expect(store.listSessions().map(s => s.providerName)).toEqual(['Ben Bao, NP']);
+    expect(store.clearAllSessions()).toBe(1);
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+});
@@ -5,6 +5,8 @@ const {
   filterCoursesByLookback,
   calculateSubjectHoursWithLookback,
   cleanupOldScreenshots,
+  licenseCycles,
+  cycleResult,
 } = require('../utils');
 
 describe('parseDate', () => {
@@ -78,6 +80,46 @@ describe('getStatus', () => {
   });
 });
 
+describe('licenseCycles', () => {
+  const record = {
+    state: 'Florida',
+    licenseType: 'APRN',
+    cycleId: '2025-05-01/2027-04-30',
+    hoursRequired: 24,
+    hoursCompleted: 10,
+    hoursRemaining: 14,
+    subjectAreas: [{ topicName: 'Ethics', hoursRequired: 2, hoursCompleted: 0, hoursNeeded: 2 }],
+    completedCourses: [{ name: 'A', hours: 10 }],
+    priorCycles: [{ cycleId: '2023-05-01/2025-04-30', hoursRequired: 24, hoursCompleted: 20, hoursRemaining: 4 }],
+  };
+
+  it('should list the current cycle and earlier ones, newest first', () => {
+    const cycles = licenseCycles(record);
+    expect(cycles.map(c => [c.cycleId, c.current, c.startDate, c.endDate])).toEqual([
+      ['2025-05-01/2027-04-30', true, '2025-05-01', '2027-04-30'],
+      ['2023-05-01/2025-04-30', false, '2023-05-01', '2025-04-30'],
+    ]);
+    expect(cycles[0]).toMatchObject({
+      state: 'Florida', licenseType: 'APRN', courseCount: 1,
+      subjectAreas: [{ topic: 'Ethics', required: 2, completed: 0, needed: 2 }],
+    });
+    expect(licenseCycles(record, { withCourses: true })[0].courses).toEqual([{ name: 'A', hours: 10 }]);
+  });
+
+  it('should have no cycles for placeholder records', () => {
+    expect(licenseCycles({ state: null, cycleId: null })).toEqual([]);
+    expect(licenseCycles({ state: 'Florida' })).toEqual([]);
+  });
+
+  it('should tell met, short and in-progress cycles apart', () => {
+    const [current, prior] = licenseCycles(record);
+    expect(cycleResult(current)).toBe('In Progress');
+    expect(cycleResult(prior)).toBe('Short');
+    expect(cycleResult({ ...prior, hoursCompleted: 24, hoursRemaining: 0 })).toBe('Met');
+    expect(cycleResult({ current: false, hoursRequired: null, hoursCompleted: null, hoursRemaining: null })).toBe('Unknown');
+  });
+});
+
 describe('filterCoursesByLookback', () => {
   it('should filter courses within lookback period', () => {
     // Use dynamic dates relative to today
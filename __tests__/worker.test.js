@@ -0,0 +1,41 @@
+/**
+ * Tests for the scrape worker (worker.js)
+ */
+
+jest.mock('../job-queue', () => ({ startWorker: jest.fn(), closeQueue: jest.fn() }));
+jest.mock('../index', () => ({ runScrape: jest.fn() }));
+
+const { startWorker } = require('../job-queue');
+const { runScrape } = require('../index');
+const { RunLockedError } = require('../run-lock');
+const { startScrapeWorker } = require('../worker');
+
+describe('worker', () => {
+  const job = { id: '7', updateProgress: jest.fn(async () => {}) };
+  let handle;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    startScrapeWorker();
+    handle = startWorker.mock.calls.at(-1)[0];
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    console.log.mockRestore();
+  });
+
+  it('completes a job without retrying it while another run holds the lock', async () => {
+    runScrape.mockRejectedValue(new RunLockedError({ holder: 'GitHub Actions run 12', acquiredAt: Date.now() }));
+
+    await expect(handle({ providerNames: null }, job)).resolves.toEqual({
+      skipped: true,
+      reason: expect.stringMatching(/already in progress \(GitHub Actions run 12/),
+    });
+  });
+
+  it('still fails the job on any other error', async () => {
+    runScrape.mockRejectedValue(new Error('browser crashed'));
+    await expect(handle({ providerNames: null }, job)).rejects.toThrow('browser crashed');
+  });
+});
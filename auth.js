@@ -0,0 +1,411 @@
+// auth.js — User accounts, roles and signed sessions for the login gate
+//
+// Shared by middleware.js (Vercel Edge) and server.js (Express) so both deployments
+// enforce the same rules. It only uses Web Crypto (globalThis.crypto) and no Node
+// built-ins, because the Edge runtime has neither fs nor node:crypto.
+//
+// Accounts come from CEU_USERS (JSON, see users.js for managing it):
+//   { "users": [{ "username", "name", "role", "passwordHash", "sessionVersion", "disabled" }] }
+// Sessions are HMAC-signed with SESSION_SECRET and expire after SESSION_TTL_HOURS.
+// Bumping a user's sessionVersion (node users.js revoke <user>) invalidates every
+// session that user holds; disabling or removing the user does the same.
+//
+// With OIDC_* set (see oidc.js), people can also sign in through the company
+// identity provider; their role comes from their groups at sign-in.
+
+'use strict';
+
+const { loadOidcConfig } = require('./oidc');
+
+const SESSION_COOKIE = 'ceu_session';
+const OIDC_STATE_COOKIE = 'ceu_oidc';
+const OIDC_STATE_SECONDS = 10 * 60; // time allowed at the identity provider
+const DEFAULT_TTL_HOURS = 12;
+const PBKDF2_ITERATIONS = 100000;
+const TOKEN_VERSION = 'v1';
+
+const ROLES = {
+  admin: 'Admin',
+  compliance: 'Compliance viewer',
+  executive: 'Executive',
+};
+
+// Public assets the login page itself needs — served without auth (no data here).
+const PUBLIC_PATHS = new Set(['/fountain-logo-mark.png', '/fountain-logo.png', '/favicon.svg', '/favicon.ico', '/robots.txt']);
+// Executives only see the CMO dashboard
+const EXECUTIVE_PATHS = new Set(['/cmo', '/cmo.html']);
+// Admin tools (login audit, failure evidence, …) — admins only, even for reads.
+// /evidence/ holds Playwright traces, which can contain typed passwords.
+const ADMIN_PREFIXES = ['/api/admin/', '/evidence/'];
+
+const encoder = new TextEncoder();
+
+// ─── Encoding ─────────────────────────────────────────────────────────────────
+
+function toBase64Url(bytes) {
+  let binary = '';
+  for (const b of new Uint8Array(bytes)) binary += String.fromCharCode(b);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(str) {
+  const b64 = str.replace(/-/g, '+').replace(/_/g, '/') + '='.repeat((4 - (str.length % 4)) % 4);
+  const binary = atob(b64);
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+function constantTimeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+  return diff === 0;
+}
+
+// ─── Passwords ────────────────────────────────────────────────────────────────
+
+async function pbkdf2(password, salt, iterations) {
+  const key = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+  return new Uint8Array(bits);
+}
+
+/**
+ * Salted PBKDF2-SHA256 hash, stored as pbkdf2-sha256$<iterations>$<salt>$<hash>
+ */
+async function hashPassword(password, iterations = PBKDF2_ITERATIONS) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const hash = await pbkdf2(password, salt, iterations);
+  return `pbkdf2-sha256$${iterations}$${toBase64Url(salt)}$${toBase64Url(hash)}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, iterations, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'pbkdf2-sha256' || !salt || !hash) return false;
+  const actual = await pbkdf2(password, fromBase64Url(salt), Number(iterations));
+  return constantTimeEqual(actual, fromBase64Url(hash));
+}
+
+// Checked against when the username is unknown so response time doesn't reveal it
+let dummyHash = null;
+
+// ─── Config ───────────────────────────────────────────────────────────────────
+
+/**
+ * Parse a CEU_USERS value (JSON object with a users array, or a bare array)
+ */
+function parseUsers(raw) {
+  if (!raw) return [];
+  const data = typeof raw === 'string' ? JSON.parse(raw) : raw;
+  const users = Array.isArray(data) ? data : (data.users || []);
+  return users.filter(u => u && u.username && ROLES[u.role] && u.passwordHash);
+}
+
+/**
+ * Auth settings from the environment, or null when the gate isn't configured
+ * (callers fail closed). Needs SESSION_SECRET plus local accounts, OIDC, or both.
+ * @param {object} env - process.env
+ * @param {Array} [users] - Accounts loaded elsewhere (server.js falls back to users.json)
+ */
+function loadAuthConfig(env, users = null) {
+  let accounts = users;
+  if (!accounts) {
+    try {
+      accounts = parseUsers(env.CEU_USERS);
+    } catch {
+      accounts = [];
+    }
+  }
+  let oidc;
+  try {
+    oidc = loadOidcConfig(env);
+  } catch (err) {
+    console.log(`[Auth] ${err.message}`);
+    return null;
+  }
+  if (!env.SESSION_SECRET || (accounts.length === 0 && !oidc)) return null;
+  return {
+    users: accounts,
+    secret: env.SESSION_SECRET,
+    ttlHours: Number(env.SESSION_TTL_HOURS) || DEFAULT_TTL_HOURS,
+    oidc,
+  };
+}
+
+function findUser(config, username) {
+  const wanted = String(username || '').trim().toLowerCase();
+  return config.users.find(u => u.username.toLowerCase() === wanted) || null;
+}
+
+// ─── Sessions ─────────────────────────────────────────────────────────────────
+
+async function hmacKey(secret) {
+  return crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+}
+
+async function signPayload(secret, payload) {
+  const body = `${TOKEN_VERSION}.${toBase64Url(encoder.encode(JSON.stringify(payload)))}`;
+  const sig = await crypto.subtle.sign('HMAC', await hmacKey(secret), encoder.encode(body));
+  return `${body}.${toBase64Url(sig)}`;
+}
+
+/** Payload of a token from signPayload, or null if it's forged, malformed or expired */
+async function readSignedPayload(secret, token) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3 || parts[0] !== TOKEN_VERSION) return null;
+
+  let payload;
+  try {
+    const valid = await crypto.subtle.verify(
+      'HMAC', await hmacKey(secret), fromBase64Url(parts[2]), encoder.encode(`${parts[0]}.${parts[1]}`)
+    );
+    if (!valid) return null;
+    payload = JSON.parse(new TextDecoder().decode(fromBase64Url(parts[1])));
+  } catch {
+    return null;
+  }
+
+  if (!payload.exp || payload.exp <= Math.floor(Date.now() / 1000)) return null;
+  return payload;
+}
+
+/**
+ * Check a username/password pair and issue a session token
+ * @returns {Promise<{ token:string, user:object, maxAge:number }|null>}
+ */
+async function login(config, username, password) {
+  const user = findUser(config, username);
+  if (!user || user.disabled) {
+    dummyHash = dummyHash || await hashPassword('ceu-tracker-dummy');
+    await verifyPassword(String(password || ''), dummyHash);
+    return null;
+  }
+  if (!(await verifyPassword(String(password || ''), user.passwordHash))) return null;
+
+  const maxAge = Math.round(config.ttlHours * 3600);
+  const token = await createSession(config, user, maxAge);
+  return { token, user, maxAge };
+}
+
+async function createSession(config, user, maxAge) {
+  const now = Math.floor(Date.now() / 1000);
+  return signPayload(config.secret, {
+    sub: user.username,
+    ver: user.sessionVersion || 0,
+    iat: now,
+    exp: now + maxAge,
+  });
+}
+
+/**
+ * Issue a session for someone the identity provider vouched for (see oidc.js).
+ * There's no local account, so the role and name travel in the signed token.
+ * @param {{ username:string, name:string, role:string }} identity
+ * @returns {Promise<{ token:string, user:object, maxAge:number }>}
+ */
+async function ssoLogin(config, identity) {
+  const maxAge = Math.round(config.ttlHours * 3600);
+  const now = Math.floor(Date.now() / 1000);
+  const token = await signPayload(config.secret, {
+    sub: identity.username,
+    src: 'oidc',
+    role: identity.role,
+    name: identity.name,
+    iat: now,
+    exp: now + maxAge,
+  });
+  return { token, user: identity, maxAge };
+}
+
+/**
+ * Validate a session token: signature, expiry, and that the account still exists,
+ * is enabled and hasn't had its sessions revoked since the token was issued.
+ * @returns {Promise<{ username:string, name:string, role:string, expiresAt:number }|null>}
+ */
+async function verifySession(config, token) {
+  const payload = await readSignedPayload(config.secret, token);
+  if (!payload) return null;
+
+  const user = findUser(config, payload.sub);
+
+  // SSO sessions end when OIDC is switched off; a disabled local account with the
+  // same username (their email) blocks that person too
+  if (payload.src === 'oidc') {
+    if (!config.oidc || !ROLES[payload.role] || (user && user.disabled)) return null;
+    return { username: payload.sub, name: payload.name || payload.sub, role: payload.role, expiresAt: payload.exp };
+  }
+
+  if (!user || user.disabled || (user.sessionVersion || 0) !== payload.ver) return null;
+
+  // Role comes from the current account, so a role change applies immediately
+  return { username: user.username, name: user.name || user.username, role: user.role, expiresAt: payload.exp };
+}
+
+// ─── Access policy ────────────────────────────────────────────────────────────
+
+/**
+ * Whether a role may make this request.
+ * Admins: everything. Compliance viewers: read-only outside the admin tools.
+ * Executives: CMO dashboard only.
+ */
+function canAccess(role, method, pathname) {
+  const readOnly = method === 'GET' || method === 'HEAD';
+  if (role === 'admin') return true;
+  if (ADMIN_PREFIXES.some(prefix => pathname.startsWith(prefix))) return false;
+  if (role === 'compliance') return readOnly;
+  if (role === 'executive') return readOnly && EXECUTIVE_PATHS.has(pathname);
+  return false;
+}
+
+/** Where a role lands after signing in */
+function homePath(role) {
+  return role === 'executive' ? '/cmo' : '/';
+}
+
+// ─── Cookies ──────────────────────────────────────────────────────────────────
+
+function getCookie(cookieHeader, name) {
+  for (const part of String(cookieHeader || '').split(';')) {
+    const c = part.trim();
+    if (c.startsWith(name + '=')) return c.slice(name.length + 1);
+  }
+  return null;
+}
+
+function sessionCookie(token, maxAge, { secure = true } = {}) {
+  return `${SESSION_COOKIE}=${token}; Path=/; HttpOnly;${secure ? ' Secure;' : ''} SameSite=Lax; Max-Age=${maxAge}`;
+}
+
+function clearSessionCookie({ secure = true } = {}) {
+  return `${SESSION_COOKIE}=; Path=/; HttpOnly;${secure ? ' Secure;' : ''} SameSite=Lax; Max-Age=0`;
+}
+
+// ─── SSO state ────────────────────────────────────────────────────────────────
+// The OIDC state, nonce and PKCE verifier ride in a signed cookie scoped to
+// /__oidc, so the callback can be checked without server-side storage (the edge
+// has none).
+
+async function oidcStateCookie(config, state, { secure = true } = {}) {
+  const token = await signPayload(config.secret, { ...state, exp: Math.floor(Date.now() / 1000) + OIDC_STATE_SECONDS });
+  return `${OIDC_STATE_COOKIE}=${token}; Path=/__oidc; HttpOnly;${secure ? ' Secure;' : ''} SameSite=Lax; Max-Age=${OIDC_STATE_SECONDS}`;
+}
+
+function clearOidcStateCookie({ secure = true } = {}) {
+  return `${OIDC_STATE_COOKIE}=; Path=/__oidc; HttpOnly;${secure ? ' Secure;' : ''} SameSite=Lax; Max-Age=0`;
+}
+
+/** State saved by oidcStateCookie, or null if it's missing, forged or expired */
+function readOidcState(config, cookieHeader) {
+  return readSignedPayload(config.secret, getCookie(cookieHeader, OIDC_STATE_COOKIE));
+}
+
+/** Callback URL registered with the identity provider */
+function oidcRedirectUri(config, origin) {
+  return config.oidc.redirectUri || `${origin}/__oidc/callback`;
+}
+
+// ─── Login page ───────────────────────────────────────────────────────────────
+
+function escapeHtml(str) {
+  return String(str).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+/** Which sign-in options the login page shows for this config */
+function loginOptions(config) {
+  return { sso: config.oidc ? config.oidc.label : null, passwordForm: config.users.length > 0 };
+}
+
+function loginPage({ error = false, username = '', retryAfter = 0, message = '', sso = null, passwordForm = true } = {}) {
+  const errorText = retryAfter > 0
+    ? `Too many sign-in attempts. Try again in ${Math.ceil(retryAfter / 60)} minute${retryAfter > 60 ? 's' : ''}.`
+    : message || (error ? 'Incorrect username or password. Please try again.' : '');
+  const errorBanner = errorText ? `<p class="error" role="alert">${escapeHtml(errorText)}</p>` : '';
+  const ssoButton = sso ? `<a class="sso" href="/__oidc/login">${escapeHtml(sso)}</a>` : '';
+  const passwordFields = passwordForm ? `
+      <label for="username">Username</label>
+      <input id="username" name="username" type="text" required autocomplete="username" value="${escapeHtml(username)}" ${username ? '' : 'autofocus'} />
+      <label for="password">Password</label>
+      <input id="password" name="password" type="password" required autocomplete="current-password" ${username ? 'autofocus' : ''} />
+      <button type="submit">Sign in</button>` : '';
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+  <meta name="robots" content="noindex, nofollow" />
+  <title>CEU Tracker — Sign in</title>
+  <link rel="icon" href="/favicon.svg" />
+  <style>
+    :root { --navy:#1e293b; --navy2:#334155; --accent:#2563eb; --border:#e2e8f0; --muted:#64748b; }
+    * { box-sizing: border-box; }
+    body {
+      margin: 0; min-height: 100vh; display: flex; align-items: center; justify-content: center;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif;
+      background: linear-gradient(135deg, var(--navy) 0%, var(--navy2) 100%);
+      padding: 24px; color: var(--navy);
+    }
+    .card {
+      width: 100%; max-width: 380px; background: #fff; border-radius: 16px;
+      box-shadow: 0 20px 50px rgba(15, 23, 42, 0.35); padding: 40px 32px; text-align: center;
+    }
+    .logo { height: 48px; width: auto; margin: 0 auto 20px; display: block; }
+    h1 { font-size: 20px; margin: 0 0 4px; }
+    .sub { font-size: 13px; color: var(--muted); margin: 0 0 28px; }
+    form { display: flex; flex-direction: column; gap: 14px; text-align: left; }
+    label { font-size: 12px; font-weight: 600; color: var(--navy); }
+    input[type="text"], input[type="password"] {
+      width: 100%; padding: 12px 14px; font-size: 15px; border: 1px solid var(--border);
+      border-radius: 10px; outline: none; transition: border-color .15s, box-shadow .15s;
+    }
+    input[type="text"]:focus, input[type="password"]:focus { border-color: var(--accent); box-shadow: 0 0 0 3px rgba(37,99,235,.15); }
+    button {
+      margin-top: 4px; padding: 12px 14px; font-size: 15px; font-weight: 600; color: #fff;
+      background: var(--accent); border: none; border-radius: 10px; cursor: pointer; transition: background .15s;
+    }
+    button:hover { background: #1d4ed8; }
+    .sso {
+      display: block; padding: 12px 14px; font-size: 15px; font-weight: 600; text-align: center; text-decoration: none;
+      color: var(--navy); background: #fff; border: 1px solid var(--border); border-radius: 10px; margin-bottom: 6px;
+    }
+    .sso:hover { border-color: var(--accent); color: var(--accent); }
+    .error { background:#fef2f2; color:#991b1b; font-size:13px; border:1px solid #fecaca; border-radius:10px; padding:10px 12px; margin:0 0 4px; }
+    .foot { margin-top: 24px; font-size: 11px; color: #94a3b8; }
+  </style>
+</head>
+<body>
+  <main class="card">
+    <img class="logo" src="/fountain-logo-mark.png" alt="Fountain" onerror="this.style.display='none'" />
+    <h1>CEU Tracker</h1>
+    <p class="sub">This dashboard is restricted. Please sign in to continue.</p>
+    <form method="POST" action="/__auth">
+      ${errorBanner}
+      ${ssoButton}${passwordFields}
+    </form>
+    <p class="foot">Fountain Vitality — Authorized access only</p>
+  </main>
+</body>
+</html>`;
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  ROLES,
+  PUBLIC_PATHS,
+  hashPassword,
+  verifyPassword,
+  parseUsers,
+  loadAuthConfig,
+  login,
+  ssoLogin,
+  verifySession,
+  canAccess,
+  homePath,
+  getCookie,
+  sessionCookie,
+  clearSessionCookie,
+  oidcStateCookie,
+  clearOidcStateCookie,
+  readOidcState,
+  oidcRedirectUri,
+  loginOptions,
+  loginPage,
+};
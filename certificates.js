@@ -0,0 +1,155 @@
+// certificates.js — Completion certificates: downloaded by the scrapers, kept in
+// a content-addressed vault and linked to their course rows
+//
+// Where a portal's transcript links a course's certificate (CE Broker course
+// history, NetCE's Print column, certificate links in other transcript tables),
+// the scraper notes the link as certificateHref. attachCertificates() then
+// downloads each PDF with the logged-in context's cookies, stores it as
+// <CERTIFICATES_DIR>/<sha256>.pdf — the same certificate is only ever stored
+// once — and replaces the link with certificateUrl, which saveCourse() writes to
+// courses.certificate_url. Certificates already on file for a course are not
+// downloaded again.
+//
+// The dashboard's provider panel lists them; the API serves them
+// (GET /api/providers/:id/certificates, GET /api/certificates/:sha256).
+//
+// Configuration:
+//   CERTIFICATE_DOWNLOADS=off   don't download certificates
+//   CERTIFICATES_DIR=<dir>      where they are kept (default: certificates/)
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger, parseDate } = require('./utils');
+const { fixtureMode } = require('./scrape-fixtures');
+
+const DOWNLOAD_TIMEOUT_MS = 20000;
+const MAX_CERTIFICATE_BYTES = 10 * 1024 * 1024;
+const SHA256 = /^[0-9a-f]{64}$/;
+
+function certificatesDir() {
+  return process.env.CERTIFICATES_DIR || path.join(__dirname, 'certificates');
+}
+
+/** Whether scrapers download certificates this run (never while recording or replaying fixtures) */
+function downloadsEnabled() {
+  return !/^(0|off|false|no)$/i.test(process.env.CERTIFICATE_DOWNLOADS || '') && !fixtureMode();
+}
+
+/** The API path a stored certificate is served from, as kept in courses.certificate_url */
+function certificateUrl(sha256) {
+  return `/api/certificates/${sha256}`;
+}
+
+// ─── Vault ────────────────────────────────────────────────────────────────────
+
+/**
+ * Store a certificate PDF under its content hash (a no-op when it is stored already)
+ * @param {Buffer} pdf
+ * @returns {string} the sha256
+ * @throws {Error} if the content isn't a PDF
+ */
+function storeCertificate(pdf) {
+  if (!Buffer.isBuffer(pdf) || pdf.subarray(0, 5).toString('latin1') !== '%PDF-') {
+    throw new Error('not a PDF');
+  }
+  const sha256 = crypto.createHash('sha256').update(pdf).digest('hex');
+  const file = path.join(certificatesDir(), `${sha256}.pdf`);
+  if (!fs.existsSync(file)) {
+    fs.mkdirSync(certificatesDir(), { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, pdf);
+    fs.renameSync(`${file}.tmp`, file);
+  }
+  return sha256;
+}
+
+/** Absolute path of a stored certificate, or null for a malformed hash or a missing file */
+function resolveCertificate(sha256) {
+  if (!SHA256.test(String(sha256 || ''))) return null;
+  const file = path.join(certificatesDir(), `${sha256}.pdf`);
+  return fs.existsSync(file) ? file : null;
+}
+
+// ─── Downloading ──────────────────────────────────────────────────────────────
+
+/** Course key matching the courses table: name + completion date as YYYY-MM-DD */
+function courseKey(name, date) {
+  const d = parseDate(date);
+  return `${name}|${d ? d.toISOString().split('T')[0] : date}`;
+}
+
+/** Certificates already linked to this provider's courses, by courseKey() */
+function knownCertificates(providerName) {
+  const known = new Map();
+  try {
+    // Required here: database.js loads license-scraper.js, which loads the scrapers
+    const { getCertificates } = require('./database');
+    for (const c of getCertificates({ providerName })) known.set(courseKey(c.name, c.date), c.certificateUrl);
+  } catch (err) {
+    logger.warn(`[Certificates] Could not look up stored certificates for ${providerName}: ${err.message}`);
+  }
+  return known;
+}
+
+async function downloadCertificate(page, href) {
+  const response = await page.context().request.get(href, { timeout: DOWNLOAD_TIMEOUT_MS });
+  if (!response.ok()) throw new Error(`HTTP ${response.status()}`);
+  const body = await response.body();
+  if (body.length > MAX_CERTIFICATE_BYTES) throw new Error(`too large (${body.length} bytes)`);
+  return storeCertificate(body);
+}
+
+/**
+ * Download the certificates linked from scraped courses (certificateHref) into
+ * the vault. Call while the page's context is still logged in; never throws —
+ * a certificate that can't be fetched just stays unlinked.
+ * @param {import('playwright').Page} page
+ * @param {Array<{ name, date, certificateHref?:string }>} courses
+ * @returns {Promise<Array>} the courses, with certificateUrl instead of certificateHref
+ */
+async function attachCertificates(page, courses, { providerName, source }) {
+  const linked = (courses || []).filter(c => c.certificateHref);
+  if (linked.length === 0 || !downloadsEnabled()) {
+    return (courses || []).map(({ certificateHref, ...course }) => course);
+  }
+
+  const known = knownCertificates(providerName);
+  let downloaded = 0;
+  let failed = 0;
+
+  const result = [];
+  for (const { certificateHref, ...course } of courses) {
+    if (!certificateHref) {
+      result.push(course);
+      continue;
+    }
+    const stored = known.get(courseKey(course.name, course.date));
+    if (stored) {
+      result.push({ ...course, certificateUrl: stored });
+      continue;
+    }
+    try {
+      const sha256 = await downloadCertificate(page, certificateHref);
+      result.push({ ...course, certificateUrl: certificateUrl(sha256) });
+      downloaded++;
+    } catch (err) {
+      logger.warn(`[Certificates] ${source} certificate for "${course.name}" (${providerName}): ${err.message}`);
+      result.push(course);
+      failed++;
+    }
+  }
+
+  if (downloaded > 0 || failed > 0) {
+    logger.info(`[Certificates] ${source} — ${providerName}: ${downloaded} downloaded${failed ? `, ${failed} failed` : ''}`);
+  }
+  return result;
+}
+
+module.exports = {
+  certificateUrl,
+  storeCertificate,
+  resolveCertificate,
+  attachCertificates,
+};
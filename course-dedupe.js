@@ -0,0 +1,323 @@
+// course-dedupe.js — One entry per course in course-history.json, however many
+// sources list it
+//
+// CE Broker and each platform report the same course separately, and CE
+// Broker's transcript sometimes lists one course several times on the same day
+// with different hours. Rows are grouped under a canonical identity, the
+// courseKey: the completion date plus the title in lower case, without
+// punctuation or a leading catalogue number ("91413: ..."). Each group becomes
+// one course that lists its sources (CE Broker, NetCE, ...) with the hours each
+// reported.
+//
+// Hours conflict rule: the certificate issuer — a platform, or a hand import —
+// is believed over CE Broker. Where the believed sources still disagree, the
+// value most of them give is used, and on a tie the smallest, so a duplicate
+// can never add hours; the course then waits in the admin review queue until
+// someone picks the right value.
+//
+// Courses with similar titles (or the same title a few days apart) from
+// different sources are not merged on their own: the pair waits in the review
+// queue until an admin merges it or keeps the two apart. Decisions are stored
+// in the database (course_merge_decisions) and applied on every export.
+
+'use strict';
+
+const { parseDate, logger } = require('./utils');
+const { titleSimilarity } = require('./reconciliation');
+
+const CE_BROKER_SOURCE = 'CE Broker';
+const HOURS_TOLERANCE = 0.25;
+const SIMILAR_TITLE = 0.85;      // titles this alike may be the same course
+const MATCH_WINDOW_DAYS = 7;     // ... when completed this close together
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DECISIONS = { hours: ['hours'], match: ['merge', 'separate'] };
+
+/** A decision that can't be recorded; status is the HTTP status to answer with */
+class ReviewError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/** YYYY-MM-DD for a scraped (MM/DD/YYYY) or exported (ISO) date, or null */
+function isoDay(value) {
+  const d = parseDate(value);
+  return d ? d.toISOString().slice(0, 10) : null;
+}
+
+// ─── Identity ─────────────────────────────────────────────────────────────────
+
+/** A title as compared for identity: lower-case words without a catalogue number */
+function canonicalTitle(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/^\W*\d{5,6}\b\W*/, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * The canonical identity of a course: "YYYY-MM-DD:title-words"
+ * @param {{ name:string, date:string }} course
+ */
+function courseKey(course) {
+  return `${isoDay(course.date) || ''}:${canonicalTitle(course.name).replace(/ /g, '-')}`;
+}
+
+/** The sources a stored course row stands for; a row may carry both a CE Broker state and a platform */
+function rowSources(row) {
+  const sources = [];
+  if (row.state || !row.platform) sources.push(CE_BROKER_SOURCE);
+  if (row.platform) sources.push(row.platform);
+  return sources;
+}
+
+/**
+ * Turn deduplicated courses back into one row per source, so history that was
+ * already deduplicated can be merged with a new scrape and deduplicated again
+ * @param {Array} courses - course-history.json courses, with or without sources
+ * @returns {Array} rows: CE Broker ones carry a state, platform ones a platform
+ */
+function expandCourses(courses) {
+  return courses.flatMap(course => {
+    if (!Array.isArray(course.sources) || course.sources.length === 0) return [course];
+    const { sources, courseKey: _key, review, state, platform, cost, ...shared } = course;
+    return sources.map(s => {
+      const row = { ...shared, name: s.name || course.name, date: s.date || course.date, hours: s.hours };
+      if (s.source === CE_BROKER_SOURCE) return { ...row, state: state || CE_BROKER_SOURCE };
+      return { ...row, platform: s.source, cost: s.cost ?? (s.source === platform ? cost : null) };
+    });
+  });
+}
+
+// ─── Hours ────────────────────────────────────────────────────────────────────
+
+/**
+ * The hours a group of rows counts for, by the conflict rule above
+ * @returns {{ hours:number|null, options:Array<{ source, hours }>, conflict:boolean }}
+ *   options: the believed sources' hours; conflict: they disagree
+ */
+function resolveHours(entries) {
+  const issued = entries.filter(e => e.sources.some(s => s !== CE_BROKER_SOURCE));
+  const believed = (issued.length > 0 ? issued : entries).filter(e => e.row.hours != null);
+  const options = [];
+  for (const e of believed) {
+    for (const source of e.sources) {
+      if (issued.length > 0 && source === CE_BROKER_SOURCE) continue;
+      if (!options.some(o => o.source === source && o.hours === Number(e.row.hours))) {
+        options.push({ source, hours: Number(e.row.hours) });
+      }
+    }
+  }
+  if (options.length === 0) return { hours: entries[0].row.hours ?? null, options, conflict: false };
+
+  // Values within HOURS_TOLERANCE of each other count as one
+  const values = [];
+  for (const { hours } of options) {
+    const same = values.find(v => Math.abs(v.hours - hours) <= HOURS_TOLERANCE);
+    if (same) same.count++;
+    else values.push({ hours, count: 1 });
+  }
+  values.sort((a, b) => b.count - a.count || a.hours - b.hours);
+  return { hours: values[0].hours, options, conflict: values.length > 1 };
+}
+
+// ─── Deduplication ────────────────────────────────────────────────────────────
+
+/** Issuers (platforms, imports) before CE Broker-only rows, then the first seen */
+function primaryOrder(a, b) {
+  const issuerA = a.sources.some(s => s !== CE_BROKER_SOURCE) ? 0 : 1;
+  const issuerB = b.sources.some(s => s !== CE_BROKER_SOURCE) ? 0 : 1;
+  return issuerA - issuerB || a.index - b.index;
+}
+
+/**
+ * One course from a group of rows that are the same course; its courseKey is
+ * the primary row's, and an admin's hours decision for that key settles a conflict
+ */
+function mergeGroup(entries, decided = new Map()) {
+  const ordered = [...entries].sort(primaryOrder);
+  const primary = ordered[0].row;
+  const hoursDecision = decided.get(`hours|${ordered[0].key}`);
+  const first = field => ordered.map(e => e.row[field]).find(v => v != null && v !== '');
+  const resolved = resolveHours(ordered);
+  const hours = resolved.conflict && hoursDecision ? hoursDecision.hours : resolved.hours;
+
+  const date = isoDay(primary.date) || primary.date;
+  const platform = ordered.flatMap(e => e.sources).find(s => s !== CE_BROKER_SOURCE);
+  const state = ordered.map(e => e.row.state).find(s => s && s !== CE_BROKER_SOURCE);
+  const category = first('category');
+  const certificateUrl = first('certificateUrl');
+  const importId = first('importId');
+  const scrapedAt = ordered.map(e => e.row.scrapedAt).filter(Boolean).sort()[0] ?? primary.scrapedAt;
+
+  const sources = [];
+  for (const { row, sources: labels } of ordered) {
+    for (const source of labels) {
+      const entry = { source, hours: row.hours ?? null };
+      if (row.name !== primary.name) entry.name = row.name;
+      if ((isoDay(row.date) || row.date) !== date) entry.date = isoDay(row.date) || row.date;
+      if (source !== CE_BROKER_SOURCE && row.cost != null) entry.cost = row.cost;
+      if (!sources.some(s => JSON.stringify(s) === JSON.stringify(entry))) sources.push(entry);
+    }
+  }
+
+  return {
+    course: {
+      date,
+      name: primary.name,
+      hours,
+      ...(state ? { state } : {}),
+      ...(category ? { category } : {}),
+      ...(platform ? { platform, cost: first('cost') ?? null } : {}),
+      ...(certificateUrl ? { certificateUrl } : {}),
+      ...(importId ? { importId } : {}),
+      ...(scrapedAt !== undefined ? { scrapedAt } : {}),
+      courseKey: ordered[0].key,
+      sources,
+      ...(resolved.conflict && !hoursDecision ? { review: 'pending' } : {}),
+    },
+    resolved,
+    hoursDecision,
+  };
+}
+
+/**
+ * Pairs of groups that may be the same course: different sources, completed
+ * within MATCH_WINDOW_DAYS, with the same or similar titles. Each group is in
+ * one pair at most, most alike first.
+ */
+function candidatePairs(groups) {
+  const byDate = groups.filter(g => g.day !== null).sort((a, b) => a.day - b.day);
+  const pairs = [];
+  for (let i = 0; i < byDate.length; i++) {
+    for (let j = i + 1; j < byDate.length && byDate[j].day - byDate[i].day <= MATCH_WINDOW_DAYS; j++) {
+      const a = byDate[i];
+      const b = byDate[j];
+      if ([...a.sources].some(s => b.sources.has(s))) continue;
+      const similarity = a.title === b.title ? 1 : titleSimilarity(a.title, b.title);
+      if (similarity < SIMILAR_TITLE) continue;
+      pairs.push({ a, b, similarity, daysApart: b.day - a.day });
+    }
+  }
+  pairs.sort((x, y) => y.similarity - x.similarity || x.daysApart - y.daysApart);
+
+  const paired = new Set();
+  return pairs.filter(({ a, b }) => {
+    if (paired.has(a) || paired.has(b)) return false;
+    paired.add(a);
+    paired.add(b);
+    return true;
+  });
+}
+
+/**
+ * Deduplicate one provider's courses
+ * @param {Array} rows - course rows (course-history.json courses, database rows
+ *   or CE Broker completedCourses); CE Broker rows carry a state, platform rows a platform
+ * @param {Array<{ kind:'hours'|'match', key:string, decision:string, hours?:number }>} [decisions]
+ *   admin decisions: 'hours' (with hours) for an hours conflict, 'merge' or 'separate' for a match
+ * @returns {{ courses:Array, reviews:Array }} courses in the order first seen;
+ *   reviews: the hours conflicts and possible matches, pending or decided
+ */
+function dedupeCourses(rows, decisions = []) {
+  const decided = new Map(decisions.map(d => [`${d.kind}|${d.key}`, d]));
+
+  const groups = new Map();
+  expandCourses(rows).forEach((row, index) => {
+    const key = courseKey(row);
+    if (!groups.has(key)) {
+      const date = isoDay(row.date);
+      groups.set(key, { key, title: canonicalTitle(row.name), day: date ? Date.parse(date) / DAY_MS : null, entries: [], sources: new Set() });
+    }
+    const group = groups.get(key);
+    const sources = rowSources(row);
+    group.entries.push({ row, key, sources, index });
+    sources.forEach(s => group.sources.add(s));
+  });
+
+  // Possible matches across identities: merged only once an admin says so
+  const reviews = [];
+  for (const { a, b, similarity, daysApart } of candidatePairs([...groups.values()])) {
+    const key = [a.key, b.key].sort().join('|');
+    const decision = decided.get(`match|${key}`);
+    reviews.push({
+      kind: 'match',
+      key,
+      courses: [a, b].map(g => mergeGroup(g.entries).course),
+      similarity: Math.round(similarity * 100) / 100,
+      daysApart,
+      status: decision ? 'decided' : 'pending',
+      ...(decision ? { decision: decision.decision } : {}),
+    });
+    if (decision?.decision === 'merge') {
+      a.entries.push(...b.entries);
+      groups.delete(b.key);
+    }
+  }
+
+  const courses = [...groups.values()]
+    .sort((a, b) => Math.min(...a.entries.map(e => e.index)) - Math.min(...b.entries.map(e => e.index)))
+    .map(group => {
+      const { course, resolved, hoursDecision } = mergeGroup(group.entries, decided);
+      if (resolved.conflict) {
+        reviews.push({
+          kind: 'hours',
+          key: course.courseKey,
+          course: { name: course.name, date: course.date },
+          options: resolved.options,
+          hours: course.hours,
+          status: hoursDecision ? 'decided' : 'pending',
+          ...(hoursDecision ? { decision: 'hours' } : {}),
+        });
+      }
+      return course;
+    });
+
+  return { courses, reviews };
+}
+
+// ─── Review queue ─────────────────────────────────────────────────────────────
+
+/**
+ * Decide a review from the queue, or reopen it, and rewrite course-history.json
+ * @param {{ providerName:string, kind:'hours'|'match', key:string,
+ *   decision:'hours'|'merge'|'separate'|'reopen', hours?:number, decidedBy?:string }} request
+ *   hours: the value an 'hours' decision counts the course for
+ * @returns {object} the review as it now stands
+ * @throws {ReviewError} unknown provider or review, or a decision that doesn't fit the review
+ */
+function decideReview({ providerName, kind, key, decision, hours = null, decidedBy = null }) {
+  const db = require('./database');
+  const provider = db.findProviderByName(providerName);
+  if (!provider) throw new ReviewError(`Unknown provider: ${providerName}`);
+  const find = () => db.getCourseMergeReviews({ providerName: provider.name, status: null })
+    .find(r => r.kind === kind && r.key === key);
+  if (!find()) throw new ReviewError('Review not found (the courses may have changed since)', 404);
+
+  if (decision === 'reopen') {
+    db.clearCourseMergeDecision(provider.id, kind, key);
+  } else {
+    if (!DECISIONS[kind].includes(decision)) {
+      throw new ReviewError(`decision must be one of: ${[...DECISIONS[kind], 'reopen'].join(', ')}`);
+    }
+    if (decision === 'hours' && !(Number.isFinite(hours) && hours >= 0)) {
+      throw new ReviewError('hours must be a number of hours, 0 or more');
+    }
+    db.saveCourseMergeDecision(provider.id, { kind, key, decision, hours: decision === 'hours' ? hours : null, decidedBy });
+  }
+  logger.info(`[Dedupe] ${decidedBy || 'Someone'} ${decision === 'reopen' ? 'reopened' : `decided ${decision}`} for ${provider.name}: ${key}`);
+  db.exportJsonFiles();
+  return find();
+}
+
+module.exports = {
+  CE_BROKER_SOURCE,
+  courseKey,
+  expandCourses,
+  dedupeCourses,
+  ReviewError,
+  decideReview,
+};
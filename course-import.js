@@ -0,0 +1,726 @@
+// course-import.js — Hand-uploaded transcripts and certificates, for CE taken on
+// platforms we don't scrape (conferences, one-off vendors, employer training)
+//
+// An upload is staged before anything becomes a course. stageImport() keeps the
+// file as <IMPORTS_DIR>/<sha256>.<ext>, parses it into rows and records them as
+// a pending import (course_imports). Someone then reviews the rows — the Run Log
+// view's Course imports panel, the admin API or this CLI — fixes or unticks
+// what was misread, and confirms. confirmImport() saves the rows as courses
+// (deduplicated like scraped ones) with `platform` set to the vendor named in
+// the file, or "Manual Import", so the lookback and spending figures count them
+// like any scraped course; course-history.json is rewritten straight away.
+//
+// Formats:
+//   CSV   a transcript with a header row (course, date, hours; optionally
+//         provider, category, cost — see COLUMN_ALIASES for the names accepted)
+//   XLSX  a vendor's exported transcript; title rows above the header are skipped
+//   PDF   a completion certificate. Its text is extracted locally (pdftotext when
+//         installed, otherwise a built-in reader for uncompressed and Flate
+//         streams) and the course read from it; the PDF also goes into the
+//         certificate vault (certificates.js) and is linked to the course.
+//
+//   node course-import.js "<provider>" <file> [--yes]   stage, review, confirm
+//   node course-import.js list [pending|confirmed|discarded]
+//   node course-import.js show <id>
+//   node course-import.js confirm <id>
+//   node course-import.js discard <id>
+//
+// Configuration:
+//   IMPORTS_DIR=<dir>   where uploaded files are kept (default: imports/)
+//   PDFTOTEXT=<path>    the pdftotext binary, or "off" to always use the built-in reader
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+const { execFile } = require('child_process');
+const ExcelJS = require('exceljs');
+const { logger } = require('./utils');
+const { storeCertificate, certificateUrl } = require('./certificates');
+
+const MANUAL_PLATFORM = 'Manual Import';
+const MAX_IMPORT_BYTES = 10 * 1024 * 1024;
+const HEADER_SEARCH_ROWS = 15;
+const PDFTOTEXT_TIMEOUT_MS = 15000;
+const STATUSES = ['pending', 'confirmed', 'discarded'];
+
+/** A problem with an upload or a review, worded for the person doing it */
+class ImportError extends Error {
+  constructor(message, status = 400, details = null) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function importsDir() {
+  return process.env.IMPORTS_DIR || path.join(__dirname, 'imports');
+}
+
+// ─── Values ───────────────────────────────────────────────────────────────────
+
+/** YYYY-MM-DD from a Date, an Excel serial number or date text; '' if unreadable */
+function isoDate(value) {
+  if (value instanceof Date) {
+    // ExcelJS dates are midnight UTC
+    return isNaN(value) ? '' : value.toISOString().slice(0, 10);
+  }
+  if (typeof value === 'number') {
+    if (value < 20000 || value > 80000) return '';
+    return new Date(Math.round((value - 25569) * 86400000)).toISOString().slice(0, 10);
+  }
+  const text = String(value ?? '').trim();
+  if (!text) return '';
+
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) return validDate(+iso[1], +iso[2], +iso[3]);
+  const us = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+  if (us) return validDate(us[3].length === 2 ? 2000 + +us[3] : +us[3], +us[1], +us[2]);
+
+  const parsed = new Date(text.replace(/(\d)(st|nd|rd|th)\b/i, '$1'));
+  if (isNaN(parsed)) return '';
+  return validDate(parsed.getFullYear(), parsed.getMonth() + 1, parsed.getDate());
+}
+
+function validDate(year, month, day) {
+  const d = new Date(Date.UTC(year, month - 1, day));
+  if (d.getUTCFullYear() !== year || d.getUTCMonth() !== month - 1 || d.getUTCDate() !== day) return '';
+  return d.toISOString().slice(0, 10);
+}
+
+/** The first number in a value ("1.5 contact hours", "$25.00"), or null */
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const match = String(value ?? '').replace(/,/g, '').match(/-?\d+(?:\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+}
+
+function cleanText(value) {
+  const text = String(value ?? '').replace(/\s+/g, ' ').trim();
+  return text.replace(/^["'“”‘’]+|["'“”‘’]+$/g, '').trim();
+}
+
+/** What's wrong with a row before it can become a course */
+function rowIssues(row) {
+  const issues = [];
+  if (!row.name || row.name.length < 3) issues.push('missing course name');
+  if (!row.date) issues.push('missing or unreadable date');
+  else if (row.date > new Date().toISOString().slice(0, 10)) issues.push('date is in the future');
+  if (!(row.hours > 0)) issues.push('missing hours');
+  return issues;
+}
+
+/**
+ * A row as staged for review, from parsed or hand-edited values. A certificate
+ * link is never taken from the input — stageImport() adds it for stored PDFs.
+ * @returns {{ name, date, hours, provider, category, cost, include, issues:string[] }}
+ */
+function normalizeRow(raw) {
+  const row = {
+    name: cleanText(raw.name).slice(0, 200),
+    date: isoDate(raw.date),
+    hours: toNumber(raw.hours),
+    provider: cleanText(raw.provider) || null,
+    category: cleanText(raw.category) || null,
+    cost: toNumber(raw.cost),
+  };
+  row.issues = rowIssues(row);
+  // Form and JSON bodies may send the tick as a string; "false" must not count
+  row.include = raw.include == null ? row.issues.length === 0 : [true, 'true', 1, '1'].includes(raw.include);
+  return row;
+}
+
+// ─── Tables (CSV / XLSX) ──────────────────────────────────────────────────────
+
+/** Header names accepted for each field, compared lower-case with punctuation dropped */
+const COLUMN_ALIASES = {
+  name: [
+    'course', 'course name', 'course title', 'title', 'activity', 'activity title', 'activity name',
+    'program', 'program title', 'session', 'session title', 'name', 'description',
+  ],
+  date: [
+    'date', 'completion date', 'date completed', 'completed', 'completed on', 'completed date',
+    'date of completion', 'date earned', 'date awarded', 'end date', 'activity date',
+  ],
+  hours: [
+    'hours', 'credits', 'credit', 'credit hours', 'contact hours', 'ce hours', 'ceu', 'ceus',
+    'credits earned', 'hours earned', 'credit amount', 'units',
+  ],
+  provider: [
+    'provider', 'ce provider', 'course provider', 'vendor', 'sponsor', 'accredited by',
+    'organization', 'presented by', 'platform', 'source',
+  ],
+  category: ['category', 'subject', 'subject area', 'topic', 'credit type', 'type'],
+  cost: ['cost', 'price', 'fee', 'amount', 'amount paid', 'paid'],
+};
+
+function headerKey(cell) {
+  return String(cell ?? '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Which column holds each field: exact alias matches first, then headers that
+ * contain a longer alias ("Course Title (as printed)")
+ * @returns {Object<string, number>}
+ */
+function matchColumns(cells) {
+  const headers = cells.map(headerKey);
+  const columns = {};
+  const taken = new Set();
+  const claim = (field, index) => {
+    if (index === -1 || field in columns || taken.has(index)) return;
+    columns[field] = index;
+    taken.add(index);
+  };
+
+  for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+    claim(field, headers.findIndex(h => aliases.includes(h)));
+  }
+  for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+    claim(field, headers.findIndex((h, i) => !taken.has(i) && aliases.some(a => a.length > 4 && h.includes(a))));
+  }
+  return columns;
+}
+
+/**
+ * Rows from a table: finds the header row among the first few, then reads the
+ * rows under it. Blank rows and totals lines are skipped.
+ * @param {Array<Array>} table - cell values, row by row
+ * @returns {{ rows:Array, warnings:string[] }}
+ */
+function rowsFromTable(table) {
+  const headerIndex = table.slice(0, HEADER_SEARCH_ROWS).findIndex(cells => {
+    const columns = matchColumns(cells);
+    return 'name' in columns && ('hours' in columns || 'date' in columns);
+  });
+  if (headerIndex === -1) {
+    throw new ImportError('No header row found — the file needs columns for the course name, date and hours');
+  }
+
+  const columns = matchColumns(table[headerIndex]);
+  const warnings = ['date', 'hours']
+    .filter(field => !(field in columns))
+    .map(field => `No ${field} column — fill it in for each row before confirming`);
+
+  const rows = [];
+  for (const cells of table.slice(headerIndex + 1)) {
+    const raw = Object.fromEntries(Object.entries(columns).map(([field, i]) => [field, cells[i]]));
+    const name = cleanText(raw.name);
+    if (!name || /^(sub)?total\b/i.test(name)) continue;
+    rows.push(normalizeRow(raw));
+  }
+  return { rows, warnings };
+}
+
+/** Split CSV text into rows of cells (RFC 4180 quoting; comma, semicolon or tab separated) */
+function parseCsv(text) {
+  text = text.replace(/^﻿/, '');
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const delimiter = [',', ';', '\t']
+    .map(d => [d, firstLine.split(d).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+
+  const table = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"' && cell === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      cells.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      cells.push(cell);
+      table.push(cells);
+      cells = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || cells.length > 0) table.push([...cells, cell]);
+  return table.filter(row => row.some(c => c.trim() !== ''));
+}
+
+/** A worksheet cell's plain value: rich text, hyperlinks and formula results unwrapped */
+function cellValue(value) {
+  if (value === null || value === undefined || value instanceof Date) return value ?? '';
+  if (typeof value !== 'object') return value;
+  if (value.richText) return value.richText.map(r => r.text).join('');
+  if ('result' in value) return cellValue(value.result);
+  if ('text' in value) return cellValue(value.text);
+  return '';
+}
+
+/** Rows of the first worksheet that has any */
+async function readWorkbook(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (err) {
+    throw new ImportError(`Could not read the spreadsheet: ${err.message}`);
+  }
+  const sheet = workbook.worksheets.find(ws => ws.actualRowCount > 0);
+  if (!sheet) return [];
+
+  const table = [];
+  sheet.eachRow(row => {
+    const cells = [];
+    row.eachCell({ includeEmpty: true }, (cell, col) => { cells[col - 1] = cellValue(cell.value); });
+    table.push(Array.from(cells, c => c ?? ''));
+  });
+  return table;
+}
+
+// ─── Certificates (PDF) ───────────────────────────────────────────────────────
+
+/** Decode a PDF literal string's escapes */
+function decodeLiteral(body) {
+  return body.replace(/\\(\r\n|[\r\n]|[0-7]{1,3}|.)/g, (_, esc) => {
+    if (/^[0-7]/.test(esc)) return String.fromCharCode(parseInt(esc, 8) & 0xff);
+    return { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' }[esc] ?? (/^[\r\n]/.test(esc) ? '' : esc);
+  });
+}
+
+function decodeHex(body) {
+  const hex = body.replace(/\s+/g, '');
+  return Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex').toString('latin1');
+}
+
+const CONTENT_TOKEN = /\((?:\\[\s\S]|[^\\()])*\)|<[0-9A-Fa-f\s]*>|\[|\]|[-+]?(?:\d+\.?\d*|\.\d+)|\/[^\s/[\]()<>{}%]+|[A-Za-z'"*]+/g;
+
+/**
+ * Text lines drawn by a page content stream. Only the text operators matter:
+ * strings shown by Tj / TJ / ' / ", and line breaks at T*, Tm and vertical Td moves.
+ */
+function textFromContent(content) {
+  let text = '';
+  let operands = [];
+  let array = null;
+
+  const show = value => { text += value; };
+  const newLine = () => { if (!text.endsWith('\n')) text += '\n'; };
+  const stringOf = token => (token.startsWith('(') ? decodeLiteral(token.slice(1, -1)) : decodeHex(token.slice(1, -1)));
+
+  for (const [token] of content.matchAll(CONTENT_TOKEN)) {
+    if (token === '[') { array = []; continue; }
+    if (token === ']') { operands.push(array || []); array = null; continue; }
+    if (token[0] === '(' || token[0] === '<' || /^[-+.\d]/.test(token) || token[0] === '/') {
+      (array || operands).push(token);
+      continue;
+    }
+
+    switch (token) {
+      case 'Tj':
+        if (operands.length) show(stringOf(operands[operands.length - 1]));
+        break;
+      case "'":
+      case '"':
+        newLine();
+        if (operands.length) show(stringOf(operands[operands.length - 1]));
+        break;
+      case 'TJ':
+        for (const item of operands[operands.length - 1] || []) {
+          if (/^[(<]/.test(item)) show(stringOf(item));
+          else if (parseFloat(item) < -200) show(' ');
+        }
+        break;
+      case 'Td':
+      case 'TD':
+        if (parseFloat(operands[operands.length - 1]) !== 0) newLine();
+        else show(' ');
+        break;
+      case 'T*':
+      case 'Tm':
+      case 'ET':
+        newLine();
+        break;
+    }
+    operands = [];
+  }
+  return text;
+}
+
+/**
+ * Text of a PDF without external tools: the text operators of every content
+ * stream, uncompressed or FlateDecode. Enough for generated certificates; PDFs
+ * with custom font encodings come out garbled, which the review step shows.
+ */
+function extractPdfTextBuiltin(pdf) {
+  const raw = pdf.toString('latin1');
+  const chunks = [];
+  const streamStart = /\bstream\r?\n/g;
+  let match;
+
+  while ((match = streamStart.exec(raw))) {
+    const dict = raw.slice(Math.max(0, raw.lastIndexOf('obj', match.index)), match.index);
+    const start = match.index + match[0].length;
+    const end = raw.indexOf('endstream', start);
+    if (end === -1) break;
+    streamStart.lastIndex = end;
+
+    let data = pdf.subarray(start, end);
+    if (/\/FlateDecode/.test(dict)) {
+      try {
+        data = zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+      } catch {
+        continue;
+      }
+    } else if (/\/Filter/.test(dict) || /\/(Subtype\s*\/Image|Length1)/.test(dict)) {
+      continue;   // other encodings, images and embedded fonts
+    }
+    chunks.push(textFromContent(data.toString('latin1')));
+  }
+  return chunks.join('\n');
+}
+
+/** pdftotext's output, or null when it isn't installed (or is turned off) */
+async function runPdftotext(pdf) {
+  const bin = process.env.PDFTOTEXT || 'pdftotext';
+  if (/^(0|off|false|no)$/i.test(bin)) return null;
+
+  const tmp = path.join(os.tmpdir(), `ceu-import-${process.pid}-${crypto.randomBytes(4).toString('hex')}.pdf`);
+  fs.writeFileSync(tmp, pdf);
+  try {
+    return await new Promise((resolve, reject) => {
+      execFile(bin, ['-layout', '-enc', 'UTF-8', tmp, '-'], { timeout: PDFTOTEXT_TIMEOUT_MS, maxBuffer: 4 * 1024 * 1024 },
+        (err, stdout) => {
+          if (err && err.code === 'ENOENT') resolve(null);
+          else if (err) reject(err);
+          else resolve(stdout);
+        });
+    });
+  } catch (err) {
+    logger.warn(`[Import] pdftotext failed (${err.message}) — using the built-in reader`);
+    return null;
+  } finally {
+    fs.rmSync(tmp, { force: true });
+  }
+}
+
+/** A PDF's text, one line per line of the page */
+async function extractPdfText(pdf) {
+  const text = (await runPdftotext(pdf)) ?? extractPdfTextBuiltin(pdf);
+  return text.split(/\r?\n/).map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean).join('\n');
+}
+
+const MONTH = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+const DATE = `(\\d{4}-\\d{2}-\\d{2}|\\d{1,2}[/.-]\\d{1,2}[/.-]\\d{2,4}|${MONTH}\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4}|\\d{1,2}(?:st|nd|rd|th)?\\s+${MONTH},?\\s+\\d{4})`;
+
+const CERTIFICATE_PATTERNS = {
+  name: [
+    /^(?:course|course title|course name|activity|activity title|program|program title|session|title)\s*:\s*(.+)$/im,
+  ],
+  completedPhrase: /(?:successfully completed|has completed|for completing|for the completion of|for completion of|completed the (?:course|activity|program)|participated in|attended)\s*:?\s*(.*)$/im,
+  date: [
+    new RegExp(`(?:date of completion|completion date|date completed|completed on|date awarded|awarded on|date issued|issue date|issued on|date)\\s*:?\\s*${DATE}`, 'i'),
+    new RegExp(DATE, 'i'),
+  ],
+  hours: [
+    /(?:contact hours?|ce hours?|credit hours?|credits? (?:awarded|earned)|hours (?:awarded|earned)|ceus?|credits?|hours)\s*(?:awarded|earned)?\s*:\s*(\d+(?:\.\d+)?)/i,
+    /(\d+(?:\.\d+)?)\s*\(?\s*(?:nursing\s+)?(?:contact hours?|ce hours?|credit hours?|ama pra category 1 credits?|ce credits?|credits?|ceus?|hours?)\b/i,
+  ],
+  provider: [
+    /^(?:provider|ce provider|provided by|presented by|sponsored by|offered by|accredited by|issued by)\s*:?\s*(.+)$/im,
+  ],
+  category: [/^(?:subject|subject area|category|topic|credit type)\s*:\s*(.+)$/im],
+};
+
+function firstMatch(patterns, text) {
+  for (const pattern of patterns) {
+    const match = text.match(pattern);
+    if (match) return match[1].trim();
+  }
+  return '';
+}
+
+/**
+ * The course on a certificate, from its text: labelled fields ("Course:",
+ * "Date of completion:", "Contact hours:") where present, otherwise the line
+ * after "has successfully completed" and the first date / hours figure
+ */
+function parseCertificateText(text) {
+  let name = firstMatch(CERTIFICATE_PATTERNS.name, text);
+  if (!name) {
+    const phrase = text.match(CERTIFICATE_PATTERNS.completedPhrase);
+    if (phrase) {
+      name = cleanText(phrase[1]);
+      if (name.length < 3) {
+        const after = text.slice(phrase.index + phrase[0].length).split('\n').map(cleanText).filter(Boolean);
+        name = after[0] || '';
+      }
+    }
+  }
+  return normalizeRow({
+    name,
+    date: firstMatch(CERTIFICATE_PATTERNS.date, text),
+    hours: firstMatch(CERTIFICATE_PATTERNS.hours, text),
+    provider: firstMatch(CERTIFICATE_PATTERNS.provider, text),
+    category: firstMatch(CERTIFICATE_PATTERNS.category, text),
+  });
+}
+
+// ─── Parsing ──────────────────────────────────────────────────────────────────
+
+/** csv, xlsx or pdf — from the file's content, not its name */
+function detectFormat(buffer) {
+  const magic = buffer.subarray(0, 5).toString('latin1');
+  if (magic === '%PDF-') return 'pdf';
+  if (magic.startsWith('PK\x03\x04')) return 'xlsx';
+  if (buffer.subarray(0, 4096).includes(0)) {
+    throw new ImportError('Unsupported file — upload a CSV, an XLSX export or a PDF certificate');
+  }
+  return 'csv';
+}
+
+/**
+ * Parse an uploaded file into rows for review
+ * @param {Buffer} buffer
+ * @returns {Promise<{ format:string, rows:Array, warnings:string[] }>}
+ */
+async function parseImportFile(buffer) {
+  const format = detectFormat(buffer);
+  if (format === 'pdf') {
+    const text = await extractPdfText(buffer);
+    if (!text) {
+      return { format, rows: [normalizeRow({})], warnings: ['No text found in the PDF (a scanned image?) — enter the course by hand'] };
+    }
+    return { format, rows: [parseCertificateText(text)], warnings: [] };
+  }
+  const table = format === 'xlsx' ? await readWorkbook(buffer) : parseCsv(buffer.toString('utf8'));
+  return { format, ...rowsFromTable(table) };
+}
+
+// ─── Imports ──────────────────────────────────────────────────────────────────
+
+/** Keep an uploaded file under its content hash */
+function keepSource(buffer, format) {
+  const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+  const sourceFile = `${sha256}.${format}`;
+  const file = path.join(importsDir(), sourceFile);
+  if (!fs.existsSync(file)) {
+    fs.mkdirSync(importsDir(), { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, buffer);
+    fs.renameSync(`${file}.tmp`, file);
+  }
+  return { sha256, sourceFile };
+}
+
+/** Absolute path of an import's kept source file, or null if it is gone */
+function sourcePath(entry) {
+  if (!entry || !/^[0-9a-f]{64}\.(csv|xlsx|pdf)$/.test(entry.sourceFile)) return null;
+  const file = path.join(importsDir(), entry.sourceFile);
+  return fs.existsSync(file) ? file : null;
+}
+
+/**
+ * Stage an upload for review: keep the file, parse it and record the rows as a
+ * pending import
+ * @param {{ providerName:string, filename:string, content:Buffer, importedBy?:string }} upload
+ * @returns {Promise<object>} the pending import (database.getCourseImport)
+ * @throws {ImportError} unknown provider, empty / unsupported / unreadable file
+ */
+async function stageImport({ providerName, filename, content, importedBy = null }) {
+  const db = require('./database');
+  const provider = db.findProviderByName(providerName);
+  if (!provider) throw new ImportError(`Unknown provider: ${providerName}`);
+  if (!Buffer.isBuffer(content) || content.length === 0) throw new ImportError('The file is empty');
+  if (content.length > MAX_IMPORT_BYTES) {
+    throw new ImportError(`The file is larger than ${MAX_IMPORT_BYTES / 1024 / 1024} MB`, 413);
+  }
+
+  const { format, rows, warnings } = await parseImportFile(content);
+  if (rows.length === 0) throw new ImportError(`No courses found in ${filename}`);
+  if (format === 'pdf') {
+    const url = certificateUrl(storeCertificate(content));
+    for (const row of rows) row.certificateUrl = url;
+  }
+
+  const { sha256, sourceFile } = keepSource(content, format);
+  const id = db.createCourseImport({
+    providerId: provider.id,
+    filename: path.basename(String(filename || `upload.${format}`)),
+    format,
+    sourceFile,
+    sourceSha256: sha256,
+    rows,
+    warnings,
+    createdBy: importedBy,
+  });
+  logger.info(`[Import] Staged ${rows.length} row(s) from ${filename} for ${provider.name} (import #${id})`);
+  return db.getCourseImport(id);
+}
+
+function pendingImport(id) {
+  const entry = require('./database').getCourseImport(id);
+  if (!entry) throw new ImportError(`Import #${id} not found`, 404);
+  if (entry.status !== 'pending') throw new ImportError(`Import #${id} is already ${entry.status}`, 409);
+  return entry;
+}
+
+/**
+ * Confirm a pending import. The rows — as edited by the reviewer, or as staged —
+ * are checked again; those marked include become courses, and course-history.json
+ * is rewritten so the dashboard picks them up.
+ * @param {number} id
+ * @param {{ rows?:Array, reviewedBy?:string }} [review]
+ * @returns {object} the confirmed import
+ * @throws {ImportError} not found / not pending, or rows that can't be saved (details lists them)
+ */
+function confirmImport(id, { rows, reviewedBy = null } = {}) {
+  const db = require('./database');
+  const entry = pendingImport(id);
+  if (rows !== undefined && !Array.isArray(rows)) throw new ImportError('rows must be an array');
+
+  // The certificate link comes from the staged row, never from the reviewer's copy.
+  // Each row keeps its place in the review table so problems name the right row.
+  const reviewed = (rows ?? entry.rows)
+    .map((raw, i) => ({ ...normalizeRow(raw), certificateUrl: entry.rows[i]?.certificateUrl, index: i }))
+    .filter(row => row.include);
+  if (reviewed.length === 0) throw new ImportError('No rows are marked to import');
+
+  const problems = reviewed.flatMap(row =>
+    row.issues.map(issue => `Row ${row.index + 1} (${row.name || 'unnamed'}): ${issue}`));
+  if (problems.length > 0) {
+    throw new ImportError(`${problems.length} row problem(s) — fix or untick them first`, 400, problems);
+  }
+
+  const courses = reviewed.map(row => ({
+    name: row.name,
+    date: row.date,
+    hours: row.hours,
+    platform: row.provider || MANUAL_PLATFORM,
+    category: row.category,
+    cost: row.cost,
+    ...(row.certificateUrl ? { certificateUrl: row.certificateUrl } : {}),
+  }));
+  if (!db.confirmCourseImport(id, courses, reviewedBy)) {
+    throw new ImportError(`Import #${id} is no longer pending`, 409);
+  }
+  logger.info(`[Import] Import #${id} confirmed: ${courses.length} course(s) for ${entry.providerName}`);
+  db.exportJsonFiles();
+  return db.getCourseImport(id);
+}
+
+/**
+ * Discard a pending import (its source file is kept)
+ * @returns {object} the discarded import
+ */
+function discardImport(id, { reviewedBy = null } = {}) {
+  const db = require('./database');
+  pendingImport(id);
+  if (!db.discardCourseImport(id, reviewedBy)) throw new ImportError(`Import #${id} is no longer pending`, 409);
+  logger.info(`[Import] Import #${id} discarded`);
+  return db.getCourseImport(id);
+}
+
+// ─── CLI ──────────────────────────────────────────────────────────────────────
+
+function printImport(entry) {
+  console.log(`Import #${entry.id} — ${entry.providerName}, ${entry.filename} (${entry.format}, ${entry.status})`);
+  for (const warning of entry.warnings) console.log(`  ! ${warning}`);
+  entry.rows.forEach((row, i) => {
+    const mark = row.include === false ? ' ' : '✓';
+    const issues = row.issues?.length ? `  ← ${row.issues.join(', ')}` : '';
+    console.log(
+      `  ${mark} ${String(i + 1).padStart(2)}. ${row.date || '????-??-??'}  ${String(row.hours ?? '?').padStart(4)}h  ` +
+      `${row.name || '(no name)'}${row.provider ? ` — ${row.provider}` : ''}${issues}`
+    );
+  });
+}
+
+function ask(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => rl.question(question, answer => { rl.close(); resolve(answer); }));
+}
+
+/** Confirm from the command line: rows with problems are left out */
+function confirmFromCli(entry) {
+  const rows = entry.rows.map(row => ({ ...row, include: row.include !== false && !row.issues?.length }));
+  const confirmed = confirmImport(entry.id, { rows, reviewedBy: os.userInfo().username });
+  console.log(`Imported ${confirmed.courseCount} course(s) for ${confirmed.providerName}`);
+}
+
+async function main(argv) {
+  const [cmd, arg, ...rest] = argv;
+
+  switch (cmd) {
+    case 'list': {
+      if (arg && !STATUSES.includes(arg)) throw new Error(`Status must be one of: ${STATUSES.join(', ')}`);
+      const imports = require('./database').listCourseImports({ status: arg || null });
+      for (const i of imports) {
+        console.log(`#${i.id}  ${i.status.padEnd(9)}  ${i.createdAt?.slice(0, 10)}  ${i.providerName} — ${i.filename} (${i.rows.length} rows)`);
+      }
+      if (imports.length === 0) console.log('No imports');
+      break;
+    }
+    case 'show': {
+      const entry = require('./database').getCourseImport(Number(arg));
+      if (!entry) throw new Error(`Import #${arg} not found`);
+      printImport(entry);
+      break;
+    }
+    case 'confirm':
+      confirmFromCli(pendingImport(Number(arg)));
+      break;
+    case 'discard':
+      discardImport(Number(arg), { reviewedBy: os.userInfo().username });
+      console.log(`Discarded import #${arg}`);
+      break;
+    default: {
+      const [providerName, file] = [cmd, arg];
+      if (!providerName || !file) {
+        console.log(
+          'Usage: node course-import.js "<provider>" <file> [--yes]\n' +
+          '       node course-import.js <list|show|confirm|discard> [id | status]'
+        );
+        break;
+      }
+      if (!fs.existsSync(file)) throw new Error(`No such file: ${file}`);
+      const entry = await stageImport({
+        providerName,
+        filename: path.basename(file),
+        content: fs.readFileSync(file),
+        importedBy: os.userInfo().username,
+      });
+      printImport(entry);
+      const answer = rest.includes('--yes') ? 'y' : await ask('Import the ticked rows? [y/N] ');
+      if (/^y/i.test(answer)) confirmFromCli(entry);
+      else console.log(`Left pending — node course-import.js confirm ${entry.id} (or discard ${entry.id})`);
+    }
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch((err) => {
+    console.error(err.message);
+    for (const detail of err.details || []) console.error(`  ${detail}`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  MANUAL_PLATFORM,
+  ImportError,
+  parseCsv,
+  rowsFromTable,
+  parseImportFile,
+  extractPdfText,
+  parseCertificateText,
+  normalizeRow,
+  stageImport,
+  confirmImport,
+  discardImport,
+  sourcePath,
+};
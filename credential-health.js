@@ -18,9 +18,11 @@ function loadHealthData() {
 }
 
 /**
- * Save credential health data
+ * Save credential health data. Fixture replays (scrape-fixtures.js) log in as
+ * made-up providers and aren't saved.
  */
 function saveHealthData(data) {
+  if (process.env.SCRAPE_REPLAY) return;
   data.lastUpdated = new Date().toISOString();
   saveJson(HEALTH_FILE, data);
 }
@@ -3,45 +3,14 @@
 
 'use strict';
 
-const fs = require('fs');
-const path = require('path');
 const { chromium } = require('playwright');
 const { logger, sleep } = require('./utils');
 const { recordSuccess, recordFailure, getHealthSummary } = require('./credential-health');
 const { getAllProviders } = require('./credentials-loader');
+const { getPlatformConfig, isPlatformEnabled, getPlatform } = require('./platform-registry');
 
 const providers = getAllProviders();
 
-// ─── Platform Registry ────────────────────────────────────────────────────────
-
-const platformsPath = path.join(__dirname, 'platforms.json');
-const platforms = JSON.parse(fs.readFileSync(platformsPath, 'utf8'));
-
-/**
- * Get platform configuration by display name
- */
-function getPlatformConfig(displayName) {
-  const nameMap = {
-    'CE Broker': 'cebroker',
-    'NetCE': 'netce',
-    'CEUfast': 'ceufast',
-    'AANP Cert': 'aanpcert',
-    'ExclamationCE': 'exclamationce',
-    'Nursece4less': 'nursece4less',
-    'Nursing CE Central': 'nursingcecentral',
-  };
-  const key = nameMap[displayName];
-  return key ? platforms[key] : null;
-}
-
-/**
- * Check if a platform is enabled
- */
-function isPlatformEnabled(displayName) {
-  const config = getPlatformConfig(displayName);
-  return config ? config.status === 'active' : false;
-}
-
 // ─── Configuration ────────────────────────────────────────────────────────────
 
 const LOGIN_TIMEOUT = 20000;  // 20 seconds max per login attempt
@@ -93,211 +62,36 @@ async function testCEBrokerLogin(browser, provider) {
 }
 
 /**
- * Test NetCE login
- */
-async function testNetCELogin(browser, creds) {
-  const platformConfig = getPlatformConfig('NetCE');
-  const context = await browser.newContext({ viewport: { width: 1280, height: 720 } });
-  const page = await context.newPage();
-
-  try {
-    await page.goto(platformConfig.urls.login, {
-      waitUntil: 'domcontentloaded',
-      timeout: LOGIN_TIMEOUT,
-    });
-    await sleep(1000);
-
-    await page.waitForSelector('input[name="username"]', { timeout: 10000 });
-    await page.fill('input[name="username"]', creds.username);
-    await page.fill('input[name="password"]', creds.password);
-    await page.click('input[type="submit"], button[type="submit"]');
-    await sleep(2000);
-
-    // Check for successful login (redirected away from login or account page loaded)
-    const url = page.url();
-    if (url.includes('login') && (await page.locator('.error, .alert-danger, .login-error').count()) > 0) {
-      throw new Error('Invalid credentials');
-    }
-
-    return { success: true, platform: 'NetCE' };
-  } catch (err) {
-    return { success: false, platform: 'NetCE', error: err.message };
-  } finally {
-    await context.close();
-  }
-}
-
-/**
- * Test CEUfast login
- */
-async function testCEUfastLogin(browser, creds) {
-  const platformConfig = getPlatformConfig('CEUfast');
-  const context = await browser.newContext({ viewport: { width: 1280, height: 720 } });
-  const page = await context.newPage();
-
-  try {
-    await page.goto(platformConfig.urls.login, {
-      waitUntil: 'domcontentloaded',
-      timeout: LOGIN_TIMEOUT,
-    });
-    await sleep(1000);
-
-    await page.waitForSelector('input[name="UserName"]:visible', { timeout: 10000 });
-    await page.fill('input[name="UserName"]', creds.username);
-    await page.fill('input[name="Password"]:visible', creds.password);
-    await page.keyboard.press('Enter');
-    await sleep(2000);
-
-    // Wait for redirect away from login
-    await page.waitForURL(
-      u => !u.toString().includes('Account/Login'),
-      { timeout: LOGIN_TIMEOUT }
-    );
-
-    return { success: true, platform: 'CEUfast' };
-  } catch (err) {
-    return { success: false, platform: 'CEUfast', error: err.message };
-  } finally {
-    await context.close();
-  }
-}
-
-/**
- * Test AANP Cert login
- */
-async function testAANPCertLogin(browser, creds) {
-  const platformConfig = getPlatformConfig('AANP Cert');
-  const context = await browser.newContext({ viewport: { width: 1280, height: 720 } });
-  const page = await context.newPage();
-
-  try {
-    await page.goto(platformConfig.urls.login, {
-      waitUntil: 'domcontentloaded',
-      timeout: LOGIN_TIMEOUT,
-    });
-    await sleep(1000);
-
-    const userSel = 'input[name="username"], input[name="email"], input[type="email"], #username, #email';
-    await page.waitForSelector(userSel, { timeout: 10000 });
-    await page.fill(userSel, creds.username);
-    await page.fill('input[name="password"], input[type="password"]', creds.password);
-    await page.click('button[type="submit"], input[type="submit"]');
-    await sleep(2000);
-
-    // Wait for redirect away from signin
-    await page.waitForURL(u => !u.toString().includes('/signin'), { timeout: LOGIN_TIMEOUT });
-
-    return { success: true, platform: 'AANP Cert' };
-  } catch (err) {
-    return { success: false, platform: 'AANP Cert', error: err.message };
-  } finally {
-    await context.close();
-  }
-}
-
-/**
- * Test ExclamationCE login
- */
-async function testExclamationCELogin(browser, creds) {
-  const platformConfig = getPlatformConfig('ExclamationCE');
-  const context = await browser.newContext({ viewport: { width: 1280, height: 720 } });
-  const page = await context.newPage();
-
-  try {
-    await page.goto(platformConfig.urls.login, {
-      waitUntil: 'domcontentloaded',
-      timeout: LOGIN_TIMEOUT,
-    });
-    await sleep(1000);
-
-    const userSel = 'input[name="email"], input[type="email"], input[name="username"]';
-    await page.waitForSelector(userSel, { timeout: 10000 });
-    await page.fill(userSel, creds.username);
-    await page.fill('input[name="password"], input[type="password"]', creds.password);
-    await page.click('button[type="submit"], input[type="submit"]');
-    await sleep(2000);
-
-    await page.waitForURL(u => !u.toString().includes('/login'), { timeout: LOGIN_TIMEOUT });
-
-    return { success: true, platform: 'ExclamationCE' };
-  } catch (err) {
-    return { success: false, platform: 'ExclamationCE', error: err.message };
-  } finally {
-    await context.close();
-  }
-}
-
-/**
- * Test NurseCE4Less login
+ * Test a platform login with its plugin's testLogin (platform-registry.js)
  */
-async function testNurseCE4LessLogin(browser, creds) {
-  const platformConfig = getPlatformConfig('Nursece4less');
+async function testPlatformLogin(browser, plugin, creds) {
   const context = await browser.newContext({ viewport: { width: 1280, height: 720 } });
   const page = await context.newPage();
 
   try {
-    await page.goto(platformConfig.urls.login, {
+    await page.goto(plugin.config.urls.login, {
       waitUntil: 'domcontentloaded',
       timeout: LOGIN_TIMEOUT,
     });
     await sleep(1000);
 
-    const userSel = 'input[name="username"], input#username, input[name="log"]';
-    await page.waitForSelector(userSel, { timeout: 10000 });
-    await page.fill(userSel, creds.username);
-    await page.fill('input[name="password"], input#password', creds.password);
-    await page.click('button[type="submit"], input[type="submit"]');
-    await sleep(2000);
-
-    return { success: true, platform: 'Nursece4less' };
-  } catch (err) {
-    return { success: false, platform: 'Nursece4less', error: err.message };
-  } finally {
-    await context.close();
-  }
-}
-
-/**
- * Test Nursing CE Central login
- */
-async function testNursingCECentralLogin(browser, creds) {
-  const platformConfig = getPlatformConfig('Nursing CE Central');
-  const context = await browser.newContext({ viewport: { width: 1280, height: 720 } });
-  const page = await context.newPage();
-
-  try {
-    await page.goto(platformConfig.urls.login, {
-      waitUntil: 'domcontentloaded',
-      timeout: LOGIN_TIMEOUT,
+    await plugin.testLogin(page, {
+      platform: plugin.name,
+      key: plugin.key,
+      config: plugin.config,
+      providerName: creds.providerName,
+      username: creds.username,
+      password: creds.password,
     });
-    await sleep(1000);
 
-    const userSel = 'input[name="username"], input#username, input[name="log"]';
-    await page.waitForSelector(userSel, { timeout: 10000 });
-    await page.fill(userSel, creds.username);
-    await page.fill('input[name="password"], input#password', creds.password);
-    await page.click('button[type="submit"], input[type="submit"]');
-    await sleep(2000);
-
-    return { success: true, platform: 'Nursing CE Central' };
+    return { success: true, platform: plugin.name };
   } catch (err) {
-    return { success: false, platform: 'Nursing CE Central', error: err.message };
+    return { success: false, platform: plugin.name, error: err.message };
   } finally {
     await context.close();
   }
 }
 
-// ─── Platform Tester Map ──────────────────────────────────────────────────────
-
-const platformTesters = {
-  'NetCE':             testNetCELogin,
-  'CEUfast':           testCEUfastLogin,
-  'AANP Cert':         testAANPCertLogin,
-  'ExclamationCE':     testExclamationCELogin,
-  'Nursece4less':      testNurseCE4LessLogin,
-  'Nursing CE Central': testNursingCECentralLogin,
-};
-
 // ─── Main ─────────────────────────────────────────────────────────────────────
 
 async function main() {
@@ -369,14 +163,14 @@ async function main() {
         continue;
       }
 
-      const tester = platformTesters[creds.platform];
-      if (!tester) {
+      const plugin = getPlatform(creds.platform);
+      if (!plugin) {
         logger.warn(`  Unknown platform: ${creds.platform}`);
         continue;
       }
 
       process.stdout.write(`  ${provider.name} [${creds.platform}]: `);
-      const result = await tester(browser, creds);
+      const result = await testPlatformLogin(browser, plugin, { ...creds, providerName: provider.name });
 
       if (result.success) {
         console.log('\x1b[32m✓ OK\x1b[0m');
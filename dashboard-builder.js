@@ -2,16 +2,14 @@
 
 const fs   = require('fs');
 const path = require('path');
-const { daysUntil, parseDate, getStatus, computeComplianceSummary, courseSearchUrl, calculateSubjectHoursWithLookback, formatLookbackCutoff, loadJson, saveJson } = require('./utils');
+const { daysUntil, parseDate, getStatus, computeComplianceSummary, courseSearchUrl, calculateSubjectHoursWithLookback, formatLookbackCutoff, loadJson, saveJson, licenseCycles, cycleResult } = require('./utils');
 const { getHealthSummary } = require('./credential-health');
 const { loadCosts, calculateAllProviderSpending, calculateRolling12MonthSpending } = require('./cost-utils');
 const { getAllUpdates } = require('./change-detector');
 const { getAllProviders } = require('./credentials-loader');
-
-// ─── Platform Registry ────────────────────────────────────────────────────────
-
-const platformsPath = path.join(__dirname, 'platforms.json');
-const platformsConfig = JSON.parse(fs.readFileSync(platformsPath, 'utf8'));
+const { listPlatforms } = require('./platform-registry');
+const { reconcileProviders } = require('./reconciliation');
+const { dedupeCourses } = require('./course-dedupe');
 
 const OUTPUT_HTML    = path.join(__dirname, 'dashboard.html');
 
@@ -40,7 +38,8 @@ function loadCourseHistory() {
 }
 
 /**
- * Merge new courses into existing history, deduplicating by date+name+hours.
+ * Merge new courses into existing history. Courses are deduplicated by
+ * course-dedupe.js: one per course, listing the sources that reported it.
  * Returns the merged history object.
  */
 function mergeCourseHistory(existingHistory, newCourses) {
@@ -51,35 +50,26 @@ function mergeCourseHistory(existingHistory, newCourses) {
       merged[providerName] = { courses: [], deadlines: [], platformSpend: {} };
     }
 
-    // Build index of existing courses for fast lookup
-    const existingCourseIndex = new Map();
-    (merged[providerName].courses || []).forEach((c, idx) => {
-      existingCourseIndex.set(`${c.date}|${c.name}|${c.hours}`, idx);
-    });
-
-    // Merge courses (dedupe by date+name+hours, but update cost/platform if new data available)
-    for (const course of (courses.courses || [])) {
-      const key = `${course.date}|${course.name}|${course.hours}`;
-      if (existingCourseIndex.has(key)) {
-        // Update existing course with cost/platform if available
-        const idx = existingCourseIndex.get(key);
-        if (course.cost && !merged[providerName].courses[idx].cost) {
-          merged[providerName].courses[idx].cost = course.cost;
-        }
-        if (course.platform && !merged[providerName].courses[idx].platform) {
-          merged[providerName].courses[idx].platform = course.platform;
-        }
-      } else {
-        merged[providerName].courses.push(course);
-        existingCourseIndex.set(key, merged[providerName].courses.length - 1);
-      }
-    }
+    // Merge courses (deduplicated below)
+    merged[providerName].courses = [...(merged[providerName].courses || []), ...(courses.courses || [])];
 
     // Update deadlines (replace with latest)
     if (courses.deadlines && courses.deadlines.length > 0) {
       merged[providerName].deadlines = courses.deadlines;
     }
 
+    // Update CE cycles, keeping archived ones this scrape didn't read again
+    if (courses.cycles && courses.cycles.length > 0) {
+      const cycleKey = c => `${c.state}|${c.licenseType}|${c.cycleId}`;
+      const fresh = new Set(courses.cycles.map(cycleKey));
+      merged[providerName].cycles = [
+        ...courses.cycles,
+        ...(merged[providerName].cycles || [])
+          .filter(c => !fresh.has(cycleKey(c)))
+          .map(c => ({ ...c, current: false })),
+      ].sort((a, b) => b.endDate.localeCompare(a.endDate));
+    }
+
     // Store provider type
     if (courses.type) {
       merged[providerName].type = courses.type;
@@ -94,9 +84,11 @@ function mergeCourseHistory(existingHistory, newCourses) {
     }
   }
 
-  // Sort courses by date (newest first) for each provider
+  // One entry per course (a later source fills in cost/platform/certificate),
+  // sorted by date (newest first) for each provider
   for (const providerName of Object.keys(merged)) {
     if (merged[providerName].courses) {
+      merged[providerName].courses = dedupeCourses(merged[providerName].courses).courses;
       merged[providerName].courses.sort((a, b) => new Date(b.date) - new Date(a.date));
     }
   }
@@ -228,9 +220,14 @@ function buildHistoryLog(history) {
  * Build and write dashboard.html.
  * @param {LicenseRecord[][]} allProviderRecords
  * @param {{ name:string, status:string, error?:string }[]} [runResults]
+ * @param {object} [options]
+ * @param {Array}  [options.history]       - Run history already exported from the database;
+ *                                           when given, history.json is not appended to.
+ * @param {object} [options.courseHistory] - Course history already exported from the database;
+ *                                           when given, course-history.json is not re-merged.
  */
-function buildDashboard(allProviderRecords, runResults = [], platformData = [], licenseData = null) {
-  const history = saveHistory(allProviderRecords, runResults);
+function buildDashboard(allProviderRecords, runResults = [], platformData = [], licenseData = null, options = {}) {
+  const history = options.history || saveHistory(allProviderRecords, runResults);
   const flat    = flattenRecords(allProviderRecords, runResults);
   const runDate = new Date().toLocaleString('en-US', { dateStyle: 'full', timeStyle: 'short' });
   const runIso  = new Date().toISOString();
@@ -272,16 +269,15 @@ function buildDashboard(allProviderRecords, runResults = [], platformData = [],
     return !hasPlatformData;
   });
 
-  // ── Platform overview data (loaded from platforms.json) ────────────────────
-  const ALL_PLATFORMS = Object.entries(platformsConfig)
-    .filter(([key, p]) => p.type === 'ceu-source')
-    .map(([key, p]) => ({
-      name: p.name,
-      url: p.urls.login.replace(/\/login.*$|\/signin.*$|\/my-account.*$/, ''),
-      slug: p.slug,
-      desc: p.description,
-      status: p.status,
-    }));
+  // ── Platform overview data (every plugin in platform-registry.js) ─────────
+  const ALL_PLATFORMS = listPlatforms().map(p => ({
+    name: p.name,
+    url: p.config.urls.login.replace(/\/login.*$|\/signin.*$|\/my-account.*$/, ''),
+    slug: p.config.slug,
+    desc: p.config.description,
+    status: p.config.status,
+  }));
+  const coveragePlatforms = ALL_PLATFORMS.filter(p => p.status === 'active');
   const platformStats = {};
   for (const pr of platformData) {
     if (!platformStats[pr.platform]) platformStats[pr.platform] = { providers: [], totalHours: 0 };
@@ -291,9 +287,14 @@ function buildDashboard(allProviderRecords, runResults = [], platformData = [],
 
   // ── Load cost data and calculate spending stats ────────────────────────────
   const costData = loadCosts();
-  const courseHistory = loadCourseHistory();
+  const courseHistory = options.courseHistory || loadCourseHistory();
   const spendingStats = calculateAllProviderSpending(courseHistory, costData);
 
+  // Platform courses that never reached CE Broker (reconciliation.js)
+  const reconciliation = reconcileProviders({ courseHistory, records: allProviderRecords.flat(), platformData });
+  const reconciliationByProvider = Object.fromEntries(reconciliation.map(r => [r.providerName, r]));
+  const unreported = reconciliation.filter(r => r.missing.length > 0 || r.possible.length > 0);
+
   // Aggregate orders from platform data
   const ordersByProvider = {};
   for (const pr of platformData) {
@@ -556,7 +557,7 @@ function buildDashboard(allProviderRecords, runResults = [], platformData = [],
   const lookbackComplianceData = [];
   for (const [pName, info] of Object.entries(providerMap)) {
     const providerStates = [...new Set(info.licenses.map(l => l.state).filter(Boolean))];
-    const allCourses = info.licenses.flatMap(l => l.completedCourses || []);
+    const allCourses = lookbackCourses(info.licenses, courseHistory[pName]);
 
     for (const state of providerStates) {
       const stateKey = STATE_REQUIREMENTS[state] ? state : STATE_ABBREV[state];
@@ -731,6 +732,7 @@ function buildDashboard(allProviderRecords, runResults = [], platformData = [],
                     ${c.date ? `<span class="course-item-date${isDuplicated ? ' highlight-date' : ''}">${escHtml(c.date)}</span>` : '<span class="course-item-date no-date">No date</span>'}
                     <span class="course-item-hours">${c.hours} hr${c.hours !== 1 ? 's' : ''}</span>
                     ${c.category ? `<span class="course-item-cat">${escHtml(c.category)}</span>` : ''}
+                    ${c.certificateUrl ? `<a class="course-item-cert" href="${escHtml(c.certificateUrl)}" download>Certificate ↓</a>` : ''}
                   </div>
                 </div>`;
               }).join('')}
@@ -786,11 +788,26 @@ function buildDashboard(allProviderRecords, runResults = [], platformData = [],
 
     const platformSection = buildPlatformSection(platformByProvider[pName] || []);
 
+    // Cycle-over-cycle history: archived cycles from the database export when
+    // there are any, otherwise the cycles this scrape read
+    const cycleSection = buildCycleHistorySection(
+      courseHistory[pName]?.cycles || info.licenses.flatMap(lic => licenseCycles(lic))
+    );
+
+    // Certificates stored for any of the provider's courses, archived or from this run
+    const certificateSection = buildCertificatesSection([
+      ...(courseHistory[pName]?.courses || []),
+      ...info.licenses.flatMap(l => l.completedCourses || []),
+      ...(platformByProvider[pName] || []).flatMap(pr => (pr.courses || []).map(c => ({ ...c, platform: pr.platform }))),
+    ]);
+
     // Build lookback compliance section
     const providerStates = [...new Set(info.licenses.map(l => l.state).filter(Boolean))];
-    const allCourses = info.licenses.flatMap(l => l.completedCourses || []);
+    const allCourses = lookbackCourses(info.licenses, courseHistory[pName]);
     const lookbackSection = buildLookbackComplianceSection(providerStates, info.type, allCourses);
 
+    const reconciliationSection = buildReconciliationSection(reconciliationByProvider[pName]);
+
     // Build spending section
     const providerSpending = spendingStats.byProvider[pName] || null;
     const providerOrders = ordersByProvider[pName] || [];
@@ -811,7 +828,10 @@ function buildDashboard(allProviderRecords, runResults = [], platformData = [],
       <div class="detail-overall"><span class="status-badge ${ovCls}">${ovLabel}</span></div>
     </div>
     <div>${licCards}</div>
+    ${cycleSection}
+    ${certificateSection}
     ${lookbackSection}
+    ${reconciliationSection}
     ${spendingSection}
     ${platformSection}
     <div class="notes-section" data-provider="${escHtml(pName)}">
@@ -1435,7 +1455,8 @@ function buildDashboard(allProviderRecords, runResults = [], platformData = [],
     const providerData = {
       type: info.type,
       courses: [],
-      deadlines: []
+      deadlines: [],
+      cycles: info.licenses.flatMap(lic => licenseCycles(lic))
     };
     for (const lic of info.licenses) {
       // Add deadline
@@ -1465,7 +1486,7 @@ function buildDashboard(allProviderRecords, runResults = [], platformData = [],
         }
       }
     }
-    if (providerData.courses.length > 0 || providerData.deadlines.length > 0) {
+    if (providerData.courses.length > 0 || providerData.deadlines.length > 0 || providerData.cycles.length > 0) {
       currentScrapeCourses[name] = providerData;
     }
   }
@@ -1508,11 +1529,15 @@ function buildDashboard(allProviderRecords, runResults = [], platformData = [],
   }
 
   // 2. Load existing course history and merge with current scrape
-  const existingHistory = loadCourseHistory();
-  const mergedHistory = mergeCourseHistory(existingHistory, currentScrapeCourses);
-
-  // 3. Save merged history
-  saveCourseHistory(mergedHistory);
+  //    (skipped when the database export already produced the merged history)
+  let mergedHistory = options.courseHistory;
+  if (!mergedHistory) {
+    const existingHistory = loadCourseHistory();
+    mergedHistory = mergeCourseHistory(existingHistory, currentScrapeCourses);
+
+    // 3. Save merged history
+    saveCourseHistory(mergedHistory);
+  }
 
   // 4. Build timeline data from merged history
   const timelineData = Object.entries(mergedHistory).map(([name, data]) => ({
@@ -2896,6 +2921,31 @@ function buildDashboard(allProviderRecords, runResults = [], platformData = [],
     .run-table-wrap { padding: 0 40px 40px; overflow-x: auto; }
     .run-table-wrap table { font-size: 0.84rem; }
 
+    /* ─ Live run status (only when served by server.js) ─ */
+    .run-status-panel { margin: 0 40px 24px; padding: 18px 20px; border: 1px solid var(--border-color); border-radius: 12px; background: var(--bg-primary); box-shadow: var(--shadow-sm); }
+    .run-status-head { display: flex; align-items: center; justify-content: space-between; gap: 12px; flex-wrap: wrap; }
+    .run-status-title { font-size: 0.95rem; font-weight: 700; color: var(--text-primary); }
+    .run-status-summary { font-size: 0.82rem; color: var(--text-secondary); margin-top: 4px; }
+    .run-status-bar { height: 6px; border-radius: 99px; background: var(--bg-tertiary); margin: 12px 0 4px; overflow: hidden; }
+    .run-status-bar span { display: block; height: 100%; background: var(--accent-primary); transition: width .3s; }
+    .run-status-btn { padding: 8px 16px; border: none; border-radius: 8px; background: var(--accent-primary); color: #fff; font-size: 0.82rem; font-weight: 600; cursor: pointer; }
+    .run-status-btn:disabled { opacity: .5; cursor: default; }
+    .run-status-error { color: var(--status-red); font-size: 0.82rem; margin-top: 8px; }
+    .run-status-panel table { font-size: 0.8rem; margin-top: 12px; }
+    .evidence-run-select { padding: 6px 10px; border: 1px solid var(--border-color); border-radius: 8px; background: var(--bg-primary); color: var(--text-primary); font-size: 0.82rem; }
+    .evidence-thumb { display: block; width: 120px; max-height: 80px; object-fit: cover; object-position: top; border: 1px solid var(--border-color); border-radius: 6px; }
+    .evidence-code { font-family: monospace; font-size: 0.75rem; color: var(--text-secondary); }
+    .run-challenge { display: flex; align-items: center; gap: 12px; flex-wrap: wrap; padding: 12px 0 0; margin-top: 12px; border-top: 1px solid var(--border-color); font-size: 0.84rem; }
+    .run-challenge > div { flex: 1; min-width: 220px; }
+    .run-challenge input { width: 120px; padding: 7px 10px; border: 1px solid var(--border-color); border-radius: 8px; background: var(--bg-primary); color: var(--text-primary); font-family: monospace; font-size: 0.9rem; letter-spacing: 1px; }
+    .import-upload { display: flex; align-items: center; gap: 8px; flex-wrap: wrap; font-size: 0.8rem; }
+    .import-item { padding: 12px 0 0; margin-top: 12px; border-top: 1px solid var(--border-color); font-size: 0.84rem; }
+    .import-item input[type=text], .import-item input[type=number] { width: 100%; min-width: 60px; padding: 4px 6px; border: 1px solid var(--border-color); border-radius: 6px; background: var(--bg-primary); color: var(--text-primary); font-size: 0.8rem; }
+    .import-item .import-issue td { color: var(--status-red); }
+    .import-actions { display: flex; gap: 8px; margin-top: 10px; }
+    .import-actions .secondary { background: var(--bg-tertiary); color: var(--text-primary); }
+    .import-actions input[type=number] { width: 90px; padding: 6px 8px; border: 1px solid var(--border-color); border-radius: 8px; background: var(--bg-primary); color: var(--text-primary); font-size: 0.8rem; }
+
     /* ─ Quick Filters ─ */
     .quick-filters { display: flex; gap: 10px; padding: 16px 40px; flex-wrap: wrap; align-items: center; }
     .quick-filter-label { font-size: 0.78rem; font-weight: 700; color: var(--text-secondary); text-transform: uppercase; letter-spacing: 0.5px; margin-right: 6px; }
@@ -3989,6 +4039,11 @@ function buildDashboard(allProviderRecords, runResults = [], platformData = [],
     .detail-sa-table tr:last-child td { border-bottom: none; }
     .sa-done  { color: #059669; font-weight: 600; }
     .sa-short { color: #dc2626; font-weight: 600; }
+    .cycle-current {
+      font-size: 0.65rem; font-weight: 700; text-transform: uppercase; color: #1d4ed8;
+      background: #eff6ff; padding: 1px 6px; border-radius: 6px; margin-left: 4px;
+    }
+    .cycle-short-areas { font-size: 0.72rem; color: #dc2626; margin-top: 2px; }
 
     .detail-lic-num {
       font-size: 0.72rem; color: #64748b; background: #f1f5f9;
@@ -4054,6 +4109,8 @@ function buildDashboard(allProviderRecords, runResults = [], platformData = [],
     .course-item-date.highlight-date { font-weight: 600; color: #1d4ed8; background: #dbeafe; padding: 1px 6px; border-radius: 4px; }
     .course-item-date.no-date { color: #cbd5e1; font-style: italic; }
     .course-item-cat { font-size: 0.68rem; color: #64748b; background: #f1f5f9; padding: 1px 5px; border-radius: 3px; }
+    .course-item-cert { font-size: 0.7rem; font-weight: 600; color: #1d4ed8; text-decoration: none; }
+    .course-item-cert:hover { text-decoration: underline; }
 
     /* ─ Chart section ─ */
     .chart-wrap { padding: 28px 40px 40px; }
@@ -4900,6 +4957,7 @@ function buildDashboard(allProviderRecords, runResults = [], platformData = [],
     .cred-gap-header { display: flex; align-items: center; gap: 10px; padding: 16px 20px; color: #fff; }
     .cred-gap-header.cred-gap-cebroker { background: linear-gradient(135deg, #ef4444 0%, #991b1b 100%); }
     .cred-gap-header.cred-gap-netce { background: linear-gradient(135deg, #f59e0b 0%, #92400e 100%); }
+    .cred-gap-header.cred-gap-unreported { background: linear-gradient(135deg, #6366f1 0%, #3730a3 100%); }
     .cred-gap-header.cred-gap-complete { background: linear-gradient(135deg, #16a34a 0%, #166534 100%); }
     .cred-gap-icon { font-size: 1.3rem; }
     .cred-gap-title { flex: 1; font-weight: 600; font-size: 0.95rem; }
@@ -6672,12 +6730,15 @@ function buildDashboard(allProviderRecords, runResults = [], platformData = [],
     <div class="matrix-legend">
       <span class="legend-item"><span class="legend-dot cov-yes"></span> <strong>Has Credentials</strong> - Provider credentials configured</span>
       <span class="legend-item"><span class="legend-dot cov-no"></span> <strong>No Credentials</strong> - Credentials needed</span>
+      <span class="legend-item"><span class="legend-dot cov-fail"></span> <strong>Failed</strong> - Last scrape failed</span>
     </div>
     <div class="matrix-wrap">
       <table class="coverage-matrix">
         <thead>
           <tr>
             <th class="cov-provider-hdr">Provider Name</th>
+            <th>CE Broker</th>
+            ${coveragePlatforms.map(p => `<th>${escHtml(p.name)}</th>`).join('')}
             <th>Credentials Status</th>
           </tr>
         </thead>
@@ -6706,20 +6767,33 @@ function buildDashboard(allProviderRecords, runResults = [], platformData = [],
                 noCredsCount++;
               }
 
+              // One cell per source: configured and scraped, configured but failing, or missing
+              const creds = providers.find(p => p.name === name);
+              const covCell = (configured, result) => !configured
+                ? '<td class="cov-no">—</td>'
+                : result && result.status !== 'success'
+                  ? '<td class="cov-fail">Failed</td>'
+                  : '<td class="cov-yes">Yes</td>';
+              const sourceCells = covCell(!!(creds?.username && creds?.password), cebrokerResult) +
+                coveragePlatforms.map(p => covCell(
+                  (creds?.platforms || []).some(c => c.platform === p.name) || providerPlatforms.some(r => r.platform === p.name),
+                  providerPlatforms.find(r => r.platform === p.name)
+                )).join('');
+
               const rowClass = hasCredentials ? 'cov-row-full' : 'cov-row-none';
               const statusCell = hasCredentials
                 ? '<td class="cov-yes" style="text-align:center;font-weight:700;color:#059669;">Yes</td>'
                 : '<td class="cov-no" style="text-align:center;font-weight:700;color:#dc2626;">No</td>';
 
               const safeName = escHtml(name).replace(/'/g, '&#39;');
-              return '<tr class="' + rowClass + '"><td class="cov-provider" onclick="openProvider(\'' + safeName + '\')">' + escHtml(name) + '</td>' + statusCell + '</tr>';
+              return '<tr class="' + rowClass + '"><td class="cov-provider" onclick="openProvider(\'' + safeName + '\')">' + escHtml(name) + '</td>' + sourceCells + statusCell + '</tr>';
             }).join('');
 
             // Summary footer
             const hasCredsPct = totalProviders > 0 ? Math.round((hasCredsCount / totalProviders) * 100) : 0;
             const footerCell = '<td><div class="cov-summary-stat"><span class="cov-summary-num sum-green">' + hasCredsCount + '</span><span class="cov-summary-pct">' + hasCredsPct + '% have credentials</span></div></td>';
 
-            return rows + '</tbody><tfoot><tr><td class="cov-summary-label">Total (' + totalProviders + ' providers)</td>' + footerCell + '</tr></tfoot>';
+            return rows + '</tbody><tfoot><tr><td class="cov-summary-label">Total (' + totalProviders + ' providers)</td><td colspan="' + (coveragePlatforms.length + 1) + '"></td>' + footerCell + '</tr></tfoot>';
           })()}
       </table>
     </div>
@@ -6778,6 +6852,31 @@ function buildDashboard(allProviderRecords, runResults = [], platformData = [],
         </div>
       </div>
 
+      <!-- Platform courses not in CE Broker -->
+      <div class="cred-gap-card">
+        <div class="cred-gap-header cred-gap-unreported">
+          <span class="cred-gap-icon">⇄</span>
+          <span class="cred-gap-title">Not Reported to CE Broker</span>
+          <span class="cred-gap-count">${unreported.length}</span>
+        </div>
+        <div class="cred-gap-body">
+          <div class="cred-gap-subtitle">Platform courses with no matching CE Broker course (${unreported.filter(r => r.missing.length > 0).length})</div>
+          <div class="cred-gap-list">
+            ${unreported.filter(r => r.missing.length > 0).map(r => {
+              const safeName = escHtml(r.providerName).replace(/'/g, '&#39;');
+              return '<span class="cred-gap-chip" onclick="openProvider(\'' + safeName + '\')">' + escHtml(r.providerName) + ' <small>(' + r.missing.length + ' course' + (r.missing.length === 1 ? '' : 's') + ', ' + r.missingHours + 'h)</small></span>';
+            }).join('') || '<span class="cred-gap-none">None</span>'}
+          </div>
+          <div class="cred-gap-subtitle" style="margin-top: 12px;">Possible matches to check (${unreported.filter(r => r.possible.length > 0).length})</div>
+          <div class="cred-gap-list">
+            ${unreported.filter(r => r.possible.length > 0).map(r => {
+              const safeName = escHtml(r.providerName).replace(/'/g, '&#39;');
+              return '<span class="cred-gap-chip cred-gap-chip-none" onclick="openProvider(\'' + safeName + '\')">' + escHtml(r.providerName) + ' <small>(' + r.possible.length + ')</small></span>';
+            }).join('') || '<span class="cred-gap-none">None</span>'}
+          </div>
+        </div>
+      </div>
+
       <!-- Have Both -->
       <div class="cred-gap-card">
         <div class="cred-gap-header cred-gap-complete">
@@ -6893,6 +6992,59 @@ function buildDashboard(allProviderRecords, runResults = [], platformData = [],
 
   <!-- Run Log View -->
   <div class="report-view" id="report-runlog">
+    <div class="run-status-panel" id="runStatusPanel" hidden>
+      <div class="run-status-head">
+        <div>
+          <div class="run-status-title" id="runStatusTitle">Scrape runs</div>
+          <div class="run-status-summary" id="runStatusSummary">Checking for runs…</div>
+        </div>
+        <button class="run-status-btn" id="runStatusStart" onclick="startScrapeRun()">Run now</button>
+      </div>
+      <div class="run-status-bar"><span id="runStatusBar" style="width:0%"></span></div>
+      <div class="run-status-error" id="runStatusError" hidden></div>
+      <div id="runStatusProviders"></div>
+    </div>
+    <div class="run-status-panel" id="challengePanel" hidden>
+      <div class="run-status-title">Verification codes</div>
+      <div class="run-status-summary">These logins are paused until a portal's one-time code is entered.</div>
+      <div class="run-status-error" id="challengeError" hidden></div>
+      <div id="challengeItems"></div>
+    </div>
+    <div class="run-status-panel" id="evidencePanel" hidden>
+      <div class="run-status-head">
+        <div>
+          <div class="run-status-title">Failure evidence</div>
+          <div class="run-status-summary" id="evidenceSummary"></div>
+        </div>
+        <select class="evidence-run-select" id="evidenceRun" onchange="loadRunEvidence(this.value)" hidden></select>
+      </div>
+      <div id="evidenceItems"></div>
+    </div>
+    <div class="run-status-panel" id="importPanel" hidden>
+      <div class="run-status-head">
+        <div>
+          <div class="run-status-title">Course imports</div>
+          <div class="run-status-summary">CE from platforms without a scraper: upload a CSV transcript, a vendor's XLSX export or a PDF certificate, check the rows, then confirm.</div>
+        </div>
+        <form class="import-upload" onsubmit="return uploadImport(event)">
+          <select class="evidence-run-select" name="provider" id="importProvider" required></select>
+          <input type="file" name="file" accept=".csv,.xlsx,.pdf" required>
+          <button class="run-status-btn" type="submit">Upload</button>
+        </form>
+      </div>
+      <div class="run-status-error" id="importError" hidden></div>
+      <div id="importItems"></div>
+    </div>
+    <div class="run-status-panel" id="reviewPanel" hidden>
+      <div class="run-status-head">
+        <div>
+          <div class="run-status-title">Duplicate courses</div>
+          <div class="run-status-summary" id="reviewSummary"></div>
+        </div>
+      </div>
+      <div class="run-status-error" id="reviewError" hidden></div>
+      <div id="reviewItems"></div>
+    </div>
     <div class="run-table-wrap">
       <table>
         <thead><tr>
@@ -8046,6 +8198,372 @@ function buildDashboard(allProviderRecords, runResults = [], platformData = [],
     if (name === 'charts') initCharts();
   }
 
+  // ── Live Run Status ──
+  // Talks to server.js (/api/runs); on the static Vercel site there is no API and
+  // the panel stays hidden.
+  const RUN_STAGE_LABELS = { queued: 'Queued', login: 'Logging in', license: 'License data', courses: 'Course history', platforms: 'Platforms', done: 'Done' };
+  let runEvents = null;
+
+  async function loadRunStatus() {
+    const panel = document.getElementById('runStatusPanel');
+    if (!panel || !window.EventSource) return;
+    try {
+      const res = await fetch('/api/runs?limit=5', { headers: { Accept: 'application/json' } });
+      if (res.status === 503) {
+        panel.hidden = false;
+        showRunError((await res.json()).error);
+        document.getElementById('runStatusStart').disabled = true;
+        return;
+      }
+      if (!res.ok) return;
+      const jobs = await res.json();
+      panel.hidden = false;
+      const current = jobs.active[0] || jobs.waiting[0];
+      if (current) watchScrapeRun(current.id);
+      else renderScrapeRun(latestRun(jobs.completed.concat(jobs.failed)));
+    } catch (e) {
+      // no API here (static deployment)
+    }
+  }
+
+  function latestRun(jobs) {
+    return jobs.sort((a, b) => String(b.finishedAt).localeCompare(String(a.finishedAt)))[0] || null;
+  }
+
+  async function startScrapeRun() {
+    const btn = document.getElementById('runStatusStart');
+    btn.disabled = true;
+    showRunError(null);
+    const res = await fetch('/api/runs', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      showRunError(res.status === 403 ? 'Only admins can start a run.' : (body.error || 'Could not start the run.'));
+      btn.disabled = false;
+      return;
+    }
+    watchScrapeRun(body.id);
+  }
+
+  function watchScrapeRun(id) {
+    if (runEvents) runEvents.close();
+    runEvents = new EventSource('/api/runs/' + encodeURIComponent(id) + '/events');
+    runEvents.addEventListener('progress', e => renderScrapeRun(JSON.parse(e.data)));
+    runEvents.addEventListener('end', e => {
+      runEvents.close();
+      runEvents = null;
+      renderScrapeRun(JSON.parse(e.data));
+    });
+  }
+
+  function showRunError(message) {
+    const el = document.getElementById('runStatusError');
+    el.hidden = !message;
+    el.textContent = message || '';
+  }
+
+  function renderScrapeRun(job) {
+    const running = job && (job.status === 'active' || job.status === 'waiting');
+    document.getElementById('runStatusStart').disabled = !!running;
+    if (!job) {
+      document.getElementById('runStatusSummary').textContent = 'No runs queued from the dashboard yet.';
+      return;
+    }
+    const p = job.progress || {};
+    const total = p.total || 0;
+    const done = p.completed || 0;
+    const who = job.data && job.data.providerNames ? job.data.providerNames.join(', ') : 'all providers';
+    const statusText = {
+      waiting: 'Waiting for the worker',
+      active: 'Running' + (p.phase ? ' — ' + p.phase : ''),
+      completed: 'Finished ' + (job.finishedAt ? new Date(job.finishedAt).toLocaleString() : ''),
+      failed: 'Failed: ' + (job.failedReason || 'unknown error'),
+    }[job.status] || job.status;
+
+    document.getElementById('runStatusTitle').textContent = 'Run #' + job.id + ' (' + who + ')';
+    document.getElementById('runStatusSummary').textContent = statusText + (total ? ' · ' + done + '/' + total + ' providers done' : '');
+    document.getElementById('runStatusBar').style.width = (job.status === 'completed' ? 100 : total ? Math.round(done / total * 100) : 0) + '%';
+
+    const rows = (p.providers || []).map(pr => {
+      const badge = pr.status === 'failed' ? 'status-risk' : pr.status === 'running' ? 'status-progress' : pr.status === 'success' ? 'status-complete' : 'status-pending';
+      return '<tr><td>' + escapeHtml(pr.name) + '</td>' +
+        '<td>' + escapeHtml(RUN_STAGE_LABELS[pr.stage] || pr.stage) + '</td>' +
+        '<td><span class="status-badge ' + badge + '">' + escapeHtml(pr.status) + '</span></td>' +
+        '<td>' + escapeHtml(pr.error || pr.detail || '') + '</td></tr>';
+    }).join('');
+    document.getElementById('runStatusProviders').innerHTML = rows
+      ? '<table><thead><tr><th>Provider</th><th>Stage</th><th>Status</th><th>Detail</th></tr></thead><tbody>' + rows + '</tbody></table>'
+      : '';
+    if (running) loadChallenges();
+  }
+
+  document.addEventListener('DOMContentLoaded', loadRunStatus);
+
+  // ── Verification Codes ──
+  // Portal logins paused for a one-time code (login-challenges.js). Admins only
+  // (/api/admin/challenges); checked on load, with every run update and every 15s.
+  let shownChallenges = '';
+  let challengePoll = null;
+
+  async function loadChallenges() {
+    const panel = document.getElementById('challengePanel');
+    if (!panel) return;
+    try {
+      const res = await fetch('/api/admin/challenges', { headers: { Accept: 'application/json' } });
+      if (!res.ok) return;
+      const { data } = await res.json();
+      if (!challengePoll) challengePoll = setInterval(loadChallenges, 15000);
+      panel.hidden = data.length === 0;
+      // Re-render only when the list changes, so a code being typed isn't wiped
+      const ids = data.map(c => c.id).join(',');
+      if (ids === shownChallenges) return;
+      shownChallenges = ids;
+      document.getElementById('challengeItems').innerHTML = data.map(c =>
+        '<form class="run-challenge" onsubmit="return answerChallenge(event, ' + c.id + ')">' +
+        '<div><strong>' + escapeHtml(c.providerName) + '</strong> · ' + escapeHtml(c.source) + ' — ' +
+        (c.kind === 'email' ? 'code sent by email' : 'one-time passcode') +
+        ', until ' + escapeHtml(new Date(c.expiresAt).toLocaleTimeString()) +
+        (c.prompt ? '<div class="evidence-code">' + escapeHtml(c.prompt) + '</div>' : '') + '</div>' +
+        '<input name="code" autocomplete="one-time-code" placeholder="Code" required>' +
+        '<button class="run-status-btn" type="submit">Continue login</button></form>'
+      ).join('');
+    } catch (e) {
+      // no API here (static deployment)
+    }
+  }
+
+  async function answerChallenge(event, id) {
+    event.preventDefault();
+    const form = event.target;
+    form.querySelector('button').disabled = true;
+    const res = await fetch('/api/admin/challenges/' + encodeURIComponent(id), {
+      method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ code: form.code.value }),
+    });
+    const body = await res.json().catch(() => ({}));
+    const error = document.getElementById('challengeError');
+    error.hidden = res.ok;
+    error.textContent = res.ok ? '' : (body.error || 'Could not send the code.');
+    form.querySelector('button').disabled = false;
+    shownChallenges = '';
+    loadChallenges();
+    return false;
+  }
+
+  document.addEventListener('DOMContentLoaded', loadChallenges);
+
+  // ── Failure Evidence ──
+  // Screenshots and Playwright traces of failed attempts, by run. Admins only
+  // (/api/admin/evidence); hidden for everyone else and on the static site.
+  async function loadEvidenceRuns() {
+    const panel = document.getElementById('evidencePanel');
+    if (!panel) return;
+    try {
+      const res = await fetch('/api/admin/evidence', { headers: { Accept: 'application/json' } });
+      if (!res.ok) return;
+      const { retentionDays, runs } = await res.json();
+      panel.hidden = false;
+      document.getElementById('evidenceSummary').textContent = runs.length
+        ? 'Screenshots and traces of failed logins and scrapes, kept for ' + retentionDays + ' days.'
+        : 'No failed attempts in the last ' + retentionDays + ' days.';
+      const select = document.getElementById('evidenceRun');
+      select.hidden = runs.length === 0;
+      select.innerHTML = runs.map(r =>
+        '<option value="' + r.runId + '">Run #' + r.runId +
+        (r.startedAt ? ' — ' + escapeHtml(new Date(r.startedAt).toLocaleString()) : '') +
+        ' (' + r.failures + ' failed attempt' + (r.failures === 1 ? '' : 's') + ')</option>'
+      ).join('');
+      if (runs.length) loadRunEvidence(runs[0].runId);
+    } catch (e) {
+      // no API here (static deployment)
+    }
+  }
+
+  async function loadRunEvidence(runId) {
+    const res = await fetch('/api/admin/evidence/runs/' + encodeURIComponent(runId), { headers: { Accept: 'application/json' } });
+    if (!res.ok) return;
+    const { data } = await res.json();
+    const rows = data.map(e => {
+      const shot = e.screenshotUrl
+        ? '<a href="' + e.screenshotUrl + '" target="_blank" rel="noopener"><img class="evidence-thumb" src="' + e.screenshotUrl + '" alt="Screenshot" loading="lazy"></a>'
+        : '—';
+      const trace = e.traceUrl
+        ? '<a href="' + e.traceUrl + '" download title="Open with npx playwright show-trace">Trace</a>'
+        : '—';
+      return '<tr><td>' + escapeHtml(e.providerName) + '</td>' +
+        '<td>' + escapeHtml(e.source) + '<div class="evidence-code">' + escapeHtml(e.label || '') + '</div></td>' +
+        '<td>' + escapeHtml(e.error || '') + (e.errorCode ? '<div class="evidence-code">' + escapeHtml(e.errorCode) + '</div>' : '') + '</td>' +
+        '<td>' + shot + '</td><td>' + trace + '</td></tr>';
+    }).join('');
+    document.getElementById('evidenceItems').innerHTML =
+      '<table><thead><tr><th>Provider</th><th>Source</th><th>Error</th><th>Screenshot</th><th>Trace</th></tr></thead><tbody>' + rows + '</tbody></table>';
+  }
+
+  document.addEventListener('DOMContentLoaded', loadEvidenceRuns);
+
+  // ── Course Imports ──
+  // Transcripts and certificates uploaded by hand (course-import.js). Admins only
+  // (/api/admin/imports): each pending import's rows can be corrected or unticked
+  // before they are confirmed as courses.
+  const IMPORT_FIELDS = [['name', 'text'], ['date', 'text'], ['hours', 'number'], ['provider', 'text'], ['category', 'text'], ['cost', 'number']];
+
+  async function loadImports() {
+    const panel = document.getElementById('importPanel');
+    if (!panel) return;
+    try {
+      const res = await fetch('/api/admin/imports?status=pending', { headers: { Accept: 'application/json' } });
+      if (!res.ok) return;
+      const { data } = await res.json();
+      if (panel.hidden) {
+        const names = [...new Set(SEARCH_DATA.map(p => p.name))].sort();
+        document.getElementById('importProvider').innerHTML = '<option value="">Provider…</option>' +
+          names.map(n => '<option>' + escapeHtml(n) + '</option>').join('');
+        panel.hidden = false;
+      }
+      document.getElementById('importItems').innerHTML = data.map(renderImport).join('');
+    } catch (e) {
+      // no API here (static deployment)
+    }
+  }
+
+  function renderImport(imp) {
+    const rows = imp.rows.map((r, i) =>
+      '<tr data-row="' + i + '"' + (r.issues && r.issues.length ? ' class="import-issue"' : '') + '>' +
+      '<td><input type="checkbox" name="include"' + (r.include === false ? '' : ' checked') + '>' +
+      (r.certificateUrl ? '<input type="hidden" name="certificateUrl" value="' + escapeHtml(r.certificateUrl) + '">' : '') + '</td>' +
+      IMPORT_FIELDS.map(([f, type]) =>
+        '<td><input type="' + type + '" name="' + f + '"' + (type === 'number' ? ' step="any" min="0"' : '') +
+        ' value="' + escapeHtml(r[f] ?? '') + '"' + (f === 'date' ? ' placeholder="YYYY-MM-DD"' : '') + '></td>'
+      ).join('') +
+      '<td>' + escapeHtml((r.issues || []).join(', ')) + '</td></tr>'
+    ).join('');
+    return '<div class="import-item" id="import-' + imp.id + '">' +
+      '<strong>' + escapeHtml(imp.providerName) + '</strong> · <a href="/api/admin/imports/' + imp.id + '/source">' + escapeHtml(imp.filename) + '</a>' +
+      ' — uploaded by ' + escapeHtml(imp.createdBy || 'unknown') + ', ' + escapeHtml(new Date(imp.createdAt).toLocaleString()) +
+      imp.warnings.map(w => '<div class="evidence-code">' + escapeHtml(w) + '</div>').join('') +
+      '<table><thead><tr><th></th><th>Course</th><th>Date</th><th>Hours</th><th>CE provider</th><th>Category</th><th>Cost</th><th>Needs</th></tr></thead><tbody>' + rows + '</tbody></table>' +
+      '<div class="import-actions"><button class="run-status-btn" onclick="reviewImport(' + imp.id + ', \\'confirm\\')">Confirm</button>' +
+      '<button class="run-status-btn secondary" onclick="reviewImport(' + imp.id + ', \\'discard\\')">Discard</button></div></div>';
+  }
+
+  function showImportError(message, details) {
+    const error = document.getElementById('importError');
+    error.hidden = !message;
+    error.innerHTML = message ? escapeHtml(message) + (details || []).map(d => '<div>' + escapeHtml(d) + '</div>').join('') : '';
+  }
+
+  async function uploadImport(event) {
+    event.preventDefault();
+    const form = event.target;
+    const file = form.file.files[0];
+    if (!file) return false;
+    form.querySelector('button').disabled = true;
+    const res = await fetch('/api/admin/imports?provider=' + encodeURIComponent(form.provider.value) + '&filename=' + encodeURIComponent(file.name), {
+      method: 'POST', headers: { 'Content-Type': 'application/octet-stream' }, body: file,
+    });
+    const body = await res.json().catch(() => ({}));
+    showImportError(res.ok ? '' : (body.error || 'Upload failed.'));
+    form.querySelector('button').disabled = false;
+    if (res.ok) form.reset();
+    loadImports();
+    return false;
+  }
+
+  async function reviewImport(id, action) {
+    const item = document.getElementById('import-' + id);
+    const rows = [...item.querySelectorAll('tr[data-row]')].map(tr => {
+      const row = { include: tr.querySelector('[name=include]').checked };
+      for (const [f] of IMPORT_FIELDS) row[f] = tr.querySelector('[name=' + f + ']').value;
+      const cert = tr.querySelector('[name=certificateUrl]');
+      if (cert) row.certificateUrl = cert.value;
+      return row;
+    });
+    if (action === 'discard' && !confirm('Discard this import? The uploaded file is kept.')) return;
+    item.querySelectorAll('button').forEach(b => { b.disabled = true; });
+    const res = await fetch('/api/admin/imports/' + encodeURIComponent(id) + '/' + action, {
+      method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(action === 'confirm' ? { rows } : {}),
+    });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      showImportError(body.error || 'Could not ' + action + ' the import.', body.details);
+      item.querySelectorAll('button').forEach(b => { b.disabled = false; });
+      return;
+    }
+    showImportError('');
+    loadImports();
+  }
+
+  document.addEventListener('DOMContentLoaded', loadImports);
+
+  // ── Course Reviews ──
+  // Duplicate courses course-dedupe.js can't settle alone. Admins only
+  // (/api/admin/course-reviews): pick the hours when a course's sources disagree,
+  // or say whether two similar courses from different sources are one.
+  let courseReviews = [];
+
+  async function loadCourseReviews() {
+    const panel = document.getElementById('reviewPanel');
+    if (!panel) return;
+    try {
+      const res = await fetch('/api/admin/course-reviews?status=pending', { headers: { Accept: 'application/json' } });
+      if (!res.ok) return;
+      courseReviews = (await res.json()).data;
+      panel.hidden = courseReviews.length === 0;
+      document.getElementById('reviewSummary').textContent = courseReviews.length + ' waiting for a decision. Until then, similar courses count separately and a disputed course counts at the hours shown.';
+      document.getElementById('reviewItems').innerHTML = courseReviews.map(renderCourseReview).join('');
+    } catch (e) {
+      // no API here (static deployment)
+    }
+  }
+
+  function reviewSources(course) {
+    return course.sources.map(s => escapeHtml(s.source) + ' ' + s.hours + ' h').join(', ');
+  }
+
+  function renderCourseReview(review, i) {
+    const head = '<strong>' + escapeHtml(review.providerName) + '</strong> · ';
+    if (review.kind === 'hours') {
+      const byHours = {};
+      for (const o of review.options) (byHours[o.hours] = byHours[o.hours] || []).push(o.source);
+      const choices = Object.entries(byHours).map(([hours, sources]) =>
+        '<button class="run-status-btn secondary" onclick="decideCourseReview(' + i + ', \\'hours\\', ' + Number(hours) + ')">' +
+        hours + ' h (' + escapeHtml(sources.join(', ')) + ')</button>').join('');
+      return '<div class="import-item" id="review-' + i + '">' + head + escapeHtml(review.course.name) + ', ' + escapeHtml(review.course.date) +
+        '<div class="evidence-code">Its sources disagree on the hours. Counted as ' + review.hours + ' h for now.</div>' +
+        '<div class="import-actions">' + choices +
+        '<input type="number" name="hours" step="any" min="0" placeholder="Other">' +
+        '<button class="run-status-btn" onclick="decideCourseReview(' + i + ', \\'hours\\')">Use</button></div></div>';
+    }
+    const rows = review.courses.map(c =>
+      '<tr><td>' + escapeHtml(c.name) + '</td><td>' + escapeHtml(c.date) + '</td><td>' + c.hours + '</td><td>' + reviewSources(c) + '</td></tr>'
+    ).join('');
+    return '<div class="import-item" id="review-' + i + '">' + head + 'possibly the same course (' + Math.round(review.similarity * 100) + '% alike, ' +
+      review.daysApart + ' day(s) apart)' +
+      '<table><thead><tr><th>Course</th><th>Date</th><th>Hours</th><th>Sources</th></tr></thead><tbody>' + rows + '</tbody></table>' +
+      '<div class="import-actions"><button class="run-status-btn" onclick="decideCourseReview(' + i + ', \\'merge\\')">Same course</button>' +
+      '<button class="run-status-btn secondary" onclick="decideCourseReview(' + i + ', \\'separate\\')">Different courses</button></div></div>';
+  }
+
+  async function decideCourseReview(i, decision, hours) {
+    const review = courseReviews[i];
+    const item = document.getElementById('review-' + i);
+    if (decision === 'hours' && hours === undefined) hours = parseFloat(item.querySelector('[name=hours]').value);
+    const error = document.getElementById('reviewError');
+    item.querySelectorAll('button').forEach(b => { b.disabled = true; });
+    const res = await fetch('/api/admin/course-reviews', {
+      method: 'POST', headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ provider: review.providerName, kind: review.kind, key: review.key, decision, hours }),
+    });
+    const body = await res.json().catch(() => ({}));
+    error.hidden = res.ok;
+    error.textContent = res.ok ? '' : (body.error || 'Could not save the decision.');
+    if (!res.ok) {
+      item.querySelectorAll('button').forEach(b => { b.disabled = false; });
+      return;
+    }
+    loadCourseReviews();
+  }
+
+  document.addEventListener('DOMContentLoaded', loadCourseReviews);
+
   // ── Platform View Toggles ──
   function showPlatformView(name) {
     const platformsTab = document.getElementById('tab-platforms');
@@ -9632,6 +10150,128 @@ function buildHoursBar(completed, required) {
   </div>`;
 }
 
+/**
+ * Build the "CE Cycle History" section HTML for a provider drawer: one row per
+ * license cycle, newest first, with the subject areas an earlier cycle fell short on.
+ * Hidden until there is at least one cycle before the current one.
+ * @param {Array} cycles - course-history.json cycle entries (utils.licenseCycles)
+ */
+function buildCycleHistorySection(cycles) {
+  if (!cycles || !cycles.some(c => !c.current)) return '';
+
+  const resultCls = { Met: 'sa-done', Short: 'sa-short' };
+  const rows = cycles.map(c => {
+    const result = cycleResult(c);
+    const shortAreas = c.current ? [] : (c.subjectAreas || []).filter(sa => sa.needed > 0);
+    const dates = `${formatCycleDate(c.startDate)} – ${formatCycleDate(c.endDate)}`;
+    return `<tr>
+      <td>${escHtml(c.state || '')}</td>
+      <td>${escHtml(dates)}${c.current ? ' <span class="cycle-current">current</span>' : ''}${shortAreas.length > 0
+        ? `<div class="cycle-short-areas">Short: ${shortAreas.map(sa => `${escHtml(sa.topic || '')} (${sa.needed}h)`).join(', ')}</div>`
+        : ''}</td>
+      <td style="text-align:center">${c.hoursRequired ?? '—'}</td>
+      <td style="text-align:center">${c.hoursCompleted ?? '—'}</td>
+      <td style="text-align:center">${c.courseCount ?? '—'}</td>
+      <td style="text-align:center" class="${resultCls[result] || ''}">${escHtml(result)}</td>
+    </tr>`;
+  }).join('');
+
+  return `<div class="drawer-section">
+    <div class="drawer-section-title">CE Cycle History</div>
+    <table class="detail-sa-table">
+      <thead><tr>
+        <th>State</th>
+        <th>Cycle</th>
+        <th style="text-align:center">Req</th>
+        <th style="text-align:center">Posted</th>
+        <th style="text-align:center">Courses</th>
+        <th style="text-align:center">Result</th>
+      </tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+  </div>`;
+}
+
+/** YYYY-MM-DD → MM/DD/YYYY, the way CE Broker shows cycle dates */
+function formatCycleDate(iso) {
+  const [y, m, d] = String(iso || '').split('-');
+  return d ? `${m}/${d}/${y}` : String(iso || '');
+}
+
+/**
+ * Build the "Certificates" section HTML for a provider drawer: each stored
+ * completion certificate (certificates.js), newest first, with a download link.
+ * @param {Array} courses - courses from any source; those without a certificateUrl are skipped
+ */
+function buildCertificatesSection(courses) {
+  const byUrl = new Map();
+  for (const c of courses) {
+    if (c.certificateUrl && !byUrl.has(c.certificateUrl)) byUrl.set(c.certificateUrl, c);
+  }
+  if (byUrl.size === 0) return '';
+
+  const certs = [...byUrl.values()].sort((a, b) => (parseDate(b.date) || 0) - (parseDate(a.date) || 0));
+  const rows = certs.map(c => `<tr>
+      <td>${escHtml(c.date || '')}</td>
+      <td>${escHtml(c.name || '')}</td>
+      <td>${escHtml(c.platform || 'CE Broker')}</td>
+      <td style="text-align:center">${c.hours ?? '—'}</td>
+      <td style="text-align:center"><a class="course-item-cert" href="${escHtml(c.certificateUrl)}" download>PDF ↓</a></td>
+    </tr>`).join('');
+
+  return `<div class="drawer-section">
+    <div class="drawer-section-title">Certificates (${certs.length})</div>
+    <table class="detail-sa-table">
+      <thead><tr>
+        <th>Completed</th>
+        <th>Course</th>
+        <th>Source</th>
+        <th style="text-align:center">Hrs</th>
+        <th style="text-align:center">File</th>
+      </tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+  </div>`;
+}
+
+/**
+ * Build the "CE Broker Reconciliation" section HTML for a provider drawer: the
+ * platform courses missing from CE Broker, and weak matches worth a look.
+ * @param {object} [result] - The provider's reconcileProviders() entry
+ */
+function buildReconciliationSection(result) {
+  if (!result) return '';
+  const { checked, since, reported, possible, missing, missingHours } = result;
+
+  const row = (entry, status) => `<tr>
+      <td>${escHtml(entry.course.date)}</td>
+      <td>${escHtml(entry.course.name || '')}</td>
+      <td>${escHtml(entry.course.platform || '')}</td>
+      <td style="text-align:center">${entry.course.hours ?? '—'}</td>
+      <td>${status}</td>
+    </tr>`;
+  const rows = [
+    ...missing.map(m => row(m, '<span class="status-badge status-risk">Not in CE Broker</span>')),
+    ...possible.map(p => row(p, `Check: ${escHtml(p.match.name)} <small>(${escHtml(p.match.date)}, ${p.match.hours ?? '?'}h)</small>`)),
+  ].join('');
+
+  return `<div class="drawer-section">
+    <div class="drawer-section-title">CE Broker Reconciliation</div>
+    <div class="detail-type-lbl">${reported.length} of ${checked} platform course${checked === 1 ? '' : 's'} since ${escHtml(since)} found in CE Broker${
+      missing.length ? ` · <strong>${missing.length} missing (${missingHours}h)</strong>` : ''}</div>
+    ${rows ? `<table class="detail-sa-table">
+      <thead><tr>
+        <th>Completed</th>
+        <th>Course</th>
+        <th>Platform</th>
+        <th style="text-align:center">Hrs</th>
+        <th>CE Broker</th>
+      </tr></thead>
+      <tbody>${rows}</tbody>
+    </table>` : ''}
+  </div>`;
+}
+
 /**
  * Build the "Platform CEU Accounts" section HTML for a provider drawer.
  * @param {Array} platformResults  Array of platform result objects for one provider
@@ -9726,6 +10366,23 @@ function buildPlatformSection(platformResults) {
   </div>`;
 }
 
+/**
+ * Courses counted toward lookback requirements: the ones CE Broker reports, plus
+ * courses imported by hand (course-import.js) that CE Broker doesn't list
+ * @param {Array} licenses - the provider's license records
+ * @param {object} [history] - the provider's course-history.json entry
+ */
+function lookbackCourses(licenses, history) {
+  const identity = c => `${String(c.name || '').trim().toLowerCase()}|${parseDate(c.date)?.toISOString().slice(0, 10) || ''}`;
+  // One per course, counting the hours course-history.json settled on (issuer's or an admin's)
+  const settledHours = new Map((history?.courses || []).map(c => [c.courseKey, c.hours]));
+  const reported = dedupeCourses(licenses.flatMap(l => (l.completedCourses || []).map(c => ({ ...c, state: l.state }))))
+    .courses.map(c => (settledHours.has(c.courseKey) ? { ...c, hours: settledHours.get(c.courseKey) } : c));
+  const seen = new Set(reported.map(identity));
+  const imported = (history?.courses || []).filter(c => c.importId && !seen.has(identity(c)));
+  return [...reported, ...imported];
+}
+
 /**
  * Build the "Lookback Compliance" section HTML for a provider drawer.
  * Shows state-specific requirements with lookback periods (e.g., FL 5-year pharmacology).
@@ -6,122 +6,197 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
+const { parseDate, loadJson, saveJson, licenseCycles } = require('./utils');
+const { calculateStats, getStateName } = require('./license-scraper');
+const { dedupeCourses } = require('./course-dedupe');
 
 const DB_PATH = process.env.DATABASE_PATH || path.join(__dirname, 'ceu_tracker.db');
+const PUBLIC_DIR = path.join(__dirname, 'public');
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
 
 let db = null;
 
 /**
- * Initialize the database connection and create tables
+ * Initialize the database connection and bring the schema up to date
  */
 function initDatabase() {
   if (db) return db;
 
-  db = new Database(DB_PATH);
-  db.pragma('journal_mode = WAL'); // Better concurrent read performance
-
-  // Create tables
-  db.exec(`
-    -- Providers table
-    CREATE TABLE IF NOT EXISTS providers (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      name TEXT UNIQUE NOT NULL,
-      type TEXT NOT NULL,
-      email TEXT,
-      has_ce_broker_creds INTEGER DEFAULT 0,
-      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-    );
+  db = openDatabase();
+  try {
+    applyMigrations(db);
+  } catch (err) {
+    db.close();
+    db = null;
+    throw err;
+  }
 
-    -- Compliance records (snapshots from CE Broker)
-    CREATE TABLE IF NOT EXISTS compliance_records (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      provider_id INTEGER NOT NULL,
-      state TEXT,
-      license_type TEXT,
-      renewal_deadline TEXT,
-      hours_required REAL,
-      hours_completed REAL,
-      hours_remaining REAL,
-      scraped_at TEXT DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (provider_id) REFERENCES providers(id)
-    );
+  console.log('[Database] Initialized:', DB_PATH);
+  return db;
+}
 
-    -- Subject area requirements
-    CREATE TABLE IF NOT EXISTS subject_areas (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      compliance_record_id INTEGER NOT NULL,
-      subject TEXT NOT NULL,
-      hours_required REAL,
-      hours_completed REAL,
-      FOREIGN KEY (compliance_record_id) REFERENCES compliance_records(id)
-    );
+/**
+ * Open the database without touching the schema (migrate:status / migrate:down)
+ */
+function openDatabase() {
+  const conn = new Database(DB_PATH);
+  conn.pragma('journal_mode = WAL'); // Better concurrent read performance
+  conn.pragma('busy_timeout = 5000'); // Wait for a dashboard/server reader to let go
+  return conn;
+}
 
-    -- Course history
-    CREATE TABLE IF NOT EXISTS courses (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      provider_id INTEGER NOT NULL,
-      platform TEXT,
-      course_name TEXT NOT NULL,
-      hours REAL,
-      completion_date TEXT,
-      category TEXT,
-      certificate_url TEXT,
-      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-      UNIQUE(provider_id, course_name, completion_date),
-      FOREIGN KEY (provider_id) REFERENCES providers(id)
-    );
+// ─── Schema migrations ────────────────────────────────────────────────────────
+// Each migrations/NNN_name.js exports up(db, helpers) and, when reversible,
+// down(db, helpers). Applied versions are recorded in schema_version.
 
-    -- Platform scrape results
-    CREATE TABLE IF NOT EXISTS platform_results (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      provider_id INTEGER NOT NULL,
-      platform TEXT NOT NULL,
-      status TEXT,
-      hours_earned REAL,
-      total_spent REAL,
-      course_count INTEGER,
-      scraped_at TEXT DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (provider_id) REFERENCES providers(id)
-    );
+/**
+ * Load migration modules in version order
+ */
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d{3}_[\w-]+\.js$/.test(file))
+    .sort()
+    .map(file => ({
+      version: parseInt(file, 10),
+      name: file.slice(4, -3),
+      ...require(path.join(MIGRATIONS_DIR, file)),
+    }));
+}
 
-    -- Credential health tracking
-    CREATE TABLE IF NOT EXISTS credential_health (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      provider_id INTEGER NOT NULL,
-      platform TEXT NOT NULL,
-      status TEXT DEFAULT 'healthy',
-      consecutive_failures INTEGER DEFAULT 0,
-      last_success TEXT,
-      last_failure TEXT,
-      last_error TEXT,
-      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
-      UNIQUE(provider_id, platform),
-      FOREIGN KEY (provider_id) REFERENCES providers(id)
+/**
+ * Create schema_version, adopting databases created before it existed
+ */
+function ensureVersionTable(conn) {
+  conn.exec(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT DEFAULT CURRENT_TIMESTAMP
     );
+  `);
 
-    -- Run history (audit log)
-    CREATE TABLE IF NOT EXISTS run_history (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      started_at TEXT NOT NULL,
-      completed_at TEXT,
-      providers_processed INTEGER,
-      providers_succeeded INTEGER,
-      providers_failed INTEGER,
-      duration_seconds REAL,
-      status TEXT
-    );
+  const row = conn.prepare('SELECT COUNT(*) AS count FROM schema_version').get();
+  if (row && row.count > 0) return;
 
-    -- Create indexes for common queries
-    CREATE INDEX IF NOT EXISTS idx_compliance_provider ON compliance_records(provider_id);
-    CREATE INDEX IF NOT EXISTS idx_compliance_scraped ON compliance_records(scraped_at);
-    CREATE INDEX IF NOT EXISTS idx_courses_provider ON courses(provider_id);
-    CREATE INDEX IF NOT EXISTS idx_courses_date ON courses(completion_date);
-    CREATE INDEX IF NOT EXISTS idx_platform_results_provider ON platform_results(provider_id);
-  `);
+  const legacyVersion = detectLegacyVersion(conn);
+  if (legacyVersion === 0) return;
 
-  console.log('[Database] Initialized:', DB_PATH);
-  return db;
+  const record = conn.prepare('INSERT INTO schema_version (version, name) VALUES (?, ?)');
+  for (const m of loadMigrations().filter(m => m.version <= legacyVersion)) {
+    record.run(m.version, m.name);
+  }
+  console.log(`[Database] Adopted unversioned database at version ${legacyVersion}`);
+}
+
+/**
+ * Schema version of a database created before schema_version was introduced
+ */
+function detectLegacyVersion(conn) {
+  const hasProviders = conn.prepare(
+    "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'providers'"
+  ).get();
+  if (!hasProviders) return 0;
+
+  const columns = conn.pragma('table_info(compliance_records)').map(c => c.name);
+  return columns.includes('run_id') ? 2 : 1;
+}
+
+/**
+ * Data routines a migration may call (passed in, since migrations are loaded by this module)
+ */
+function migrationHelpers() {
+  return { migrateFromJson };
+}
+
+/**
+ * Versions already applied, ascending
+ */
+function getAppliedVersions(conn) {
+  return conn.prepare('SELECT version FROM schema_version ORDER BY version').all()
+    .map(row => row.version);
+}
+
+/**
+ * Copy the database file aside before changing its schema.
+ * VACUUM INTO reads through the WAL, so the copy includes uncheckpointed writes.
+ */
+function backupDatabase(conn, label) {
+  if (conn.memory) return null;
+  const backupPath = `${DB_PATH}-backup-${label}-${Date.now()}`;
+  conn.prepare('VACUUM INTO ?').run(backupPath);
+  console.log('[Database] Backup written:', backupPath);
+  return backupPath;
+}
+
+/**
+ * Apply every pending migration. Each step runs in its own BEGIN IMMEDIATE
+ * transaction, so a concurrent writer waits instead of seeing half a schema
+ * and a failed step leaves the database at the previous version.
+ * @returns {number[]} versions applied
+ */
+function applyMigrations(conn) {
+  ensureVersionTable(conn);
+  const applied = new Set(getAppliedVersions(conn));
+  const pending = loadMigrations().filter(m => !applied.has(m.version));
+  if (pending.length === 0) return [];
+
+  // A fresh database has nothing worth keeping
+  if (applied.size > 0) backupDatabase(conn, `v${Math.max(...applied)}`);
+
+  const record = conn.prepare('INSERT INTO schema_version (version, name) VALUES (?, ?)');
+  for (const m of pending) {
+    conn.transaction(() => {
+      m.up(conn, migrationHelpers());
+      record.run(m.version, m.name);
+    }).immediate();
+    console.log(`[Database] Applied migration ${m.version} (${m.name})`);
+  }
+
+  conn.pragma('wal_checkpoint(TRUNCATE)');
+  return pending.map(m => m.version);
+}
+
+/**
+ * Roll back the most recently applied migration
+ * @returns {number|null} version rolled back, or null if nothing is applied
+ */
+function rollbackMigration(conn = initDatabase()) {
+  ensureVersionTable(conn);
+  const applied = getAppliedVersions(conn);
+  if (applied.length === 0) return null;
+
+  const version = applied[applied.length - 1];
+  const m = loadMigrations().find(x => x.version === version);
+  if (!m) throw new Error(`Migration ${version} is applied but its file is missing`);
+  if (typeof m.down !== 'function') throw new Error(`Migration ${version} (${m.name}) is irreversible`);
+
+  backupDatabase(conn, `v${version}`);
+  conn.transaction(() => {
+    m.down(conn, migrationHelpers());
+    conn.prepare('DELETE FROM schema_version WHERE version = ?').run(version);
+  }).immediate();
+  conn.pragma('wal_checkpoint(TRUNCATE)');
+
+  console.log(`[Database] Rolled back migration ${version} (${m.name})`);
+  return version;
+}
+
+/**
+ * Applied/pending state of every known migration
+ */
+function getMigrationStatus(conn = initDatabase()) {
+  ensureVersionTable(conn);
+  const applied = new Map(
+    conn.prepare('SELECT version, applied_at FROM schema_version').all()
+      .map(row => [row.version, row.applied_at])
+  );
+  return loadMigrations().map(m => ({
+    version: m.version,
+    name: m.name,
+    applied: applied.has(m.version),
+    appliedAt: applied.has(m.version) ? sqliteToIso(applied.get(m.version)) : null,
+    reversible: typeof m.down === 'function',
+  }));
 }
 
 /**
@@ -145,39 +220,45 @@ function getOrCreateProvider(name, type, email = null, hasCEBrokerCreds = false)
 }
 
 /**
- * Save compliance record for a provider
+ * Save compliance record for a provider.
+ * Pass runId to tie the record to a run; scrapedAt (SQLite timestamp) is only
+ * used when importing historical snapshots.
  */
-function saveComplianceRecord(providerId, record) {
+function saveComplianceRecord(providerId, record, runId = null, scrapedAt = null) {
   const db = initDatabase();
 
   const result = db.prepare(`
     INSERT INTO compliance_records (
-      provider_id, state, license_type, renewal_deadline,
-      hours_required, hours_completed, hours_remaining
-    ) VALUES (?, ?, ?, ?, ?, ?, ?)
+      provider_id, run_id, state, license_type, license_number, renewal_deadline,
+      hours_required, hours_completed, hours_remaining, scraped_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
   `).run(
     providerId,
+    runId,
     record.state,
     record.licenseType,
+    record.licenseNumber || null,
     record.renewalDeadline,
     record.hoursRequired,
     record.hoursCompleted,
-    record.hoursRemaining
+    record.hoursRemaining,
+    scrapedAt
   );
 
-  // Save subject areas
+  // Save subject areas (scraper rows use topicName, history.json rows use topic)
   if (record.subjectAreas && record.subjectAreas.length > 0) {
     const insertSubject = db.prepare(`
-      INSERT INTO subject_areas (compliance_record_id, subject, hours_required, hours_completed)
-      VALUES (?, ?, ?, ?)
+      INSERT INTO subject_areas (compliance_record_id, subject, hours_required, hours_completed, hours_needed)
+      VALUES (?, ?, ?, ?, ?)
     `);
 
     for (const subject of record.subjectAreas) {
       insertSubject.run(
         result.lastInsertRowid,
-        subject.subject || subject.name,
-        subject.hoursRequired || subject.required,
-        subject.hoursCompleted || subject.completed
+        subject.topicName || subject.topic || subject.subject || subject.name,
+        subject.hoursRequired ?? subject.required ?? null,
+        subject.hoursCompleted ?? subject.completed ?? null,
+        subject.hoursNeeded ?? subject.needed ?? null
       );
     }
   }
@@ -186,24 +267,46 @@ function saveComplianceRecord(providerId, record) {
 }
 
 /**
- * Save course to history (with deduplication)
+ * Save course to history (with deduplication by name + date + hours).
+ * A later source fills in platform/cost that an earlier one lacked, matching
+ * the merge rules course-history.json has always used.
  */
 function saveCourse(providerId, course) {
   const db = initDatabase();
 
+  const name = course.name || course.courseName;
+  const date = toIsoDate(course.date || course.completionDate);
+  const hours = course.hours ?? null;
+
   try {
     db.prepare(`
       INSERT OR IGNORE INTO courses (
-        provider_id, platform, course_name, hours, completion_date, category, certificate_url
-      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+        provider_id, platform, course_name, hours, completion_date, category,
+        state, cost, certificate_url, import_id, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
     `).run(
       providerId,
-      course.platform,
-      course.name || course.courseName,
-      course.hours,
-      course.date || course.completionDate,
-      course.category,
-      course.certificateUrl
+      course.platform || null,
+      name,
+      hours,
+      date,
+      course.category || null,
+      course.state || null,
+      course.cost ?? null,
+      course.certificateUrl || null,
+      course.importId || null,
+      course.scrapedAt || null
+    );
+    db.prepare(`
+      UPDATE courses SET
+        platform = COALESCE(platform, ?),
+        cost = COALESCE(cost, ?),
+        certificate_url = COALESCE(certificate_url, ?),
+        category = COALESCE(category, ?)
+      WHERE provider_id = ? AND course_name = ? AND completion_date IS ? AND hours IS ?
+    `).run(
+      course.platform || null, course.cost ?? null, course.certificateUrl || null, course.category || null,
+      providerId, name, date, hours
     );
     return true;
   } catch (err) {
@@ -213,23 +316,199 @@ function saveCourse(providerId, course) {
 }
 
 /**
- * Save platform scrape result
+ * Save platform scrape result. A result a run reused from an earlier scrape
+ * (result.reused) is stored as 'reused', dated result.scrapedAt.
  */
-function savePlatformResult(providerId, platform, result) {
+function savePlatformResult(providerId, platform, result, runId = null) {
   const db = initDatabase();
 
   db.prepare(`
     INSERT INTO platform_results (
-      provider_id, platform, status, hours_earned, total_spent, course_count
-    ) VALUES (?, ?, ?, ?, ?, ?)
+      provider_id, run_id, platform, status, hours_earned, total_spent,
+      course_count, order_count, error, scraped_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
   `).run(
     providerId,
+    runId,
     platform,
-    result.status,
-    result.hoursEarned,
-    result.totalSpent,
-    result.courses?.length || 0
+    result.reused ? 'reused' : result.status,
+    result.hoursEarned ?? null,
+    result.totalSpent ?? null,
+    result.courses?.length || 0,
+    result.orders?.length || 0,
+    result.error || null,
+    result.reused ? isoToSqlite(result.scrapedAt) : null
+  );
+}
+
+/**
+ * Save the per-provider outcome of a run (success, login_error, not_configured…;
+ * reused when CE Broker was not logged into because its last scrape was fresh)
+ */
+function saveRunResult(runId, providerId, result) {
+  const db = initDatabase();
+
+  db.prepare(`
+    INSERT OR REPLACE INTO run_results (run_id, provider_id, status, error, error_code, error_action)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(
+    runId,
+    providerId,
+    result.reused ? 'reused' : result.status,
+    result.error || null,
+    result.errorCode || null,
+    result.errorAction || null
+  );
+}
+
+/**
+ * Save one provider's license verification pass (the licenses.json entry shape)
+ */
+function saveLicenseScan(providerId, scan, runId = null) {
+  const db = initDatabase();
+
+  const result = db.prepare(`
+    INSERT INTO license_scans (provider_id, run_id, states_searched, scanned_at)
+    VALUES (?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
+  `).run(providerId, runId, scan.statesSearched ?? null, isoToSqlite(scan.lastFullScan));
+
+  const insertLicense = db.prepare(`
+    INSERT INTO licenses (
+      provider_id, scan_id, state, license_number, license_type, status,
+      expiration_date, issued_date, verification_source, last_verified, discipline_actions
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  for (const lic of scan.licenses || []) {
+    insertLicense.run(
+      providerId,
+      result.lastInsertRowid,
+      lic.state,
+      lic.licenseNumber || null,
+      lic.licenseType || null,
+      lic.status || null,
+      lic.expirationDate || null,
+      lic.issuedDate || null,
+      lic.verificationSource || null,
+      lic.lastVerified || null,
+      lic.disciplineActions ? 1 : 0
+    );
+  }
+
+  return result.lastInsertRowid;
+}
+
+/**
+ * Archive one CE cycle of a license (a utils.licenseCycles entry, with courses);
+ * a cycle already on file is updated. Saving the current cycle clears the
+ * current flag of the license's other cycles, so a renewal rolling over moves it.
+ */
+function saveLicenseCycle(providerId, cycle, runId = null) {
+  const db = initDatabase();
+  const licenseType = cycle.licenseType || '';
+
+  db.prepare(`
+    INSERT INTO license_cycles (
+      provider_id, run_id, state, license_type, license_number, cycle_id, start_date, end_date,
+      is_current, hours_required, hours_completed, hours_remaining, subject_areas, courses
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(provider_id, state, license_type, cycle_id) DO UPDATE SET
+      run_id = excluded.run_id,
+      license_number = COALESCE(excluded.license_number, license_number),
+      is_current = excluded.is_current,
+      hours_required = excluded.hours_required,
+      hours_completed = excluded.hours_completed,
+      hours_remaining = excluded.hours_remaining,
+      subject_areas = excluded.subject_areas,
+      courses = excluded.courses,
+      updated_at = CURRENT_TIMESTAMP
+  `).run(
+    providerId,
+    runId,
+    cycle.state,
+    licenseType,
+    cycle.licenseNumber || null,
+    cycle.cycleId,
+    cycle.startDate,
+    cycle.endDate,
+    cycle.current ? 1 : 0,
+    cycle.hoursRequired ?? null,
+    cycle.hoursCompleted ?? null,
+    cycle.hoursRemaining ?? null,
+    JSON.stringify(cycle.subjectAreas || []),
+    JSON.stringify(cycle.courses || [])
   );
+
+  if (cycle.current) {
+    db.prepare(`
+      UPDATE license_cycles SET is_current = 0
+      WHERE provider_id = ? AND state = ? AND license_type = ? AND cycle_id != ?
+    `).run(providerId, cycle.state, licenseType, cycle.cycleId);
+  }
+}
+
+/**
+ * Persist everything one provider produced during a run — CE Broker records and
+ * courses, platform results and courses, and the license verification pass —
+ * in a single transaction, so a crash mid-run never leaves a provider half written.
+ *
+ * @param {number} runId
+ * @param {{ name:string, type:string, email?:string, username?:string, password?:string }} provider
+ * @param {{ result?:object, records?:object[], platformResults?:object[], licenses?:object|null }} data
+ */
+function saveProviderRun(runId, provider, data = {}) {
+  const db = initDatabase();
+  const { result = null, records = [], platformResults = [], licenses = null } = data;
+
+  const write = db.transaction(() => {
+    const row = getOrCreateProvider(
+      provider.name,
+      provider.type || guessProviderType(provider.name),
+      provider.email || null,
+      !!(provider.username && provider.password)
+    );
+
+    if (result) saveRunResult(runId, row.id, result);
+
+    for (const rec of records) {
+      // Placeholder records (login errors, platform-only providers) carry no data;
+      // the history export re-creates them from run_results.
+      if (isPlaceholderRecord(rec)) continue;
+      // Reused records keep the time they were scraped, so as-of queries don't date them to this run
+      saveComplianceRecord(row.id, rec, runId, result?.reused ? isoToSqlite(result.scrapedAt) : null);
+      for (const course of rec.completedCourses || []) {
+        saveCourse(row.id, { ...course, state: rec.state });
+      }
+      for (const cycle of licenseCycles(rec, { withCourses: true })) {
+        saveLicenseCycle(row.id, cycle, runId);
+        if (cycle.current) continue;
+        for (const course of cycle.courses) {
+          saveCourse(row.id, { ...course, state: rec.state });
+        }
+      }
+    }
+
+    for (const pr of platformResults) {
+      savePlatformResult(row.id, pr.platform, pr, runId);
+      if (pr.status !== 'success') continue;
+      for (const course of pr.courses || []) {
+        saveCourse(row.id, {
+          name: course.name || course.title,
+          hours: course.hours || course.credits || 0,
+          date: course.date,
+          platform: pr.platform,
+          cost: course.cost ?? null,
+          certificateUrl: course.certificateUrl || null,
+        });
+      }
+    }
+
+    if (licenses) saveLicenseScan(row.id, licenses, runId);
+
+    return row.id;
+  });
+
+  return write();
 }
 
 /**
@@ -355,112 +634,1718 @@ function getCredentialHealthSummary() {
   return { summary, unhealthyCredentials: details };
 }
 
+// ─── Point-in-time queries ────────────────────────────────────────────────────
+// Board audits ask what a provider's hours and deadline were on a past date.
+// Everything below is rebuilt from what had been recorded by the end of that day.
+
+/**
+ * Compliance picture for every provider as of the end of a given day
+ * @param {string} asOf - Date as YYYY-MM-DD (UTC)
+ * @returns {{ asOf:string, run:object|null, providers:Array }}
+ */
+function getComplianceAsOf(asOf) {
+  const db = initDatabase();
+  const cutoff = `${asOf} 23:59:59`;
+
+  const run = db.prepare(`
+    SELECT id, started_at, completed_at, status FROM run_history
+    WHERE started_at <= ? AND status != 'running'
+    ORDER BY started_at DESC, id DESC
+    LIMIT 1
+  `).get(cutoff);
+
+  const providers = db.prepare('SELECT id, name, type FROM providers ORDER BY name').all()
+    .map(p => ({
+      name: p.name,
+      type: p.type,
+      licenses: getComplianceRecordsAsOf(db, p.id, cutoff),
+      courses: getCoursesAsOf(db, p.id, asOf, cutoff),
+      credentialHealth: getCredentialHealthAsOf(db, p.id, cutoff),
+    }))
+    // Providers added after the date have nothing to report yet
+    .filter(p => p.licenses.length || p.courses.length || p.credentialHealth.length)
+    .map(p => ({
+      ...p,
+      totalCourseHours: p.courses.reduce((sum, c) => sum + (c.hours || 0), 0),
+    }));
+
+  return {
+    asOf,
+    run: run ? {
+      id: run.id,
+      startedAt: sqliteToIso(run.started_at),
+      completedAt: sqliteToIso(run.completed_at),
+      status: run.status,
+    } : null,
+    providers,
+  };
+}
+
 /**
- * Start a new run and return run ID
+ * Licenses from the provider's last CE Broker scrape at or before the cutoff
+ * (the latest scrape when cutoff is null)
+ */
+function getComplianceRecordsAsOf(db, providerId, cutoff = null) {
+  const latest = db.prepare(`
+    SELECT run_id, scraped_at FROM compliance_records
+    WHERE provider_id = ? AND scraped_at <= COALESCE(?, scraped_at)
+    ORDER BY scraped_at DESC, id DESC
+    LIMIT 1
+  `).get(providerId, cutoff);
+  if (!latest) return [];
+
+  // One scrape writes a record per license; records saved outside a run share a timestamp
+  const records = latest.run_id != null
+    ? db.prepare('SELECT * FROM compliance_records WHERE provider_id = ? AND run_id = ? ORDER BY id')
+      .all(providerId, latest.run_id)
+    : db.prepare('SELECT * FROM compliance_records WHERE provider_id = ? AND run_id IS NULL AND scraped_at = ? ORDER BY id')
+      .all(providerId, latest.scraped_at);
+  const subjectsFor = db.prepare('SELECT * FROM subject_areas WHERE compliance_record_id = ? ORDER BY id');
+
+  return records.map(r => ({
+    state: r.state,
+    licenseType: r.license_type,
+    licenseNumber: r.license_number,
+    renewalDeadline: r.renewal_deadline,
+    hoursRequired: r.hours_required,
+    hoursCompleted: r.hours_completed,
+    hoursRemaining: r.hours_remaining,
+    scrapedAt: sqliteToIso(r.scraped_at),
+    subjectAreas: subjectsFor.all(r.id).map(sa => ({
+      topicName: sa.subject,
+      hoursRequired: sa.hours_required,
+      hoursCompleted: sa.hours_completed,
+      hoursNeeded: sa.hours_needed,
+    })),
+  }));
+}
+
+/**
+ * Courses completed on or before the date (undated ones count once they were recorded)
+ */
+function getCoursesAsOf(db, providerId, asOf, cutoff) {
+  return db.prepare(`
+    SELECT * FROM courses
+    WHERE provider_id = ?
+      AND (completion_date <= ? OR (completion_date IS NULL AND created_at <= ?))
+    ORDER BY completion_date DESC, id DESC
+  `).all(providerId, asOf, cutoff).map(c => ({
+    name: c.course_name,
+    hours: c.hours,
+    date: c.completion_date,
+    platform: c.platform || 'CE Broker',
+    category: c.category,
+  }));
+}
+
+/**
+ * Credential health replayed from login outcomes up to the cutoff.
+ * credential_health only keeps the current state, so each CE Broker run result and
+ * platform result is fed through the same thresholds as updateCredentialHealth.
+ */
+function getCredentialHealthAsOf(db, providerId, cutoff) {
+  const outcomes = db.prepare(`
+    SELECT 'CE Broker' AS platform, rr.status, rr.error, rh.started_at AS at
+    FROM run_results rr
+    JOIN run_history rh ON rh.id = rr.run_id
+    WHERE rr.provider_id = ? AND rh.started_at <= ? AND rr.status NOT IN ('not_configured', 'reused')
+    UNION ALL
+    SELECT platform, status, error, scraped_at AS at
+    FROM platform_results
+    WHERE provider_id = ? AND scraped_at <= ? AND status != 'reused'
+    ORDER BY at
+  `).all(providerId, cutoff, providerId, cutoff);
+
+  const health = new Map();
+  for (const o of outcomes) {
+    const prev = health.get(o.platform);
+    const entry = prev || {
+      platform: o.platform, status: 'healthy', consecutiveFailures: 0,
+      lastSuccess: null, lastFailure: null, lastError: null,
+    };
+
+    if (o.status === 'success') {
+      entry.status = 'healthy';
+      entry.consecutiveFailures = 0;
+      entry.lastSuccess = sqliteToIso(o.at);
+    } else {
+      entry.consecutiveFailures++;
+      if (!prev) entry.status = 'degraded';
+      else if (entry.consecutiveFailures >= 3) entry.status = 'critical';
+      else if (entry.consecutiveFailures >= 2) entry.status = 'degraded';
+      entry.lastFailure = sqliteToIso(o.at);
+      entry.lastError = o.error;
+    }
+    health.set(o.platform, entry);
+  }
+
+  return [...health.values()];
+}
+
+// ─── API queries ──────────────────────────────────────────────────────────────
+// Current-state reads behind server.js's /api/providers and /api/licenses.
+// Status and risk math stays in utils.js / risk-prediction.js.
+
+/**
+ * Every provider with the records from its latest CE Broker scrape and
+ * latest state board verification
  */
-function startRun() {
+function getProviders() {
   const db = initDatabase();
+  return db.prepare('SELECT * FROM providers ORDER BY name').all()
+    .map(p => ({
+      ...providerRow(p),
+      licenses: getComplianceRecordsAsOf(db, p.id),
+      stateLicenses: getStateLicenses(db, p.id),
+    }));
+}
 
-  const result = db.prepare(`
-    INSERT INTO run_history (started_at, status)
-    VALUES (CURRENT_TIMESTAMP, 'running')
-  `).run();
+/**
+ * One provider's current records, platform results and verified state licenses
+ * @returns {object|null} null if the provider does not exist
+ */
+function getProvider(providerId) {
+  const db = initDatabase();
+  const p = db.prepare('SELECT * FROM providers WHERE id = ?').get(providerId);
+  if (!p) return null;
 
-  return result.lastInsertRowid;
+  const platformResults = db.prepare(`
+    SELECT * FROM platform_results
+    WHERE id IN (SELECT MAX(id) FROM platform_results WHERE provider_id = ? GROUP BY platform)
+    ORDER BY platform
+  `).all(p.id).map(r => ({
+    platform: r.platform,
+    status: r.status,
+    hoursEarned: r.hours_earned,
+    totalSpent: r.total_spent,
+    courseCount: r.course_count,
+    orderCount: r.order_count,
+    error: r.error,
+    scrapedAt: sqliteToIso(r.scraped_at),
+  }));
+
+  return {
+    ...providerRow(p),
+    licenses: getComplianceRecordsAsOf(db, p.id),
+    platformResults,
+    stateLicenses: getStateLicenses(db, p.id),
+    cycles: getLicenseCycles(p.id),
+  };
 }
 
 /**
- * Complete a run with results
+ * A page of one provider's courses, newest first
+ * @param {{ from?:string, to?:string, platform?:string, limit?:number, offset?:number }} [filters]
+ * @returns {{ total:number, courses:Array }}
  */
-function completeRun(runId, results) {
+function getProviderCourses(providerId, filters = {}) {
   const db = initDatabase();
+  const { from = null, to = null, platform = null, limit = 50, offset = 0 } = filters;
 
-  const succeeded = results.filter(r => r.status === 'success').length;
-  const failed = results.filter(r => r.status !== 'success').length;
+  const where = `
+    WHERE provider_id = ?
+      AND (? IS NULL OR completion_date >= ?)
+      AND (? IS NULL OR completion_date <= ?)
+      AND (? IS NULL OR COALESCE(platform, 'CE Broker') = ?)
+  `;
+  const params = [providerId, from, from, to, to, platform, platform];
 
-  db.prepare(`
-    UPDATE run_history SET
-      completed_at = CURRENT_TIMESTAMP,
-      providers_processed = ?,
-      providers_succeeded = ?,
-      providers_failed = ?,
-      status = ?
-    WHERE id = ?
-  `).run(
-    results.length,
-    succeeded,
-    failed,
-    failed > 0 ? 'completed_with_errors' : 'completed',
-    runId
-  );
+  const { total } = db.prepare(`SELECT COUNT(*) AS total FROM courses ${where}`).get(...params);
+  const courses = db.prepare(`
+    SELECT * FROM courses ${where}
+    ORDER BY completion_date DESC, id DESC
+    LIMIT ? OFFSET ?
+  `).all(...params, limit, offset).map(c => ({
+    name: c.course_name,
+    hours: c.hours,
+    date: c.completion_date,
+    platform: c.platform || 'CE Broker',
+    category: c.category,
+    state: c.state,
+    cost: c.cost,
+    certificateUrl: c.certificate_url,
+    importId: c.import_id,
+  }));
+
+  return { total, courses };
 }
 
 /**
- * Close database connection
+ * Courses with a stored certificate (certificates.js), newest first
+ * @param {{ providerId?:number, providerName?:string }} [filter]
  */
-function closeDatabase() {
-  if (db) {
-    db.close();
-    db = null;
-  }
+function getCertificates({ providerId = null, providerName = null } = {}) {
+  const db = initDatabase();
+  return db.prepare(`
+    SELECT c.*, p.name AS provider_name FROM courses c
+    JOIN providers p ON p.id = c.provider_id
+    WHERE c.certificate_url IS NOT NULL
+      AND (? IS NULL OR p.id = ?)
+      AND (? IS NULL OR p.name = ?)
+    ORDER BY c.completion_date DESC, c.id DESC
+  `).all(providerId, providerId, providerName, providerName).map(c => ({
+    providerName: c.provider_name,
+    name: c.course_name,
+    hours: c.hours,
+    date: c.completion_date,
+    platform: c.platform || 'CE Broker',
+    state: c.state,
+    certificateUrl: c.certificate_url,
+  }));
 }
 
 /**
- * Migrate data from JSON files to SQLite
+ * Licenses from the provider's latest state board verification pass
  */
-function migrateFromJson() {
+function getStateLicenses(db, providerId) {
+  return db.prepare(`
+    SELECT * FROM licenses
+    WHERE scan_id = (SELECT MAX(id) FROM license_scans WHERE provider_id = ?)
+    ORDER BY state, id
+  `).all(providerId).map(l => ({
+    state: l.state,
+    stateFullName: getStateName(l.state),
+    licenseNumber: l.license_number,
+    licenseType: l.license_type,
+    status: l.status,
+    expirationDate: l.expiration_date,
+    verificationSource: l.verification_source,
+    lastVerified: l.last_verified,
+    disciplineActions: !!l.discipline_actions,
+  }));
+}
+
+/**
+ * A provider's archived CE cycles, newest first (see saveLicenseCycle)
+ * @returns {Array<{ cycleId, state, licenseType, licenseNumber, startDate, endDate, current:boolean,
+ *   hoursRequired, hoursCompleted, hoursRemaining, subjectAreas:Array, courses:Array, updatedAt:string }>}
+ */
+function getLicenseCycles(providerId) {
   const db = initDatabase();
+  return db.prepare(`
+    SELECT * FROM license_cycles WHERE provider_id = ? ORDER BY end_date DESC, state, id
+  `).all(providerId).map(c => ({
+    cycleId: c.cycle_id,
+    state: c.state,
+    licenseType: c.license_type || null,
+    licenseNumber: c.license_number,
+    startDate: c.start_date,
+    endDate: c.end_date,
+    current: !!c.is_current,
+    hoursRequired: c.hours_required,
+    hoursCompleted: c.hours_completed,
+    hoursRemaining: c.hours_remaining,
+    subjectAreas: parseJson(c.subject_areas) || [],
+    courses: parseJson(c.courses) || [],
+    updatedAt: sqliteToIso(c.updated_at),
+  }));
+}
 
-  // Migrate providers
-  const providersPath = path.join(__dirname, 'providers-public.json');
-  if (fs.existsSync(providersPath)) {
-    const providers = JSON.parse(fs.readFileSync(providersPath, 'utf-8'));
+function providerRow(p) {
+  return {
+    id: p.id,
+    name: p.name,
+    type: p.type,
+    email: p.email,
+    hasCEBrokerCreds: !!p.has_ce_broker_creds,
+  };
+}
 
-    const insertProvider = db.prepare(`
-      INSERT OR IGNORE INTO providers (name, type, email, has_ce_broker_creds)
-      VALUES (?, ?, ?, ?)
-    `);
+// ─── Login security ───────────────────────────────────────────────────────────
+// SQLite store for login-guard.js when the gate runs in server.js.
 
-    for (const p of providers) {
-      insertProvider.run(p.name, p.type, p.email, p.hasCEBrokerCreds ? 1 : 0);
-    }
-    console.log(`[Database] Migrated ${providers.length} providers`);
+/**
+ * Throttle state for one key, or null
+ */
+function getLoginThrottle(key) {
+  const db = initDatabase();
+  const row = db.prepare('SELECT * FROM login_throttle WHERE key = ?').get(key);
+  return row ? {
+    failures: row.failures,
+    lockouts: row.lockouts,
+    lockedUntil: row.locked_until,
+    lastFailure: row.last_failure,
+  } : null;
+}
+
+/**
+ * Save (or with null, clear) throttle state for one key
+ */
+function saveLoginThrottle(key, state) {
+  const db = initDatabase();
+  if (!state) {
+    db.prepare('DELETE FROM login_throttle WHERE key = ?').run(key);
+    return;
   }
+  db.prepare(`
+    INSERT INTO login_throttle (key, failures, lockouts, locked_until, last_failure)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(key) DO UPDATE SET
+      failures = excluded.failures,
+      lockouts = excluded.lockouts,
+      locked_until = excluded.locked_until,
+      last_failure = excluded.last_failure
+  `).run(key, state.failures, state.lockouts, state.lockedUntil, state.lastFailure);
+}
 
-  // Migrate course history
-  const courseHistoryPath = path.join(__dirname, 'course-history.json');
-  if (fs.existsSync(courseHistoryPath)) {
-    const courseHistory = JSON.parse(fs.readFileSync(courseHistoryPath, 'utf-8'));
+/**
+ * Append one sign-in attempt to the audit log
+ */
+function recordLoginAudit(event) {
+  const db = initDatabase();
+  db.prepare(`
+    INSERT INTO login_audit (at, username, ip, user_agent, outcome, role, method)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(event.at, event.username, event.ip, event.userAgent, event.outcome, event.role, event.method || 'password');
+}
 
-    let courseCount = 0;
-    for (const [providerName, courses] of Object.entries(courseHistory)) {
-      const provider = db.prepare('SELECT id FROM providers WHERE name = ?').get(providerName);
-      if (provider && Array.isArray(courses)) {
-        for (const course of courses) {
-          if (saveCourse(provider.id, course)) {
-            courseCount++;
-          }
-        }
-      }
-    }
-    console.log(`[Database] Migrated ${courseCount} courses`);
-  }
+/**
+ * Most recent login attempts, newest first
+ */
+function getLoginAudit({ limit = 100, username = null } = {}) {
+  const db = initDatabase();
+  return db.prepare(`
+    SELECT at, username, ip, user_agent, outcome, role, method FROM login_audit
+    WHERE ? IS NULL OR username = ? COLLATE NOCASE
+    ORDER BY id DESC
+    LIMIT ?
+  `).all(username, username, limit).map(e => ({
+    at: e.at,
+    username: e.username,
+    ip: e.ip,
+    userAgent: e.user_agent,
+    outcome: e.outcome,
+    role: e.role,
+    method: e.method,
+  }));
+}
 
-  console.log('[Database] Migration complete');
+// ─── Job queue ────────────────────────────────────────────────────────────────
+// Storage for the SQLite queue backend (queue-sqlite.js). Times are epoch ms and
+// every function takes `now` so tests can move the clock.
+
+function parseJson(text) {
+  return text == null ? null : JSON.parse(text);
 }
 
-// CLI support
-if (require.main === module) {
-  const cmd = process.argv[2];
-  if (cmd === 'init') {
-    initDatabase();
-    console.log('Database initialized');
-  } else if (cmd === 'migrate') {
-    migrateFromJson();
+function jobRow(row) {
+  return row ? {
+    id: row.id,
+    name: row.name,
+    data: parseJson(row.data),
+    status: row.status,
+    priority: row.priority,
+    attemptsMade: row.attempts_made,
+    maxAttempts: row.max_attempts,
+    backoffMs: row.backoff_ms,
+    runAt: row.run_at,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    lockedBy: row.locked_by,
+    lockedUntil: row.locked_until,
+    progress: parseJson(row.progress),
+    result: parseJson(row.result),
+    error: row.error,
+  } : null;
+}
+
+/**
+ * Add a job and return its ID
+ * @param {object} [options] - { priority (lower runs first), attempts, backoffMs, delayMs, now }
+ */
+function enqueueJob(name, data, { priority = 10, attempts = 1, backoffMs = 0, delayMs = 0, now = Date.now() } = {}) {
+  const db = initDatabase();
+  const result = db.prepare(`
+    INSERT INTO jobs (name, data, priority, max_attempts, backoff_ms, run_at, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(name, JSON.stringify(data ?? null), priority, Math.max(1, attempts), backoffMs, now + delayMs, now);
+  return result.lastInsertRowid;
+}
+
+/**
+ * Lock the next due job for one worker and count the attempt, or return null.
+ * BEGIN IMMEDIATE keeps two worker processes from claiming the same job.
+ */
+function claimNextJob(workerId, lockMs, now = Date.now()) {
+  const db = initDatabase();
+  return db.transaction(() => {
+    const row = db.prepare(`
+      SELECT id FROM jobs
+      WHERE status = 'waiting' AND run_at <= ?
+      ORDER BY priority, run_at, id
+      LIMIT 1
+    `).get(now);
+    if (!row) return null;
+    db.prepare(`
+      UPDATE jobs SET
+        status = 'active',
+        attempts_made = attempts_made + 1,
+        started_at = ?,
+        locked_by = ?,
+        locked_until = ?,
+        error = NULL
+      WHERE id = ?
+    `).run(now, workerId, now + lockMs, row.id);
+    return getQueueJob(row.id);
+  }).immediate();
+}
+
+/**
+ * Extend a running job's lock; false if the worker no longer holds it
+ */
+function heartbeatJob(id, workerId, lockMs, now = Date.now()) {
+  const db = initDatabase();
+  return db.prepare(`
+    UPDATE jobs SET locked_until = ? WHERE id = ? AND status = 'active' AND locked_by = ?
+  `).run(now + lockMs, id, workerId).changes > 0;
+}
+
+/**
+ * Store the latest progress snapshot of a running job
+ */
+function saveJobProgress(id, workerId, progress) {
+  const db = initDatabase();
+  return db.prepare(`
+    UPDATE jobs SET progress = ? WHERE id = ? AND status = 'active' AND locked_by = ?
+  `).run(JSON.stringify(progress ?? null), id, workerId).changes > 0;
+}
+
+/**
+ * Mark a running job completed; false if the worker had lost its lock
+ */
+function completeJob(id, workerId, result, now = Date.now()) {
+  const db = initDatabase();
+  return db.prepare(`
+    UPDATE jobs SET status = 'completed', result = ?, finished_at = ?, locked_by = NULL, locked_until = NULL
+    WHERE id = ? AND status = 'active' AND locked_by = ?
+  `).run(JSON.stringify(result ?? null), now, id, workerId).changes > 0;
+}
+
+/**
+ * Record a failed attempt: retry after backoffMs × 2^(attempt − 1), or move the
+ * job to the dead-letter list (status 'failed') once its attempts are used up
+ * @returns {{ retrying:boolean, runAt:number|null }|null} null if the worker had lost its lock
+ */
+function failJob(id, workerId, error, now = Date.now()) {
+  const db = initDatabase();
+  return db.transaction(() => {
+    const job = db.prepare("SELECT * FROM jobs WHERE id = ? AND status = 'active' AND locked_by = ?").get(id, workerId);
+    if (!job) return null;
+    return retryOrBury(db, job, error, now);
+  }).immediate();
+}
+
+function retryOrBury(db, job, error, now) {
+  if (job.attempts_made < job.max_attempts) {
+    const runAt = now + job.backoff_ms * 2 ** (job.attempts_made - 1);
+    db.prepare(`
+      UPDATE jobs SET status = 'waiting', run_at = ?, error = ?, locked_by = NULL, locked_until = NULL
+      WHERE id = ?
+    `).run(runAt, error, job.id);
+    return { retrying: true, runAt };
+  }
+  db.prepare(`
+    UPDATE jobs SET status = 'failed', error = ?, finished_at = ?, locked_by = NULL, locked_until = NULL
+    WHERE id = ?
+  `).run(error, now, job.id);
+  return { retrying: false, runAt: null };
+}
+
+/**
+ * Requeue (or bury) active jobs whose worker stopped renewing the lock — it
+ * crashed or was killed mid-run. The interrupted run counts as an attempt.
+ * @returns {number[]} IDs of the recovered jobs
+ */
+function recoverStalledJobs(now = Date.now()) {
+  const db = initDatabase();
+  return db.transaction(() => {
+    const stalled = db.prepare("SELECT * FROM jobs WHERE status = 'active' AND locked_until < ?").all(now);
+    for (const job of stalled) {
+      retryOrBury(db, job, `Worker ${job.locked_by} stopped while running the job`, now);
+    }
+    return stalled.map(j => j.id);
+  }).immediate();
+}
+
+/**
+ * One job, or null
+ */
+function getQueueJob(id) {
+  const db = initDatabase();
+  return jobRow(db.prepare('SELECT * FROM jobs WHERE id = ?').get(id));
+}
+
+/**
+ * Jobs in one status, most recent first
+ */
+function listQueueJobs(status, { limit = 10 } = {}) {
+  const db = initDatabase();
+  return db.prepare(`
+    SELECT * FROM jobs WHERE status = ?
+    ORDER BY COALESCE(finished_at, started_at, created_at) DESC, id DESC
+    LIMIT ?
+  `).all(status, limit).map(jobRow);
+}
+
+/**
+ * Number of jobs per status; waiting jobs not yet due count as delayed
+ */
+function countQueueJobs(now = Date.now()) {
+  const db = initDatabase();
+  const counts = { waiting: 0, delayed: 0, active: 0, completed: 0, failed: 0 };
+  const rows = db.prepare(`
+    SELECT CASE WHEN status = 'waiting' AND run_at > ? THEN 'delayed' ELSE status END AS state, COUNT(*) AS count
+    FROM jobs GROUP BY state
+  `).all(now);
+  for (const row of rows) counts[row.state] = row.count;
+  return counts;
+}
+
+/**
+ * Give a dead-lettered job a fresh set of attempts; false if it isn't failed
+ */
+function requeueFailedJob(id, now = Date.now()) {
+  const db = initDatabase();
+  return db.prepare(`
+    UPDATE jobs SET status = 'waiting', attempts_made = 0, run_at = ?, finished_at = NULL, error = NULL
+    WHERE id = ? AND status = 'failed'
+  `).run(now, id).changes > 0;
+}
+
+/**
+ * Delete finished jobs: completed ones older than completedAgeMs or beyond the
+ * newest keepCompleted, dead-lettered ones older than failedAgeMs
+ */
+function pruneQueueJobs({ completedAgeMs, keepCompleted, failedAgeMs, now = Date.now() }) {
+  const db = initDatabase();
+  db.prepare(`
+    DELETE FROM jobs WHERE status = 'completed' AND (finished_at < ? OR id NOT IN (
+      SELECT id FROM jobs WHERE status = 'completed' ORDER BY finished_at DESC, id DESC LIMIT ?
+    ))
+  `).run(now - completedAgeMs, keepCompleted);
+  db.prepare("DELETE FROM jobs WHERE status = 'failed' AND finished_at < ?").run(now - failedAgeMs);
+}
+
+// ─── Run lock ─────────────────────────────────────────────────────────────────
+// SQLite store for run-lock.js. Times are epoch ms.
+
+function leaseRow(row) {
+  return row ? {
+    token: row.token,
+    holder: row.holder,
+    acquiredAt: row.acquired_at,
+    heartbeatAt: row.heartbeat_at,
+    expiresAt: row.expires_at,
+  } : null;
+}
+
+/**
+ * Take the named lock unless someone holds an unexpired lease on it
+ * @returns {{ acquired:boolean, current:object|null }} current is the blocking
+ *   lease, or (when acquired) the stale lease that was taken over
+ */
+function acquireRunLease(name, lease, now = Date.now()) {
+  const db = initDatabase();
+  return db.transaction(() => {
+    const current = leaseRow(db.prepare('SELECT * FROM run_locks WHERE name = ?').get(name));
+    if (current && current.expiresAt >= now) return { acquired: false, current };
+    db.prepare(`
+      INSERT INTO run_locks (name, token, holder, acquired_at, heartbeat_at, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(name) DO UPDATE SET
+        token = excluded.token,
+        holder = excluded.holder,
+        acquired_at = excluded.acquired_at,
+        heartbeat_at = excluded.heartbeat_at,
+        expires_at = excluded.expires_at
+    `).run(name, lease.token, lease.holder, lease.acquiredAt, lease.heartbeatAt, lease.expiresAt);
+    return { acquired: true, current };
+  }).immediate();
+}
+
+/**
+ * Extend a lease; false if it was released or taken over
+ */
+function renewRunLease(name, token, expiresAt, now = Date.now()) {
+  const db = initDatabase();
+  return db.prepare(`
+    UPDATE run_locks SET heartbeat_at = ?, expires_at = ? WHERE name = ? AND token = ?
+  `).run(now, expiresAt, name, token).changes > 0;
+}
+
+/**
+ * Drop a lease if it is still ours
+ */
+function releaseRunLease(name, token) {
+  const db = initDatabase();
+  db.prepare('DELETE FROM run_locks WHERE name = ? AND token = ?').run(name, token);
+}
+
+/**
+ * The current lease on a lock (possibly stale), or null
+ */
+function getRunLease(name) {
+  const db = initDatabase();
+  return leaseRow(db.prepare('SELECT * FROM run_locks WHERE name = ?').get(name));
+}
+
+/**
+ * Start a new run and return run ID
+ * @param {string[]|null} [providerNames] - The providers it covers (null = everyone), kept for --resume
+ */
+function startRun(providerNames = null) {
+  const db = initDatabase();
+
+  const result = db.prepare(`
+    INSERT INTO run_history (started_at, status, provider_names)
+    VALUES (CURRENT_TIMESTAMP, 'running', ?)
+  `).run(providerNames ? JSON.stringify(providerNames) : null);
+
+  return result.lastInsertRowid;
+}
+
+/**
+ * Complete a run with results
+ */
+function completeRun(runId, results) {
+  const db = initDatabase();
+
+  const succeeded = results.filter(r => r.status === 'success' && !r.reused).length;
+  const failed = results.filter(r => r.status === 'login_error' || r.status === 'failed').length;
+  const notConfigured = results.filter(r => r.status === 'not_configured').length;
+
+  db.prepare(`
+    UPDATE run_history SET
+      completed_at = CURRENT_TIMESTAMP,
+      providers_processed = ?,
+      providers_succeeded = ?,
+      providers_failed = ?,
+      providers_not_configured = ?,
+      duration_seconds = (julianday(CURRENT_TIMESTAMP) - julianday(started_at)) * 86400,
+      status = ?
+    WHERE id = ?
+  `).run(
+    results.length,
+    succeeded,
+    failed,
+    notConfigured,
+    failed > 0 ? 'completed_with_errors' : 'completed',
+    runId
+  );
+}
+
+// ─── Run checkpoints ──────────────────────────────────────────────────────────
+// Each provider's stage results are saved as they finish, so node index.js
+// --resume <runId> can redo only what an interrupted run had not done.
+
+/**
+ * A run that can still be resumed (status 'running'), or null if there is no such run
+ * @throws {Error} if the run has already finished
+ */
+function getResumableRun(runId) {
+  const db = initDatabase();
+  const run = db.prepare('SELECT id, started_at, status, provider_names FROM run_history WHERE id = ?').get(runId);
+  if (!run) return null;
+  if (run.status !== 'running') throw new Error(`Run #${runId} already finished (${run.status})`);
+  return {
+    id: run.id,
+    startedAt: sqliteToIso(run.started_at),
+    providerNames: parseJson(run.provider_names),
+  };
+}
+
+/**
+ * Runs that never finished, newest first, with how many providers each checkpointed
+ */
+function getIncompleteRuns() {
+  const db = initDatabase();
+  return db.prepare(`
+    SELECT r.id, r.started_at, COUNT(DISTINCT c.provider_name) AS providers_checkpointed
+    FROM run_history r
+    LEFT JOIN run_checkpoints c ON c.run_id = r.id
+    WHERE r.status = 'running'
+    GROUP BY r.id
+    ORDER BY r.id DESC
+  `).all().map(r => ({
+    id: r.id,
+    startedAt: sqliteToIso(r.started_at),
+    providersCheckpointed: r.providers_checkpointed,
+  }));
+}
+
+/**
+ * Save one provider's result for one stage ('cebroker', 'platforms', 'licenses')
+ */
+function saveRunCheckpoint(runId, providerName, stage, data) {
+  const db = initDatabase();
+  db.prepare(`
+    INSERT INTO run_checkpoints (run_id, provider_name, stage, data)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT(run_id, provider_name, stage) DO UPDATE SET data = excluded.data, saved_at = CURRENT_TIMESTAMP
+  `).run(runId, providerName, stage, JSON.stringify(data ?? null));
+}
+
+/**
+ * Everything checkpointed for a run: { [providerName]: { cebroker, platforms, licenses, saved } }
+ */
+function getRunCheckpoints(runId) {
+  const db = initDatabase();
+  const checkpoints = {};
+  for (const row of db.prepare('SELECT provider_name, stage, data FROM run_checkpoints WHERE run_id = ?').all(runId)) {
+    (checkpoints[row.provider_name] ||= {})[row.stage] = parseJson(row.data);
+  }
+  return checkpoints;
+}
+
+/**
+ * saveProviderRun, once: skipped if this provider was already saved for the run,
+ * otherwise written together with its 'saved' checkpoint in one transaction
+ * @returns {boolean} whether anything was written
+ */
+function saveProviderRunOnce(runId, provider, data) {
+  const db = initDatabase();
+  return db.transaction(() => {
+    const done = db.prepare(`
+      SELECT 1 FROM run_checkpoints WHERE run_id = ? AND provider_name = ? AND stage = 'saved'
+    `).get(runId, provider.name);
+    if (done) return false;
+    saveProviderRun(runId, provider, data);
+    saveRunCheckpoint(runId, provider.name, 'saved', true);
+    return true;
+  })();
+}
+
+/**
+ * Drop a run's checkpoints once it has completed
+ */
+function clearRunCheckpoints(runId) {
+  const db = initDatabase();
+  db.prepare('DELETE FROM run_checkpoints WHERE run_id = ?').run(runId);
+}
+
+// ─── Scrape state ─────────────────────────────────────────────────────────────
+// When each provider's CE Broker account and platforms were last scraped, and
+// their last good result, for scrape-policy.js. Times are epoch ms.
+
+const MAX_CHANGE_TIMES = 20;
+
+/**
+ * Every source's state: [{ providerName, source, lastAttemptAt, lastSuccessAt, lastStatus, changeTimes, data }]
+ */
+function getScrapeStates() {
+  const db = initDatabase();
+  return db.prepare('SELECT * FROM scrape_state').all().map(row => ({
+    providerName: row.provider_name,
+    source: row.source,
+    lastAttemptAt: row.last_attempt_at,
+    lastSuccessAt: row.last_success_at,
+    lastStatus: row.last_status,
+    changeTimes: parseJson(row.change_times) || [],
+    data: parseJson(row.data),
+  }));
+}
+
+/**
+ * Record a scrape of one source. A success stores its data and, when the
+ * fingerprint differs from the last success, counts as a change.
+ * @param {object} outcome - { status, data, fingerprint } — status 'success' or the failure status
+ */
+function recordScrapeResult(providerName, source, { status, data = null, fingerprint = null }, now = Date.now()) {
+  const db = initDatabase();
+  db.transaction(() => {
+    const row = db.prepare('SELECT * FROM scrape_state WHERE provider_name = ? AND source = ?').get(providerName, source);
+
+    if (status !== 'success') {
+      db.prepare(`
+        INSERT INTO scrape_state (provider_name, source, last_attempt_at, last_status)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT(provider_name, source) DO UPDATE SET last_attempt_at = excluded.last_attempt_at, last_status = excluded.last_status
+      `).run(providerName, source, now, status);
+      return;
+    }
+
+    let changeTimes = parseJson(row?.change_times) || [];
+    if (row?.fingerprint && row.fingerprint !== fingerprint) changeTimes = [now, ...changeTimes].slice(0, MAX_CHANGE_TIMES);
+
+    db.prepare(`
+      INSERT INTO scrape_state (provider_name, source, last_attempt_at, last_success_at, last_status, fingerprint, change_times, data)
+      VALUES (?, ?, ?, ?, 'success', ?, ?, ?)
+      ON CONFLICT(provider_name, source) DO UPDATE SET
+        last_attempt_at = excluded.last_attempt_at,
+        last_success_at = excluded.last_success_at,
+        last_status = excluded.last_status,
+        fingerprint = excluded.fingerprint,
+        change_times = excluded.change_times,
+        data = excluded.data
+    `).run(providerName, source, now, now, fingerprint, JSON.stringify(changeTimes), JSON.stringify(data));
+  }).immediate();
+}
+
+// ─── Anchor checks ────────────────────────────────────────────────────────────
+// Per-run anchor matching from layout-drift.js — the baseline that tells a
+// portal redesign apart from an anchor that never matched everyone.
+
+/**
+ * Store a run's anchor summary.
+ * @param {Array<{ source, anchor, checked, matched }>} stats
+ */
+function saveAnchorChecks(runId, stats) {
+  const db = initDatabase();
+  const insert = db.prepare(`
+    INSERT OR REPLACE INTO anchor_checks (run_id, source, anchor, checked, matched)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+  db.transaction(() => {
+    for (const s of stats) insert.run(runId, s.source, s.anchor, s.checked, s.matched);
+  })();
+}
+
+/**
+ * Anchor matching summed over the last `runs` runs that checked anchors,
+ * leaving out `excludeRunId` (the run being judged).
+ * @returns {Array<{ source, anchor, checked, matched }>}
+ */
+function getAnchorBaseline({ runs = 10, excludeRunId = null } = {}) {
+  const db = initDatabase();
+  return db.prepare(`
+    SELECT source, anchor, SUM(checked) AS checked, SUM(matched) AS matched
+    FROM anchor_checks
+    WHERE run_id IN (
+      SELECT DISTINCT run_id FROM anchor_checks
+      WHERE run_id IS NOT ?
+      ORDER BY run_id DESC LIMIT ?
+    )
+    GROUP BY source, anchor
+  `).all(excludeRunId, runs);
+}
+
+// ─── Run evidence ─────────────────────────────────────────────────────────────
+// Screenshots and Playwright traces of failed attempts (evidence.js). Paths are
+// relative to the evidence directory.
+
+function toEvidence(row) {
+  return {
+    id: row.id,
+    runId: row.run_id,
+    providerName: row.provider_name,
+    source: row.source,
+    label: row.label,
+    errorCode: row.error_code,
+    error: row.error,
+    screenshotPath: row.screenshot_path,
+    tracePath: row.trace_path,
+    capturedAt: sqliteToIso(row.captured_at),
+  };
+}
+
+/**
+ * Link a failed attempt's evidence to its run
+ * @param {object} entry - { providerName, source, label, errorCode, error, screenshotPath, tracePath }
+ * @returns {number} the evidence id
+ */
+function saveRunEvidence(runId, entry) {
+  const db = initDatabase();
+  return db.prepare(`
+    INSERT INTO run_evidence (run_id, provider_name, source, label, error_code, error, screenshot_path, trace_path)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    runId, entry.providerName, entry.source, entry.label || null, entry.errorCode || null,
+    entry.error || null, entry.screenshotPath || null, entry.tracePath || null,
+  ).lastInsertRowid;
+}
+
+/** One run's evidence, in capture order */
+function getRunEvidence(runId) {
+  const db = initDatabase();
+  return db.prepare('SELECT * FROM run_evidence WHERE run_id = ? ORDER BY id').all(runId).map(toEvidence);
+}
+
+/** One piece of evidence by id, or null */
+function getEvidence(id) {
+  const db = initDatabase();
+  const row = db.prepare('SELECT * FROM run_evidence WHERE id = ?').get(id);
+  return row ? toEvidence(row) : null;
+}
+
+/**
+ * Runs that captured evidence, newest first
+ * @returns {Array<{ runId, startedAt, completedAt, status, failures, providers }>}
+ */
+function getEvidenceRuns({ limit = 20 } = {}) {
+  const db = initDatabase();
+  return db.prepare(`
+    SELECT e.run_id, rh.started_at, rh.completed_at, rh.status,
+           COUNT(*) AS failures, COUNT(DISTINCT e.provider_name) AS providers
+    FROM run_evidence e
+    LEFT JOIN run_history rh ON rh.id = e.run_id
+    GROUP BY e.run_id
+    ORDER BY e.run_id DESC
+    LIMIT ?
+  `).all(limit).map(r => ({
+    runId: r.run_id,
+    startedAt: sqliteToIso(r.started_at),
+    completedAt: sqliteToIso(r.completed_at),
+    status: r.status,
+    failures: r.failures,
+    providers: r.providers,
+  }));
+}
+
+/**
+ * Forget evidence captured before a cutoff (the files are evidence.js's job)
+ * @param {Date} cutoff
+ * @returns {number} rows deleted
+ */
+function deleteEvidenceBefore(cutoff) {
+  const db = initDatabase();
+  const ts = cutoff.toISOString().replace('T', ' ').slice(0, 19);
+  return db.prepare('DELETE FROM run_evidence WHERE captured_at < ?').run(ts).changes;
+}
+
+// ─── Login challenges ─────────────────────────────────────────────────────────
+// Verification codes asked for during portal logins (login-challenges.js). Times
+// are epoch ms.
+
+function toChallenge(row) {
+  return row ? {
+    id: row.id,
+    runId: row.run_id,
+    providerName: row.provider_name,
+    source: row.source,
+    kind: row.kind,
+    prompt: row.prompt,
+    channel: row.channel,
+    status: row.status,
+    answeredBy: row.answered_by,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    answeredAt: row.answered_at,
+    resolvedAt: row.resolved_at,
+  } : null;
+}
+
+/**
+ * Record a challenge that is waiting for a code
+ * @param {object} challenge - { runId, providerName, source, kind, prompt, channel, expiresAt }
+ * @returns {number} the challenge id
+ */
+function createLoginChallenge(challenge, now = Date.now()) {
+  const db = initDatabase();
+  return db.prepare(`
+    INSERT INTO login_challenges (run_id, provider_name, source, kind, prompt, channel, created_at, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    challenge.runId || null, challenge.providerName, challenge.source, challenge.kind,
+    challenge.prompt || null, challenge.channel, now, challenge.expiresAt,
+  ).lastInsertRowid;
+}
+
+/** One challenge by id (without its code), or null */
+function getLoginChallenge(id) {
+  const db = initDatabase();
+  return toChallenge(db.prepare('SELECT * FROM login_challenges WHERE id = ?').get(id));
+}
+
+/** Challenges still waiting for a code, oldest first */
+function getPendingLoginChallenges(now = Date.now()) {
+  const db = initDatabase();
+  return db.prepare(`
+    SELECT * FROM login_challenges WHERE status = 'pending' AND expires_at > ? ORDER BY id
+  `).all(now).map(toChallenge);
+}
+
+/**
+ * Give the code for a pending challenge
+ * @returns {boolean} false if it isn't pending any more (answered, expired or resolved)
+ */
+function answerLoginChallenge(id, code, answeredBy = null, now = Date.now()) {
+  const db = initDatabase();
+  return db.prepare(`
+    UPDATE login_challenges SET status = 'answered', code = ?, answered_by = ?, answered_at = ?
+    WHERE id = ? AND status = 'pending' AND expires_at > ?
+  `).run(code, answeredBy, now, id, now).changes > 0;
+}
+
+/**
+ * Take an answered challenge's code, once: the code is cleared and the
+ * challenge marked submitted
+ * @returns {string|null}
+ */
+function takeLoginChallengeCode(id) {
+  const db = initDatabase();
+  return db.transaction(() => {
+    const row = db.prepare("SELECT code FROM login_challenges WHERE id = ? AND status = 'answered'").get(id);
+    if (!row) return null;
+    db.prepare("UPDATE login_challenges SET status = 'submitted', code = NULL WHERE id = ?").run(id);
+    return row.code;
+  }).immediate();
+}
+
+/**
+ * Close a challenge: 'accepted', 'rejected' or 'expired'. Clears any code not taken.
+ */
+function resolveLoginChallenge(id, status, now = Date.now()) {
+  const db = initDatabase();
+  db.prepare('UPDATE login_challenges SET status = ?, code = NULL, resolved_at = ? WHERE id = ?').run(status, now, id);
+}
+
+// ─── Course imports ───────────────────────────────────────────────────────────
+// Transcripts and certificates uploaded by hand (course-import.js): staged for
+// review, then confirmed into courses or discarded
+
+function toCourseImport(row) {
+  return row ? {
+    id: row.id,
+    providerId: row.provider_id,
+    providerName: row.provider_name,
+    filename: row.filename,
+    format: row.format,
+    sourceFile: row.source_file,
+    sourceSha256: row.source_sha256,
+    status: row.status,
+    rows: parseJson(row.rows) || [],
+    warnings: parseJson(row.warnings) || [],
+    courseCount: row.course_count,
+    createdBy: row.created_by,
+    createdAt: sqliteToIso(row.created_at),
+    reviewedBy: row.reviewed_by,
+    reviewedAt: sqliteToIso(row.reviewed_at),
+  } : null;
+}
+
+const COURSE_IMPORT_SELECT = `
+  SELECT i.*, p.name AS provider_name FROM course_imports i
+  JOIN providers p ON p.id = i.provider_id
+`;
+
+/** A provider by exact name (case-insensitive), or null */
+function findProviderByName(name) {
+  const db = initDatabase();
+  const p = db.prepare('SELECT * FROM providers WHERE name = ? COLLATE NOCASE').get(String(name || ''));
+  return p ? providerRow(p) : null;
+}
+
+/**
+ * Stage an uploaded file's parsed rows for review
+ * @param {{ providerId, filename, format, sourceFile, sourceSha256, rows:Array, warnings?:Array, createdBy? }} entry
+ * @returns {number} the import id
+ */
+function createCourseImport(entry) {
+  const db = initDatabase();
+  return db.prepare(`
+    INSERT INTO course_imports (provider_id, filename, format, source_file, source_sha256, rows, warnings, created_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    entry.providerId, entry.filename, entry.format, entry.sourceFile, entry.sourceSha256,
+    JSON.stringify(entry.rows), JSON.stringify(entry.warnings || []), entry.createdBy || null,
+  ).lastInsertRowid;
+}
+
+/** One import with its staged rows, or null */
+function getCourseImport(id) {
+  const db = initDatabase();
+  return toCourseImport(db.prepare(`${COURSE_IMPORT_SELECT} WHERE i.id = ?`).get(id));
+}
+
+/**
+ * Imports, newest first
+ * @param {{ status?:string, limit?:number }} [filter]
+ */
+function listCourseImports({ status = null, limit = 50 } = {}) {
+  const db = initDatabase();
+  return db.prepare(`${COURSE_IMPORT_SELECT} WHERE (? IS NULL OR i.status = ?) ORDER BY i.id DESC LIMIT ?`)
+    .all(status, status, limit)
+    .map(toCourseImport);
+}
+
+/**
+ * Confirm a pending import: its reviewed rows become courses (deduplicated like
+ * scraped ones), tagged with the import id
+ * @param {number} id
+ * @param {Array} courses - reviewed rows: { name, date, hours, platform, category, cost, certificateUrl }
+ * @param {string|null} reviewedBy
+ * @returns {boolean} false if the import isn't pending any more
+ */
+function confirmCourseImport(id, courses, reviewedBy = null) {
+  const db = initDatabase();
+  return db.transaction(() => {
+    const row = db.prepare("SELECT * FROM course_imports WHERE id = ? AND status = 'pending'").get(id);
+    if (!row) return false;
+    for (const course of courses) saveCourse(row.provider_id, { ...course, importId: id });
+    db.prepare(`
+      UPDATE course_imports SET status = 'confirmed', rows = ?, course_count = ?,
+        reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(JSON.stringify(courses), courses.length, reviewedBy, id);
+    return true;
+  }).immediate();
+}
+
+/**
+ * Discard a pending import; its source file stays on disk
+ * @returns {boolean} false if the import isn't pending any more
+ */
+function discardCourseImport(id, reviewedBy = null) {
+  const db = initDatabase();
+  return db.prepare(`
+    UPDATE course_imports SET status = 'discarded', reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND status = 'pending'
+  `).run(reviewedBy, id).changes > 0;
+}
+
+// ─── Course deduplication ─────────────────────────────────────────────────────
+// Admin decisions on course-dedupe.js's review queue: the hours a course counts
+// for when its sources disagree, and whether two similar courses are one
+
+function toCourseMergeDecision(row) {
+  return {
+    kind: row.kind,
+    key: row.course_key,
+    decision: row.decision,
+    hours: row.hours,
+    decidedBy: row.decided_by,
+    decidedAt: sqliteToIso(row.decided_at),
+  };
+}
+
+/** A provider's decisions, as dedupeCourses takes them */
+function getCourseMergeDecisions(providerId) {
+  const db = initDatabase();
+  return db.prepare('SELECT * FROM course_merge_decisions WHERE provider_id = ? ORDER BY id')
+    .all(providerId)
+    .map(toCourseMergeDecision);
+}
+
+/**
+ * The review queue: courses whose sources disagree on hours, and pairs of
+ * courses that may be one, by provider
+ * @param {{ providerName?:string, status?:'pending'|'decided'|null }} [filter] - status null: both
+ * @returns {Array<{ providerId, providerName, kind, key, status }>} with the
+ *   review's details (see dedupeCourses) and, once decided, who decided it
+ */
+function getCourseMergeReviews({ providerName = null, status = 'pending' } = {}) {
+  const db = initDatabase();
+  const providers = providerName
+    ? [findProviderByName(providerName)].filter(Boolean)
+    : db.prepare('SELECT * FROM providers ORDER BY name').all().map(providerRow);
+
+  return providers.flatMap(p => {
+    const decisions = getCourseMergeDecisions(p.id);
+    return dedupeCourses(courseRowsFor(p.id), decisions).reviews
+      .filter(r => !status || r.status === status)
+      .map(r => {
+        const decision = decisions.find(d => d.kind === r.kind && d.key === r.key);
+        return {
+          providerId: p.id,
+          providerName: p.name,
+          ...r,
+          ...(decision ? { decidedBy: decision.decidedBy, decidedAt: decision.decidedAt } : {}),
+        };
+      });
+  });
+}
+
+/**
+ * Record an admin's decision on a review, replacing any earlier one
+ * @param {number} providerId
+ * @param {{ kind:'hours'|'match', key:string, decision:'hours'|'merge'|'separate', hours?:number, decidedBy?:string }} decision
+ */
+function saveCourseMergeDecision(providerId, { kind, key, decision, hours = null, decidedBy = null }) {
+  const db = initDatabase();
+  db.prepare(`
+    INSERT INTO course_merge_decisions (provider_id, kind, course_key, decision, hours, decided_by)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT(provider_id, kind, course_key) DO UPDATE SET
+      decision = excluded.decision,
+      hours = excluded.hours,
+      decided_by = excluded.decided_by,
+      decided_at = CURRENT_TIMESTAMP
+  `).run(providerId, kind, key, decision, hours, decidedBy);
+}
+
+/**
+ * Forget a decision, putting its review back in the queue
+ * @returns {boolean} false if there was none
+ */
+function clearCourseMergeDecision(providerId, kind, key) {
+  const db = initDatabase();
+  return db.prepare('DELETE FROM course_merge_decisions WHERE provider_id = ? AND kind = ? AND course_key = ?')
+    .run(providerId, kind, key).changes > 0;
+}
+
+/**
+ * Close database connection
+ */
+function closeDatabase() {
+  if (db) {
+    db.close();
+    db = null;
+  }
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/** Normalise a scraped date (MM/DD/YYYY, ISO, …) to YYYY-MM-DD; keeps unparseable values as-is. */
+function toIsoDate(value) {
+  if (!value) return null;
+  const d = parseDate(value);
+  return d ? d.toISOString().split('T')[0] : String(value);
+}
+
+/** ISO timestamp → SQLite CURRENT_TIMESTAMP format (UTC, second precision). */
+function isoToSqlite(iso) {
+  const d = parseDate(iso);
+  return d ? d.toISOString().slice(0, 19).replace('T', ' ') : null;
+}
+
+/** SQLite CURRENT_TIMESTAMP value → ISO timestamp. */
+function sqliteToIso(ts) {
+  if (!ts) return null;
+  return ts.includes('T') ? ts : ts.replace(' ', 'T') + '.000Z';
+}
+
+function guessProviderType(name) {
+  return (name || '').match(/,\s*(NP|MD|DO|RN)\b/)?.[1] || 'Unknown';
+}
+
+function isPlaceholderRecord(rec) {
+  return !rec.state && rec.hoursRequired == null && rec.hoursCompleted == null &&
+    rec.hoursRemaining == null && !rec.renewalDeadline;
+}
+
+// ─── Derived JSON exports ─────────────────────────────────────────────────────
+// history.json, course-history.json, platform-data.json and licenses.json are
+// rebuilt from the database after every run instead of being written directly
+// by the scrapers, so they can never disagree with each other.
+
+/**
+ * Build the history.json snapshot for one completed run
+ */
+function getRunSnapshot(runId) {
+  const db = initDatabase();
+
+  const run = db.prepare('SELECT * FROM run_history WHERE id = ?').get(runId);
+  if (!run) return null;
+
+  const results = db.prepare(`
+    SELECT rr.*, p.name FROM run_results rr
+    JOIN providers p ON p.id = rr.provider_id
+    WHERE rr.run_id = ?
+    ORDER BY rr.id
+  `).all(runId);
+
+  const records = db.prepare(`
+    SELECT cr.*, p.name FROM compliance_records cr
+    JOIN providers p ON p.id = cr.provider_id
+    WHERE cr.run_id = ?
+    ORDER BY cr.id
+  `).all(runId);
+
+  const subjectsFor = db.prepare(`
+    SELECT * FROM subject_areas WHERE compliance_record_id = ? ORDER BY id
+  `);
+
+  const toSnapshotProvider = (rec) => ({
+    name:            rec.name,
+    state:           rec.state,
+    hoursRequired:   rec.hours_required,
+    hoursCompleted:  rec.hours_completed,
+    hoursRemaining:  rec.hours_remaining,
+    renewalDeadline: rec.renewal_deadline,
+    subjectAreas:    subjectsFor.all(rec.id)
+      .filter(sa => sa.hours_needed > 0)
+      .map(sa => ({
+        topic: sa.subject,
+        required: sa.hours_required,
+        completed: sa.hours_completed,
+        needed: sa.hours_needed,
+      })),
+  });
+
+  // Keep the run's processing order; providers without records get the same
+  // null placeholder the scraper emits for login errors / platform-only providers.
+  // A provider whose CE Broker data the run reused says when it was really scraped
+  const providers = [];
+  for (const r of results) {
+    const own = records.filter(rec => rec.provider_id === r.provider_id);
+    if (own.length > 0) {
+      providers.push(...own.map(rec => (r.status === 'reused'
+        ? { ...toSnapshotProvider(rec), reusedFrom: sqliteToIso(rec.scraped_at) }
+        : toSnapshotProvider(rec))));
+    } else {
+      providers.push({
+        name: r.name, state: null, hoursRequired: null, hoursCompleted: null,
+        hoursRemaining: null, renewalDeadline: null, subjectAreas: [],
+      });
+    }
+  }
+
+  return {
+    timestamp: sqliteToIso(run.completed_at || run.started_at),
+    succeeded: run.providers_succeeded || 0,
+    failed: run.providers_failed || 0,
+    notConfigured: run.providers_not_configured || 0,
+    reused: results.filter(r => r.status === 'reused').length,
+    loginErrors: results
+      .filter(r => r.status === 'login_error' || r.status === 'failed')
+      .map(r => ({
+        name: r.name,
+        errorCode: r.error_code || 'unknown',
+        error: r.error || 'Login failed',
+        errorAction: r.error_action || 'Check screenshot for details',
+      })),
+    providers,
+  };
+}
+
+/**
+ * Build the full history.json array (every finished run, oldest first).
+ * Runs still marked 'running' — in progress or abandoned by a crash — are left out.
+ */
+function getHistoryExport() {
+  const db = initDatabase();
+
+  const runs = db.prepare(`
+    SELECT id FROM run_history WHERE status != 'running' ORDER BY started_at, id
+  `).all();
+
+  return runs.map(r => getRunSnapshot(r.id));
+}
+
+/**
+ * A provider's stored courses as course-history.json rows, newest first, before
+ * course-dedupe.js merges the ones several sources list
+ */
+function courseRowsFor(providerId) {
+  const db = initDatabase();
+  return db.prepare('SELECT * FROM courses WHERE provider_id = ? ORDER BY completion_date DESC, id')
+    .all(providerId)
+    .filter(c => /^\d{4}-\d{2}-\d{2}$/.test(c.completion_date || ''))
+    .map(c => ({
+      date: c.completion_date,
+      name: c.course_name,
+      hours: c.hours,
+      ...(c.state ? { state: c.state } : {}),
+      ...(c.category ? { category: c.category } : {}),
+      ...(c.platform ? { platform: c.platform, cost: c.cost } : {}),
+      ...(c.certificate_url ? { certificateUrl: c.certificate_url } : {}),
+      ...(c.import_id ? { importId: c.import_id } : {}),
+      scrapedAt: (c.created_at || '').slice(0, 10),
+    }));
+}
+
+/**
+ * Build course-history.json: courses (one per course, with their sources),
+ * latest deadlines, platform spend and archived CE cycles per provider
+ */
+function getCourseHistoryExport() {
+  const db = initDatabase();
+
+  const providers = db.prepare('SELECT * FROM providers ORDER BY name').all();
+  const latestRecordsFor = db.prepare(`
+    SELECT * FROM compliance_records
+    WHERE provider_id = ? AND run_id IS (
+      SELECT run_id FROM compliance_records
+      WHERE provider_id = ?
+      ORDER BY scraped_at DESC, id DESC
+      LIMIT 1
+    )
+    ORDER BY id
+  `);
+  const spendFor = db.prepare(`
+    SELECT platform, total_spent FROM platform_results
+    WHERE provider_id = ? AND total_spent IS NOT NULL
+    ORDER BY scraped_at, id
+  `);
+
+  const history = {};
+  for (const p of providers) {
+    const { courses } = dedupeCourses(courseRowsFor(p.id), getCourseMergeDecisions(p.id));
+
+    const deadlines = latestRecordsFor.all(p.id, p.id)
+      .filter(r => parseDate(r.renewal_deadline))
+      .map(r => ({
+        date: toIsoDate(r.renewal_deadline),
+        state: r.state,
+        licenseType: r.license_type || p.type,
+      }));
+
+    const cycles = getLicenseCycles(p.id)
+      .map(({ courses: cycleCourses, updatedAt, ...cycle }) => ({ ...cycle, courseCount: cycleCourses.length }));
+
+    if (courses.length === 0 && deadlines.length === 0 && cycles.length === 0) continue;
+
+    const platformSpend = {};
+    for (const row of spendFor.all(p.id)) platformSpend[row.platform] = row.total_spent;
+
+    history[p.name] = { type: p.type, courses, deadlines, platformSpend };
+    if (cycles.length > 0) history[p.name].cycles = cycles;
+  }
+
+  return history;
+}
+
+/**
+ * Build platform-data.json for one run
+ */
+function getPlatformDataExport(runId) {
+  const db = initDatabase();
+
+  const run = db.prepare('SELECT * FROM run_history WHERE id = ?').get(runId);
+  const rows = db.prepare(`
+    SELECT pr.*, p.name FROM platform_results pr
+    JOIN providers p ON p.id = pr.provider_id
+    WHERE pr.run_id = ?
+    ORDER BY pr.id
+  `).all(runId);
+
+  return {
+    timestamp: sqliteToIso(run?.completed_at || run?.started_at),
+    results: rows.map(r => ({
+      providerName: r.name,
+      platform: r.platform,
+      status: r.status,
+      hoursEarned: r.hours_earned,
+      totalSpent: r.total_spent,
+      courseCount: r.course_count || 0,
+      orderCount: r.order_count || 0,
+    })),
+  };
+}
+
+/**
+ * Build licenses.json from each provider's most recent verification pass
+ */
+function getLicenseExport() {
+  const db = initDatabase();
+
+  const scans = db.prepare(`
+    SELECT ls.*, p.name, p.type FROM license_scans ls
+    JOIN providers p ON p.id = ls.provider_id
+    WHERE ls.id = (SELECT MAX(id) FROM license_scans WHERE provider_id = ls.provider_id)
+    ORDER BY p.name
+  `).all();
+  const licensesFor = db.prepare('SELECT * FROM licenses WHERE scan_id = ? ORDER BY id');
+
+  const data = { lastUpdated: null, providers: {}, verificationStats: {} };
+  for (const scan of scans) {
+    const licenses = licensesFor.all(scan.id).map(l => ({
+      state: l.state,
+      stateFullName: getStateName(l.state),
+      licenseNumber: l.license_number,
+      licenseType: l.license_type,
+      status: l.status,
+      expirationDate: l.expiration_date,
+      issuedDate: l.issued_date,
+      verificationSource: l.verification_source,
+      lastVerified: l.last_verified,
+      disciplineActions: !!l.discipline_actions,
+    }));
+    const scannedAt = sqliteToIso(scan.scanned_at);
+    data.providers[scan.name] = {
+      providerType: scan.type,
+      licenses,
+      statesSearched: scan.states_searched,
+      statesWithLicense: licenses.length,
+      lastFullScan: scannedAt,
+    };
+    if (!data.lastUpdated || scannedAt > data.lastUpdated) data.lastUpdated = scannedAt;
+  }
+  data.verificationStats = calculateStats(data);
+
+  return data;
+}
+
+/**
+ * Write every derived JSON file (plus the public/ mirrors Vercel serves).
+ * @param {number|null} runId - Run whose platform results become platform-data.json
+ * @returns {{ history:Array, courseHistory:object, platformData:object|null, licenseData:object }}
+ */
+function exportJsonFiles(runId = null) {
+  if (!fs.existsSync(PUBLIC_DIR)) fs.mkdirSync(PUBLIC_DIR, { recursive: true });
+
+  const history = getHistoryExport();
+  saveJson(path.join(__dirname, 'history.json'), history);
+  saveJson(path.join(PUBLIC_DIR, 'history.json'), history);
+
+  const latest = history[history.length - 1];
+  if (latest) {
+    saveJson(path.join(__dirname, 'last_run.json'), {
+      timestamp: latest.timestamp,
+      total: latest.providers.length,
+      succeeded: latest.succeeded,
+      failed: latest.failed,
+    });
+  }
+
+  const courseHistory = getCourseHistoryExport();
+  saveJson(path.join(__dirname, 'course-history.json'), courseHistory);
+  saveJson(path.join(PUBLIC_DIR, 'course-history.json'), courseHistory);
+
+  let platformData = null;
+  if (runId) {
+    platformData = getPlatformDataExport(runId);
+    if (platformData.results.length > 0) {
+      saveJson(path.join(__dirname, 'platform-data.json'), platformData);
+    }
+  }
+
+  const licenseData = getLicenseExport();
+  if (Object.keys(licenseData.providers).length > 0) {
+    saveJson(path.join(__dirname, 'licenses.json'), licenseData);
+    saveJson(path.join(PUBLIC_DIR, 'licenses.json'), licenseData);
+  }
+
+  console.log(`[Database] Exported JSON files (${history.length} runs)`);
+  return { history, courseHistory, platformData, licenseData };
+}
+
+/**
+ * Migrate data from JSON files to SQLite (schema migration 003).
+ * Safe to re-run: runs are matched by timestamp, courses are deduplicated and
+ * license data is only imported for providers that have none yet.
+ */
+function migrateFromJson() {
+  const db = initDatabase();
+
+  const providerTypes = {};
+  const providerFor = (name, type) => getOrCreateProvider(
+    name, type || providerTypes[name] || guessProviderType(name)
+  );
+
+  const migrate = db.transaction(() => {
+    // Migrate providers
+    const providersPath = path.join(__dirname, 'providers-public.json');
+    if (fs.existsSync(providersPath)) {
+      const providers = JSON.parse(fs.readFileSync(providersPath, 'utf-8'));
+
+      const insertProvider = db.prepare(`
+        INSERT OR IGNORE INTO providers (name, type, email, has_ce_broker_creds)
+        VALUES (?, ?, ?, ?)
+      `);
+
+      for (const p of providers) {
+        providerTypes[p.name] = p.type;
+        insertProvider.run(p.name, p.type, p.email, p.hasCEBrokerCreds ? 1 : 0);
+      }
+      console.log(`[Database] Migrated ${providers.length} providers`);
+    }
+
+    // Migrate run history (each snapshot becomes a completed run)
+    const history = loadJson(path.join(__dirname, 'history.json'), []);
+    const findRun = db.prepare('SELECT id FROM run_history WHERE started_at = ?');
+    const insertRun = db.prepare(`
+      INSERT INTO run_history (
+        started_at, completed_at, providers_processed, providers_succeeded,
+        providers_failed, providers_not_configured, status
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    let runCount = 0;
+    for (const snapshot of history) {
+      const ts = isoToSqlite(snapshot.timestamp);
+      if (!ts || findRun.get(ts)) continue;
+
+      // Some early snapshots have entries without a provider name; nothing to attach them to.
+      const names = [...new Set((snapshot.providers || []).map(p => p.name).filter(Boolean))];
+      const failed = snapshot.failed || 0;
+      const runId = insertRun.run(
+        ts, ts, names.length, snapshot.succeeded || 0, failed, snapshot.notConfigured || 0,
+        failed > 0 ? 'completed_with_errors' : 'completed'
+      ).lastInsertRowid;
+
+      const loginErrors = new Map((snapshot.loginErrors || []).map(e => [e.name, e]));
+      for (const name of names) {
+        const provider = providerFor(name);
+        const entries = snapshot.providers.filter(p => p.name === name && !isPlaceholderRecord(p));
+        const loginError = loginErrors.get(name);
+
+        saveRunResult(runId, provider.id, loginError
+          ? { status: 'login_error', error: loginError.error, errorCode: loginError.errorCode, errorAction: loginError.errorAction }
+          : { status: entries.length > 0 ? 'success' : 'not_configured' });
+
+        for (const entry of entries) saveComplianceRecord(provider.id, entry, runId, ts);
+      }
+      runCount++;
+    }
+    console.log(`[Database] Migrated ${runCount} runs`);
+
+    // Migrate course history (current { name: { courses, platformSpend } } shape,
+    // and the older { name: [courses] } shape)
+    const courseHistory = loadJson(path.join(__dirname, 'course-history.json'), {});
+    const insertSpend = db.prepare(`
+      INSERT INTO platform_results (provider_id, platform, status, total_spent)
+      SELECT ?, ?, 'success', ?
+      WHERE NOT EXISTS (SELECT 1 FROM platform_results WHERE provider_id = ? AND platform = ?)
+    `);
+
+    let courseCount = 0;
+    for (const [providerName, entry] of Object.entries(courseHistory)) {
+      const courses = Array.isArray(entry) ? entry : (entry.courses || []);
+      const provider = providerFor(providerName, entry.type);
+      for (const course of courses) {
+        if (saveCourse(provider.id, course)) {
+          courseCount++;
+        }
+      }
+      for (const [platform, spent] of Object.entries(entry.platformSpend || {})) {
+        insertSpend.run(provider.id, platform, spent, provider.id, platform);
+      }
+    }
+    console.log(`[Database] Migrated ${courseCount} courses`);
+
+    // Migrate license verification results
+    const licenseData = loadJson(path.join(__dirname, 'licenses.json'), { providers: {} });
+    const hasScan = db.prepare('SELECT 1 FROM license_scans WHERE provider_id = ? LIMIT 1');
+
+    let scanCount = 0;
+    for (const [providerName, scan] of Object.entries(licenseData.providers || {})) {
+      const provider = providerFor(providerName, scan.providerType);
+      if (hasScan.get(provider.id)) continue;
+      saveLicenseScan(provider.id, scan);
+      scanCount++;
+    }
+    console.log(`[Database] Migrated license data for ${scanCount} providers`);
+  });
+
+  migrate();
+  console.log('[Database] Migration complete');
+}
+
+// CLI support
+if (require.main === module) {
+  const cmd = process.argv[2];
+  if (cmd === 'init' || cmd === 'migrate') {
+    initDatabase();
+    closeDatabase();
+    console.log('Database is at the latest schema version');
+  } else if (cmd === 'migrate:status') {
+    const conn = openDatabase();
+    for (const m of getMigrationStatus(conn)) {
+      const state = m.applied ? `applied ${m.appliedAt}` : 'pending';
+      console.log(`  ${String(m.version).padStart(3, '0')}  ${m.name.padEnd(20)} ${state}${m.reversible ? '' : '  (irreversible)'}`);
+    }
+    conn.close();
+  } else if (cmd === 'migrate:down') {
+    const conn = openDatabase();
+    try {
+      const version = rollbackMigration(conn);
+      if (version === null) console.log('No migrations to roll back');
+    } catch (err) {
+      console.error('[Database] Rollback failed:', err.message);
+      process.exitCode = 1;
+    } finally {
+      conn.close();
+    }
+  } else if (cmd === 'export') {
+    exportJsonFiles();
   } else {
     console.log('Usage:');
-    console.log('  node database.js init    - Initialize database');
-    console.log('  node database.js migrate - Migrate from JSON files');
+    console.log('  node database.js migrate        - Apply pending schema migrations (imports legacy JSON on first run)');
+    console.log('  node database.js migrate:status - List migrations and whether each is applied');
+    console.log('  node database.js migrate:down   - Roll back the most recent migration');
+    console.log('  node database.js export         - Rebuild history/course-history/licenses JSON from the database');
   }
 }
 
@@ -470,12 +2355,80 @@ module.exports = {
   saveComplianceRecord,
   saveCourse,
   savePlatformResult,
+  saveRunResult,
+  saveLicenseScan,
+  saveLicenseCycle,
+  saveProviderRun,
   updateCredentialHealth,
   getLatestComplianceStatus,
   getCourseHistory,
   getCredentialHealthSummary,
+  getComplianceAsOf,
+  getProviders,
+  getProvider,
+  getProviderCourses,
+  getCertificates,
+  getLicenseCycles,
+  getLoginThrottle,
+  saveLoginThrottle,
+  recordLoginAudit,
+  getLoginAudit,
+  enqueueJob,
+  claimNextJob,
+  heartbeatJob,
+  saveJobProgress,
+  completeJob,
+  failJob,
+  recoverStalledJobs,
+  getQueueJob,
+  listQueueJobs,
+  countQueueJobs,
+  requeueFailedJob,
+  pruneQueueJobs,
+  acquireRunLease,
+  renewRunLease,
+  releaseRunLease,
+  getRunLease,
   startRun,
+  getResumableRun,
+  getIncompleteRuns,
+  saveRunCheckpoint,
+  getRunCheckpoints,
+  saveProviderRunOnce,
+  clearRunCheckpoints,
+  getScrapeStates,
+  recordScrapeResult,
+  saveAnchorChecks,
+  getAnchorBaseline,
+  saveRunEvidence,
+  getRunEvidence,
+  getEvidence,
+  getEvidenceRuns,
+  deleteEvidenceBefore,
+  createLoginChallenge,
+  getLoginChallenge,
+  getPendingLoginChallenges,
+  answerLoginChallenge,
+  takeLoginChallengeCode,
+  resolveLoginChallenge,
+  findProviderByName,
+  createCourseImport,
+  getCourseImport,
+  listCourseImports,
+  confirmCourseImport,
+  discardCourseImport,
+  getCourseMergeReviews,
+  saveCourseMergeDecision,
+  clearCourseMergeDecision,
   completeRun,
   closeDatabase,
+  getMigrationStatus,
+  rollbackMigration,
+  getRunSnapshot,
+  getHistoryExport,
+  getCourseHistoryExport,
+  getPlatformDataExport,
+  getLicenseExport,
+  exportJsonFiles,
   migrateFromJson,
 };
@@ -3,6 +3,8 @@ const nodemailer = require('nodemailer');
 const fs = require('fs');
 const path = require('path');
 const { generatePDF } = require('./pdf-export');
+const { escapeHtml } = require('./dashboard-helpers');
+const { reconcileProviders } = require('./reconciliation');
 
 // ─── Shared brand palette + visual helpers ───────────────────────────────────
 // One navy masthead + one strict status palette, used by every email so the
@@ -321,10 +323,59 @@ function generatePlatformCoverageHTML(providers) {
     </tr>`;
 }
 
+const RECONCILIATION_COURSES_SHOWN = 5;
+
+/**
+ * Platform courses with no matching CE Broker course (reconciliation.js), per
+ * provider — the hours CE Broker doesn't know about yet
+ */
+function generateReconciliationHTML(reconciliation = []) {
+  const flagged = reconciliation.filter(r => r.missing.length > 0);
+  if (flagged.length === 0) return '';
+
+  const rows = flagged.map((r, i) => {
+    const courses = r.missing.slice(0, RECONCILIATION_COURSES_SHOWN)
+      .map(m => `${escapeHtml(m.course.name)} <span style="color: #94a3b8;">(${escapeHtml(m.course.platform || '')}, ${escapeHtml(m.course.date)}, ${m.course.hours ?? '?'}h)</span>`)
+      .join('<br>');
+    const more = r.missing.length > RECONCILIATION_COURSES_SHOWN
+      ? `<br><span style="color: #94a3b8;">+ ${r.missing.length - RECONCILIATION_COURSES_SHOWN} more</span>`
+      : '';
+    return `
+          <tr style="background-color: ${i % 2 === 0 ? '#ffffff' : '#eef2ff'};">
+            <td style="padding: 10px; font-size: 13px; color: #1e293b; vertical-align: top;">${escapeHtml(r.providerName)}</td>
+            <td style="padding: 10px; font-size: 12px; color: #334155;">${courses}${more}</td>
+            <td style="padding: 10px; text-align: center; font-size: 13px; color: #4338ca; font-weight: 600; vertical-align: top;">${r.missingHours}h</td>
+          </tr>`;
+  }).join('');
+
+  return `
+    <tr>
+      <td style="padding: 0 30px 30px;">
+        <h2 style="color: #4338ca; font-size: 16px; margin: 0 0 8px; padding-bottom: 10px; border-bottom: 2px solid #c7d2fe;">
+          ⇄ Not Reported to CE Broker (${flagged.length})
+        </h2>
+        <p style="margin: 0 0 12px; font-size: 12px; color: #64748b;">
+          Completed on a CE platform, but no matching course in CE Broker. Until they're reported, CE Broker counts these hours as missing.
+        </p>
+        <table width="100%" cellpadding="0" cellspacing="0" style="border: 1px solid #c7d2fe; border-radius: 8px; overflow: hidden;">
+          <tr style="background-color: #eef2ff;">
+            <th style="padding: 10px; text-align: left; font-size: 12px; color: #3730a3;">Provider</th>
+            <th style="padding: 10px; text-align: left; font-size: 12px; color: #3730a3;">Courses</th>
+            <th style="padding: 10px; text-align: center; font-size: 12px; color: #3730a3;">Hours</th>
+          </tr>
+          ${rows}
+        </table>
+      </td>
+    </tr>`;
+}
+
 /**
  * Generate HTML email content
+ * @param {Array} providers
+ * @param {object} summary
+ * @param {Array} [reconciliation] - reconcileProviders() results
  */
-function generateEmailHTML(providers, summary) {
+function generateEmailHTML(providers, summary, reconciliation = []) {
   const { complete, inProgress, atRisk, total } = summary;
 
   // Get providers at risk for highlighting
@@ -410,6 +461,8 @@ function generateEmailHTML(providers, summary) {
 
     ${generatePlatformCoverageHTML(providers)}
 
+    ${generateReconciliationHTML(reconciliation)}
+
     <!-- Providers and RNs (split by credential) -->
     ${providerGroupTableHTML('Providers', providers.filter(p => !isRNProvider(p)))}
     ${providerGroupTableHTML('Registered Nurses', providers.filter(p => isRNProvider(p)))}
@@ -554,6 +607,15 @@ async function sendDigest(options = {}) {
     atRisk: providers.filter(p => p.status === 'At Risk').length
   };
 
+  // Platform courses missing from CE Broker, from the database export
+  let courseHistory = {};
+  try {
+    courseHistory = JSON.parse(fs.readFileSync(path.join(__dirname, 'course-history.json'), 'utf8'));
+  } catch (e) {
+    // No course history yet
+  }
+  const reconciliation = reconcileProviders({ courseHistory });
+
   // Generate PDF attachment
   const pdfPath = path.join(__dirname, 'ceu_compliance_report.pdf');
   await generatePDF(providers, { outputPath: pdfPath });
@@ -565,7 +627,7 @@ async function sendDigest(options = {}) {
     from: config.from,
     to: config.recipients.join(', '),
     subject: `CEU Compliance Digest — ${summary.atRisk > 0 ? `⚠️ ${summary.atRisk} At Risk` : '✅ All On Track'} — ${new Date().toLocaleDateString()}`,
-    html: generateEmailHTML(providers, summary),
+    html: generateEmailHTML(providers, summary, reconciliation),
     attachments: [
       LOGO_ATTACHMENT,
       {
@@ -0,0 +1,213 @@
+// evidence.js — Failure evidence: a screenshot and the full Playwright trace
+// (network, console, DOM snapshots) of every failed provider/platform attempt
+//
+// Every scraper context records a trace (scrape-fixtures.js newScrapeContext
+// calls startTrace). A context that signs in with a password only starts once the
+// login form is submitted (startTraceAfterLogin) — Playwright records filled-in
+// values and DOM input values, so the password would otherwise end up in the
+// trace. A successful attempt closes its context
+// and the trace is discarded; a failed one calls captureFailure, which saves
+// the screenshot and the trace under evidence/run-<id>/ and links them to the
+// run in the database. The dashboard's run log browses them (server.js,
+// /api/admin/evidence).
+//
+// Open a trace with: npx playwright show-trace evidence/run-12/<file>.zip
+//
+// Configuration:
+//   SCRAPE_TRACE=off            don't record traces (screenshots only)
+//   EVIDENCE_RETENTION_DAYS=30  how long evidence is kept
+//   EVIDENCE_DIR=<dir>          where it is kept (default: evidence/)
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { logger, screenshotOnError } = require('./utils');
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+const traced = new WeakSet();
+const awaitingLogin = new WeakMap(); // context → trace title
+let currentRunId = null;
+
+function evidenceDir() {
+  return process.env.EVIDENCE_DIR || path.join(__dirname, 'evidence');
+}
+
+function tracingEnabled() {
+  return !/^(0|off|false|no)$/i.test(process.env.SCRAPE_TRACE || '');
+}
+
+function retentionDays() {
+  const days = parseInt(process.env.EVIDENCE_RETENTION_DAYS, 10);
+  return Number.isInteger(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+// ─── Capture ──────────────────────────────────────────────────────────────────
+
+/**
+ * Link evidence captured from now on to a run (null: evidence is kept on disk
+ * under evidence/adhoc/ but not recorded, e.g. for credential-test.js)
+ */
+function setEvidenceRun(runId) {
+  currentRunId = runId;
+}
+
+/**
+ * Start recording a trace for a new browser context
+ * @param {import('playwright').BrowserContext} context
+ * @param {string} title - Shown in the trace viewer
+ * @param {object} [options]
+ * @param {boolean} [options.afterLogin] - The context signs in with a password:
+ *   wait for startTraceAfterLogin() instead of recording the credential entry
+ */
+async function startTrace(context, title, { afterLogin = false } = {}) {
+  if (!tracingEnabled()) return;
+  if (afterLogin) {
+    awaitingLogin.set(context, title);
+    return;
+  }
+  try {
+    await context.tracing.start({ title, screenshots: true, snapshots: true });
+    traced.add(context);
+  } catch (err) {
+    logger.warn(`Could not start trace (${title}): ${err.message}`);
+  }
+}
+
+/**
+ * Start the trace a startTrace({ afterLogin }) context held back. Call once the
+ * login form is submitted (or a saved session made it unnecessary); password
+ * fields still on the page are blanked first so no snapshot holds one.
+ * @param {import('playwright').Page} page
+ */
+async function startTraceAfterLogin(page) {
+  const context = page.context();
+  const title = awaitingLogin.get(context);
+  if (title === undefined) return;
+  awaitingLogin.delete(context);
+
+  try {
+    for (const frame of page.frames()) {
+      await frame.$$eval('input[type="password"]', inputs => inputs.forEach((input) => { input.value = ''; }));
+    }
+  } catch (err) {
+    logger.warn(`Not tracing ${title}: could not clear the password field (${err.message})`);
+    return;
+  }
+  await startTrace(context, title);
+}
+
+/**
+ * Save a failed attempt's screenshot and trace. Call before closing the context;
+ * never throws.
+ * @param {import('playwright').Page} page
+ * @param {object} attempt - { providerName, source, label, error }; label names
+ *   the attempt in file names (e.g. 'login_attempt2'), error is the caught error
+ * @returns {Promise<{ id:number|null, screenshotPath:string|null, tracePath:string|null }>}
+ *   paths relative to the evidence directory
+ */
+async function captureFailure(page, { providerName, source, label, error = null }) {
+  const root = evidenceDir();
+  const dir = path.join(root, currentRunId ? `run-${currentRunId}` : 'adhoc');
+  const suffix = `${label}_${new Date().toISOString().replace(/[:.]/g, '-')}`;
+
+  const screenshot = await screenshotOnError(page, providerName, suffix, dir);
+
+  let trace = null;
+  const context = page.context();
+  if (traced.has(context)) {
+    traced.delete(context);
+    try {
+      trace = path.join(dir, `${providerName.replace(/[^a-z0-9]/gi, '_')}_${suffix}.zip`);
+      await context.tracing.stop({ path: trace });
+      logger.warn(`Trace saved: ${path.relative(__dirname, trace)}`);
+    } catch (err) {
+      logger.error(`Could not save trace: ${err.message}`);
+      trace = null;
+    }
+  }
+
+  const entry = {
+    providerName,
+    source,
+    label,
+    errorCode: error?.classified?.code || error?.errorCode || null,
+    error: error?.classified?.message || error?.errorMessage || error?.message || null,
+    screenshotPath: screenshot && path.relative(root, screenshot),
+    tracePath: trace && path.relative(root, trace),
+  };
+
+  let id = null;
+  if (currentRunId) {
+    try {
+      // Required here: database.js loads license-scraper.js, which loads this module
+      id = require('./database').saveRunEvidence(currentRunId, entry);
+    } catch (err) {
+      logger.warn(`Could not link evidence to run #${currentRunId}: ${err.message}`);
+    }
+  }
+  return { id, screenshotPath: entry.screenshotPath, tracePath: entry.tracePath };
+}
+
+// ─── Files & retention ────────────────────────────────────────────────────────
+
+/**
+ * Absolute path of a stored evidence file, or null if it escapes the evidence
+ * directory or no longer exists
+ */
+function resolveEvidenceFile(relativePath) {
+  if (!relativePath) return null;
+  const root = path.resolve(evidenceDir());
+  const file = path.resolve(root, relativePath);
+  if (!file.startsWith(root + path.sep) || !fs.existsSync(file)) return null;
+  return file;
+}
+
+/**
+ * Delete evidence older than the retention period: its files, its database
+ * rows, and run folders left empty
+ * @returns {{ files:number, rows:number }}
+ */
+function pruneEvidence({ maxAgeDays = retentionDays(), now = Date.now() } = {}) {
+  const cutoff = now - maxAgeDays * 24 * 60 * 60 * 1000;
+  const result = { files: 0, rows: 0 };
+  const root = evidenceDir();
+
+  if (fs.existsSync(root)) {
+    for (const sub of fs.readdirSync(root, { withFileTypes: true }).filter(d => d.isDirectory())) {
+      const dir = path.join(root, sub.name);
+      for (const file of fs.readdirSync(dir)) {
+        const filepath = path.join(dir, file);
+        try {
+          if (fs.statSync(filepath).mtimeMs < cutoff) {
+            fs.unlinkSync(filepath);
+            result.files++;
+          }
+        } catch (err) {
+          logger.warn(`Could not prune evidence ${sub.name}/${file}: ${err.message}`);
+        }
+      }
+      if (fs.readdirSync(dir).length === 0) fs.rmdirSync(dir);
+    }
+  }
+
+  try {
+    result.rows = require('./database').deleteEvidenceBefore(new Date(cutoff));
+  } catch (err) {
+    logger.warn(`Could not prune evidence records: ${err.message}`);
+  }
+
+  if (result.files > 0) logger.success(`Pruned ${result.files} evidence file(s) older than ${maxAgeDays} days`);
+  return result;
+}
+
+module.exports = {
+  retentionDays,
+  setEvidenceRun,
+  startTrace,
+  startTraceAfterLogin,
+  captureFailure,
+  resolveEvidenceFile,
+  pruneEvidence,
+};
@@ -3,8 +3,9 @@
 const ExcelJS  = require('exceljs');
 const path     = require('path');
 const fs       = require('fs');
-const { daysUntil, parseDate, getStatus, courseSearchUrl, logger } = require('./utils');
+const { daysUntil, parseDate, getStatus, courseSearchUrl, logger, licenseCycles, cycleResult } = require('./utils');
 const { loadCosts, calculateAllProviderSpending } = require('./cost-utils');
+const { reconcileProviders } = require('./reconciliation');
 
 const OUTPUT_FILE = path.join(__dirname, 'ceu_status_report.xlsx');
 
@@ -98,6 +99,8 @@ async function buildReport(allProviderRecords, platformData = []) {
   await buildSummarySheet(workbook, flat, spendingStats);
   await buildDetailSheet(workbook, flat);
   await buildSpendingSheet(workbook, flat, spendingStats, platformData);
+  await buildCycleSheet(workbook, flat, courseHistory);
+  await buildReconciliationSheet(workbook, reconcileProviders({ courseHistory, records: flat, platformData }));
 
   // Guard against spreadsheet formula injection: any string cell that starts
   // with a formula trigger (= + - @, or a leading tab/CR) is neutralised with a
@@ -472,4 +475,202 @@ async function buildSpendingSheet(workbook, records, spendingStats, platformData
   }
 }
 
+// ─── Sheet 4: Cycle History ──────────────────────────────────────────────────
+
+/**
+ * One row per CE Broker license cycle, newest first per provider. Archived
+ * cycles come from course-history.json (the database export); providers
+ * without any fall back to the cycles read during this run.
+ */
+async function buildCycleSheet(workbook, records, courseHistory = {}) {
+  const sheet = workbook.addWorksheet('Cycle History', {
+    views: [{ state: 'frozen', ySplit: 2 }],
+  });
+
+  // Title row
+  sheet.mergeCells('A1:J1');
+  const titleCell = sheet.getCell('A1');
+  titleCell.value = 'CE Broker — License Cycle History';
+  titleCell.font  = { bold: true, size: 13, color: { argb: COLORS.headerFont } };
+  titleCell.fill  = { type: 'pattern', pattern: 'solid', fgColor: { argb: COLORS.headerBg } };
+  titleCell.alignment = { vertical: 'middle', horizontal: 'center' };
+  sheet.getRow(1).height = 28;
+
+  const COLUMNS = [
+    { header: 'Provider Name',   key: 'providerName',   width: 26 },
+    { header: 'State',           key: 'state',          width: 8  },
+    { header: 'License Type',    key: 'licenseType',    width: 14 },
+    { header: 'Cycle Start',     key: 'startDate',      width: 13 },
+    { header: 'Cycle End',       key: 'endDate',        width: 13 },
+    { header: 'Hours Required',  key: 'hoursRequired',  width: 15 },
+    { header: 'Hours Posted',    key: 'hoursCompleted', width: 14 },
+    { header: 'Hours Remaining', key: 'hoursRemaining', width: 16 },
+    { header: 'Courses',         key: 'courseCount',    width: 10 },
+    { header: 'Result',          key: 'result',         width: 14 },
+  ];
+
+  sheet.columns = COLUMNS;
+  sheet.getRow(2).values = COLUMNS.map((c) => c.header);
+
+  const headerRow = sheet.getRow(2);
+  headerRow.height = 30;
+  headerRow.eachCell((cell) => {
+    Object.assign(cell, { font: HEADER_STYLE.font, fill: HEADER_STYLE.fill,
+      alignment: HEADER_STYLE.alignment, border: HEADER_STYLE.border });
+  });
+
+  const resultColor = {
+    Met:           COLORS.complete,
+    Short:         COLORS.atRisk,
+    'In Progress': COLORS.inProgress,
+    Unknown:       COLORS.unknown,
+  };
+
+  let rowNum = 3;
+  let altToggle = false;
+
+  for (const providerName of [...new Set(records.map(r => r.providerName))]) {
+    const cycles = courseHistory[providerName]?.cycles
+      || records.filter(r => r.providerName === providerName).flatMap(r => licenseCycles(r));
+
+    for (const cycle of cycles) {
+      const result = cycleResult(cycle);
+      const row = sheet.getRow(rowNum++);
+      row.values = [
+        providerName,
+        cycle.state || '',
+        cycle.licenseType || '',
+        cycle.startDate,
+        cycle.endDate,
+        cycle.hoursRequired ?? '',
+        cycle.hoursCompleted ?? '',
+        cycle.hoursRemaining ?? '',
+        cycle.courseCount ?? '',
+        cycle.current ? `${result} (current)` : result,
+      ];
+      row.height = 20;
+
+      const rowFill = { type: 'pattern', pattern: 'solid',
+        fgColor: { argb: altToggle ? COLORS.rowAlt : COLORS.rowNormal } };
+      altToggle = !altToggle;
+
+      row.eachCell({ includeEmpty: true }, (cell, colNum) => {
+        cell.border    = cellBorder();
+        cell.alignment = { vertical: 'middle' };
+        cell.fill      = rowFill;
+        if (colNum >= 4) {
+          cell.alignment = { vertical: 'middle', horizontal: 'center' };
+        }
+        if (colNum === 10) {
+          cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: resultColor[result] } };
+          cell.font = { bold: true };
+        }
+      });
+
+      row.commit();
+    }
+  }
+
+  sheet.autoFilter = { from: 'A2', to: 'J2' };
+}
+
+// ─── Sheet 5: CE Broker Reconciliation ───────────────────────────────────────
+
+/**
+ * Platform courses missing from CE Broker, and weak matches to check
+ * (reconciliation.js). Providers with nothing to flag are left out.
+ */
+async function buildReconciliationSheet(workbook, reconciliation) {
+  const sheet = workbook.addWorksheet('CE Broker Reconciliation', {
+    views: [{ state: 'frozen', ySplit: 2 }],
+  });
+
+  sheet.mergeCells('A1:J1');
+  const titleCell = sheet.getCell('A1');
+  titleCell.value = 'Platform Courses vs. CE Broker';
+  titleCell.font  = { bold: true, size: 13, color: { argb: COLORS.headerFont } };
+  titleCell.fill  = { type: 'pattern', pattern: 'solid', fgColor: { argb: COLORS.headerBg } };
+  titleCell.alignment = { vertical: 'middle', horizontal: 'center' };
+  sheet.getRow(1).height = 28;
+
+  const COLUMNS = [
+    { header: 'Provider Name',     key: 'providerName', width: 26 },
+    { header: 'Platform',          key: 'platform',     width: 14 },
+    { header: 'Course',            key: 'course',       width: 44 },
+    { header: 'Completed',         key: 'date',         width: 13 },
+    { header: 'Hours',             key: 'hours',        width: 8  },
+    { header: 'Finding',           key: 'finding',      width: 18 },
+    { header: 'CE Broker Course',  key: 'matchName',    width: 44 },
+    { header: 'CE Broker Date',    key: 'matchDate',    width: 14 },
+    { header: 'CE Broker Hours',   key: 'matchHours',   width: 15 },
+    { header: 'Title Similarity',  key: 'similarity',   width: 15 },
+  ];
+
+  sheet.columns = COLUMNS;
+  sheet.getRow(2).values = COLUMNS.map((c) => c.header);
+
+  const headerRow = sheet.getRow(2);
+  headerRow.height = 30;
+  headerRow.eachCell((cell) => {
+    Object.assign(cell, { font: HEADER_STYLE.font, fill: HEADER_STYLE.fill,
+      alignment: HEADER_STYLE.alignment, border: HEADER_STYLE.border });
+  });
+
+  const findingColor = {
+    'Not in CE Broker': COLORS.atRisk,
+    'Possible match':   COLORS.inProgress,
+  };
+
+  let rowNum = 3;
+  let altToggle = false;
+
+  for (const provider of reconciliation) {
+    const entries = [
+      ...provider.missing.map(m => ({ ...m, finding: 'Not in CE Broker' })),
+      ...provider.possible.map(p => ({ ...p, finding: 'Possible match' })),
+    ];
+
+    for (const entry of entries) {
+      const row = sheet.getRow(rowNum++);
+      row.values = [
+        provider.providerName,
+        entry.course.platform || '',
+        entry.course.name || '',
+        entry.course.date,
+        entry.course.hours ?? '',
+        entry.finding,
+        entry.match?.name || '',
+        entry.match?.date || '',
+        entry.match?.hours ?? '',
+        entry.similarity ?? '',
+      ];
+      row.height = 20;
+
+      const rowFill = { type: 'pattern', pattern: 'solid',
+        fgColor: { argb: altToggle ? COLORS.rowAlt : COLORS.rowNormal } };
+      altToggle = !altToggle;
+
+      row.eachCell({ includeEmpty: true }, (cell, colNum) => {
+        cell.border    = cellBorder();
+        cell.alignment = { vertical: 'middle', wrapText: colNum === 3 || colNum === 7 };
+        cell.fill      = rowFill;
+        if ([4, 5, 8, 9, 10].includes(colNum)) {
+          cell.alignment = { vertical: 'middle', horizontal: 'center' };
+        }
+        if (colNum === 6) {
+          cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: findingColor[entry.finding] } };
+          cell.font = { bold: true };
+        }
+      });
+
+      row.commit();
+    }
+  }
+
+  if (rowNum === 3) {
+    sheet.getCell('A3').value = 'Every platform course was found in CE Broker.';
+  }
+  sheet.autoFilter = { from: 'A2', to: 'J2' };
+}
+
 module.exports = { buildReport };
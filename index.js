@@ -1,26 +1,38 @@
 // index.js — Main entry point for CE Broker CEU automation
 // Run with: node index.js
+//           node index.js --force            scrape every source, even ones still fresh
+//           node index.js --resume <runId>   finish a run that was interrupted
+// Runs are incremental: scrape-policy.js decides per provider and platform what is
+// due, and sources that aren't reuse their last successful result.
+// Queued runs (POST /api/runs) call runScrape() from worker.js instead.
 
 'use strict';
 
 // Initialize Sentry first (before other imports)
-const { initSentry, captureError, addBreadcrumb, flush } = require('./sentry');
+const { initSentry, captureError, captureMessage, addBreadcrumb, flush } = require('./sentry');
 initSentry();
 
-const fs        = require('fs');
-const path      = require('path');
 const { execSync } = require('child_process');
 const { launchBrowser, loginProvider, scrapeLicenseData, closePage } = require('./scraper');
 const { runPlatformScrapers } = require('./platform-scrapers');
-const { runLicenseVerification } = require('./license-scraper');
+const { runLicenseVerification, saveLicenseData } = require('./license-scraper');
 const { buildReport } = require('./exporter');
 const { buildDashboard } = require('./dashboard-builder');
-const { logger, randomDelay, printSummary, ensureScreenshotsDir, cleanupOldScreenshots } = require('./utils');
+const { logger, randomDelay, printSummary } = require('./utils');
 const { runChangeDetection } = require('./change-detector');
 const { getAllProviders } = require('./credentials-loader');
-
-// ─── Load Providers (from secure credentials source) ─────────────────────────
-const providers = getAllProviders();
+const {
+  startRun, completeRun, saveProviderRunOnce, exportJsonFiles, closeDatabase,
+  getResumableRun, getIncompleteRuns, saveRunCheckpoint, getRunCheckpoints, clearRunCheckpoints,
+  saveAnchorChecks, getAnchorBaseline,
+  getScrapeStates, recordScrapeResult,
+} = require('./database');
+const { CE_BROKER, planScrape, summarizePlan, fingerprint } = require('./scrape-policy');
+const { createRunProgress } = require('./run-progress');
+const { RunLockedError, RunLockLostError, withRunLock } = require('./run-lock');
+const { setEvidenceRun, pruneEvidence } = require('./evidence');
+const { setChallengeRun, KIND_LABELS } = require('./login-challenges');
+const { takeAnchorReports, summarizeAnchors, detectLayoutChanges, describeLayoutChange } = require('./layout-drift');
 
 // ─── Parallel Processing Configuration ────────────────────────────────────────
 const CONCURRENCY = parseInt(process.env.SCRAPER_CONCURRENCY, 10) || 2;
@@ -28,8 +40,10 @@ const CONCURRENCY = parseInt(process.env.SCRAPER_CONCURRENCY, 10) || 2;
 /**
  * Process a single provider (login + scrape)
  * Returns { result, records } for aggregation
+ * @param {Function} [reportError] - Where login errors go; scrapeAll holds them
+ *   back until it knows whether the portal layout changed
  */
-async function processProvider(browser, provider, index, total) {
+async function processProvider(browser, provider, index, total, progress, reportError = captureError) {
   logger.info(`[${index + 1}/${total}] Processing: ${provider.name}`);
 
   // Check if CE Broker credentials are configured
@@ -37,6 +51,7 @@ async function processProvider(browser, provider, index, total) {
 
   if (!hasCEBrokerCreds) {
     logger.info(`${provider.name}: No CE Broker credentials configured (platform-only)`);
+    progress.provider(provider.name, 'license', { status: 'skipped', detail: 'No CE Broker credentials' });
     return {
       result: { name: provider.name, status: 'not_configured' },
       records: [{
@@ -57,15 +72,20 @@ async function processProvider(browser, provider, index, total) {
   let page = null;
   try {
     // Login
+    progress.provider(provider.name, 'login');
     page = await loginProvider(browser, provider);
 
     // Scrape
-    const records = await scrapeLicenseData(page, provider);
+    progress.provider(provider.name, 'license');
+    const records = await scrapeLicenseData(page, provider, {
+      onStage: stage => progress.provider(provider.name, stage),
+    });
 
     const licSummary = records.map((r) =>
       `${r.state || '??'} — ${r.hoursCompleted ?? '?'}/${r.hoursRequired ?? '?'} hrs`
     ).join(', ');
     logger.success(`${provider.name}: ${licSummary}`);
+    progress.provider(provider.name, 'license', { status: 'success', detail: licSummary });
 
     return {
       result: { name: provider.name, status: 'success' },
@@ -79,9 +99,10 @@ async function processProvider(browser, provider, index, total) {
     const errorAction = err.errorAction || 'Check screenshot for details';
 
     logger.error(`Login error for ${provider.name}: ${errorMessage}`);
+    progress.provider(provider.name, 'login', { status: 'failed', error: errorMessage });
 
     // Send to Sentry with context
-    captureError(err, {
+    reportError(err, {
       provider: provider.name,
       operation: 'ce_broker_scrape',
       providerType: provider.type,
@@ -117,8 +138,10 @@ async function processProvider(browser, provider, index, total) {
 
 /**
  * Process providers in parallel batches
+ * @param {Function} [onProviderDone] - Called with (provider, { result, records }) as each provider finishes
+ * @param {Function} [reportError] - Passed to processProvider
  */
-async function processProvidersInParallel(browser, providers, concurrency) {
+async function processProvidersInParallel(browser, providers, concurrency, progress, onProviderDone = () => {}, reportError = captureError) {
   const allResults = [];
   const allRecords = [];
   const total = providers.length;
@@ -132,9 +155,11 @@ async function processProvidersInParallel(browser, providers, concurrency) {
     logger.info(`\n── Batch ${batchNum}/${totalBatches} (${batch.length} providers) ──────────────────`);
 
     // Process batch in parallel
-    const batchPromises = batch.map((provider, batchIndex) =>
-      processProvider(browser, provider, i + batchIndex, total)
-    );
+    const batchPromises = batch.map(async (provider, batchIndex) => {
+      const outcome = await processProvider(browser, provider, i + batchIndex, total, progress, reportError);
+      onProviderDone(provider, outcome);
+      return outcome;
+    });
 
     const batchResults = await Promise.all(batchPromises);
 
@@ -154,72 +179,309 @@ async function processProvidersInParallel(browser, providers, concurrency) {
   return { allResults, allRecords };
 }
 
-// ─── Main ─────────────────────────────────────────────────────────────────────
-async function main() {
+/**
+ * Pick the providers for a run: everyone, or the named subset (case-insensitive)
+ */
+function selectProviders(allProviders, providerNames) {
+  if (!providerNames || providerNames.length === 0) return allProviders;
+  const wanted = new Set(providerNames.map(n => n.toLowerCase()));
+  const selected = allProviders.filter(p => wanted.has(p.name.toLowerCase()));
+  const missing = providerNames.filter(n => !selected.some(p => p.name.toLowerCase() === n.toLowerCase()));
+  if (missing.length > 0) throw new Error(`Unknown provider(s): ${missing.join(', ')}`);
+  return selected;
+}
+
+// ─── Run ──────────────────────────────────────────────────────────────────────
+
+/**
+ * Scrape, save and publish one run, holding the run lock (run-lock.js) throughout
+ * @param {object} [options]
+ * @param {string[]} [options.providerNames] - Limit the run to these providers
+ * @param {number} [options.resumeRunId] - Finish an interrupted run instead of starting a new one
+ * @param {boolean} [options.force] - Scrape every source, even those scrape-policy.js finds still fresh
+ * @param {Function} [options.onProgress] - Receives a run-progress.js snapshot after every change
+ * @param {string} [options.owner] - Who is running, shown to anyone the lock turns away
+ * @returns {Promise<{ runId:number, providers:number, succeeded:number, reused:number, failed:number }>}
+ *   succeeded counts CE Broker logins; reused, providers whose CE Broker data was still fresh
+ * @throws {RunLockedError} if another run is in progress
+ * @throws {RunLockLostError} if another run took the lock over before this one saved or published
+ */
+async function runScrape({ providerNames = null, resumeRunId = null, force = false, onProgress, owner = 'node index.js' } = {}) {
+  return withRunLock(owner, lock => scrapeAll({ providerNames, resumeRunId, force, onProgress, lock }));
+}
+
+/**
+ * Record a fresh scrape in scrape_state; a failed write only costs the next
+ * run an unnecessary scrape
+ */
+function recordScrape(providerName, source, status, data) {
+  try {
+    recordScrapeResult(providerName, source, status === 'success'
+      ? { status, data, fingerprint: fingerprint(data) }
+      : { status });
+  } catch (err) {
+    logger.warn(`Could not record scrape state for ${providerName} (${source}): ${err.message}`);
+  }
+}
+
+/**
+ * Judge this run's anchor checks against recent runs and store them. A source
+ * whose layout changed gets one alert here; its per-provider errors are dropped.
+ * @returns {Array} detectLayoutChanges() output
+ */
+function checkLayoutChanges(runId) {
+  try {
+    const summary = summarizeAnchors(takeAnchorReports());
+    if (summary.length === 0) return [];
+    const changes = detectLayoutChanges(summary, getAnchorBaseline({ excludeRunId: runId }));
+    saveAnchorChecks(runId, summary);
+
+    for (const change of changes) {
+      const message = describeLayoutChange(change);
+      console.log('\n' + '!'.repeat(60));
+      logger.error(`PORTAL LAYOUT CHANGED — ${change.source}`);
+      logger.error(message);
+      logger.error(`Affected: ${change.providers.join(', ')}`);
+      console.log('!'.repeat(60) + '\n');
+      captureMessage(message, 'error', {
+        operation: 'layout_drift',
+        runId,
+        source: change.source,
+        anchors: change.anchors,
+        providers: change.providers,
+      });
+    }
+    return changes;
+  } catch (err) {
+    logger.warn(`Layout drift check failed: ${err.message}`);
+    return [];
+  }
+}
+
+async function scrapeAll({ providerNames, resumeRunId, force, onProgress, lock }) {
+  // A resumed run keeps its provider selection and the stage results saved so far
+  let resumed = null;
+  if (resumeRunId) {
+    resumed = getResumableRun(resumeRunId);
+    if (!resumed) throw new Error(`Run #${resumeRunId} not found`);
+    providerNames = resumed.providerNames;
+  }
+
+  // Load providers fresh each run (from the secure credentials source)
+  const providers = selectProviders(getAllProviders(), providerNames);
+  const progress = createRunProgress(providers.map(p => p.name), onProgress);
+
   console.log('\n' + '═'.repeat(60));
-  console.log('  CE Broker CEU Tracker — Starting Run');
+  console.log(resumed
+    ? `  CE Broker CEU Tracker — Resuming Run #${resumed.id} (started ${resumed.startedAt})`
+    : '  CE Broker CEU Tracker — Starting Run');
   console.log(`  Providers to process: ${providers.length}`);
   console.log(`  Parallel concurrency: ${CONCURRENCY}`);
   console.log('═'.repeat(60) + '\n');
 
-  ensureScreenshotsDir();
-  cleanupOldScreenshots(7); // Clean up screenshots older than 7 days
+  pruneEvidence(); // Screenshots and traces past EVIDENCE_RETENTION_DAYS
+
+  // SQLite is the system of record; opening it applies pending migrations
+  // (including the one-time import of the legacy JSON files).
+  const runId = resumed ? resumed.id : startRun(providerNames);
+  setEvidenceRun(runId);
+  // A provider waiting for a verification code shows it in the run's progress
+  setChallengeRun(runId, {
+    onWaiting: c => progress.provider(c.providerName, c.source === 'CE Broker' ? 'login' : 'platforms', {
+      detail: `Waiting for ${KIND_LABELS[c.kind]} (${c.source})`,
+    }),
+  });
+
+  // Every stage result is checkpointed as it finishes, so --resume can skip it
+  const checkpoints = resumed ? getRunCheckpoints(runId) : {};
+  const checkpoint = (name, stage, data) => {
+    (checkpoints[name] ||= {})[stage] = data;
+    try {
+      saveRunCheckpoint(runId, name, stage, data);
+    } catch (err) {
+      logger.warn(`Could not checkpoint ${name} (${stage}): ${err.message}`);
+    }
+  };
+
+  // Sources whose last success is still fresh reuse it instead of logging in again.
+  // They are saved as reused, dated when they were really scraped (database.js).
+  const states = getScrapeStates();
+  const lastGood = (name, source) => {
+    const state = states.find(s => s.providerName === name && s.source === source);
+    return state?.data ? { data: state.data, scrapedAt: new Date(state.lastSuccessAt).toISOString() } : null;
+  };
+  const plan = planScrape(providers, states, { force });
+  logger.info(`Scrape plan: ${summarizePlan(plan)}${force ? ' (forced)' : ''}`);
+  for (const provider of providers) {
+    const decision = plan[provider.name].ceBroker;
+    if (decision && !decision.scrape && !checkpoints[provider.name]?.cebroker) {
+      logger.info(`${provider.name}: CE Broker up to date — ${decision.reason}`);
+      const good = lastGood(provider.name, CE_BROKER);
+      checkpoint(provider.name, 'cebroker', {
+        result: { name: provider.name, status: 'success', reused: true, scrapedAt: good.scrapedAt },
+        records: good.data.records,
+      });
+      progress.provider(provider.name, 'license', { status: 'success', detail: `Up to date (${decision.reason})` });
+    }
+  }
+  const dueFor = provider => (provider.platforms || []).filter(p => plan[provider.name].platforms[p.platform].scrape);
+  const reusedFor = provider => (provider.platforms || []).filter(p => !plan[provider.name].platforms[p.platform].scrape);
+
+  // Login errors are retried on resume; everything else that finished is kept
+  const pendingCEBroker = providers.filter(p => !checkpoints[p.name]?.cebroker || checkpoints[p.name].cebroker.result.status === 'login_error');
+  const pendingPlatforms = providers.filter(p => !checkpoints[p.name]?.platforms);
+  const pendingLicenses = providers.filter(p => !checkpoints[p.name]?.licenses);
+  if (resumed) {
+    logger.info(`Resuming run #${runId}: CE Broker ${pendingCEBroker.length}, platforms ${pendingPlatforms.length}, licenses ${pendingLicenses.length} provider(s) still to do`);
+    for (const provider of providers) {
+      const done = checkpoints[provider.name]?.cebroker;
+      if (done && !pendingCEBroker.includes(provider)) {
+        progress.provider(provider.name, 'license', {
+          status: done.result.status === 'success' ? 'success' : 'skipped',
+          detail: 'Restored from checkpoint',
+        });
+      }
+    }
+  }
+
+  // Anchor checks from here on belong to this run; login errors wait for them
+  takeAnchorReports();
+  const loginErrors = [];
+  const deferError = (err, context) => loginErrors.push({ err, context });
 
-  const browser = await launchBrowser();
+  const needsBrowser = pendingCEBroker.length + pendingLicenses.length > 0 || pendingPlatforms.some(p => dueFor(p).length > 0);
+  const browser = needsBrowser ? await launchBrowser() : null;
 
   // Process all providers in parallel batches
-  const { allResults, allRecords } = await processProvidersInParallel(browser, providers, CONCURRENCY);
+  progress.phase('providers');
+  await processProvidersInParallel(browser, pendingCEBroker, CONCURRENCY, progress, (provider, outcome) => {
+    checkpoint(provider.name, 'cebroker', outcome);
+    if (outcome.result.status !== 'not_configured') {
+      recordScrape(provider.name, CE_BROKER, outcome.result.status, { records: outcome.records });
+    }
+  }, deferError);
+  const allResults = providers.map(p => checkpoints[p.name].cebroker.result);
+  const allRecords = providers.map(p => checkpoints[p.name].cebroker.records);
 
-  // ── Platform scrapers (CEUfast, AANP Cert, NetCE) ─────────────────────────
-  let platformData = [];
+  // ── Platform scrapers (plugins named in platforms.json) ─────────────────
   try {
     logger.info('\n── Running platform CEU scrapers ────────────────────────────');
-    platformData = await runPlatformScrapers(browser, providers);
-    const pOk   = platformData.filter(r => r.status === 'success').length;
-    const pFail = platformData.filter(r => r.status === 'failed').length;
-    logger.success(`Platform scrapers done: ${pOk} succeeded, ${pFail} failed`);
-
-    // Save platform data with costs
-    const platformDataFile = path.join(__dirname, 'platform-data.json');
-    const costSummary = platformData
-      .filter(r => r.status === 'success' && r.totalSpent)
-      .map(r => ({ provider: r.providerName, platform: r.platform, spent: r.totalSpent }));
-
-    if (costSummary.length > 0) {
-      logger.info(`Cost data found: ${costSummary.length} platform(s) with spending`);
-      costSummary.forEach(c => logger.info(`  ${c.provider} - ${c.platform}: $${c.spent.toFixed(2)}`));
-    }
-
-    fs.writeFileSync(platformDataFile, JSON.stringify({
-      timestamp: new Date().toISOString(),
-      results: platformData.map(r => ({
-        providerName: r.providerName,
-        platform: r.platform,
-        status: r.status,
-        hoursEarned: r.hoursEarned,
-        totalSpent: r.totalSpent,
-        courseCount: r.courses?.length || 0,
-        orderCount: r.orders?.length || 0,
-      }))
-    }, null, 2));
+    progress.phase('platforms');
+    // Only the platforms that are due are logged into; the rest keep their last result
+    const platformProviders = pendingPlatforms.map(p => ({ ...p, platforms: dueFor(p) }));
+    await runPlatformScrapers(browser, platformProviders, {
+      concurrency: CONCURRENCY,
+      onProgress: ({ provider, platform, status }) => progress.provider(provider, 'platforms', {
+        status: status === 'failed' ? 'failed' : 'running',
+        detail: platform,
+        error: status === 'failed' ? `${platform} scrape failed` : null,
+      }),
+      onProviderDone: (name, results) => {
+        for (const result of results) recordScrape(name, result.platform, result.status, result);
+        const provider = providers.find(p => p.name === name);
+        const reused = reusedFor(provider).map(p => lastGood(name, p.platform)).filter(Boolean)
+          .map(good => ({ ...good.data, reused: true, scrapedAt: good.scrapedAt }));
+        checkpoint(name, 'platforms', [...results, ...reused]);
+      },
+    });
   } catch (platformErr) {
     logger.error(`Platform scraper error: ${platformErr.message}`);
   }
+  const platformData = providers.flatMap(p => checkpoints[p.name]?.platforms || []);
+  const pOk   = platformData.filter(r => r.status === 'success').length;
+  const pFail = platformData.filter(r => r.status === 'failed').length;
+  logger.success(`Platform scrapers done: ${pOk} succeeded, ${pFail} failed`);
+
+  const costSummary = platformData
+    .filter(r => r.status === 'success' && r.totalSpent)
+    .map(r => ({ provider: r.providerName, platform: r.platform, spent: r.totalSpent }));
+
+  if (costSummary.length > 0) {
+    logger.info(`Cost data found: ${costSummary.length} platform(s) with spending`);
+    costSummary.forEach(c => logger.info(`  ${c.provider} - ${c.platform}: $${c.spent.toFixed(2)}`));
+  }
 
   // ── License verification ─────────────────────────────────────────────────
   let licenseData = null;
   try {
     logger.info('\n── Running license verification ────────────────────────────');
-    const { licenseData: verifiedLicenses } = await runLicenseVerification(browser, providers);
+    progress.phase('verification');
+    const { licenseData: verifiedLicenses } = await runLicenseVerification(browser, pendingLicenses, {
+      save: false,
+      onProviderDone: (name, entry) => checkpoint(name, 'licenses', entry),
+    });
     licenseData = verifiedLicenses;
+    for (const provider of providers) {
+      if (checkpoints[provider.name]?.licenses) licenseData.providers[provider.name] = checkpoints[provider.name].licenses;
+    }
     logger.success('License verification completed');
   } catch (licenseErr) {
     logger.error(`License verification error: ${licenseErr.message}`);
   }
 
   // ── Close browser ──────────────────────────────────────────────────────────
-  await browser.close();
-  logger.info('Browser closed');
+  if (browser) {
+    await browser.close();
+    logger.info('Browser closed');
+  }
+
+  // ── Portal layout changes ──────────────────────────────────────────────────
+  // One alert per redesigned portal instead of a login error per provider
+  const layoutChanges = checkLayoutChanges(runId);
+  const ceBrokerChange = layoutChanges.find(c => c.source === CE_BROKER);
+  for (const { err, context } of loginErrors) {
+    if (!ceBrokerChange?.providers.includes(context.provider)) captureError(err, context);
+  }
+  for (const result of allResults) {
+    if (result.status === 'login_error' && ceBrokerChange?.providers.includes(result.name)) {
+      result.errorCode = 'site_changed';
+      result.errorAction = 'CE Broker changed its page layout — the scraper needs updating';
+    }
+  }
+
+  // ── Persist run to SQLite (one transaction per provider) ───────────────────
+  progress.phase('saving');
+  let exported = null;
+  try {
+    providers.forEach((provider, i) => {
+      lock.assertHeld(`saving ${provider.name}`);
+      try {
+        saveProviderRunOnce(runId, provider, {
+          result: allResults[i],
+          records: allRecords[i],
+          platformResults: platformData.filter(r => r.providerName === provider.name),
+          licenses: checkpoints[provider.name]?.licenses || null,
+        });
+      } catch (dbErr) {
+        logger.error(`Could not save ${provider.name} to database: ${dbErr.message}`);
+        captureError(dbErr, { provider: provider.name, operation: 'save_provider_run' });
+      }
+    });
+    // Still ours? Otherwise leave the run unfinished (resumable) and the JSON files alone
+    lock.assertHeld('finishing the run and exporting the JSON files');
+    completeRun(runId, allResults);
+    clearRunCheckpoints(runId);
+
+    // history.json, course-history.json, platform-data.json and licenses.json
+    // are all derived from the database from here on.
+    exported = exportJsonFiles(runId);
+    logger.success(`Run #${runId} saved to database`);
+  } catch (dbErr) {
+    if (dbErr instanceof RunLockLostError) throw dbErr;
+    logger.error(`Database write failed: ${dbErr.message}`);
+    captureError(dbErr, { operation: 'database_export', runId });
+
+    // licenses.json is otherwise only written by exportJsonFiles() — don't lose this run's checks
+    if (licenseData) {
+      try {
+        saveLicenseData(licenseData);
+        logger.warn('Wrote licenses.json directly; it will be rebuilt from the database on the next successful run');
+      } catch (fileErr) {
+        logger.error(`Could not write licenses.json either: ${fileErr.message}`);
+        captureError(fileErr, { operation: 'license_fallback', runId });
+      }
+    }
+  }
 
   // ── Export to Excel ────────────────────────────────────────────────────────
   try {
@@ -245,7 +507,12 @@ async function main() {
 
   // ── Build HTML dashboard ───────────────────────────────────────────────────
   try {
-    const dashPath = buildDashboard(allRecords, allResults, platformData, licenseData);
+    const dashPath = exported
+      ? buildDashboard(allRecords, allResults, platformData, exported.licenseData, {
+          history: exported.history,
+          courseHistory: exported.courseHistory,
+        })
+      : buildDashboard(allRecords, allResults, platformData, licenseData);
     logger.success(`Dashboard saved: ${dashPath}`);
   } catch (dashErr) {
     logger.error(`Dashboard build failed: ${dashErr.message}`);
@@ -253,8 +520,10 @@ async function main() {
 
   // ── Print run summary ──────────────────────────────────────────────────────
   printSummary(allResults);
+  for (const provider of providers) progress.provider(provider.name, 'done', { status: 'success' });
 
   // ── Auto-publish to Vercel via GitHub push ─────────────────────────────────
+  lock.assertHeld('publishing the dashboard');
   try {
     execSync('git add public/index.html public/history.json public/licenses.json', { cwd: __dirname, stdio: 'pipe' });
     const ts = new Date().toISOString().slice(0, 16).replace('T', ' ');
@@ -271,20 +540,74 @@ async function main() {
       logger.warn('Run "git push" manually to publish.');
     }
   }
+
+  progress.phase('finished');
+  setEvidenceRun(null);
+  setChallengeRun(null);
+  return {
+    runId,
+    providers: providers.length,
+    succeeded: allResults.filter(r => r.status === 'success' && !r.reused).length,
+    reused: allResults.filter(r => r.reused).length,
+    failed: allResults.filter(r => r.status === 'login_error').length,
+    layoutChanges: layoutChanges.map(c => c.source),
+  };
 }
 
-main()
-  .then(async () => {
-    // Flush Sentry events before exit
-    await flush();
-  })
-  .catch(async (err) => {
-    logger.error(`Fatal error: ${err.message}`);
-    console.error(err);
+// ─── Main ─────────────────────────────────────────────────────────────────────
 
-    // Capture and flush before exit
-    captureError(err, { operation: 'main', fatal: true });
-    await flush();
+// Exit code when another run holds the lock (EX_TEMPFAIL: try again later)
+const EXIT_RUN_LOCKED = 75;
 
-    process.exit(1);
-  });
+/**
+ * `--resume <runId>` from the command line: the run ID, or null when not resuming.
+ * Exits with the list of unfinished runs when the ID is missing.
+ */
+function parseResumeArg(argv) {
+  const i = argv.indexOf('--resume');
+  if (i === -1) return null;
+  const runId = Number(argv[i + 1]);
+  if (Number.isInteger(runId) && runId > 0) return runId;
+
+  const runs = getIncompleteRuns();
+  console.log('Usage: node index.js --resume <runId>\n');
+  if (runs.length === 0) console.log('No unfinished runs to resume.');
+  for (const run of runs) {
+    console.log(`  #${run.id}  started ${run.startedAt}  ${run.providersCheckpointed} provider(s) checkpointed`);
+  }
+  closeDatabase();
+  process.exit(1);
+}
+
+if (require.main === module) {
+  const owner = process.env.GITHUB_ACTIONS
+    ? `GitHub Actions run ${process.env.GITHUB_RUN_ID}`
+    : 'node index.js';
+  const argv = process.argv.slice(2);
+  const resumeRunId = parseResumeArg(argv);
+
+  runScrape({ owner, resumeRunId, force: argv.includes('--force') })
+    .then(async () => {
+      closeDatabase();
+      // Flush Sentry events before exit
+      await flush();
+    })
+    .catch(async (err) => {
+      if (err instanceof RunLockedError) {
+        logger.warn(`${err.message} — not starting another.`);
+        closeDatabase();
+        process.exit(EXIT_RUN_LOCKED);
+      }
+
+      logger.error(`Fatal error: ${err.message}`);
+      console.error(err);
+
+      // Capture and flush before exit
+      captureError(err, { operation: 'main', fatal: true });
+      await flush();
+
+      process.exit(1);
+    });
+}
+
+module.exports = { runScrape, selectProviders };
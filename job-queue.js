@@ -1,50 +1,64 @@
-// job-queue.js — BullMQ job queue for scheduled scraping tasks
-// Requires Redis for persistence
+// job-queue.js — Job queue for scraping runs, with a pluggable backend
+//
+// QUEUE_BACKEND picks where jobs are kept:
+//   sqlite   the tracker database (queue-sqlite.js) — the default, no extra services
+//   redis    BullMQ on Redis at REDIS_URL (queue-redis.js) — the default when REDIS_URL is set
+//
+// server.js (POST /api/runs), scheduler.js and the CLI below enqueue here;
+// worker.js (or scheduler.js) processes the jobs.
+//
+//   node job-queue.js add [provider names...]   queue a run (all providers if none given)
+//   node job-queue.js status                    job counts
+//   node job-queue.js dead                      list jobs that used up their retries
+//   node job-queue.js retry <id>                run a dead-lettered job again
 
 'use strict';
 
-const { Queue, Worker, QueueScheduler } = require('bullmq');
-const IORedis = require('ioredis');
+const BACKENDS = {
+  sqlite: './queue-sqlite',
+  redis: './queue-redis',
+};
+
+// Shared by every scrape job, whichever backend stores it
+const SCRAPE_JOB_OPTIONS = {
+  priority: 10,     // lower = higher priority
+  attempts: 3,
+  backoffMs: 60000, // 1 minute, doubling on each retry
+};
 
-const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
-const QUEUE_NAME = 'ceu-scraper';
+// A scheduled scrape isn't retried: tomorrow's run picks up whatever it missed
+const SCHEDULED_JOB_OPTIONS = { ...SCRAPE_JOB_OPTIONS, attempts: 1 };
 
-let connection = null;
-let queue = null;
-let worker = null;
+let backend = null;
 
 /**
- * Get Redis connection (lazy initialization)
+ * Name of the configured backend
  */
-function getConnection() {
-  if (!connection) {
-    connection = new IORedis(REDIS_URL, {
-      maxRetriesPerRequest: null,
-      enableReadyCheck: false,
-    });
-
-    connection.on('error', (err) => {
-      console.error('[JobQueue] Redis connection error:', err.message);
-    });
-
-    connection.on('connect', () => {
-      console.log('[JobQueue] Connected to Redis');
-    });
-  }
-  return connection;
+function backendName() {
+  const name = process.env.QUEUE_BACKEND || (process.env.REDIS_URL ? 'redis' : 'sqlite');
+  if (!BACKENDS[name]) throw new Error(`Unknown QUEUE_BACKEND "${name}" (expected ${Object.keys(BACKENDS).join(' or ')})`);
+  return name;
 }
 
 /**
- * Initialize the job queue
+ * Initialize the job queue (lazily loads the backend, so BullMQ is only required for redis)
  */
 function initQueue() {
-  if (queue) return queue;
+  if (backend) return backend;
 
-  const conn = getConnection();
-  queue = new Queue(QUEUE_NAME, { connection: conn });
+  const name = backendName();
+  backend = require(BACKENDS[name]);
 
-  console.log('[JobQueue] Queue initialized:', QUEUE_NAME);
-  return queue;
+  console.log('[JobQueue] Queue initialized:', name);
+  return backend;
+}
+
+/**
+ * Resolve once the queue is usable, or reject after timeoutMs — so callers like
+ * server.js can answer 503 instead of hanging
+ */
+function waitForQueue(timeoutMs = 3000) {
+  return initQueue().waitForQueue(timeoutMs);
 }
 
 /**
@@ -53,28 +67,22 @@ function initQueue() {
  * @param {string[]} options.providerNames - Optional list of provider names to scrape
  * @param {boolean} options.fullRun - Whether to run all providers
  * @param {number} options.priority - Job priority (lower = higher priority)
+ * @param {number} options.delayMs - Wait this long before the job may start
+ * @param {boolean} options.force - Scrape every source, ignoring scrape-policy.js
+ * @param {boolean} options.scheduled - Queued by scheduler.js (tried once, not retried)
  */
 async function addScrapeJob(options = {}) {
-  const q = initQueue();
-
-  const job = await q.add('scrape', {
+  const job = await initQueue().add('scrape', {
     providerNames: options.providerNames || null,
     fullRun: options.fullRun !== false,
+    force: options.force === true,
+    scheduled: options.scheduled === true,
     requestedAt: new Date().toISOString(),
   }, {
-    priority: options.priority || 10,
-    attempts: 3,
-    backoff: {
-      type: 'exponential',
-      delay: 60000, // 1 minute initial delay
-    },
-    removeOnComplete: {
-      age: 24 * 3600, // Keep completed jobs for 24 hours
-      count: 100,     // Keep last 100 completed jobs
-    },
-    removeOnFail: {
-      age: 7 * 24 * 3600, // Keep failed jobs for 7 days
-    },
+    ...SCRAPE_JOB_OPTIONS,
+    priority: options.priority || SCRAPE_JOB_OPTIONS.priority,
+    attempts: options.scheduled ? SCHEDULED_JOB_OPTIONS.attempts : SCRAPE_JOB_OPTIONS.attempts,
+    delayMs: options.delayMs || 0,
   });
 
   console.log(`[JobQueue] Added scrape job: ${job.id}`);
@@ -82,161 +90,83 @@ async function addScrapeJob(options = {}) {
 }
 
 /**
- * Schedule a recurring scrape job
+ * Schedule a recurring scrape job (redis only — with SQLite, scheduler.js does the scheduling)
  * @param {string} cronExpression - Cron expression (e.g., '0 22 * * *' for 10 PM daily)
  * @param {Object} options - Job options
  */
 async function scheduleRecurringScrape(cronExpression, options = {}) {
-  const q = initQueue();
-
-  // Remove existing scheduled job
-  const repeatableJobs = await q.getRepeatableJobs();
-  for (const job of repeatableJobs) {
-    if (job.name === 'scheduled-scrape') {
-      await q.removeRepeatableByKey(job.key);
-    }
-  }
-
-  // Add new scheduled job
-  await q.add('scheduled-scrape', {
+  await initQueue().scheduleRecurring('scheduled-scrape', cronExpression, {
     fullRun: true,
     scheduled: true,
     ...options,
-  }, {
-    repeat: {
-      pattern: cronExpression,
-      tz: 'America/New_York',
-    },
-    attempts: 3,
-    backoff: {
-      type: 'exponential',
-      delay: 60000,
-    },
-  });
+  }, SCHEDULED_JOB_OPTIONS);
 
   console.log(`[JobQueue] Scheduled recurring scrape: ${cronExpression}`);
 }
 
 /**
  * Start the worker to process jobs
- * @param {Function} scrapeHandler - Function to handle scrape jobs
+ * @param {Function} scrapeHandler - Called with (job.data, job); use job.updateProgress() to report progress
  */
 function startWorker(scrapeHandler) {
-  if (worker) {
-    console.log('[JobQueue] Worker already running');
-    return worker;
-  }
-
-  const conn = getConnection();
-
-  worker = new Worker(QUEUE_NAME, async (job) => {
-    console.log(`[JobQueue] Processing job: ${job.id} (${job.name})`);
-
-    const startTime = Date.now();
-
-    try {
-      const result = await scrapeHandler(job.data);
-
-      const duration = ((Date.now() - startTime) / 1000).toFixed(1);
-      console.log(`[JobQueue] Job ${job.id} completed in ${duration}s`);
-
-      return result;
-    } catch (error) {
-      console.error(`[JobQueue] Job ${job.id} failed:`, error.message);
-      throw error;
-    }
-  }, {
-    connection: conn,
-    concurrency: 1, // Only one scrape at a time
-  });
-
-  worker.on('completed', (job, result) => {
-    console.log(`[JobQueue] Job ${job.id} completed successfully`);
-  });
-
-  worker.on('failed', (job, error) => {
-    console.error(`[JobQueue] Job ${job?.id} failed:`, error.message);
-  });
-
-  worker.on('error', (error) => {
-    console.error('[JobQueue] Worker error:', error.message);
-  });
-
-  console.log('[JobQueue] Worker started');
-  return worker;
+  return initQueue().startWorker(scrapeHandler);
 }
 
 /**
  * Get queue status
  */
 async function getQueueStatus() {
-  const q = initQueue();
-
-  const [waiting, active, completed, failed, delayed] = await Promise.all([
-    q.getWaitingCount(),
-    q.getActiveCount(),
-    q.getCompletedCount(),
-    q.getFailedCount(),
-    q.getDelayedCount(),
-  ]);
-
-  const repeatableJobs = await q.getRepeatableJobs();
-
-  return {
-    waiting,
-    active,
-    completed,
-    failed,
-    delayed,
-    scheduledJobs: repeatableJobs.map(j => ({
-      name: j.name,
-      pattern: j.pattern,
-      next: j.next ? new Date(j.next).toISOString() : null,
-    })),
-  };
+  return initQueue().getQueueStatus();
 }
 
 /**
- * Get recent jobs
+ * Get recent jobs, grouped by state
  */
 async function getRecentJobs(limit = 10) {
-  const q = initQueue();
+  return initQueue().getRecentJobs(limit);
+}
 
-  const [completed, failed, active, waiting] = await Promise.all([
-    q.getCompleted(0, limit),
-    q.getFailed(0, limit),
-    q.getActive(0, limit),
-    q.getWaiting(0, limit),
-  ]);
+/**
+ * One job with its current state ('waiting', 'delayed', 'active', 'completed', 'failed')
+ * and latest progress, or null if it doesn't exist (or has been cleaned up)
+ */
+async function getJob(id) {
+  return initQueue().getJob(id);
+}
 
-  return {
-    completed: completed.map(formatJob),
-    failed: failed.map(formatJob),
-    active: active.map(formatJob),
-    waiting: waiting.map(formatJob),
-  };
+/**
+ * Jobs that failed on every attempt (the dead-letter list), most recent first
+ */
+async function getDeadLetterJobs(limit = 50) {
+  return initQueue().getDeadLetterJobs(limit);
 }
 
-function formatJob(job) {
-  return {
-    id: job.id,
-    name: job.name,
-    data: job.data,
-    status: job.finishedOn ? 'completed' : job.failedReason ? 'failed' : 'active',
-    createdAt: new Date(job.timestamp).toISOString(),
-    finishedAt: job.finishedOn ? new Date(job.finishedOn).toISOString() : null,
-    failedReason: job.failedReason || null,
-    attemptsMade: job.attemptsMade,
-  };
+/**
+ * Queue a dead-lettered job again; false if there is no such failed job
+ */
+async function retryJob(id) {
+  const retried = await initQueue().retryJob(id);
+  if (retried) console.log(`[JobQueue] Retrying job: ${id}`);
+  return retried;
+}
+
+/**
+ * Listen for progress and completion of one job, from whichever process runs it.
+ * The listener gets { type: 'progress', data } then { type: 'completed'|'failed' }.
+ * @returns {Function} unsubscribe
+ */
+function subscribeToJob(jobId, listener) {
+  return initQueue().subscribeToJob(jobId, listener);
 }
 
 /**
  * Trigger a manual scrape via the queue
  */
-async function triggerManualScrape(providerNames = null) {
+async function triggerManualScrape(providerNames = null, { force = false } = {}) {
   return addScrapeJob({
     providerNames,
     fullRun: !providerNames,
+    force,
     priority: 1, // High priority for manual runs
   });
 }
@@ -245,28 +175,67 @@ async function triggerManualScrape(providerNames = null) {
  * Close all connections
  */
 async function closeQueue() {
-  if (worker) {
-    await worker.close();
-    worker = null;
-  }
-  if (queue) {
-    await queue.close();
-    queue = null;
-  }
-  if (connection) {
-    await connection.quit();
-    connection = null;
-  }
+  if (!backend) return;
+  await backend.close();
+  backend = null;
   console.log('[JobQueue] Closed all connections');
 }
 
+// CLI support
+if (require.main === module) {
+  const [cmd, ...args] = process.argv.slice(2);
+  const print = job => console.log(`  ${String(job.id).padStart(5)}  ${job.status.padEnd(9)} ${job.finishedAt || job.createdAt}  ${job.failedReason || ''}`);
+
+  const commands = {
+    async add() {
+      const names = args.filter(a => a !== '--force');
+      const job = await triggerManualScrape(names.length > 0 ? names : null, { force: args.includes('--force') });
+      console.log(`Queued run ${job.id}. Start "npm run worker" if no worker is running.`);
+    },
+    async status() {
+      console.log(await getQueueStatus());
+    },
+    async dead() {
+      const jobs = await getDeadLetterJobs();
+      if (jobs.length === 0) console.log('No failed jobs');
+      jobs.forEach(print);
+    },
+    async retry() {
+      if (!(await retryJob(args[0]))) {
+        console.error(`No failed job with id ${args[0]}`);
+        process.exitCode = 1;
+      }
+    },
+  };
+
+  if (!commands[cmd]) {
+    console.log('Usage:');
+    console.log('  node job-queue.js add [provider names...] - Queue a scrape (all providers if none given; --force to scrape everything)');
+    console.log('  node job-queue.js status                  - Job counts per state');
+    console.log('  node job-queue.js dead                    - Jobs that failed every retry');
+    console.log('  node job-queue.js retry <id>              - Queue a failed job again');
+  } else {
+    commands[cmd]()
+      .catch((err) => {
+        console.error('[JobQueue]', err.message);
+        process.exitCode = 1;
+      })
+      .finally(closeQueue);
+  }
+}
+
 module.exports = {
+  waitForQueue,
   initQueue,
   addScrapeJob,
   scheduleRecurringScrape,
   startWorker,
   getQueueStatus,
   getRecentJobs,
+  getJob,
+  getDeadLetterJobs,
+  retryJob,
+  subscribeToJob,
   triggerManualScrape,
   closeQueue,
 };
@@ -0,0 +1,154 @@
+// layout-drift.js — Selector drift detection and portal layout-change alerts
+//
+// Each scraper declares the anchors it expects on every page it visits (the login
+// form, the transcript table, ...) and checks them as it goes. A run collects
+// which anchors matched for which provider; when an anchor that normally matches
+// stops matching for most providers at once, the portal was redesigned and the
+// run raises one "portal layout changed" alert instead of a failure per provider.
+//
+// Checking an anchor never throws and never changes what the scraper does.
+
+'use strict';
+
+const DETECTION = {
+  minProviders: 3,     // fewer misses than this is a provider problem, not a portal one
+  missShare: 0.6,      // share of checked providers that must miss the anchor
+  baselineRate: 0.8,   // ...when it matched at least this often in recent runs
+  baselineMinChecks: 3,
+};
+
+let reports = [];
+
+// ─── Declaring & checking ─────────────────────────────────────────────────────
+
+/**
+ * Declare the anchors a scraper expects
+ * @param {string} source - 'CE Broker', a platform name, or e.g. 'FL license'
+ * @param {Object<string, { page:string, selector?:string, text?:RegExp, anyOf?:Array, description?:string, required?:boolean }>} anchors
+ *   keyed by anchor name; `page` is the page kind it is checked on. An anchor
+ *   matches on a selector that is present, a regex over the page text, or any
+ *   of its `anyOf` alternatives. required: false marks anchors that legitimately
+ *   miss for some accounts (e.g. an empty course list).
+ */
+function defineAnchors(source, anchors) {
+  const list = Object.entries(anchors).map(([name, a]) => ({
+    name,
+    page: a.page,
+    description: a.description || name,
+    required: a.required !== false,
+    alternatives: a.anyOf || [{ selector: a.selector, text: a.text }],
+  }));
+  return { source, anchors: list };
+}
+
+async function matches(page, { selector, text }, bodyText) {
+  if (selector) return (await page.locator(selector).count().catch(() => 0)) > 0;
+  if (text) return text.test(await bodyText());
+  return false;
+}
+
+/**
+ * Check the anchors declared for one page kind and record the outcome for the run
+ * @returns {Promise<{ matched:string[], missed:string[] }>}
+ */
+async function checkAnchors(page, spec, providerName, pageKind) {
+  let body = null;
+  const bodyText = async () => (body ??= await page.locator('body').innerText().catch(() => ''));
+
+  const outcome = { matched: [], missed: [] };
+  for (const anchor of spec.anchors.filter(a => a.page === pageKind)) {
+    let matched = false;
+    for (const alt of anchor.alternatives) {
+      if (await matches(page, alt, bodyText)) { matched = true; break; }
+    }
+    (matched ? outcome.matched : outcome.missed).push(anchor.name);
+    reports.push({
+      source: spec.source,
+      providerName,
+      page: pageKind,
+      anchor: anchor.name,
+      description: anchor.description,
+      required: anchor.required,
+      matched,
+    });
+  }
+  return outcome;
+}
+
+/** The anchor checks recorded since the last call, clearing them */
+function takeAnchorReports() {
+  const taken = reports;
+  reports = [];
+  return taken;
+}
+
+// ─── Detection ────────────────────────────────────────────────────────────────
+
+/**
+ * Per source and anchor: how many providers it was checked for and matched for.
+ * A provider counts as matched if any of their checks matched (retries and
+ * multi-license accounts check the same page several times).
+ * @returns {Array<{ source, anchor, description, required, checked, matched, missedBy:string[] }>}
+ */
+function summarizeAnchors(anchorReports) {
+  const byAnchor = new Map();
+  for (const r of anchorReports) {
+    const key = `${r.source}\u0000${r.anchor}`;
+    if (!byAnchor.has(key)) {
+      byAnchor.set(key, { source: r.source, anchor: r.anchor, description: r.description, required: r.required, providers: new Map() });
+    }
+    const providers = byAnchor.get(key).providers;
+    providers.set(r.providerName, providers.get(r.providerName) || r.matched);
+  }
+
+  return [...byAnchor.values()].map(({ providers, ...a }) => {
+    const missedBy = [...providers].filter(([, matched]) => !matched).map(([name]) => name);
+    return { ...a, checked: providers.size, matched: providers.size - missedBy.length, missedBy };
+  });
+}
+
+/**
+ * Find sources whose layout changed this run
+ * @param {Array} summary - summarizeAnchors() output for this run
+ * @param {Array} [baseline] - getAnchorBaseline() rows: { source, anchor, checked, matched } over recent runs.
+ *   Without enough history for an anchor, only required anchors count.
+ * @returns {Array<{ source, providers:string[], anchors:Array<{ anchor, description, checked, matched, baselineRate }> }>}
+ */
+function detectLayoutChanges(summary, baseline = []) {
+  const history = new Map(baseline.map(b => [`${b.source}\u0000${b.anchor}`, b]));
+  const changes = new Map();
+
+  for (const a of summary) {
+    const missed = a.checked - a.matched;
+    if (missed < DETECTION.minProviders || missed / a.checked < DETECTION.missShare) continue;
+
+    const past = history.get(`${a.source}\u0000${a.anchor}`);
+    const baselineRate = past && past.checked >= DETECTION.baselineMinChecks ? past.matched / past.checked : null;
+    if (baselineRate === null ? !a.required : baselineRate < DETECTION.baselineRate) continue;
+
+    if (!changes.has(a.source)) changes.set(a.source, { source: a.source, providers: new Set(), anchors: [] });
+    const change = changes.get(a.source);
+    a.missedBy.forEach(name => change.providers.add(name));
+    change.anchors.push({ anchor: a.anchor, description: a.description, checked: a.checked, matched: a.matched, baselineRate });
+  }
+
+  return [...changes.values()].map(c => ({ ...c, providers: [...c.providers] }));
+}
+
+/** One-line description of a layout change, for logs and alerts */
+function describeLayoutChange(change) {
+  const anchors = change.anchors
+    .map(a => `${a.description} (${a.matched}/${a.checked} matched)`)
+    .join(', ');
+  return `Portal layout changed: ${change.source} — ${anchors}; ${change.providers.length} provider(s) affected`;
+}
+
+module.exports = {
+  DETECTION,
+  defineAnchors,
+  checkAnchors,
+  takeAnchorReports,
+  summarizeAnchors,
+  detectLayoutChanges,
+  describeLayoutChange,
+};
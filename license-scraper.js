@@ -4,7 +4,10 @@
 
 const fs = require('fs');
 const path = require('path');
-const { logger, sleep, screenshotOnError } = require('./utils');
+const { logger, sleep } = require('./utils');
+const { newScrapeContext } = require('./scrape-fixtures');
+const { captureFailure } = require('./evidence');
+const { defineAnchors, checkAnchors } = require('./layout-drift');
 
 const LICENSES_FILE = path.join(__dirname, 'licenses.json');
 const MANUAL_FILE = path.join(__dirname, 'licenses-manual.json');
@@ -78,12 +81,34 @@ const STATE_BOARDS = {
 
 // ─── Shared Helpers ───────────────────────────────────────────────────────────
 
-function makeContext(browser) {
-  return browser.newContext({
+// Search forms the board scrapers fill in (layout-drift.js)
+function searchAnchors(stateCode, lastNameSel) {
+  return defineAnchors(`${stateCode} license`, {
+    lastNameField: { page: 'search', selector: lastNameSel, description: 'last name search field' },
+    searchButton: {
+      page: 'search',
+      selector: 'button[type="submit"], input[type="submit"], button:has-text("Search")',
+      description: 'search button',
+    },
+  });
+}
+
+const STATE_ANCHORS = {
+  FL: searchAnchors('FL', 'input[id*="LastName"], input[name*="LastName"], input[placeholder*="Last"]'),
+  OH: searchAnchors('OH', 'input[id*="LastName"], input[name*="lastName"], input[placeholder*="Last Name"]'),
+  TX: searchAnchors('TX', 'input[id*="LastName"], input[name*="lastName"], input[placeholder*="Last"]'),
+};
+
+function makeContext(browser, provider, stateCode) {
+  return newScrapeContext(browser, {
     viewport: { width: 1400, height: 900 },
     userAgent:
       'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 ' +
       '(KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36',
+  }, {
+    source: `${stateCode} license`,
+    providerName: provider.name,
+    secrets: { email: provider.email, phone: provider.phone },
   });
 }
 
@@ -178,7 +203,7 @@ function calculateStats(licenseData) {
 // ─── Florida DOH MQA Scraper ──────────────────────────────────────────────────
 
 async function scrapeFloridaLicense(browser, provider) {
-  const context = await makeContext(browser);
+  const context = await makeContext(browser, provider, 'FL');
   const page = await context.newPage();
   const licenses = [];
 
@@ -191,6 +216,7 @@ async function scrapeFloridaLicense(browser, provider) {
       timeout: 30000
     });
     await sleep(2000);
+    await checkAnchors(page, STATE_ANCHORS.FL, provider.name, 'search');
 
     // Fill search form - last name field
     const lastNameInput = page.locator('input[id*="LastName"], input[name*="LastName"], input[placeholder*="Last"]').first();
@@ -287,7 +313,7 @@ async function scrapeFloridaLicense(browser, provider) {
     }
 
   } catch (err) {
-    await screenshotOnError(page, provider.name, 'fl_doh_error');
+    await captureFailure(page, { providerName: provider.name, source: 'FL license', label: 'fl_doh_error', error: err });
     logger.warn(`[FL DOH] ${provider.name}: ${err.message}`);
   } finally {
     await context.close();
@@ -299,7 +325,7 @@ async function scrapeFloridaLicense(browser, provider) {
 // ─── Ohio eLicense Scraper ────────────────────────────────────────────────────
 
 async function scrapeOhioLicense(browser, provider) {
-  const context = await makeContext(browser);
+  const context = await makeContext(browser, provider, 'OH');
   const page = await context.newPage();
   const licenses = [];
 
@@ -312,6 +338,7 @@ async function scrapeOhioLicense(browser, provider) {
       timeout: 45000
     });
     await sleep(3000);
+    await checkAnchors(page, STATE_ANCHORS.OH, provider.name, 'search');
 
     // Ohio eLicense uses dynamic forms - look for input fields
     const lastNameInput = page.locator('input[id*="LastName"], input[name*="lastName"], input[placeholder*="Last Name"]').first();
@@ -398,7 +425,7 @@ async function scrapeOhioLicense(browser, provider) {
     }
 
   } catch (err) {
-    await screenshotOnError(page, provider.name, 'oh_elicense_error');
+    await captureFailure(page, { providerName: provider.name, source: 'OH license', label: 'oh_elicense_error', error: err });
     logger.warn(`[OH eLicense] ${provider.name}: ${err.message}`);
   } finally {
     await context.close();
@@ -410,7 +437,7 @@ async function scrapeOhioLicense(browser, provider) {
 // ─── Texas BON Scraper ────────────────────────────────────────────────────────
 
 async function scrapeTexasLicense(browser, provider) {
-  const context = await makeContext(browser);
+  const context = await makeContext(browser, provider, 'TX');
   const page = await context.newPage();
   const licenses = [];
 
@@ -434,6 +461,7 @@ async function scrapeTexasLicense(browser, provider) {
     }
 
     // Try to find and fill search form
+    await checkAnchors(page, STATE_ANCHORS.TX, provider.name, 'search');
     const lastNameInput = page.locator('input[id*="LastName"], input[name*="lastName"], input[placeholder*="Last"]').first();
     if (await lastNameInput.isVisible({ timeout: 5000 })) {
       await lastNameInput.fill(nameParts.lastName);
@@ -494,7 +522,7 @@ async function scrapeTexasLicense(browser, provider) {
     }
 
   } catch (err) {
-    await screenshotOnError(page, provider.name, 'tx_bon_error');
+    await captureFailure(page, { providerName: provider.name, source: 'TX license', label: 'tx_bon_error', error: err });
     logger.warn(`[TX BON] ${provider.name}: ${err.message}`);
   } finally {
     await context.close();
@@ -506,7 +534,7 @@ async function scrapeTexasLicense(browser, provider) {
 // ─── Generic State Scraper (fallback) ─────────────────────────────────────────
 
 async function scrapeGenericStateLicense(browser, provider, stateCode, boardUrl) {
-  const context = await makeContext(browser);
+  const context = await makeContext(browser, provider, stateCode);
   const page = await context.newPage();
   const licenses = [];
 
@@ -587,11 +615,38 @@ async function scrapeGenericStateLicense(browser, provider, stateCode, boardUrl)
 
 // ─── Main Orchestrator ────────────────────────────────────────────────────────
 
+/**
+ * Look a provider up on one state's board
+ * @returns {Promise<Array>} licenses found (empty when the state has no board lookup)
+ */
+async function scrapeStateLicense(browser, provider, stateCode) {
+  switch (stateCode) {
+    case 'FL':
+      return scrapeFloridaLicense(browser, provider);
+    case 'OH':
+      return scrapeOhioLicense(browser, provider);
+    case 'TX':
+      return scrapeTexasLicense(browser, provider);
+    default:
+      // Use generic scraper for other states if we have a URL
+      if (STATE_BOARDS[stateCode]) {
+        return scrapeGenericStateLicense(browser, provider, stateCode, STATE_BOARDS[stateCode].url);
+      }
+      return [];
+  }
+}
+
 /**
  * Run license verification for all providers.
  * Tries state board scrapers first, then falls back to manual data.
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.save=true] - Write licenses.json directly. index.js
+ *   passes false: it stores the results in SQLite and exports licenses.json from there.
+ * @param {Function} [options.onProviderDone] - Called with (providerName, entry) as each provider is verified
  */
-async function runLicenseVerification(browser, providers) {
+async function runLicenseVerification(browser, providers, options = {}) {
+  const { save = true, onProviderDone = () => {} } = options;
   logger.info('\n' + '─'.repeat(60));
   logger.info('  LICENSE VERIFICATION (State Boards + Manual)');
   logger.info('─'.repeat(60));
@@ -619,24 +674,7 @@ async function runLicenseVerification(browser, providers) {
     // Try state-specific scrapers for key states
     for (const stateCode of targetStates) {
       try {
-        let stateLicenses = [];
-
-        switch (stateCode) {
-          case 'FL':
-            stateLicenses = await scrapeFloridaLicense(browser, provider);
-            break;
-          case 'OH':
-            stateLicenses = await scrapeOhioLicense(browser, provider);
-            break;
-          case 'TX':
-            stateLicenses = await scrapeTexasLicense(browser, provider);
-            break;
-          default:
-            // Use generic scraper for other states if we have a URL
-            if (STATE_BOARDS[stateCode]) {
-              stateLicenses = await scrapeGenericStateLicense(browser, provider, stateCode, STATE_BOARDS[stateCode].url);
-            }
-        }
+        const stateLicenses = await scrapeStateLicense(browser, provider, stateCode);
 
         if (stateLicenses.length > 0) {
           providerLicenses.push(...stateLicenses);
@@ -687,6 +725,7 @@ async function runLicenseVerification(browser, providers) {
       statesWithLicense: providerLicenses.length,
       lastFullScan: new Date().toISOString()
     };
+    onProviderDone(provider.name, licenseData.providers[provider.name]);
 
     results.stats.verified++;
     results.stats.licensesFound += providerLicenses.length;
@@ -700,7 +739,7 @@ async function runLicenseVerification(browser, providers) {
   licenseData.lastUpdated = new Date().toISOString();
   licenseData.verificationStats = calculateStats(licenseData);
 
-  saveLicenseData(licenseData);
+  if (save) saveLicenseData(licenseData);
 
   // Print summary
   logger.info('\n' + '─'.repeat(60));
@@ -719,12 +758,15 @@ async function runLicenseVerification(browser, providers) {
 
 module.exports = {
   runLicenseVerification,
+  scrapeStateLicense,
   scrapeFloridaLicense,
   scrapeOhioLicense,
   scrapeTexasLicense,
   loadLicenseData,
   saveLicenseData,
   loadManualLicenses,
+  calculateStats,
+  getStateName,
   parseProviderName,
   US_STATES,
   STATE_BOARDS
@@ -0,0 +1,283 @@
+// login-challenges.js — One-time codes and email verification during portal logins
+//
+// Some portals stop a login to ask for a code: a one-time passcode (SMS or an
+// authenticator app) or "we emailed you a verification code". Instead of failing
+// the provider, the scraper keeps the page open, asks for the code through a
+// channel, types it in and carries on with the scrape:
+//
+//   cli        prompts on the terminal (default when run interactively)
+//   dashboard  shows a pending challenge on the dashboard's Run History, where an
+//              admin enters the code (POST /api/admin/challenges/:id; default
+//              otherwise, e.g. for queued runs in worker.js)
+//
+// Under CI (CI or GITHUB_ACTIONS set) without an explicit OTP_CHANNEL, nobody is
+// there to answer, so a challenge fails straight away as unanswered.
+//   file       writes <OTP_DROP_DIR>/challenge-<id>.json and waits for a
+//              challenge-<id>.code file next to it, so a local stand-in (a mailbox
+//              watcher, a TOTP generator) can answer
+//
+// Other channels can be plugged in with registerChannel(). Every challenge is
+// recorded in the login_challenges table; its code is cleared once used.
+//
+// Configuration:
+//   OTP_CHANNEL=cli|dashboard|file
+//   OTP_TIMEOUT_MINUTES=10   how long to wait for a code
+//   OTP_DROP_DIR=<dir>       where the file channel works (default: ceu-tracker-challenges/
+//                            in the system temp dir, away from anything served)
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { logger, sleep } = require('./utils');
+
+const DEFAULT_TIMEOUT_MINUTES = 10;
+const POLL_MS = 2000;
+const MAX_CODES = 2;   // a mistyped code gets one more try
+
+// A challenge needs both: a visible code field and text asking for a code
+const CODE_INPUT = [
+  'input[autocomplete="one-time-code"]',
+  'input[name*="otp" i]', 'input[id*="otp" i]',
+  'input[name*="code" i]:not([type="hidden"])',
+  'input[name*="verification" i]:not([type="hidden"])',
+].join(', ');
+const CHALLENGE_TEXT = /verification code|one[- ]time (?:pass)?code|security code|enter the code|two[- ]factor|authenticator app|verify your identity/i;
+const CODE_SUBMIT = 'button[type="submit"], input[type="submit"], button:has-text("Verify"), button:has-text("Continue"), button:has-text("Submit")';
+
+const KIND_LABELS = { otp: 'one-time passcode', email: 'email verification code' };
+
+let currentRunId = null;
+let onWaiting = () => {};
+const abandoned = new Set();
+
+function timeoutMinutes() {
+  const minutes = parseFloat(process.env.OTP_TIMEOUT_MINUTES);
+  return minutes > 0 ? minutes : DEFAULT_TIMEOUT_MINUTES;
+}
+
+function dropDir() {
+  return process.env.OTP_DROP_DIR || path.join(os.tmpdir(), 'ceu-tracker-challenges');
+}
+
+/**
+ * Link challenges to a run (null: not part of a run)
+ * @param {object} [hooks] - { onWaiting(challenge) } called when a provider starts
+ *   waiting for a code, e.g. to show it in the run's progress
+ */
+function setChallengeRun(runId, { onWaiting: listener = () => {} } = {}) {
+  currentRunId = runId;
+  onWaiting = listener;
+  abandoned.clear();
+}
+
+// ─── Channels ─────────────────────────────────────────────────────────────────
+// A channel is { ask(challenge, { timeoutMs, pollMs }) → Promise<string|null> };
+// null means no code came in time. challenge is { id, providerName, source,
+// kind, prompt, expiresAt }.
+
+let cliQueue = Promise.resolve();
+
+const cliChannel = {
+  ask(challenge, { timeoutMs }) {
+    // One question at a time: providers log in in parallel
+    const asked = cliQueue.then(() => new Promise(resolve => {
+      if (!process.stdin.isTTY) {
+        logger.warn('[Challenge] No terminal to ask for the code on — set OTP_CHANNEL=dashboard or file');
+        return resolve(null);
+      }
+      const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+      const timer = setTimeout(() => { rl.close(); resolve(null); }, timeoutMs);
+      const prompt = challenge.prompt ? ` (${challenge.prompt})` : '';
+      rl.question(`\n  ${challenge.source} asks ${challenge.providerName} for a ${KIND_LABELS[challenge.kind]}${prompt}.\n  Code: `, answer => {
+        clearTimeout(timer);
+        rl.close();
+        resolve(answer.trim() || null);
+      });
+    }));
+    cliQueue = asked.catch(() => {});
+    return asked;
+  },
+};
+
+const dashboardChannel = {
+  async ask(challenge, { timeoutMs, pollMs = POLL_MS }) {
+    const { takeLoginChallengeCode } = require('./database');
+    logger.warn(`[Challenge] Enter the code for ${challenge.providerName} (${challenge.source}) on the dashboard: Reports → Run History`);
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+      const code = takeLoginChallengeCode(challenge.id);
+      if (code) return code;
+      if (Date.now() >= deadline) return null;
+      await sleep(pollMs);
+    }
+  },
+};
+
+const fileChannel = {
+  async ask(challenge, { timeoutMs, pollMs = POLL_MS }) {
+    const dir = dropDir();
+    fs.mkdirSync(dir, { recursive: true });
+    const base = path.join(dir, `challenge-${challenge.id}`);
+    fs.writeFileSync(`${base}.json`, JSON.stringify(challenge, null, 2));
+    logger.warn(`[Challenge] Write the code for ${challenge.providerName} (${challenge.source}) to ${base}.code`);
+
+    const deadline = Date.now() + timeoutMs;
+    try {
+      for (;;) {
+        const code = fs.existsSync(`${base}.code`) ? fs.readFileSync(`${base}.code`, 'utf8').trim() : '';
+        if (code) return code;
+        if (Date.now() >= deadline) return null;
+        await sleep(pollMs);
+      }
+    } finally {
+      fs.rmSync(`${base}.json`, { force: true });
+      fs.rmSync(`${base}.code`, { force: true });
+    }
+  },
+};
+
+const channels = {
+  cli: cliChannel,
+  dashboard: dashboardChannel,
+  file: fileChannel,
+};
+
+/**
+ * Add (or replace) a channel, selectable with OTP_CHANNEL=<name>
+ * @param {string} name
+ * @param {{ ask:Function }} channel
+ */
+function registerChannel(name, channel) {
+  channels[name] = channel;
+}
+
+/** The configured channel's name */
+function channelName() {
+  const name = process.env.OTP_CHANNEL || (process.stdin.isTTY ? 'cli' : 'dashboard');
+  if (!channels[name]) throw new Error(`Unknown OTP_CHANNEL "${name}" (expected one of: ${Object.keys(channels).join(', ')})`);
+  return name;
+}
+
+// ─── Detecting & passing challenges ───────────────────────────────────────────
+
+/**
+ * Whether the page is asking for a verification code
+ * @returns {Promise<{ kind:'otp'|'email', prompt:string }|null>}
+ */
+async function detectChallenge(page) {
+  const visible = await page.locator(CODE_INPUT).first().isVisible().catch(() => false);
+  if (!visible) return null;
+  const text = await page.locator('body').innerText().catch(() => '');
+  if (!CHALLENGE_TEXT.test(text)) return null;
+
+  // The lines asking for the code tell an emailed code from an OTP
+  const asks = text.split('\n').map(l => l.trim()).filter(l => CHALLENGE_TEXT.test(l)).join(' — ');
+  return {
+    kind: /e-?mail/i.test(asks) ? 'email' : 'otp',
+    prompt: asks.slice(0, 200),
+  };
+}
+
+function challengeError(outcome, { providerName, source, kind }) {
+  const err = new Error(outcome === 'rejected'
+    ? `${source} rejected the ${KIND_LABELS[kind]} for ${providerName}`
+    : `No ${KIND_LABELS[kind]} for ${providerName} (${source}) within ${timeoutMinutes()} min`);
+  err.challenge = { outcome, kind };
+  return err;
+}
+
+function record(update, id) {
+  try {
+    return update(require('./database'));
+  } catch (err) {
+    logger.warn(`[Challenge] Could not record challenge${id ? ` #${id}` : ''}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Ask the configured channel for the code to one challenge
+ * @returns {Promise<{ id:number|null, code:string|null }>}
+ */
+async function requestCode(challenge) {
+  if (!process.env.OTP_CHANNEL && (process.env.CI || process.env.GITHUB_ACTIONS)) {
+    // Nobody watches a CI run's dashboard, so waiting would only stall the run
+    logger.warn(`[Challenge] ${challenge.source} asks ${challenge.providerName} for a ${KIND_LABELS[challenge.kind]}, but this CI run has no OTP_CHANNEL to ask on`);
+    return { id: null, code: null };
+  }
+  const channel = channelName();
+  const timeoutMs = timeoutMinutes() * 60 * 1000;
+  const expiresAt = Date.now() + timeoutMs;
+  const id = record(db => db.createLoginChallenge({ ...challenge, runId: currentRunId, channel, expiresAt }));
+  if (!id && channel === 'dashboard') {
+    // Nothing on the dashboard to answer, so no point waiting for it
+    logger.warn(`[Challenge] ${challenge.source} asks ${challenge.providerName} for a ${KIND_LABELS[challenge.kind]}, but it could not be put on the dashboard`);
+    return { id: null, code: null };
+  }
+
+  logger.warn(`[Challenge] ${challenge.source} asks ${challenge.providerName} for a ${KIND_LABELS[challenge.kind]} — waiting up to ${timeoutMinutes()} min (${channel})`);
+  const asked = { id: id ?? Date.now(), ...challenge, expiresAt };
+  try { onWaiting(asked); } catch { /* progress is best-effort */ }
+
+  const code = await channels[channel].ask(asked, { timeoutMs });
+  if (!code && id) record(db => db.resolveLoginChallenge(id, 'expired'), id);
+  return { id, code };
+}
+
+async function submitCode(page, code) {
+  const input = page.locator(CODE_INPUT).first();
+  await input.fill(code);
+  const submit = page.locator(CODE_SUBMIT).first();
+  if (await submit.isVisible().catch(() => false)) await submit.click();
+  else await input.press('Enter');
+  await sleep(3000);
+}
+
+/**
+ * If the page is asking for a verification code, get it through the configured
+ * channel and submit it, leaving the page wherever the portal goes next. Call
+ * right after submitting a login form.
+ * @returns {Promise<boolean>} whether there was a challenge (and it was passed)
+ * @throws {Error} with `challenge: { outcome: 'unanswered'|'rejected', kind }` when
+ *   no code came in time or the portal rejected it; later logins of the same
+ *   provider and portal in this run then fail straight away instead of asking again
+ */
+async function passChallenge(page, { providerName, source }) {
+  let found = await detectChallenge(page);
+  if (!found) return false;
+
+  const key = `${providerName}\u0000${source}`;
+  if (abandoned.has(key)) throw challengeError('unanswered', { providerName, source, ...found });
+
+  for (let attempt = 1; attempt <= MAX_CODES; attempt++) {
+    const { id, code } = await requestCode({ providerName, source, ...found });
+    if (!code) {
+      abandoned.add(key);
+      throw challengeError('unanswered', { providerName, source, ...found });
+    }
+
+    await submitCode(page, code);
+    const again = await detectChallenge(page);
+    if (id) record(db => db.resolveLoginChallenge(id, again ? 'rejected' : 'accepted'), id);
+    if (!again) {
+      logger.success(`[Challenge] ${source} accepted the code for ${providerName}`);
+      return true;
+    }
+    logger.warn(`[Challenge] ${source} rejected the code for ${providerName}`);
+    found = again;
+  }
+  abandoned.add(key);
+  throw challengeError('rejected', { providerName, source, ...found });
+}
+
+module.exports = {
+  KIND_LABELS,
+  setChallengeRun,
+  registerChannel,
+  channelName,
+  detectChallenge,
+  passChallenge,
+};
@@ -0,0 +1,170 @@
+// login-guard.js — Brute-force throttling and audit trail for POST /__auth
+//
+// Shared by middleware.js (Vercel Edge) and server.js, so like auth.js it sticks to
+// web-platform APIs (fetch, no Node built-ins). Attempts are counted per client IP
+// and per account name; crossing the limit locks that key out, and each further
+// lockout doubles in length up to MAX_LOCK_SECONDS. Every attempt — success,
+// failure or refused while locked — is written to the audit log. SSO sign-ins
+// (method 'oidc') are audited but not throttled; the identity provider does that.
+//
+// State lives in a store with this async interface:
+//   getThrottle(key) / setThrottle(key, state|null) / appendAudit(event) / recentAudit({ limit, username })
+// server.js uses SQLite (database.js); the edge uses Vercel KV / Upstash Redis when
+// KV_REST_API_URL + KV_REST_API_TOKEN are set, else per-instance memory.
+
+'use strict';
+
+const POLICY = {
+  account: { maxFailures: 5 },
+  ip: { maxFailures: 20 },       // higher: offices share one address
+  baseLockSeconds: 60,
+  maxLockSeconds: 60 * 60,
+  forgetAfterSeconds: 24 * 60 * 60, // lockout history resets after a quiet day
+};
+
+const AUDIT_LIMIT = 1000; // events kept by the KV and memory stores
+
+function throttleKeys({ ip, username }) {
+  return [
+    { key: `ip:${ip || 'unknown'}`, max: POLICY.ip.maxFailures },
+    { key: `user:${String(username || '').trim().toLowerCase()}`, max: POLICY.account.maxFailures },
+  ];
+}
+
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+/**
+ * Whether this IP / account may attempt a login right now
+ * @returns {Promise<{ allowed:boolean, retryAfter?:number }>} retryAfter in seconds
+ */
+async function checkLogin(store, attempt) {
+  const now = nowSeconds();
+  let retryAfter = 0;
+  for (const { key } of throttleKeys(attempt)) {
+    const state = await store.getThrottle(key);
+    if (state && state.lockedUntil > now) retryAfter = Math.max(retryAfter, state.lockedUntil - now);
+  }
+  return retryAfter > 0 ? { allowed: false, retryAfter } : { allowed: true };
+}
+
+/**
+ * Update the throttle counters and write the audit event for one attempt
+ * @param {{ ip:string, username:string, userAgent?:string, outcome:'success'|'failure'|'locked', role?:string, method?:'password'|'oidc' }} attempt
+ */
+async function recordLogin(store, attempt) {
+  const now = nowSeconds();
+  const method = attempt.method || 'password';
+
+  if (method !== 'password') {
+    // nothing to throttle
+  } else if (attempt.outcome === 'success') {
+    // Only the account's counter: one valid login must not wipe the failures an
+    // address ran up guessing other accounts. The IP counter ages out by itself.
+    const [, account] = throttleKeys(attempt);
+    await store.setThrottle(account.key, null);
+  } else if (attempt.outcome === 'failure') {
+    for (const { key, max } of throttleKeys(attempt)) {
+      let state = await store.getThrottle(key);
+      if (!state || now - state.lastFailure > POLICY.forgetAfterSeconds) {
+        state = { failures: 0, lockouts: 0, lockedUntil: 0, lastFailure: now };
+      }
+      state.failures++;
+      state.lastFailure = now;
+      if (state.failures >= max) {
+        state.lockouts++;
+        state.failures = 0;
+        state.lockedUntil = now + lockSeconds(state.lockouts);
+      }
+      await store.setThrottle(key, state);
+    }
+  }
+
+  const event = {
+    at: new Date(now * 1000).toISOString(),
+    username: String(attempt.username || '').trim(),
+    ip: attempt.ip || 'unknown',
+    userAgent: attempt.userAgent || null,
+    outcome: attempt.outcome,
+    role: attempt.role || null,
+    method,
+  };
+  await store.appendAudit(event);
+  console.log('[Auth]', JSON.stringify(event)); // also lands in Vercel / server logs
+  return event;
+}
+
+/** Lock length for the nth lockout: 1 min, 2 min, 4 min … capped at an hour */
+function lockSeconds(lockouts) {
+  return Math.min(POLICY.baseLockSeconds * 2 ** (lockouts - 1), POLICY.maxLockSeconds);
+}
+
+// ─── Stores ───────────────────────────────────────────────────────────────────
+
+/**
+ * Per-process store. On the edge each instance keeps its own counters, so this is
+ * a best-effort fallback when KV isn't configured.
+ */
+function memoryStore() {
+  const throttle = new Map();
+  const audit = [];
+  return {
+    async getThrottle(key) {
+      return throttle.get(key) || null;
+    },
+    async setThrottle(key, state) {
+      if (state) throttle.set(key, { ...state });
+      else throttle.delete(key);
+    },
+    async appendAudit(event) {
+      audit.unshift(event);
+      audit.length = Math.min(audit.length, AUDIT_LIMIT);
+    },
+    async recentAudit({ limit = 100, username = null } = {}) {
+      return audit.filter(e => !username || e.username.toLowerCase() === username.toLowerCase()).slice(0, limit);
+    },
+  };
+}
+
+/**
+ * Vercel KV / Upstash Redis over its REST API
+ */
+function kvStore(url, token) {
+  async function command(...args) {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(args),
+    });
+    if (!res.ok) throw new Error(`KV ${args[0]} failed: HTTP ${res.status}`);
+    return (await res.json()).result;
+  }
+
+  return {
+    async getThrottle(key) {
+      const raw = await command('GET', `ceu:login:${key}`);
+      return raw ? JSON.parse(raw) : null;
+    },
+    async setThrottle(key, state) {
+      if (!state) return command('DEL', `ceu:login:${key}`);
+      return command('SET', `ceu:login:${key}`, JSON.stringify(state), 'EX', POLICY.forgetAfterSeconds + POLICY.maxLockSeconds);
+    },
+    async appendAudit(event) {
+      await command('LPUSH', 'ceu:login-audit', JSON.stringify(event));
+      await command('LTRIM', 'ceu:login-audit', 0, AUDIT_LIMIT - 1);
+    },
+    async recentAudit({ limit = 100, username = null } = {}) {
+      const events = ((await command('LRANGE', 'ceu:login-audit', 0, AUDIT_LIMIT - 1)) || []).map(e => JSON.parse(e));
+      return events.filter(e => !username || e.username.toLowerCase() === username.toLowerCase()).slice(0, limit);
+    },
+  };
+}
+
+module.exports = {
+  POLICY,
+  checkLogin,
+  recordLogin,
+  memoryStore,
+  kvStore,
+};
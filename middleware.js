@@ -4,155 +4,223 @@
 // That is sensitive employment data and must not be publicly reachable or indexed.
 //
 // HOW: every request is checked at the edge (before any static file is served).
-// Without a valid session cookie the visitor gets a branded login page. Posting
-// the correct password sets an HttpOnly session cookie; the password itself is
-// never stored in the cookie (the cookie holds a SHA-256 token derived from it).
-// A client-side-only password form would be fake security — the HTML data would
-// still be downloadable — so the check lives here, in the edge runtime.
+// Without a valid session the visitor gets a branded login page. Each person signs
+// in with their own account; a correct username + password sets an HttpOnly cookie
+// holding a signed, expiring session token (never the password). Accounts, roles,
+// session signing and revocation live in auth.js, which server.js uses too, so local
+// and Vercel deployments enforce the same rules. A client-side-only password form
+// would be fake security — the HTML data would still be downloadable — so the check
+// lives here, in the edge runtime.
 //
 // SETUP (one time, in the Vercel dashboard for this project):
 //   Settings → Environment Variables → add
-//     SITE_PASSWORD = <your shared password>     (e.g. Fountain2026!)
-//   Then redeploy. The password lives ONLY in Vercel, never in this repo.
+//     SESSION_SECRET = <32+ random bytes>        (node users.js secret)
+//     CEU_USERS      = <accounts JSON>           (node users.js env)
+//   Then redeploy. Re-export CEU_USERS and redeploy after adding, removing or
+//   revoking users. Passwords live only as salted hashes, never in this repo.
+//
+//   Single sign-on: set OIDC_ISSUER, OIDC_CLIENT_ID (+ OIDC_CLIENT_SECRET) and
+//   OIDC_ROLE_MAP (see oidc.js) and register <site>/__oidc/callback as a redirect
+//   URI with the identity provider. CEU_USERS is optional once SSO is set up.
+//
+//   Sign-in attempts are throttled per IP and per account and written to an audit
+//   log (login-guard.js), which admins can read at /api/admin/logins. Connect a
+//   Vercel KV / Upstash Redis store (KV_REST_API_URL + KV_REST_API_TOKEN) so the
+//   counters and log are shared by every edge instance; without it each instance
+//   keeps its own in memory.
 //
 // This does not touch the scraper or the reminder emails (those read local files
 // and send via SMTP).
 
+import {
+  PUBLIC_PATHS,
+  loadAuthConfig,
+  login,
+  ssoLogin,
+  verifySession,
+  canAccess,
+  homePath,
+  getCookie,
+  sessionCookie,
+  clearSessionCookie,
+  oidcStateCookie,
+  clearOidcStateCookie,
+  readOidcState,
+  oidcRedirectUri,
+  loginOptions,
+  loginPage,
+  SESSION_COOKIE,
+} from './auth.js';
+import { OidcError, authorizationRequest, completeAuthorization } from './oidc.js';
+import { checkLogin, recordLogin, memoryStore, kvStore } from './login-guard.js';
+
 export const config = {
   matcher: ['/((?!_next/static|_next/image).*)'],
 };
 
-const COOKIE = 'ceu_session';
-const COOKIE_MAX_AGE = 60 * 60 * 24 * 30; // 30 days
-// Public assets the login page itself needs — served without auth (no data here).
-const PUBLIC_PATHS = new Set(['/fountain-logo-mark.png', '/fountain-logo.png', '/favicon.svg', '/favicon.ico', '/robots.txt']);
-
-async function sessionToken(password) {
-  const data = new TextEncoder().encode('ceu-tracker:v1:' + password);
-  const digest = await crypto.subtle.digest('SHA-256', data);
-  return Array.from(new Uint8Array(digest))
-    .map((b) => b.toString(16).padStart(2, '0'))
-    .join('');
-}
-
-function getCookie(request, name) {
-  const raw = request.headers.get('cookie') || '';
-  for (const part of raw.split(';')) {
-    const c = part.trim();
-    if (c.startsWith(name + '=')) return c.slice(name.length + 1);
-  }
-  return null;
-}
+const loginStore = process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN
+  ? kvStore(process.env.KV_REST_API_URL, process.env.KV_REST_API_TOKEN)
+  : memoryStore();
 
 export default async function middleware(request) {
-  const PASSWORD = process.env.SITE_PASSWORD;
+  const auth = loadAuthConfig(process.env);
   const url = new URL(request.url);
 
-  // Fail closed: if no password is configured, do NOT serve the data.
-  if (!PASSWORD) {
+  // Fail closed: if no accounts are configured, do NOT serve the data.
+  if (!auth) {
     return new Response(
-      'Password protection is not configured. Set the SITE_PASSWORD environment ' +
-        'variable in the Vercel project settings, then redeploy.',
+      'Login is not configured. Set SESSION_SECRET plus CEU_USERS and/or the OIDC_* ' +
+        'environment variables in the Vercel project settings, then redeploy.',
       { status: 503, headers: { 'Content-Type': 'text/plain' } }
     );
   }
 
-  const expected = await sessionToken(PASSWORD);
-
   // Let the login page's own assets through.
   if (PUBLIC_PATHS.has(url.pathname)) return;
 
   // Handle the login form submission.
   if (url.pathname === '/__auth' && request.method === 'POST') {
     const form = await request.formData();
-    const submitted = (form.get('password') || '').toString();
-    if (submitted === PASSWORD) {
+    const attempt = {
+      ip: clientIp(request),
+      username: (form.get('username') || '').toString(),
+      userAgent: request.headers.get('user-agent'),
+    };
+
+    const gate = await checkLogin(loginStore, attempt);
+    if (!gate.allowed) {
+      await recordLogin(loginStore, { ...attempt, outcome: 'locked' });
+      return loginResponse(auth, { username: attempt.username, retryAfter: gate.retryAfter });
+    }
+
+    const session = await login(auth, attempt.username, (form.get('password') || '').toString());
+    if (session) {
+      await recordLogin(loginStore, { ...attempt, outcome: 'success', role: session.user.role });
       return new Response(null, {
         status: 303,
         headers: {
-          Location: '/',
-          'Set-Cookie': `${COOKIE}=${expected}; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=${COOKIE_MAX_AGE}`,
+          Location: homePath(session.user.role),
+          'Set-Cookie': sessionCookie(session.token, session.maxAge),
         },
       });
     }
-    return loginResponse({ error: true });
+    await recordLogin(loginStore, { ...attempt, outcome: 'failure' });
+    return loginResponse(auth, { error: true, username: attempt.username });
+  }
+
+  if (auth.oidc && url.pathname === '/__oidc/login') return startSso(auth, url);
+  if (auth.oidc && url.pathname === '/__oidc/callback') return finishSso(request, auth, url);
+
+  if (url.pathname === '/__logout') {
+    return new Response(null, {
+      status: 303,
+      headers: { Location: '/', 'Set-Cookie': clearSessionCookie() },
+    });
   }
 
   // Already authenticated?
-  if (getCookie(request, COOKIE) === expected) return;
+  const session = await verifySession(auth, getCookie(request.headers.get('cookie'), SESSION_COOKIE));
+  if (!session) return loginResponse(auth, { error: false });
+
+  if (canAccess(session.role, request.method, url.pathname)) {
+    // canAccess only lets admins this far
+    if (url.pathname === '/api/admin/logins') return loginAuditResponse(url);
+    return;
+  }
+  if (url.pathname === '/' && request.method === 'GET') {
+    return Response.redirect(new URL(homePath(session.role), url), 303);
+  }
+  return new Response('You do not have access to this page.', {
+    status: 403,
+    headers: { 'Content-Type': 'text/plain', 'Cache-Control': 'no-store' },
+  });
+}
 
-  // Otherwise, show the branded login page.
-  return loginResponse({ error: false });
+function loginResponse(auth, { error = false, username = '', retryAfter = 0, message = '', status = null, cookie = null }) {
+  const headers = new Headers({
+    'Content-Type': 'text/html; charset=utf-8',
+    'Cache-Control': 'no-store',
+    'X-Robots-Tag': 'noindex, nofollow',
+  });
+  if (retryAfter > 0) headers.set('Retry-After', String(retryAfter));
+  if (cookie) headers.append('Set-Cookie', cookie);
+  return new Response(loginPage({ ...loginOptions(auth), error, username, retryAfter, message }), {
+    status: status || (retryAfter > 0 ? 429 : error ? 401 : 200),
+    headers,
+  });
 }
 
-function loginResponse({ error }) {
-  return new Response(loginPage({ error }), {
-    status: error ? 401 : 200,
+const SSO_UNREACHABLE = 'Could not reach the identity provider. Please try again shortly.';
+
+// GET /__oidc/login — send the browser to the identity provider
+async function startSso(auth, url) {
+  let sso;
+  try {
+    sso = await authorizationRequest(auth.oidc, oidcRedirectUri(auth, url.origin));
+  } catch (err) {
+    console.log(`[OIDC] ${err.message}`);
+    return loginResponse(auth, { message: SSO_UNREACHABLE, status: 502 });
+  }
+  return new Response(null, {
+    status: 303,
     headers: {
-      'Content-Type': 'text/html; charset=utf-8',
+      Location: sso.url,
+      'Set-Cookie': await oidcStateCookie(auth, sso.state),
       'Cache-Control': 'no-store',
-      'X-Robots-Tag': 'noindex, nofollow',
     },
   });
 }
 
-function loginPage({ error }) {
-  const errorBanner = error
-    ? '<p class="error" role="alert">Incorrect password. Please try again.</p>'
-    : '';
-  return `<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8" />
-  <meta name="viewport" content="width=device-width, initial-scale=1.0" />
-  <meta name="robots" content="noindex, nofollow" />
-  <title>CEU Tracker — Sign in</title>
-  <link rel="icon" href="/favicon.svg" />
-  <style>
-    :root { --navy:#1e293b; --navy2:#334155; --accent:#2563eb; --border:#e2e8f0; --muted:#64748b; }
-    * { box-sizing: border-box; }
-    body {
-      margin: 0; min-height: 100vh; display: flex; align-items: center; justify-content: center;
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif;
-      background: linear-gradient(135deg, var(--navy) 0%, var(--navy2) 100%);
-      padding: 24px; color: var(--navy);
-    }
-    .card {
-      width: 100%; max-width: 380px; background: #fff; border-radius: 16px;
-      box-shadow: 0 20px 50px rgba(15, 23, 42, 0.35); padding: 40px 32px; text-align: center;
-    }
-    .logo { height: 48px; width: auto; margin: 0 auto 20px; display: block; }
-    h1 { font-size: 20px; margin: 0 0 4px; }
-    .sub { font-size: 13px; color: var(--muted); margin: 0 0 28px; }
-    form { display: flex; flex-direction: column; gap: 14px; text-align: left; }
-    label { font-size: 12px; font-weight: 600; color: var(--navy); }
-    input[type="password"] {
-      width: 100%; padding: 12px 14px; font-size: 15px; border: 1px solid var(--border);
-      border-radius: 10px; outline: none; transition: border-color .15s, box-shadow .15s;
-    }
-    input[type="password"]:focus { border-color: var(--accent); box-shadow: 0 0 0 3px rgba(37,99,235,.15); }
-    button {
-      margin-top: 4px; padding: 12px 14px; font-size: 15px; font-weight: 600; color: #fff;
-      background: var(--accent); border: none; border-radius: 10px; cursor: pointer; transition: background .15s;
+// GET /__oidc/callback — the identity provider sends the browser back here
+async function finishSso(request, auth, url) {
+  const attempt = { ip: clientIp(request), username: '', userAgent: request.headers.get('user-agent'), method: 'oidc' };
+  const clearState = clearOidcStateCookie();
+  const params = url.searchParams;
+
+  const saved = await readOidcState(auth, request.headers.get('cookie'));
+  if (params.get('error') || !saved || params.get('state') !== saved.state || !params.get('code')) {
+    const message = params.get('error')
+      ? `Single sign-on was cancelled or refused (${params.get('error')}).`
+      : 'Your single sign-on session expired. Please try again.';
+    await recordLogin(loginStore, { ...attempt, outcome: 'failure' });
+    return loginResponse(auth, { message, status: 400, cookie: clearState });
+  }
+
+  let identity;
+  try {
+    identity = await completeAuthorization(auth.oidc, {
+      code: params.get('code'),
+      redirectUri: oidcRedirectUri(auth, url.origin),
+      expected: saved,
+    });
+  } catch (err) {
+    if (!(err instanceof OidcError)) {
+      console.log(`[OIDC] ${err.message}`);
+      return loginResponse(auth, { message: SSO_UNREACHABLE, status: 502, cookie: clearState });
     }
-    button:hover { background: #1d4ed8; }
-    .error { background:#fef2f2; color:#991b1b; font-size:13px; border:1px solid #fecaca; border-radius:10px; padding:10px 12px; margin:0 0 4px; }
-    .foot { margin-top: 24px; font-size: 11px; color: #94a3b8; }
-  </style>
-</head>
-<body>
-  <main class="card">
-    <img class="logo" src="/fountain-logo-mark.png" alt="Fountain" onerror="this.style.display='none'" />
-    <h1>CEU Tracker</h1>
-    <p class="sub">This dashboard is restricted. Please sign in to continue.</p>
-    <form method="POST" action="/__auth" autocomplete="off">
-      ${errorBanner}
-      <label for="password">Password</label>
-      <input id="password" name="password" type="password" required autofocus aria-label="Password" />
-      <button type="submit">Sign in</button>
-    </form>
-    <p class="foot">Fountain Vitality — Authorized access only</p>
-  </main>
-</body>
-</html>`;
+    await recordLogin(loginStore, { ...attempt, username: err.username || '', outcome: 'failure' });
+    return loginResponse(auth, { message: err.message, status: 403, cookie: clearState });
+  }
+
+  const session = await ssoLogin(auth, identity);
+  await recordLogin(loginStore, { ...attempt, username: identity.username, outcome: 'success', role: identity.role });
+  const headers = new Headers({ Location: homePath(identity.role) });
+  headers.append('Set-Cookie', clearState);
+  headers.append('Set-Cookie', sessionCookie(session.token, session.maxAge));
+  return new Response(null, { status: 303, headers });
+}
+
+// Vercel puts the client address first in x-forwarded-for
+function clientIp(request) {
+  const forwarded = request.headers.get('x-forwarded-for');
+  return (forwarded ? forwarded.split(',')[0].trim() : request.headers.get('x-real-ip')) || 'unknown';
+}
+
+async function loginAuditResponse(url) {
+  const limit = Math.min(Math.max(Number(url.searchParams.get('limit')) || 50, 1), 200);
+  const username = url.searchParams.get('username');
+  const data = await loginStore.recentAudit({ limit, username });
+  return new Response(JSON.stringify({ data, limit }), {
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' },
+  });
 }
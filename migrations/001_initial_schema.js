@@ -0,0 +1,119 @@
+// migrations/001_initial_schema.js — Original CEU Tracker schema
+// Providers, CE Broker snapshots, courses, platform results, credential health, run log
+
+'use strict';
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      -- Providers table
+      CREATE TABLE IF NOT EXISTS providers (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL,
+        type TEXT NOT NULL,
+        email TEXT,
+        has_ce_broker_creds INTEGER DEFAULT 0,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Compliance records (snapshots from CE Broker)
+      CREATE TABLE IF NOT EXISTS compliance_records (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        provider_id INTEGER NOT NULL,
+        state TEXT,
+        license_type TEXT,
+        renewal_deadline TEXT,
+        hours_required REAL,
+        hours_completed REAL,
+        hours_remaining REAL,
+        scraped_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (provider_id) REFERENCES providers(id)
+      );
+
+      -- Subject area requirements
+      CREATE TABLE IF NOT EXISTS subject_areas (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        compliance_record_id INTEGER NOT NULL,
+        subject TEXT NOT NULL,
+        hours_required REAL,
+        hours_completed REAL,
+        FOREIGN KEY (compliance_record_id) REFERENCES compliance_records(id)
+      );
+
+      -- Course history
+      CREATE TABLE IF NOT EXISTS courses (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        provider_id INTEGER NOT NULL,
+        platform TEXT,
+        course_name TEXT NOT NULL,
+        hours REAL,
+        completion_date TEXT,
+        category TEXT,
+        certificate_url TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(provider_id, course_name, completion_date),
+        FOREIGN KEY (provider_id) REFERENCES providers(id)
+      );
+
+      -- Platform scrape results
+      CREATE TABLE IF NOT EXISTS platform_results (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        provider_id INTEGER NOT NULL,
+        platform TEXT NOT NULL,
+        status TEXT,
+        hours_earned REAL,
+        total_spent REAL,
+        course_count INTEGER,
+        scraped_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (provider_id) REFERENCES providers(id)
+      );
+
+      -- Credential health tracking
+      CREATE TABLE IF NOT EXISTS credential_health (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        provider_id INTEGER NOT NULL,
+        platform TEXT NOT NULL,
+        status TEXT DEFAULT 'healthy',
+        consecutive_failures INTEGER DEFAULT 0,
+        last_success TEXT,
+        last_failure TEXT,
+        last_error TEXT,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(provider_id, platform),
+        FOREIGN KEY (provider_id) REFERENCES providers(id)
+      );
+
+      -- Run history (audit log)
+      CREATE TABLE IF NOT EXISTS run_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        started_at TEXT NOT NULL,
+        completed_at TEXT,
+        providers_processed INTEGER,
+        providers_succeeded INTEGER,
+        providers_failed INTEGER,
+        duration_seconds REAL,
+        status TEXT
+      );
+
+      -- Create indexes for common queries
+      CREATE INDEX IF NOT EXISTS idx_compliance_provider ON compliance_records(provider_id);
+      CREATE INDEX IF NOT EXISTS idx_compliance_scraped ON compliance_records(scraped_at);
+      CREATE INDEX IF NOT EXISTS idx_courses_provider ON courses(provider_id);
+      CREATE INDEX IF NOT EXISTS idx_courses_date ON courses(completion_date);
+      CREATE INDEX IF NOT EXISTS idx_platform_results_provider ON platform_results(provider_id);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS run_history;
+      DROP TABLE IF EXISTS credential_health;
+      DROP TABLE IF EXISTS platform_results;
+      DROP TABLE IF EXISTS courses;
+      DROP TABLE IF EXISTS subject_areas;
+      DROP TABLE IF EXISTS compliance_records;
+      DROP TABLE IF EXISTS providers;
+    `);
+  },
+};
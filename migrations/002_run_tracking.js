@@ -0,0 +1,133 @@
+// migrations/002_run_tracking.js — Tie every record to the run that produced it
+// Adds run ids, per-provider run outcomes, license scans, and the extra columns the
+// JSON exports need (license numbers, subject hours needed, course state/cost).
+
+'use strict';
+
+// Courses are rebuilt rather than altered: SQLite cannot change a UNIQUE constraint
+// in place, and hours joins the identity so the same course name logged twice on
+// one day with different credit counts is kept (matches dashboard-builder's merge).
+function rebuildCourses(db, { withStateAndCost, unique }) {
+  // Columns both shapes share — state/cost start empty on the way up
+  const shared = 'id, provider_id, platform, course_name, hours, completion_date, category, certificate_url, created_at';
+  const extraColumns = withStateAndCost ? 'state TEXT,\n      cost REAL,' : '';
+
+  db.exec(`
+    CREATE TABLE courses_new (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      provider_id INTEGER NOT NULL,
+      platform TEXT,
+      course_name TEXT NOT NULL,
+      hours REAL,
+      completion_date TEXT,
+      category TEXT,
+      ${extraColumns}
+      certificate_url TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(${unique.join(', ')}),
+      FOREIGN KEY (provider_id) REFERENCES providers(id)
+    );
+
+    INSERT OR IGNORE INTO courses_new (${shared})
+      SELECT ${shared} FROM courses ORDER BY id;
+
+    DROP TABLE courses;
+    ALTER TABLE courses_new RENAME TO courses;
+
+    CREATE INDEX IF NOT EXISTS idx_courses_provider ON courses(provider_id);
+    CREATE INDEX IF NOT EXISTS idx_courses_date ON courses(completion_date);
+  `);
+}
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      ALTER TABLE compliance_records ADD COLUMN run_id INTEGER REFERENCES run_history(id);
+      ALTER TABLE compliance_records ADD COLUMN license_number TEXT;
+      ALTER TABLE subject_areas ADD COLUMN hours_needed REAL;
+      ALTER TABLE platform_results ADD COLUMN run_id INTEGER REFERENCES run_history(id);
+      ALTER TABLE platform_results ADD COLUMN order_count INTEGER;
+      ALTER TABLE platform_results ADD COLUMN error TEXT;
+      ALTER TABLE run_history ADD COLUMN providers_not_configured INTEGER;
+
+      -- License verification passes (one per provider per run)
+      CREATE TABLE IF NOT EXISTS license_scans (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        provider_id INTEGER NOT NULL,
+        run_id INTEGER,
+        states_searched INTEGER,
+        scanned_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (provider_id) REFERENCES providers(id),
+        FOREIGN KEY (run_id) REFERENCES run_history(id)
+      );
+
+      -- Verified state licenses (state boards + manual entries)
+      CREATE TABLE IF NOT EXISTS licenses (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        provider_id INTEGER NOT NULL,
+        scan_id INTEGER NOT NULL,
+        state TEXT,
+        license_number TEXT,
+        license_type TEXT,
+        status TEXT,
+        expiration_date TEXT,
+        issued_date TEXT,
+        verification_source TEXT,
+        last_verified TEXT,
+        discipline_actions INTEGER DEFAULT 0,
+        FOREIGN KEY (provider_id) REFERENCES providers(id),
+        FOREIGN KEY (scan_id) REFERENCES license_scans(id)
+      );
+
+      -- Per-provider outcome of each run (feeds history.json loginErrors)
+      CREATE TABLE IF NOT EXISTS run_results (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        run_id INTEGER NOT NULL,
+        provider_id INTEGER NOT NULL,
+        status TEXT NOT NULL,
+        error TEXT,
+        error_code TEXT,
+        error_action TEXT,
+        UNIQUE(run_id, provider_id),
+        FOREIGN KEY (run_id) REFERENCES run_history(id),
+        FOREIGN KEY (provider_id) REFERENCES providers(id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_compliance_run ON compliance_records(run_id);
+      CREATE INDEX IF NOT EXISTS idx_platform_results_run ON platform_results(run_id);
+      CREATE INDEX IF NOT EXISTS idx_license_scans_provider ON license_scans(provider_id);
+      CREATE INDEX IF NOT EXISTS idx_licenses_scan ON licenses(scan_id);
+    `);
+
+    rebuildCourses(db, {
+      withStateAndCost: true,
+      unique: ['provider_id', 'course_name', 'completion_date', 'hours'],
+    });
+  },
+
+  down(db) {
+    db.exec(`
+      DROP INDEX IF EXISTS idx_licenses_scan;
+      DROP INDEX IF EXISTS idx_license_scans_provider;
+      DROP INDEX IF EXISTS idx_platform_results_run;
+      DROP INDEX IF EXISTS idx_compliance_run;
+
+      DROP TABLE IF EXISTS run_results;
+      DROP TABLE IF EXISTS licenses;
+      DROP TABLE IF EXISTS license_scans;
+
+      ALTER TABLE run_history DROP COLUMN providers_not_configured;
+      ALTER TABLE platform_results DROP COLUMN error;
+      ALTER TABLE platform_results DROP COLUMN order_count;
+      ALTER TABLE platform_results DROP COLUMN run_id;
+      ALTER TABLE subject_areas DROP COLUMN hours_needed;
+      ALTER TABLE compliance_records DROP COLUMN license_number;
+      ALTER TABLE compliance_records DROP COLUMN run_id;
+    `);
+
+    rebuildCourses(db, {
+      withStateAndCost: false,
+      unique: ['provider_id', 'course_name', 'completion_date'],
+    });
+  },
+};
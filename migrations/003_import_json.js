@@ -0,0 +1,15 @@
+// migrations/003_import_json.js — Seed the database from the legacy JSON files
+// history.json, course-history.json, licenses.json and providers-public.json
+
+'use strict';
+
+module.exports = {
+  up(db, { migrateFromJson }) {
+    // In-memory databases are scratch copies (tests, dry runs) with no JSON beside them
+    if (db.memory) return;
+    migrateFromJson();
+  },
+
+  // No down(): imported runs are indistinguishable from scraped ones once
+  // later runs have built on them. Restore the pre-migration backup instead.
+};
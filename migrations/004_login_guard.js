@@ -0,0 +1,39 @@
+// migrations/004_login_guard.js — Login throttling state and audit trail (login-guard.js)
+
+'use strict';
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      -- Failed-attempt counters per throttle key (ip:<addr> / user:<name>)
+      CREATE TABLE IF NOT EXISTS login_throttle (
+        key TEXT PRIMARY KEY,
+        failures INTEGER NOT NULL DEFAULT 0,
+        lockouts INTEGER NOT NULL DEFAULT 0,
+        locked_until INTEGER NOT NULL DEFAULT 0,
+        last_failure INTEGER NOT NULL DEFAULT 0
+      );
+
+      -- Every sign-in attempt: success, failure, or refused while locked out
+      CREATE TABLE IF NOT EXISTS login_audit (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        at TEXT NOT NULL,
+        username TEXT,
+        ip TEXT,
+        user_agent TEXT,
+        outcome TEXT NOT NULL,
+        role TEXT
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_login_audit_at ON login_audit(at);
+      CREATE INDEX IF NOT EXISTS idx_login_audit_username ON login_audit(username);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS login_audit;
+      DROP TABLE IF EXISTS login_throttle;
+    `);
+  },
+};
@@ -0,0 +1,13 @@
+// migrations/005_login_method.js — Record how each sign-in was attempted (password or SSO)
+
+'use strict';
+
+module.exports = {
+  up(db) {
+    db.exec(`ALTER TABLE login_audit ADD COLUMN method TEXT NOT NULL DEFAULT 'password'`);
+  },
+
+  down(db) {
+    db.exec('ALTER TABLE login_audit DROP COLUMN method');
+  },
+};
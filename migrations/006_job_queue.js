@@ -0,0 +1,39 @@
+// migrations/006_job_queue.js — Jobs table for the SQLite queue backend (queue-sqlite.js)
+
+'use strict';
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      -- One row per queued job. Times are epoch milliseconds.
+      -- status: waiting (run_at may be in the future = delayed) → active → completed,
+      -- or back to waiting for a retry, or failed once attempts run out (dead letter).
+      CREATE TABLE IF NOT EXISTS jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        data TEXT,
+        status TEXT NOT NULL DEFAULT 'waiting',
+        priority INTEGER NOT NULL DEFAULT 10,
+        attempts_made INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL DEFAULT 1,
+        backoff_ms INTEGER NOT NULL DEFAULT 0,
+        run_at INTEGER NOT NULL,
+        created_at INTEGER NOT NULL,
+        started_at INTEGER,
+        finished_at INTEGER,
+        locked_by TEXT,
+        locked_until INTEGER,
+        progress TEXT,
+        result TEXT,
+        error TEXT
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_jobs_ready ON jobs(status, priority, run_at);
+      CREATE INDEX IF NOT EXISTS idx_jobs_finished ON jobs(status, finished_at);
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS jobs');
+  },
+};
@@ -0,0 +1,24 @@
+// migrations/007_run_lock.js — Lease table for run-lock.js (one scrape at a time)
+
+'use strict';
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      -- One row per lock name. Times are epoch milliseconds; a lease whose
+      -- expires_at has passed is stale and may be taken over.
+      CREATE TABLE IF NOT EXISTS run_locks (
+        name TEXT PRIMARY KEY,
+        token TEXT NOT NULL,
+        holder TEXT NOT NULL,
+        acquired_at INTEGER NOT NULL,
+        heartbeat_at INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL
+      );
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS run_locks');
+  },
+};
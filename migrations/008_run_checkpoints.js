@@ -0,0 +1,33 @@
+// migrations/008_run_checkpoints.js — Per-provider stage results saved during a run,
+// so an interrupted run can be resumed (node index.js --resume <runId>)
+
+'use strict';
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      -- Which providers a run was started for (JSON array; NULL = everyone)
+      ALTER TABLE run_history ADD COLUMN provider_names TEXT;
+
+      -- stage: 'cebroker' | 'platforms' | 'licenses' hold that stage's results as
+      -- JSON; 'saved' marks a provider already written by saveProviderRun.
+      -- Cleared when the run completes.
+      CREATE TABLE IF NOT EXISTS run_checkpoints (
+        run_id INTEGER NOT NULL,
+        provider_name TEXT NOT NULL,
+        stage TEXT NOT NULL,
+        data TEXT,
+        saved_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (run_id, provider_name, stage),
+        FOREIGN KEY (run_id) REFERENCES run_history(id)
+      );
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS run_checkpoints;
+      ALTER TABLE run_history DROP COLUMN provider_names;
+    `);
+  },
+};
@@ -0,0 +1,30 @@
+// migrations/009_scrape_state.js — Per-source freshness for incremental runs
+// (scrape-policy.js decides from this which providers and platforms to log into)
+
+'use strict';
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      -- One row per provider and source: 'CE Broker' or a platform name.
+      -- Times are epoch ms; data is the last successful result (JSON), reused
+      -- by runs that skip the source. change_times is a JSON array of when the
+      -- data last changed, newest first.
+      CREATE TABLE IF NOT EXISTS scrape_state (
+        provider_name TEXT NOT NULL,
+        source TEXT NOT NULL,
+        last_attempt_at INTEGER,
+        last_success_at INTEGER,
+        last_status TEXT,
+        fingerprint TEXT,
+        change_times TEXT,
+        data TEXT,
+        PRIMARY KEY (provider_name, source)
+      );
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS scrape_state;');
+  },
+};
@@ -0,0 +1,27 @@
+// migrations/010_anchor_checks.js — How many providers matched each scraper anchor
+// per run, the baseline layout-drift.js compares a run's matching against
+
+'use strict';
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      -- One row per run, source ('CE Broker' or a platform name) and anchor:
+      -- checked = providers whose pages were checked for it, matched = how
+      -- many of them it matched for.
+      CREATE TABLE IF NOT EXISTS anchor_checks (
+        run_id INTEGER NOT NULL,
+        source TEXT NOT NULL,
+        anchor TEXT NOT NULL,
+        checked INTEGER NOT NULL,
+        matched INTEGER NOT NULL,
+        PRIMARY KEY (run_id, source, anchor),
+        FOREIGN KEY (run_id) REFERENCES run_history(id)
+      );
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS anchor_checks;');
+  },
+};
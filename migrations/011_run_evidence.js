@@ -0,0 +1,32 @@
+// migrations/011_run_evidence.js — Failure evidence (screenshot + Playwright trace)
+// captured per failed provider/platform attempt, linked to its run (evidence.js)
+
+'use strict';
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      -- One row per failed attempt. Paths are relative to the evidence directory;
+      -- either may be NULL when that capture failed. error_code is the classified
+      -- login error (scraper.js classifyLoginError) when there is one.
+      CREATE TABLE IF NOT EXISTS run_evidence (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        run_id INTEGER NOT NULL,
+        provider_name TEXT NOT NULL,
+        source TEXT NOT NULL,
+        label TEXT,
+        error_code TEXT,
+        error TEXT,
+        screenshot_path TEXT,
+        trace_path TEXT,
+        captured_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (run_id) REFERENCES run_history(id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_run_evidence_run ON run_evidence(run_id);
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS run_evidence;');
+  },
+};
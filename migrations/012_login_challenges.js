@@ -0,0 +1,38 @@
+// migrations/012_login_challenges.js — Verification challenges (one-time codes,
+// email verification) met during portal logins, and the codes given for them
+// (login-challenges.js)
+
+'use strict';
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      -- One row per challenge. status: pending (waiting for a code) → answered
+      -- (code given, not yet used) → submitted (the scraper took the code) →
+      -- accepted | rejected; or expired when no code came in time. The code is
+      -- cleared as soon as the scraper takes it. Times are epoch ms.
+      CREATE TABLE IF NOT EXISTS login_challenges (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        run_id INTEGER,
+        provider_name TEXT NOT NULL,
+        source TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        prompt TEXT,
+        channel TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        code TEXT,
+        answered_by TEXT,
+        created_at INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL,
+        answered_at INTEGER,
+        resolved_at INTEGER,
+        FOREIGN KEY (run_id) REFERENCES run_history(id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_login_challenges_status ON login_challenges(status);
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS login_challenges;');
+  },
+};
@@ -0,0 +1,42 @@
+// migrations/013_license_cycles.js — Archive of CE Broker license cycles, current
+// and past, so a renewal rolling over keeps the prior cycle's breakdown (scraper.js)
+
+'use strict';
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      -- One row per license cycle. cycle_id is "YYYY-MM-DD/YYYY-MM-DD" (start/end);
+      -- scraping a cycle again updates its row, so hours posted late still land on
+      -- the right cycle. is_current marks the cycle the license's overview shows.
+      -- subject_areas and courses are JSON arrays as scraped.
+      CREATE TABLE IF NOT EXISTS license_cycles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        provider_id INTEGER NOT NULL,
+        run_id INTEGER,
+        state TEXT NOT NULL,
+        license_type TEXT NOT NULL DEFAULT '',
+        license_number TEXT,
+        cycle_id TEXT NOT NULL,
+        start_date TEXT NOT NULL,
+        end_date TEXT NOT NULL,
+        is_current INTEGER NOT NULL DEFAULT 0,
+        hours_required REAL,
+        hours_completed REAL,
+        hours_remaining REAL,
+        subject_areas TEXT,
+        courses TEXT,
+        first_seen_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (provider_id, state, license_type, cycle_id),
+        FOREIGN KEY (provider_id) REFERENCES providers(id),
+        FOREIGN KEY (run_id) REFERENCES run_history(id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_license_cycles_provider ON license_cycles(provider_id);
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS license_cycles;');
+  },
+};
@@ -0,0 +1,43 @@
+// migrations/014_course_imports.js — Manually imported transcripts and certificates
+// (course-import.js): the staged rows awaiting review, and the courses they became
+
+'use strict';
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      -- One row per uploaded file. rows and warnings are JSON arrays: the parsed
+      -- course rows as the reviewer last saw them, and file-level parse notes.
+      -- source_file is relative to the imports directory (content-addressed).
+      -- status: pending → confirmed | discarded.
+      CREATE TABLE IF NOT EXISTS course_imports (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        provider_id INTEGER NOT NULL,
+        filename TEXT NOT NULL,
+        format TEXT NOT NULL,
+        source_file TEXT NOT NULL,
+        source_sha256 TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        rows TEXT NOT NULL,
+        warnings TEXT,
+        course_count INTEGER,
+        created_by TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        reviewed_by TEXT,
+        reviewed_at TEXT,
+        FOREIGN KEY (provider_id) REFERENCES providers(id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_course_imports_status ON course_imports(status);
+
+      -- The import a course came from (NULL for scraped courses)
+      ALTER TABLE courses ADD COLUMN import_id INTEGER REFERENCES course_imports(id);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      ALTER TABLE courses DROP COLUMN import_id;
+      DROP TABLE IF EXISTS course_imports;
+    `);
+  },
+};
@@ -0,0 +1,31 @@
+// migrations/015_course_merge_decisions.js — Admin decisions on the course
+// deduplication review queue (course-dedupe.js)
+
+'use strict';
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      -- One row per decided review. kind 'hours': course_key is a course whose
+      -- sources disagree on its hours, and hours is the value to count. kind
+      -- 'match': course_key is two course keys joined by '|', and decision says
+      -- whether they are one course ('merge') or two ('separate').
+      CREATE TABLE IF NOT EXISTS course_merge_decisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        provider_id INTEGER NOT NULL,
+        kind TEXT NOT NULL,
+        course_key TEXT NOT NULL,
+        decision TEXT NOT NULL,
+        hours REAL,
+        decided_by TEXT,
+        decided_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (provider_id) REFERENCES providers(id),
+        UNIQUE (provider_id, kind, course_key)
+      );
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS course_merge_decisions;');
+  },
+};
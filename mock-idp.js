@@ -0,0 +1,196 @@
+// mock-idp.js — A throwaway OpenID Connect provider for trying SSO locally and in tests
+//
+// Implements just enough of OIDC for oidc.js: discovery, an /authorize page that
+// lets you pick a test user (no password), the token endpoint with PKCE checks,
+// JWKS and userinfo. Keys are generated fresh on every start. Never deploy it.
+//
+//   node mock-idp.js [port]      then start server.js with the env vars it prints
+//
+// In tests, startMockIdp() returns the issuer URL; add ?login_hint=<email> to the
+// authorize URL to skip the user picker.
+
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+
+const DEFAULT_USERS = [
+  { sub: 'u-admin', email: 'admin@example.com', name: 'Ada Admin', groups: ['ceu-admins'] },
+  { sub: 'u-viewer', email: 'viewer@example.com', name: 'Cat Viewer', groups: ['compliance'] },
+  { sub: 'u-exec', email: 'exec@example.com', name: 'Eve Executive', groups: ['leadership'] },
+  { sub: 'u-nogroup', email: 'nobody@example.com', name: 'No Group', groups: [] },
+  { sub: 'u-outside', email: 'guest@other.org', name: 'Outside Guest', groups: ['ceu-admins'] },
+];
+
+const base64url = buf => Buffer.from(buf).toString('base64url');
+
+function escapeHtml(str) {
+  return String(str).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+/**
+ * Start the mock provider
+ * @param {object} [options]
+ * @param {number} [options.port=0] - 0 picks a free port
+ * @param {Array} [options.users] - { sub, email, name, groups, email_verified }
+ * @param {string} [options.clientId='ceu-tracker']
+ * @param {string|null} [options.clientSecret='mock-secret'] - null for a public client
+ * @returns {Promise<{ issuer:string, close:Function }>}
+ */
+async function startMockIdp({ port = 0, users = DEFAULT_USERS, clientId = 'ceu-tracker', clientSecret = 'mock-secret' } = {}) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = base64url(crypto.randomBytes(8));
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' };
+
+  const codes = new Map();        // code → pending sign-in
+  const accessTokens = new Map(); // token → user
+  let issuer;
+
+  function signIdToken(claims) {
+    const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid }));
+    const payload = base64url(JSON.stringify(claims));
+    const sig = crypto.sign('RSA-SHA256', Buffer.from(`${header}.${payload}`), privateKey);
+    return `${header}.${payload}.${base64url(sig)}`;
+  }
+
+  function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+  }
+
+  function authorize(url, res) {
+    const params = url.searchParams;
+    const redirectUri = params.get('redirect_uri');
+    if (params.get('client_id') !== clientId || !redirectUri) return sendJson(res, 400, { error: 'invalid_client' });
+    if (params.get('code_challenge_method') !== 'S256' || !params.get('code_challenge')) {
+      return sendJson(res, 400, { error: 'invalid_request', error_description: 'PKCE (S256) is required' });
+    }
+
+    const hint = params.get('login_hint');
+    if (!hint) {
+      const links = users.map((u) => {
+        const next = new URL(url);
+        next.searchParams.set('login_hint', u.email);
+        return `<li><a href="${escapeHtml(next.pathname + next.search)}">${escapeHtml(u.name)}</a> — ${escapeHtml(u.email)} (${escapeHtml(u.groups.join(', ') || 'no groups')})</li>`;
+      }).join('\n');
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      return res.end(`<!DOCTYPE html><title>Mock IdP</title><h1>Mock IdP — sign in as</h1><ul>${links}</ul>`);
+    }
+
+    const user = users.find(u => u.email === hint);
+    const back = new URL(redirectUri);
+    if (params.get('state')) back.searchParams.set('state', params.get('state'));
+    if (!user) {
+      back.searchParams.set('error', 'access_denied');
+    } else {
+      const code = base64url(crypto.randomBytes(24));
+      codes.set(code, {
+        user,
+        redirectUri,
+        nonce: params.get('nonce'),
+        challenge: params.get('code_challenge'),
+      });
+      back.searchParams.set('code', code);
+    }
+    res.writeHead(302, { Location: back.toString() });
+    res.end();
+  }
+
+  function token(req, res, form) {
+    let id = form.get('client_id');
+    let secret = form.get('client_secret');
+    const basic = (req.headers.authorization || '').match(/^Basic\s+(.+)$/i);
+    if (basic) {
+      [id, secret] = Buffer.from(basic[1], 'base64').toString().split(':').map(decodeURIComponent);
+    }
+    if (id !== clientId || (clientSecret && secret !== clientSecret)) return sendJson(res, 401, { error: 'invalid_client' });
+
+    const pending = codes.get(form.get('code'));
+    codes.delete(form.get('code'));
+    if (form.get('grant_type') !== 'authorization_code' || !pending || pending.redirectUri !== form.get('redirect_uri')) {
+      return sendJson(res, 400, { error: 'invalid_grant' });
+    }
+    const challenge = base64url(crypto.createHash('sha256').update(form.get('code_verifier') || '').digest());
+    if (challenge !== pending.challenge) {
+      return sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    const { user } = pending;
+    const now = Math.floor(Date.now() / 1000);
+    const accessToken = base64url(crypto.randomBytes(24));
+    accessTokens.set(accessToken, user);
+    sendJson(res, 200, {
+      token_type: 'Bearer',
+      access_token: accessToken,
+      expires_in: 3600,
+      id_token: signIdToken({
+        iss: issuer,
+        sub: user.sub,
+        aud: clientId,
+        iat: now,
+        exp: now + 300,
+        nonce: pending.nonce,
+        email: user.email,
+        email_verified: user.email_verified !== false,
+        name: user.name,
+        groups: user.groups,
+      }),
+    });
+  }
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, issuer);
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      switch (url.pathname) {
+        case '/.well-known/openid-configuration':
+          return sendJson(res, 200, {
+            issuer,
+            authorization_endpoint: `${issuer}/authorize`,
+            token_endpoint: `${issuer}/token`,
+            jwks_uri: `${issuer}/jwks`,
+            userinfo_endpoint: `${issuer}/userinfo`,
+            response_types_supported: ['code'],
+            code_challenge_methods_supported: ['S256'],
+            id_token_signing_alg_values_supported: ['RS256'],
+          });
+        case '/authorize':
+          return authorize(url, res);
+        case '/token':
+          return req.method === 'POST' ? token(req, res, new URLSearchParams(raw)) : sendJson(res, 405, { error: 'POST only' });
+        case '/jwks':
+          return sendJson(res, 200, { keys: [jwk] });
+        case '/userinfo': {
+          const user = accessTokens.get((req.headers.authorization || '').replace(/^Bearer\s+/i, ''));
+          if (!user) return sendJson(res, 401, { error: 'invalid_token' });
+          return sendJson(res, 200, { sub: user.sub, email: user.email, name: user.name, groups: user.groups });
+        }
+        default:
+          return sendJson(res, 404, { error: 'not_found' });
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+  issuer = `http://127.0.0.1:${server.address().port}`;
+  return {
+    issuer,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+if (require.main === module) {
+  startMockIdp({ port: Number(process.argv[2]) || 9400 }).then(({ issuer }) => {
+    console.log(`Mock IdP running at ${issuer}\n`);
+    console.log('Start server.js with:');
+    console.log(`  OIDC_ISSUER=${issuer}`);
+    console.log('  OIDC_CLIENT_ID=ceu-tracker');
+    console.log('  OIDC_CLIENT_SECRET=mock-secret');
+    console.log(`  OIDC_ROLE_MAP='{"ceu-admins":"admin","compliance":"compliance","leadership":"executive"}'`);
+    console.log('  OIDC_ALLOWED_DOMAINS=example.com');
+    console.log(`\nTest users: ${DEFAULT_USERS.map(u => u.email).join(', ')}`);
+  });
+}
+
+module.exports = { startMockIdp, DEFAULT_USERS };
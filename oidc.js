@@ -0,0 +1,273 @@
+// oidc.js — OpenID Connect single sign-on (authorization code + PKCE)
+//
+// Used by auth.js, which adds it to the login gate in middleware.js (Vercel Edge)
+// and server.js. Like auth.js it only uses fetch and Web Crypto, so it runs on the
+// edge too.
+//
+// Configure with:
+//   OIDC_ISSUER            https://login.example.com (discovery is read from
+//                          <issuer>/.well-known/openid-configuration)
+//   OIDC_CLIENT_ID         client registered with the identity provider
+//   OIDC_CLIENT_SECRET     optional — omit for a public client (PKCE only)
+//   OIDC_REDIRECT_URI      optional — defaults to <site>/__oidc/callback
+//   OIDC_ROLE_MAP          {"ceu-admins":"admin","compliance":"compliance","leadership":"executive"}
+//   OIDC_GROUPS_CLAIM      claim holding the user's groups (default "groups")
+//   OIDC_DEFAULT_ROLE      role for users in none of the mapped groups (default: no access)
+//   OIDC_ALLOWED_DOMAINS   comma-separated email domains allowed to sign in
+//   OIDC_SCOPES            default "openid email profile"
+//   OIDC_LABEL             login button text (default "Single sign-on")
+//
+// For local testing, mock-idp.js runs a throwaway identity provider.
+
+'use strict';
+
+// Most privileged first: a user in several mapped groups gets the highest role
+const ROLE_RANK = ['admin', 'compliance', 'executive'];
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const CLOCK_SKEW_SECONDS = 60;
+
+const encoder = new TextEncoder();
+
+/** A sign-in the identity provider or our policy refused; the message is shown to the user */
+class OidcError extends Error {
+  constructor(message, username = null) {
+    super(message);
+    this.username = username; // who was refused, when we got that far (for the audit log)
+  }
+}
+
+// ─── Config ───────────────────────────────────────────────────────────────────
+
+function splitList(value) {
+  return String(value || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * SSO settings from the environment, or null when OIDC isn't configured.
+ * Throws on an invalid OIDC_ROLE_MAP so a typo can't open or close the gate silently.
+ */
+function loadOidcConfig(env) {
+  if (!env.OIDC_ISSUER || !env.OIDC_CLIENT_ID) return null;
+
+  const roleMap = env.OIDC_ROLE_MAP ? JSON.parse(env.OIDC_ROLE_MAP) : {};
+  for (const [group, role] of Object.entries(roleMap)) {
+    if (!ROLE_RANK.includes(role)) throw new Error(`OIDC_ROLE_MAP: unknown role "${role}" for group "${group}"`);
+  }
+  const defaultRole = env.OIDC_DEFAULT_ROLE || null;
+  if (defaultRole && !ROLE_RANK.includes(defaultRole)) throw new Error(`OIDC_DEFAULT_ROLE: unknown role "${defaultRole}"`);
+
+  return {
+    issuer: env.OIDC_ISSUER.replace(/\/+$/, ''),
+    clientId: env.OIDC_CLIENT_ID,
+    clientSecret: env.OIDC_CLIENT_SECRET || null,
+    redirectUri: env.OIDC_REDIRECT_URI || null,
+    scopes: env.OIDC_SCOPES || 'openid email profile',
+    groupsClaim: env.OIDC_GROUPS_CLAIM || 'groups',
+    roleMap,
+    defaultRole,
+    allowedDomains: splitList(env.OIDC_ALLOWED_DOMAINS),
+    label: env.OIDC_LABEL || 'Single sign-on',
+  };
+}
+
+// ─── Encoding ─────────────────────────────────────────────────────────────────
+
+function toBase64Url(bytes) {
+  let binary = '';
+  for (const b of new Uint8Array(bytes)) binary += String.fromCharCode(b);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(str) {
+  const b64 = str.replace(/-/g, '+').replace(/_/g, '/') + '='.repeat((4 - (str.length % 4)) % 4);
+  return Uint8Array.from(atob(b64), c => c.charCodeAt(0));
+}
+
+function randomToken() {
+  return toBase64Url(crypto.getRandomValues(new Uint8Array(32)));
+}
+
+function decodeJson(part) {
+  return JSON.parse(new TextDecoder().decode(fromBase64Url(part)));
+}
+
+// ─── Provider metadata ────────────────────────────────────────────────────────
+
+const discoveryCache = new Map();
+
+async function fetchJson(url, options) {
+  const res = await fetch(url, options);
+  if (!res.ok) throw new Error(`${url} returned HTTP ${res.status}`);
+  return res.json();
+}
+
+/**
+ * Discovery document and signing keys for an issuer, cached for an hour.
+ * `refresh` refetches the keys, for when the provider has rotated them.
+ */
+async function getProvider(oidc, { refresh = false } = {}) {
+  let entry = discoveryCache.get(oidc.issuer);
+  if (!entry || Date.now() - entry.fetchedAt > DISCOVERY_TTL_MS) {
+    const metadata = await fetchJson(`${oidc.issuer}/.well-known/openid-configuration`);
+    entry = { metadata, jwks: null, fetchedAt: Date.now() };
+    discoveryCache.set(oidc.issuer, entry);
+  }
+  if (!entry.jwks || refresh) entry.jwks = await fetchJson(entry.metadata.jwks_uri);
+  return entry;
+}
+
+// ─── Authorization request ────────────────────────────────────────────────────
+
+/**
+ * Build the redirect to the identity provider.
+ * The returned state (state, nonce, PKCE verifier) must be kept — auth.js puts it in
+ * a short-lived signed cookie — and handed back to completeAuthorization.
+ * @returns {Promise<{ url:string, state:{ state:string, nonce:string, verifier:string } }>}
+ */
+async function authorizationRequest(oidc, redirectUri) {
+  const { metadata } = await getProvider(oidc);
+  const state = { state: randomToken(), nonce: randomToken(), verifier: randomToken() };
+  const challenge = toBase64Url(await crypto.subtle.digest('SHA-256', encoder.encode(state.verifier)));
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: oidc.clientId,
+    redirect_uri: redirectUri,
+    scope: oidc.scopes,
+    state: state.state,
+    nonce: state.nonce,
+    code_challenge: challenge,
+    code_challenge_method: 'S256',
+  }).toString();
+  return { url: url.toString(), state };
+}
+
+// ─── Callback ─────────────────────────────────────────────────────────────────
+
+/**
+ * Exchange the authorization code, verify the ID token and map the user to a role
+ * @param {{ code:string, redirectUri:string, expected:{ nonce:string, verifier:string } }} params
+ * @returns {Promise<{ username:string, name:string, role:string, groups:string[] }>}
+ * @throws {OidcError} when the provider or our policy refuses the sign-in
+ */
+async function completeAuthorization(oidc, { code, redirectUri, expected }) {
+  const { metadata } = await getProvider(oidc);
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    code_verifier: expected.verifier,
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+  if (oidc.clientSecret) {
+    headers.Authorization = `Basic ${btoa(`${encodeURIComponent(oidc.clientId)}:${encodeURIComponent(oidc.clientSecret)}`)}`;
+  } else {
+    body.set('client_id', oidc.clientId);
+  }
+
+  const res = await fetch(metadata.token_endpoint, { method: 'POST', headers, body });
+  if (!res.ok) {
+    console.log(`[OIDC] Token exchange failed: HTTP ${res.status} ${await res.text()}`);
+    throw new OidcError('The identity provider did not accept the sign-in. Please try again.');
+  }
+  const tokens = await res.json();
+
+  const claims = await verifyIdToken(oidc, tokens.id_token, expected.nonce);
+
+  // Some providers only put groups in the userinfo response
+  if (claims[oidc.groupsClaim] === undefined && metadata.userinfo_endpoint && tokens.access_token) {
+    const info = await fetchJson(metadata.userinfo_endpoint, { headers: { Authorization: `Bearer ${tokens.access_token}` } });
+    if (info.sub === claims.sub && info[oidc.groupsClaim] !== undefined) claims[oidc.groupsClaim] = info[oidc.groupsClaim];
+  }
+
+  return mapIdentity(oidc, claims);
+}
+
+const ALGORITHMS = {
+  RS256: { importAs: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }, verifyAs: { name: 'RSASSA-PKCS1-v1_5' } },
+  ES256: { importAs: { name: 'ECDSA', namedCurve: 'P-256' }, verifyAs: { name: 'ECDSA', hash: 'SHA-256' } },
+};
+
+/**
+ * Check an ID token's signature (against the provider's JWKS), issuer, audience,
+ * expiry and nonce, and return its claims
+ */
+async function verifyIdToken(oidc, idToken, nonce) {
+  const parts = String(idToken || '').split('.');
+  if (parts.length !== 3) throw new OidcError('The identity provider returned an invalid ID token.');
+
+  let header, claims;
+  try {
+    header = decodeJson(parts[0]);
+    claims = decodeJson(parts[1]);
+  } catch {
+    throw new OidcError('The identity provider returned an invalid ID token.');
+  }
+  const alg = ALGORITHMS[header.alg];
+  if (!alg) throw new OidcError(`Unsupported ID token algorithm: ${header.alg}`);
+
+  const findKey = ({ jwks }) => (jwks.keys || []).find(k => (header.kid ? k.kid === header.kid : true) && (!k.use || k.use === 'sig'));
+  let provider = await getProvider(oidc);
+  let jwk = findKey(provider);
+  if (!jwk) {
+    provider = await getProvider(oidc, { refresh: true });
+    jwk = findKey(provider);
+  }
+  if (!jwk) throw new OidcError('The ID token was signed with an unknown key.');
+
+  const key = await crypto.subtle.importKey('jwk', jwk, alg.importAs, false, ['verify']);
+  const valid = await crypto.subtle.verify(
+    alg.verifyAs, key, fromBase64Url(parts[2]), encoder.encode(`${parts[0]}.${parts[1]}`)
+  );
+  if (!valid) throw new OidcError('The ID token signature is invalid.');
+
+  const now = Math.floor(Date.now() / 1000);
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (claims.iss !== provider.metadata.issuer) throw new OidcError('The ID token is from a different issuer.');
+  if (!audiences.includes(oidc.clientId) || (audiences.length > 1 && claims.azp !== oidc.clientId)) {
+    throw new OidcError('The ID token was issued for a different application.');
+  }
+  if (!claims.exp || claims.exp + CLOCK_SKEW_SECONDS < now) throw new OidcError('The ID token has expired. Please sign in again.');
+  if (claims.nonce !== nonce) throw new OidcError('The sign-in response did not match this browser. Please try again.');
+  return claims;
+}
+
+// ─── Role mapping ─────────────────────────────────────────────────────────────
+
+/**
+ * Apply the allowed-domain list and group→role mapping to verified claims
+ */
+function mapIdentity(oidc, claims) {
+  const email = String(claims.email || claims.preferred_username || '').toLowerCase();
+  if (!email) throw new OidcError('The identity provider did not share an email address.');
+  if (claims.email && claims.email_verified === false) throw new OidcError(`${email} is not a verified email address.`, email);
+  // preferred_username is whatever the user or IdP chose, and an email the IdP
+  // never verified can be typed in too — only a verified email claim can pass
+  // the domain check
+  if (oidc.allowedDomains.length > 0 && !(claims.email && claims.email_verified === true)) {
+    throw new OidcError(`${email} has no verified email address to check the domain of.`, email);
+  }
+
+  const domain = email.includes('@') ? email.split('@').pop() : '';
+  if (oidc.allowedDomains.length > 0 && !oidc.allowedDomains.includes(domain)) {
+    throw new OidcError(`${email} is not from an allowed domain.`, email);
+  }
+
+  const rawGroups = claims[oidc.groupsClaim];
+  const groups = Array.isArray(rawGroups) ? rawGroups.map(String) : rawGroups ? [String(rawGroups)] : [];
+  const roles = groups.map(g => oidc.roleMap[g]).filter(Boolean);
+  const role = ROLE_RANK.find(r => roles.includes(r)) || oidc.defaultRole;
+  if (!role) throw new OidcError(`${email} is not in a group with access to the CEU Tracker.`, email);
+
+  return { username: email, name: claims.name || email, role, groups };
+}
+
+module.exports = {
+  OidcError,
+  loadOidcConfig,
+  authorizationRequest,
+  completeAuthorization,
+  mapIdentity,
+};
@@ -0,0 +1,123 @@
+// platform-registry.js — CE platform plugins, as named by platforms.json
+//
+// Each CE platform is one module (platforms/<name>.js) that registers itself with
+// registerPlatform(). platforms.json lists it with its URLs and status and names
+// the module ("module": "platforms/netce.js"); the registry loads those modules on
+// first use. Adding a platform is one new module plus its platforms.json entry:
+// the scrape run (platform-scrapers.js), credential-test.js and the dashboard's
+// coverage matrix all read the registry. A portal that is just a login form and
+// a transcript table needs no module: its entry declares a "scraper" block
+// instead, which platforms/declarative.js turns into a plugin.
+//
+// A plugin implements:
+//   login(page, ctx)                  sign in on the login page (already open)
+//   testLogin(page, ctx)              sign in for credential-test.js; throws when rejected
+//                                     (default: login)
+//   scrapeTranscript(page, ctx)       read the completed courses, in whatever shape parse() takes
+//   scrapeOrders(page, ctx)           read the orders, [{ date, total, status }] (default: none)
+//   parse({ transcript, orders }, ctx)
+//                                     → { courses, hoursEarned?, hoursRequired?, hoursRemaining?,
+//                                         certExpires?, certStatus? } (default: parseCourseRows)
+// ctx is { platform, key, config, anchors, providerName, username, password }.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { parseCourseRows } = require('./platforms/common');
+
+const platformsPath = path.join(__dirname, 'platforms.json');
+const platforms = JSON.parse(fs.readFileSync(platformsPath, 'utf8'));
+
+const REQUIRED_METHODS = ['login', 'scrapeTranscript'];
+
+const plugins = new Map();
+let loaded = false;
+
+// ─── Configuration ────────────────────────────────────────────────────────────
+
+/**
+ * Get platform configuration by display name (e.g., "NetCE", "AANP Cert", "CE Broker")
+ * @param {string} displayName - The platform display name from providers.json
+ * @returns {object|null} Platform config (with its platforms.json key) or null if not found
+ */
+function getPlatformConfig(displayName) {
+  const entry = Object.entries(platforms).find(([, p]) => p.name === displayName);
+  return entry ? { key: entry[0], ...entry[1] } : null;
+}
+
+/**
+ * Check if a platform is enabled
+ * @param {string} displayName - The platform display name
+ * @returns {boolean}
+ */
+function isPlatformEnabled(displayName) {
+  const config = getPlatformConfig(displayName);
+  return config ? config.status === 'active' : false;
+}
+
+// ─── Plugins ──────────────────────────────────────────────────────────────────
+
+/**
+ * Register a platform plugin; called by the platform's own module
+ * @param {string} displayName - must match the platform's "name" in platforms.json
+ * @param {object} plugin - { login, testLogin?, scrapeTranscript, scrapeOrders?, parse?, anchors? }
+ * @returns {object} the registered plugin
+ */
+function registerPlatform(displayName, plugin) {
+  const config = getPlatformConfig(displayName);
+  if (!config) throw new Error(`Platform "${displayName}" is not in platforms.json`);
+  for (const method of REQUIRED_METHODS) {
+    if (typeof plugin[method] !== 'function') throw new Error(`Platform "${displayName}" has no ${method}()`);
+  }
+
+  const registered = {
+    testLogin: plugin.login,
+    scrapeOrders: async () => [],
+    parse: parseCourseRows,
+    ...plugin,
+    name: displayName,
+    key: config.key,
+    config,
+  };
+  plugins.set(displayName, registered);
+  return registered;
+}
+
+/** Load every module platforms.json names, and build its declarative scrapers (once) */
+function loadPlugins() {
+  if (loaded) return;
+  loaded = true;
+  for (const p of Object.values(platforms)) {
+    if (p.module) require(path.join(__dirname, p.module));
+    else if (p.scraper) require('./platforms/declarative').registerDeclarative(p.name);
+  }
+}
+
+/**
+ * The plugin for a platform, or null when none is registered under that name
+ * @param {string} displayName
+ */
+function getPlatform(displayName) {
+  loadPlugins();
+  return plugins.get(displayName) || null;
+}
+
+/**
+ * Every registered plugin, in platforms.json order
+ * @param {{ activeOnly?:boolean }} [options] - skip platforms whose status isn't "active"
+ */
+function listPlatforms({ activeOnly = false } = {}) {
+  loadPlugins();
+  return Object.values(platforms)
+    .map(p => plugins.get(p.name))
+    .filter(p => p && (!activeOnly || p.config.status === 'active'));
+}
+
+module.exports = {
+  getPlatformConfig,
+  isPlatformEnabled,
+  registerPlatform,
+  getPlatform,
+  listPlatforms,
+};
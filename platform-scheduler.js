@@ -0,0 +1,160 @@
+// platform-scheduler.js — Runs platform scrape jobs concurrently, politely
+//
+// Jobs for different platforms run side by side, up to the run's concurrency
+// (SCRAPER_CONCURRENCY, the same setting as the CE Broker batches). Each platform
+// also has its own limits: at most `maxConcurrent` logins at once and at least
+// `minSpacingMs` between the starts of two attempts. platforms.json can set them
+// per platform ("politeness": { "maxConcurrent": 2, "minSpacingMs": 5000 }).
+//
+// The spacing adapts. A failed attempt doubles it, and a throttled one (a
+// captcha, "too many requests", a block page) quadruples it, up to
+// MAX_SPACING_MS. Each success halves it back toward the configured minimum.
+
+'use strict';
+
+const { logger, sleep } = require('./utils');
+
+const DEFAULT_CONCURRENCY    = 2;
+const DEFAULT_MAX_CONCURRENT = 1;      // logins per platform at once
+const DEFAULT_MIN_SPACING_MS = 2000;   // between attempt starts on one platform
+const MAX_SPACING_MS         = 120000;
+
+const THROTTLE_PATTERN = /captcha|too many requests|\b429\b|rate.?limit|unusual traffic|access denied|temporarily blocked/i;
+
+/**
+ * Whether an attempt's result (or error) says the portal is pushing back
+ * @param {{ throttled?:boolean, error?:string }|Error} outcome
+ */
+function isThrottled(outcome) {
+  if (!outcome) return false;
+  if (outcome.throttled) return true;
+  const message = outcome.error || outcome.message || '';
+  return THROTTLE_PATTERN.test(String(message));
+}
+
+/**
+ * Create a scheduler for one run
+ * @param {object} [options]
+ * @param {number} [options.concurrency] - jobs running at once across all platforms
+ * @param {Function} [options.politenessFor] - (platform) → { maxConcurrent?, minSpacingMs? } or null
+ * @param {Function} [options.wait] - (ms) → Promise; sleep() outside tests
+ * @param {Function} [options.now] - () → ms; Date.now outside tests
+ */
+function createPlatformScheduler({
+  concurrency = DEFAULT_CONCURRENCY,
+  politenessFor = () => null,
+  wait = sleep,
+  now = Date.now,
+} = {}) {
+  const platforms = new Map();
+
+  function stateFor(platform) {
+    if (!platforms.has(platform)) {
+      const politeness = politenessFor(platform) || {};
+      const minSpacingMs = politeness.minSpacingMs ?? DEFAULT_MIN_SPACING_MS;
+      platforms.set(platform, {
+        maxConcurrent: Math.max(1, politeness.maxConcurrent || DEFAULT_MAX_CONCURRENT),
+        minSpacingMs,
+        spacingMs: minSpacingMs,
+        nextStartAt: 0,
+        running: 0,
+      });
+    }
+    return platforms.get(platform);
+  }
+
+  /** Wait for the platform's next start slot, reserving it */
+  async function pace(platform) {
+    const state = stateFor(platform);
+    const current = now();
+    const startAt = Math.max(current, state.nextStartAt);
+    state.nextStartAt = startAt + state.spacingMs;
+    if (startAt > current) await wait(startAt - current);
+  }
+
+  /** Adjust the platform's spacing after an attempt */
+  function report(platform, outcome) {
+    const state = stateFor(platform);
+    const before = state.spacingMs;
+
+    if (outcome && outcome.status === 'success') {
+      state.spacingMs = Math.max(state.minSpacingMs, Math.round(state.spacingMs / 2));
+      return;
+    }
+    const throttled = isThrottled(outcome);
+    const factor = throttled ? 4 : 2;
+    state.spacingMs = Math.min(MAX_SPACING_MS, Math.max(state.spacingMs, 1000) * factor);
+    state.nextStartAt = Math.max(state.nextStartAt, now() + state.spacingMs);
+
+    if (throttled && state.spacingMs > before) {
+      logger.warn(`[Platform] ${platform} looks throttled — spacing attempts ${(state.spacingMs / 1000).toFixed(0)}s apart`);
+    }
+  }
+
+  /**
+   * One paced attempt on a platform: waits for its slot, runs it, and feeds the
+   * outcome (a result object, or the error it threw) back into the spacing
+   */
+  async function attempt(platform, fn) {
+    await pace(platform);
+    try {
+      const result = await fn();
+      report(platform, result);
+      return result;
+    } catch (err) {
+      report(platform, err);
+      throw err;
+    }
+  }
+
+  /**
+   * Run jobs, at most `concurrency` at once and each platform's maxConcurrent.
+   * Jobs start in order, except that one waiting on a busy platform lets later
+   * jobs for other platforms go first.
+   * @param {Array<{ platform:string }>} jobs
+   * @param {Function} runJob - (job) → Promise; should not reject
+   */
+  async function run(jobs, runJob) {
+    const queue = [...jobs];
+    const active = new Set();
+    const limit = Math.max(1, concurrency);
+
+    while (queue.length > 0 || active.size > 0) {
+      const next = active.size < limit
+        ? queue.findIndex(job => stateFor(job.platform).running < stateFor(job.platform).maxConcurrent)
+        : -1;
+
+      if (next === -1) {
+        await Promise.race(active);
+        continue;
+      }
+
+      const [job] = queue.splice(next, 1);
+      const state = stateFor(job.platform);
+      state.running++;
+      const running = Promise.resolve()
+        .then(() => runJob(job))
+        .catch(err => logger.error(`[Platform] ${job.platform} job failed: ${err.message}`))
+        .finally(() => {
+          state.running--;
+          active.delete(running);
+        });
+      active.add(running);
+    }
+  }
+
+  return {
+    run,
+    attempt,
+    pace,
+    report,
+    /** Current spacing between attempt starts on a platform, in ms */
+    spacing: platform => stateFor(platform).spacingMs,
+  };
+}
+
+module.exports = {
+  DEFAULT_CONCURRENCY,
+  isThrottled,
+  createPlatformScheduler,
+};
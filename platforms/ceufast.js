@@ -0,0 +1,59 @@
+// platforms/ceufast.js — CEUfast: transcript (on the account page) and orders
+
+'use strict';
+
+const { sleep } = require('../utils');
+const { passChallenge } = require('../login-challenges');
+const { registerPlatform } = require('../platform-registry');
+const { loginAnchors, needsLogin, extractCourseRows, scrapePriceRows } = require('./common');
+
+// Navigating to /myaccount/ redirects to Account/Login?ReturnUrl=%2fmyaccount%2f
+// That page has a visible form: input[name="UserName"] + input[name="Password"]
+// (the nav dropdown has a hidden one too, hence :visible)
+const USER_FIELD = 'input[name="UserName"]';
+const PASS_FIELD = 'input[name="Password"]';
+
+const leftLogin = u => !u.toString().includes('Account/Login');
+
+module.exports = registerPlatform('CEUfast', {
+  anchors: loginAnchors('CEUfast', USER_FIELD, PASS_FIELD),
+
+  async login(page, ctx) {
+    if (!await needsLogin(page, ctx, `${USER_FIELD}:visible`)) return;
+    await page.fill(USER_FIELD, ctx.username);
+    await sleep(300);
+    await page.fill(`${PASS_FIELD}:visible`, ctx.password);
+    await sleep(300);
+    // Submit by pressing Enter (works regardless of button selector)
+    await page.keyboard.press('Enter');
+    await sleep(3000);
+
+    // Wait for redirect to myaccount (away from login page)
+    await page.waitForURL(leftLogin, { timeout: 20000 }).catch(() => {});
+    await sleep(1500);
+    await passChallenge(page, { providerName: ctx.providerName, source: 'CEUfast' });
+  },
+
+  async testLogin(page, ctx) {
+    await page.waitForSelector(`${USER_FIELD}:visible`, { timeout: 10000 });
+    await page.fill(USER_FIELD, ctx.username);
+    await page.fill(`${PASS_FIELD}:visible`, ctx.password);
+    await page.keyboard.press('Enter');
+    await sleep(2000);
+
+    // Wait for redirect away from login
+    await page.waitForURL(leftLogin, { timeout: 20000 });
+  },
+
+  // Logging in lands on the account page, which lists the completed courses
+  async scrapeTranscript(page) {
+    return extractCourseRows(page);
+  },
+
+  async scrapeOrders(page, ctx) {
+    return scrapePriceRows(page, [
+      ctx.config.urls.orders,
+      ctx.config.urls.login.replace(/\/$/, '') + '/billing',
+    ]);
+  },
+});
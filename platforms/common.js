@@ -0,0 +1,263 @@
+// platforms/common.js — Helpers shared by the platform plugins (platform-registry.js):
+// saved sessions, login anchors, and transcript / order table extraction
+
+'use strict';
+
+const { logger, sleep } = require('../utils');
+const { newScrapeContext } = require('../scrape-fixtures');
+const { defineAnchors, checkAnchors } = require('../layout-drift');
+const { loadSession, saveSession, clearSession } = require('../session-store');
+
+// ─── Sessions ─────────────────────────────────────────────────────────────────
+// A context opens with the provider's saved session for the platform, if any
+// (session-store.js); the login step then finds the portal already signed in.
+
+const SESSION_CHECK_MS = 8000;
+
+const resumedContexts = new WeakSet();
+
+async function makeContext(browser, credentials, providerName) {
+  const storageState = loadSession(providerName, credentials.platform);
+  const context = await newScrapeContext(browser, {
+    viewport:  { width: 1400, height: 900 },
+    userAgent:
+      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 ' +
+      '(KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36',
+    ...(storageState && { storageState }),
+  }, {
+    source: credentials.platform,
+    providerName,
+    secrets: { username: credentials.username, password: credentials.password },
+  });
+  if (storageState) resumedContexts.add(context);
+  return context;
+}
+
+/**
+ * After an attempt: save a successful one's session for the next run, and
+ * forget a saved session the attempt failed with
+ */
+async function settleSession(context, platform, providerName, succeeded) {
+  if (succeeded) await saveSession(context, providerName, platform);
+  else if (resumedContexts.has(context)) clearSession(providerName, platform);
+}
+
+// ─── Layout Anchors ───────────────────────────────────────────────────────────
+// The login form every platform must show, plus pages specific to one platform
+// (layout-drift.js); each plugin declares its own as `anchors`
+
+function loginAnchors(platform, userSel, passSel, extra = {}) {
+  return defineAnchors(platform, {
+    usernameField: { page: 'login', selector: userSel, description: 'login username field' },
+    passwordField: { page: 'login', selector: passSel, description: 'login password field' },
+    ...extra,
+  });
+}
+
+/**
+ * Wait for a platform's login form, checking its anchors whether or not it shows
+ */
+async function waitForLoginForm(page, ctx, selector) {
+  try {
+    await page.waitForSelector(selector, { timeout: 15000 });
+  } finally {
+    if (ctx.anchors) await checkAnchors(page, ctx.anchors, ctx.providerName, 'login');
+  }
+}
+
+/**
+ * Whether the page — just opened on the platform's login URL — still needs the
+ * credentials filled in. A saved session lets the portal skip its login form;
+ * when the form shows anyway the session has expired, so it is forgotten and
+ * the page reloaded without cookies. Waits for the form when logging in.
+ */
+async function needsLogin(page, ctx, selector) {
+  const { platform, providerName } = ctx;
+  const context = page.context();
+  if (resumedContexts.has(context)) {
+    const formShown = await page.waitForSelector(selector, { timeout: SESSION_CHECK_MS }).then(() => true, () => false);
+    if (!formShown) {
+      logger.info(`[${platform}] ${providerName}: resumed saved session`);
+      return false;
+    }
+    logger.info(`[${platform}] ${providerName}: saved session expired — logging in`);
+    resumedContexts.delete(context);
+    clearSession(providerName, platform);
+    await context.clearCookies();
+    await page.reload({ waitUntil: 'domcontentloaded', timeout: 30000 });
+  }
+  await waitForLoginForm(page, ctx, selector);
+  return true;
+}
+
+// ─── Throttling ───────────────────────────────────────────────────────────────
+// A captcha or block page instead of the portal: the scheduler
+// (platform-scheduler.js) spaces out further attempts on the platform
+
+const BLOCK_SELECTOR = [
+  'iframe[src*="recaptcha"]', 'iframe[src*="hcaptcha"]', 'iframe[src*="challenges.cloudflare"]',
+  '.g-recaptcha', '.h-captcha', '#challenge-form', '#cf-challenge-running',
+].join(', ');
+const BLOCK_TEXT = /too many requests|unusual traffic|access denied|temporarily blocked|verify you are (a )?human/i;
+
+async function looksBlocked(page) {
+  if ((await page.locator(BLOCK_SELECTOR).count().catch(() => 0)) > 0) return true;
+  return BLOCK_TEXT.test(await page.locator('body').innerText().catch(() => ''));
+}
+
+// ─── Transcripts ──────────────────────────────────────────────────────────────
+
+/**
+ * Pull course rows out of whatever transcript table is on the current page.
+ * Tries several common selector patterns as fallbacks. A certificate link on
+ * the row is kept as certificateHref for attachCertificates().
+ */
+async function extractCourseRows(page) {
+  return page.evaluate(() => {
+    const courses = [];
+    const rows = Array.from(document.querySelectorAll(
+      'table tbody tr, .transcript-row, .course-row, .completed-course, .activity-row'
+    ));
+    for (const row of rows) {
+      const text = (row.innerText || row.textContent || '').replace(/\s+/g, ' ').trim();
+      if (text.length < 5) continue;
+      const hoursMatch = text.match(/(\d+\.?\d*)\s*(?:hour|hr|credit|ceu)/i);
+      const dateMatch  = text.match(/\d{1,2}\/\d{1,2}\/\d{2,4}/);
+      if (!hoursMatch) continue;
+      const cells = Array.from(row.querySelectorAll('td'));
+      const name  = (cells[0]?.innerText || cells[0]?.textContent || text).trim().substring(0, 200);
+      if (name.length < 3) continue;
+      const certLink = row.querySelector('a[href*="certificate" i], a[href$=".pdf" i]');
+      courses.push({
+        name,
+        hours: parseFloat(hoursMatch[1]),
+        date:  dateMatch ? dateMatch[0] : '',
+        certificateHref: certLink ? certLink.href : null,
+      });
+    }
+    return courses;
+  });
+}
+
+/**
+ * Visit candidate transcript URLs in turn and return the first page's course rows
+ * @param {string[]} urls
+ * @param {Function} [extract] - (page) → rows; defaults to extractCourseRows
+ */
+async function firstCourseRows(page, urls, extract = extractCourseRows) {
+  for (const url of urls) {
+    try {
+      await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 15000 });
+      await sleep(2000);
+      const courses = await extract(page);
+      if (courses.length > 0) return courses;
+    } catch (e) {
+      // Try next URL
+    }
+  }
+  return [];
+}
+
+/**
+ * Default parse(): the transcript is already course rows; hours earned is their sum
+ */
+function parseCourseRows({ transcript }) {
+  const courses = transcript || [];
+  const hoursEarned = Math.round(courses.reduce((s, c) => s + (c.hours || 0), 0) * 10) / 10;
+  return { courses, hoursEarned: hoursEarned || null };
+}
+
+// ─── Orders ───────────────────────────────────────────────────────────────────
+
+/**
+ * Orders from the first of several account pages that lists priced rows
+ * (order/receipt tables with a $ amount and a date)
+ */
+async function scrapePriceRows(page, urls) {
+  for (const url of urls) {
+    try {
+      await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 10000 });
+      await sleep(1500);
+
+      const orders = await page.evaluate(() => {
+        const results = [];
+        // Look for order/receipt tables
+        const rows = document.querySelectorAll('table tbody tr, .order-row, .receipt-row');
+        for (const row of rows) {
+          const text = (row.innerText || '').trim();
+          // Look for price patterns
+          const priceMatch = text.match(/\$(\d+\.?\d*)/);
+          const dateMatch = text.match(/(\d{1,2}\/\d{1,2}\/\d{2,4})/);
+          if (priceMatch && parseFloat(priceMatch[1]) > 0) {
+            results.push({
+              date: dateMatch ? dateMatch[0] : '',
+              total: parseFloat(priceMatch[1]),
+              status: 'completed',
+            });
+          }
+        }
+        return results;
+      });
+
+      if (orders.length > 0) return orders;
+    } catch (e) {
+      // Try next URL
+    }
+  }
+  return [];
+}
+
+/**
+ * Completed orders from a WooCommerce "My Account → Orders" page
+ */
+async function scrapeWooOrders(page, url) {
+  await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 15000 });
+  await sleep(2000);
+
+  return page.evaluate(() => {
+    const results = [];
+    // WooCommerce orders table structure
+    const rows = document.querySelectorAll('.woocommerce-orders-table tbody tr, .woocommerce-MyAccount-orders tbody tr');
+    for (const row of rows) {
+      const orderNum = (row.querySelector('.woocommerce-orders-table__cell-order-number, td:first-child')?.textContent || '').trim();
+      const dateCell = row.querySelector('.woocommerce-orders-table__cell-order-date, td:nth-child(2)');
+      const totalCell = row.querySelector('.woocommerce-orders-table__cell-order-total, td:nth-child(4)');
+      const statusCell = row.querySelector('.woocommerce-orders-table__cell-order-status, td:nth-child(3)');
+
+      const dateText = (dateCell?.textContent || '').trim();
+      const totalText = (totalCell?.textContent || '').trim();
+      const status = (statusCell?.textContent || '').trim().toLowerCase();
+
+      // Parse price (handle $XX.XX format)
+      const priceMatch = totalText.match(/\$?([\d,]+\.?\d*)/);
+      const price = priceMatch ? parseFloat(priceMatch[1].replace(',', '')) : null;
+
+      // Parse date (various formats)
+      const dateMatch = dateText.match(/(\w+\s+\d+,?\s+\d{4}|\d{1,2}\/\d{1,2}\/\d{2,4})/);
+      const orderDate = dateMatch ? dateMatch[1] : dateText;
+
+      if (price !== null && status.includes('complete')) {
+        results.push({
+          orderNumber: orderNum.replace('#', ''),
+          date: orderDate,
+          total: price,
+          status: 'completed',
+        });
+      }
+    }
+    return results;
+  });
+}
+
+module.exports = {
+  makeContext,
+  settleSession,
+  loginAnchors,
+  needsLogin,
+  looksBlocked,
+  extractCourseRows,
+  firstCourseRows,
+  parseCourseRows,
+  scrapePriceRows,
+  scrapeWooOrders,
+};
@@ -0,0 +1,315 @@
+// platforms/declarative.js — Plugins for simple transcript portals, built from a
+// "scraper" block in platforms.json instead of a hand-written module
+//
+// A portal qualifies when it is a login form followed by a transcript table:
+//
+//   "scraper": {
+//     "login": {
+//       "username": "input[name=email]",        fields and button on urls.login
+//       "password": "input[name=password]",
+//       "submit":   "button[type=submit]",
+//       "success":  { "urlExcludes": "/login" } or { "selector": "a.logout" } (optional)
+//       "error":    ".alert-danger"             shown on bad credentials (optional)
+//     },
+//     "transcript": {
+//       "url":     "https://…/transcript",      default: urls.transcript
+//       "rows":    "table.transcript tbody tr",
+//       "columns": { "name": "td:nth-child(1)", "hours": "td:nth-child(3)",
+//                    "date": "td:nth-child(2)", "certificate": "a.cert" },
+//       "dateFormats": ["DD/MM/YYYY", "MMM D, YYYY"],   default: ["MM/DD/YYYY"]
+//       "requireDate": true,                    skip rows without a completion date
+//       "pagination":  { "next": "a[rel=next]" }       click through, or
+//                      { "param": "page", "start": 1 }  ?page=2, ?page=3… ("start" numbers
+//                                                       the first page), with "maxPages" (default 10)
+//     }
+//   }
+//
+// Column selectors are looked up inside each row: name, hours and date take the
+// element's text, certificate takes a link's href. Dates are rewritten to
+// MM/DD/YYYY, the form the rest of the pipeline (lookback, CE Broker matching)
+// reads.
+
+'use strict';
+
+const { sleep } = require('../utils');
+const { checkAnchors } = require('../layout-drift');
+const { passChallenge } = require('../login-challenges');
+const { registerPlatform, getPlatformConfig } = require('../platform-registry');
+const { loginAnchors, needsLogin } = require('./common');
+
+const DEFAULT_DATE_FORMATS = ['MM/DD/YYYY'];
+const DEFAULT_MAX_PAGES    = 10;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// ─── Config ───────────────────────────────────────────────────────────────────
+
+/**
+ * Check a platform's "scraper" block; throws naming the first missing piece
+ * @returns {object} the block with defaults filled in
+ */
+function normalizeScraperConfig(displayName, config) {
+  const fail = msg => { throw new Error(`Platform "${displayName}" scraper: ${msg}`); };
+  const { login = {}, transcript = {} } = config.scraper || {};
+
+  for (const field of ['username', 'password', 'submit']) {
+    if (!login[field]) fail(`login.${field} selector is required`);
+  }
+  const url = transcript.url || (config.urls && config.urls.transcript);
+  if (!url) fail('transcript.url (or urls.transcript) is required');
+  if (!transcript.rows) fail('transcript.rows selector is required');
+  const columns = transcript.columns || {};
+  for (const column of ['name', 'hours']) {
+    if (!columns[column]) fail(`transcript.columns.${column} selector is required`);
+  }
+
+  const dateFormats = transcript.dateFormats || DEFAULT_DATE_FORMATS;
+  for (const format of dateFormats) {
+    if (!/Y/.test(format) || !/M/.test(format) || !/D/.test(format)) {
+      fail(`date format "${format}" needs year, month and day tokens`);
+    }
+  }
+
+  const pagination = transcript.pagination || null;
+  if (pagination && !pagination.next && !pagination.param) {
+    fail('transcript.pagination needs "next" or "param"');
+  }
+
+  return {
+    login,
+    transcript: {
+      ...transcript,
+      url,
+      columns,
+      dateFormats,
+      pagination: pagination && { maxPages: DEFAULT_MAX_PAGES, start: 1, ...pagination },
+    },
+  };
+}
+
+// ─── Dates ────────────────────────────────────────────────────────────────────
+
+const DATE_TOKENS = [
+  ['YYYY', '(\\d{4})', 'year'],
+  ['YY',   '(\\d{2})', 'year2'],
+  ['MMMM', '([A-Za-z]{3,})\\.?', 'monthName'],
+  ['MMM',  '([A-Za-z]{3,})\\.?', 'monthName'],
+  ['MM',   '(\\d{1,2})', 'month'],
+  ['M',    '(\\d{1,2})', 'month'],
+  ['DD',   '(\\d{1,2})', 'day'],
+  ['D',    '(\\d{1,2})', 'day'],
+];
+
+/** A date format ("DD.MM.YYYY", "MMM D, YYYY") as a regex plus its group order */
+function compileDateFormat(format) {
+  let source = '';
+  const parts = [];
+  let i = 0;
+  while (i < format.length) {
+    const token = DATE_TOKENS.find(([t]) => format.startsWith(t, i));
+    if (token) {
+      source += token[1];
+      parts.push(token[2]);
+      i += token[0].length;
+    } else if (/\s/.test(format[i])) {
+      source += '\\s*';
+      i++;
+    } else {
+      source += format[i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+      i++;
+    }
+  }
+  return { re: new RegExp(`(?<!\\d)${source}(?!\\d)`), parts };
+}
+
+/**
+ * Find a date in cell text using the first matching format
+ * @param {string} text
+ * @param {string[]} formats
+ * @returns {string} MM/DD/YYYY, or '' when no format matches
+ */
+function parseDateText(text, formats) {
+  for (const format of formats) {
+    const { re, parts } = compileDateFormat(format);
+    const m = (text || '').match(re);
+    if (!m) continue;
+
+    const found = {};
+    parts.forEach((part, i) => { found[part] = m[i + 1]; });
+    const year  = found.year ? Number(found.year) : 2000 + Number(found.year2);
+    const month = found.monthName
+      ? MONTHS.indexOf(found.monthName.slice(0, 3).toLowerCase()) + 1
+      : Number(found.month);
+    const day   = Number(found.day);
+    if (month < 1 || month > 12 || day < 1 || day > 31) continue;
+
+    return `${String(month).padStart(2, '0')}/${String(day).padStart(2, '0')}/${year}`;
+  }
+  return '';
+}
+
+// ─── Transcript ───────────────────────────────────────────────────────────────
+
+/** Raw cell text (and certificate href) for each transcript row on the page */
+function readRows(page, rows, columns) {
+  return page.evaluate(function(spec) {
+    var out = [];
+    var rowEls = document.querySelectorAll(spec.rows);
+    for (var i = 0; i < rowEls.length; i++) {
+      var row = rowEls[i];
+      var text = function(sel) {
+        var el = sel ? row.querySelector(sel) : null;
+        return el ? (el.innerText || el.textContent || '').replace(/\s+/g, ' ').trim() : '';
+      };
+      var link = spec.columns.certificate ? row.querySelector(spec.columns.certificate) : null;
+      out.push({
+        name:  text(spec.columns.name),
+        hours: text(spec.columns.hours),
+        date:  text(spec.columns.date),
+        certificateHref: link && link.href ? link.href : null,
+      });
+    }
+    return out;
+  }, { rows, columns });
+}
+
+/**
+ * Raw transcript rows as course rows: hours and dates parsed, rows without a
+ * name or hours (headers, "in progress" lines) dropped
+ */
+function toCourses(rawRows, transcript) {
+  const courses = [];
+  for (const raw of rawRows) {
+    const hoursMatch = (raw.hours || '').match(/\d+(?:\.\d+)?/);
+    const name = (raw.name || '').substring(0, 200);
+    if (!hoursMatch || name.length < 3) continue;
+    const date = parseDateText(raw.date, transcript.dateFormats);
+    if (transcript.requireDate && !date) continue;
+    courses.push({
+      name,
+      hours: parseFloat(hoursMatch[0]),
+      date,
+      certificateHref: raw.certificateHref || null,
+    });
+  }
+  return courses;
+}
+
+/** The URL for page n of a query-parameter paginated transcript */
+function pageUrl(url, param, n) {
+  const u = new URL(url);
+  u.searchParams.set(param, String(n));
+  return u.toString();
+}
+
+async function openPage(page, url) {
+  await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 20000 });
+  await sleep(2000);
+}
+
+/** Follow the "next page" link; false when there is none or it is disabled */
+async function clickNext(page, selector) {
+  const next = page.locator(selector).first();
+  if (!await next.isVisible().catch(() => false)) return false;
+  const disabled = await next.evaluate(el =>
+    el.disabled || el.getAttribute('aria-disabled') === 'true' || el.classList.contains('disabled')
+  ).catch(() => true);
+  if (disabled) return false;
+  await next.click();
+  await page.waitForLoadState('domcontentloaded', { timeout: 20000 }).catch(() => {});
+  await sleep(2000);
+  return true;
+}
+
+/**
+ * Walk the transcript's pages; stops at maxPages, on an empty page, or when a
+ * page repeats the previous one (a "next" link that doesn't go anywhere)
+ */
+async function scrapePages(page, ctx, transcript) {
+  const { pagination } = transcript;
+  const maxPages = pagination ? pagination.maxPages : 1;
+  const courses = [];
+  let previous = null;
+
+  for (let n = 0; n < maxPages; n++) {
+    if (n === 0) {
+      await openPage(page, transcript.url);
+      await checkAnchors(page, ctx.anchors, ctx.providerName, 'transcript');
+    } else if (pagination.param) {
+      await openPage(page, pageUrl(transcript.url, pagination.param, pagination.start + n));
+    } else if (!await clickNext(page, pagination.next)) {
+      break;
+    }
+
+    const rawRows = await readRows(page, transcript.rows, transcript.columns);
+    const fingerprint = JSON.stringify(rawRows);
+    if (rawRows.length === 0 || fingerprint === previous) break;
+    previous = fingerprint;
+    courses.push(...toCourses(rawRows, transcript));
+  }
+  return courses;
+}
+
+// ─── Plugin ───────────────────────────────────────────────────────────────────
+
+async function submitLogin(page, ctx, login) {
+  await page.fill(login.username, ctx.username);
+  await sleep(300);
+  await page.fill(login.password, ctx.password);
+  await sleep(300);
+  await page.click(login.submit);
+  await sleep(2000);
+}
+
+/** Wait for the portal's signed-in state; rejects when it never shows */
+async function waitForSignedIn(page, login) {
+  const success = login.success || {};
+  if (success.selector) {
+    await page.waitForSelector(success.selector, { timeout: 20000 });
+  } else if (success.urlExcludes) {
+    await page.waitForURL(u => !u.toString().includes(success.urlExcludes), { timeout: 20000 });
+  }
+}
+
+/**
+ * Register the plugin for a platform whose platforms.json entry has a "scraper" block
+ * @param {string} displayName
+ * @returns {object} the registered plugin
+ */
+function registerDeclarative(displayName) {
+  const { login, transcript } = normalizeScraperConfig(displayName, getPlatformConfig(displayName) || {});
+
+  return registerPlatform(displayName, {
+    anchors: loginAnchors(displayName, login.username, login.password, {
+      transcriptTable: { page: 'transcript', selector: transcript.rows, description: 'transcript rows', required: false },
+    }),
+
+    async login(page, ctx) {
+      if (!await needsLogin(page, ctx, login.username)) return;
+      await submitLogin(page, ctx, login);
+      await waitForSignedIn(page, login).catch(() => {});
+      await sleep(1500);
+      await passChallenge(page, { providerName: ctx.providerName, source: displayName });
+    },
+
+    async testLogin(page, ctx) {
+      await page.waitForSelector(login.username, { timeout: 10000 });
+      await submitLogin(page, ctx, login);
+      if (login.error && (await page.locator(login.error).count()) > 0) {
+        throw new Error('Invalid credentials');
+      }
+      await waitForSignedIn(page, login);
+    },
+
+    scrapeTranscript(page, ctx) {
+      return scrapePages(page, ctx, transcript);
+    },
+  });
+}
+
+module.exports = {
+  registerDeclarative,
+  normalizeScraperConfig,
+  parseDateText,
+  toCourses,
+};
@@ -0,0 +1,55 @@
+// platforms/exclamationce.js — ExclamationCE: completed courses
+
+'use strict';
+
+const { sleep } = require('../utils');
+const { passChallenge } = require('../login-challenges');
+const { registerPlatform } = require('../platform-registry');
+const { loginAnchors, needsLogin, firstCourseRows } = require('./common');
+
+const USER_FIELD = 'input[name="email"], input[type="email"], input[name="username"], #email, #username';
+const PASS_FIELD = 'input[name="password"], input[type="password"]';
+
+const leftLogin = u => !u.toString().includes('/login');
+
+module.exports = registerPlatform('ExclamationCE', {
+  anchors: loginAnchors('ExclamationCE', USER_FIELD, PASS_FIELD),
+
+  async login(page, ctx) {
+    if (!await needsLogin(page, ctx, USER_FIELD)) return;
+    await page.fill(USER_FIELD, ctx.username);
+    await sleep(300);
+    await page.fill(PASS_FIELD, ctx.password);
+    await sleep(300);
+    await page.click('button[type="submit"], input[type="submit"], button:has-text("Log In"), button:has-text("Sign In")');
+    await sleep(3000);
+
+    // Wait for redirect away from login
+    await page.waitForURL(leftLogin, { timeout: 20000 }).catch(() => {});
+    await sleep(1500);
+    await passChallenge(page, { providerName: ctx.providerName, source: 'ExclamationCE' });
+  },
+
+  async testLogin(page, ctx) {
+    const userSel = 'input[name="email"], input[type="email"], input[name="username"]';
+    await page.waitForSelector(userSel, { timeout: 10000 });
+    await page.fill(userSel, ctx.username);
+    await page.fill(PASS_FIELD, ctx.password);
+    await page.click('button[type="submit"], input[type="submit"]');
+    await sleep(2000);
+
+    await page.waitForURL(leftLogin, { timeout: 20000 });
+  },
+
+  // No confirmed transcript URL yet: try the common ones
+  async scrapeTranscript(page, ctx) {
+    const baseUrl = ctx.config.urls.login.replace('/login', '');
+    return firstCourseRows(page, [
+      baseUrl + '/my-courses',
+      baseUrl + '/transcript',
+      baseUrl + '/completed',
+      baseUrl + '/account/courses',
+      ctx.config.urls.dashboard,
+    ]);
+  },
+});
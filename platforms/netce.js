@@ -0,0 +1,85 @@
+// platforms/netce.js — NetCE: transcript, certificates (Print column) and orders
+
+'use strict';
+
+const { sleep } = require('../utils');
+const { checkAnchors } = require('../layout-drift');
+const { passChallenge } = require('../login-challenges');
+const { registerPlatform } = require('../platform-registry');
+const { loginAnchors, needsLogin, scrapePriceRows } = require('./common');
+
+const USER_FIELD = 'input[name="username"]';
+const PASS_FIELD = 'input[name="password"]';
+const SUBMIT     = 'input[type="submit"], button[type="submit"]';
+
+module.exports = registerPlatform('NetCE', {
+  anchors: loginAnchors('NetCE', USER_FIELD, PASS_FIELD, {
+    transcriptTable: { page: 'transcript', selector: 'table.order-table', description: 'transcript table', required: false },
+  }),
+
+  async login(page, ctx) {
+    if (!await needsLogin(page, ctx, USER_FIELD)) return;
+    await page.fill(USER_FIELD, ctx.username);
+    await sleep(300);
+    await page.fill(PASS_FIELD, ctx.password);
+    await sleep(300);
+    await page.click(SUBMIT);
+    await sleep(3000);
+    await passChallenge(page, { providerName: ctx.providerName, source: 'NetCE' });
+  },
+
+  async testLogin(page, ctx) {
+    await page.waitForSelector(USER_FIELD, { timeout: 10000 });
+    await page.fill(USER_FIELD, ctx.username);
+    await page.fill(PASS_FIELD, ctx.password);
+    await page.click(SUBMIT);
+    await sleep(2000);
+
+    // Check for successful login (redirected away from login or account page loaded)
+    const url = page.url();
+    if (url.includes('login') && (await page.locator('.error, .alert-danger, .login-error').count()) > 0) {
+      throw new Error('Invalid credentials');
+    }
+  },
+
+  async scrapeTranscript(page, ctx) {
+    // Probe confirmed the transcript is at transcript.php (linked from account.php)
+    await page.goto(ctx.config.urls.transcript, {
+      waitUntil: 'domcontentloaded', timeout: 20000,
+    });
+    await sleep(2000);
+    await checkAnchors(page, ctx.anchors, ctx.providerName, 'transcript');
+
+    // transcript.php columns: No. | Title | Credits | Completed | Print
+    // Only count rows with a real completion date (not "Take Test" / "Complete for Credit").
+    // The Print column links the completion certificate.
+    return page.evaluate(function() {
+      var results = [];
+      var rows = document.querySelectorAll('table.order-table tbody tr');
+      var dateRe = /\d{1,2}\/\d{1,2}\/\d{4}/;
+      for (var i = 0; i < rows.length; i++) {
+        var cells = Array.from(rows[i].querySelectorAll('td'));
+        if (cells.length < 4) continue;
+        var title   = (cells[1].textContent || '').trim();
+        var credits = (cells[2].textContent || '').trim();
+        var date    = (cells[3].textContent || '').trim();
+        var hours   = parseFloat(credits);
+        // Skip rows that are not yet completed
+        if (!title || isNaN(hours) || !dateRe.test(date)) continue;
+        var certLink = cells[4] ? cells[4].querySelector('a[href]') : null;
+        results.push({ name: title, hours: hours, date: date, certificateHref: certLink ? certLink.href : null });
+      }
+      return results;
+    });
+  },
+
+  async scrapeOrders(page, ctx) {
+    // Try common billing/order URLs
+    const { account } = ctx.config.urls;
+    return scrapePriceRows(page, [
+      account,
+      account.replace('account', 'orders'),
+      account.replace('account', 'order_history'),
+    ]);
+  },
+});
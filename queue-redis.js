@@ -0,0 +1,330 @@
+// queue-redis.js — BullMQ backend for job-queue.js (QUEUE_BACKEND=redis)
+// Requires Redis at REDIS_URL for persistence
+
+'use strict';
+
+const { Queue, Worker, QueueEvents } = require('bullmq');
+const IORedis = require('ioredis');
+
+const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+const QUEUE_NAME = 'ceu-scraper';
+
+let connection = null;
+let queue = null;
+let worker = null;
+let queueEvents = null;
+const jobListeners = new Map(); // jobId → Set of listeners (see subscribeToJob)
+
+/**
+ * Get Redis connection (lazy initialization)
+ */
+function getConnection() {
+  if (!connection) {
+    connection = new IORedis(REDIS_URL, {
+      maxRetriesPerRequest: null,
+      enableReadyCheck: false,
+    });
+
+    connection.on('error', (err) => {
+      console.error('[JobQueue] Redis connection error:', err.message);
+    });
+
+    connection.on('connect', () => {
+      console.log('[JobQueue] Connected to Redis');
+    });
+  }
+  return connection;
+}
+
+/**
+ * Resolve once Redis is reachable, or reject after timeoutMs — so callers like
+ * server.js can answer 503 instead of hanging while ioredis retries.
+ */
+function waitForQueue(timeoutMs = 3000) {
+  const conn = getConnection();
+  if (conn.status === 'ready') return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      conn.off('ready', onReady);
+      reject(new Error(`Redis is not reachable at ${REDIS_URL}`));
+    }, timeoutMs);
+    function onReady() {
+      clearTimeout(timer);
+      resolve();
+    }
+    conn.once('ready', onReady);
+  });
+}
+
+/**
+ * Initialize the job queue
+ */
+function initQueue() {
+  if (queue) return queue;
+
+  const conn = getConnection();
+  queue = new Queue(QUEUE_NAME, { connection: conn });
+
+  console.log('[JobQueue] Queue initialized:', QUEUE_NAME);
+  return queue;
+}
+
+/**
+ * Add a job
+ * @param {object} options - { priority, attempts, backoffMs, delayMs } (see job-queue.js)
+ */
+async function add(name, data, { priority, attempts, backoffMs, delayMs = 0 }) {
+  const job = await initQueue().add(name, data, {
+    priority,
+    delay: delayMs,
+    attempts,
+    backoff: {
+      type: 'exponential',
+      delay: backoffMs,
+    },
+    removeOnComplete: {
+      age: 24 * 3600, // Keep completed jobs for 24 hours
+      count: 100,     // Keep last 100 completed jobs
+    },
+    removeOnFail: {
+      age: 7 * 24 * 3600, // Keep failed jobs for 7 days
+    },
+  });
+  return { id: job.id };
+}
+
+/**
+ * Schedule a recurring job, replacing any earlier schedule with the same name
+ */
+async function scheduleRecurring(name, cronExpression, data, { attempts, backoffMs }) {
+  const q = initQueue();
+
+  const repeatableJobs = await q.getRepeatableJobs();
+  for (const job of repeatableJobs) {
+    if (job.name === name) {
+      await q.removeRepeatableByKey(job.key);
+    }
+  }
+
+  await q.add(name, data, {
+    repeat: {
+      pattern: cronExpression,
+      tz: 'America/New_York',
+    },
+    attempts,
+    backoff: {
+      type: 'exponential',
+      delay: backoffMs,
+    },
+  });
+}
+
+/**
+ * Start the worker to process jobs
+ * @param {Function} handler - Called with (job.data, job); use job.updateProgress() to report progress
+ */
+function startWorker(handler) {
+  if (worker) {
+    console.log('[JobQueue] Worker already running');
+    return worker;
+  }
+
+  const conn = getConnection();
+
+  worker = new Worker(QUEUE_NAME, async (job) => {
+    console.log(`[JobQueue] Processing job: ${job.id} (${job.name})`);
+
+    const startTime = Date.now();
+
+    try {
+      const result = await handler(job.data, job);
+
+      const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+      console.log(`[JobQueue] Job ${job.id} completed in ${duration}s`);
+
+      return result;
+    } catch (error) {
+      console.error(`[JobQueue] Job ${job.id} failed:`, error.message);
+      throw error;
+    }
+  }, {
+    connection: conn,
+    concurrency: 1, // Only one scrape at a time
+  });
+
+  worker.on('completed', (job, result) => {
+    console.log(`[JobQueue] Job ${job.id} completed successfully`);
+  });
+
+  worker.on('failed', (job, error) => {
+    console.error(`[JobQueue] Job ${job?.id} failed:`, error.message);
+  });
+
+  worker.on('error', (error) => {
+    console.error('[JobQueue] Worker error:', error.message);
+  });
+
+  console.log('[JobQueue] Worker started');
+  return worker;
+}
+
+/**
+ * Get queue status
+ */
+async function getQueueStatus() {
+  const q = initQueue();
+
+  const [waiting, active, completed, failed, delayed] = await Promise.all([
+    q.getWaitingCount(),
+    q.getActiveCount(),
+    q.getCompletedCount(),
+    q.getFailedCount(),
+    q.getDelayedCount(),
+  ]);
+
+  const repeatableJobs = await q.getRepeatableJobs();
+
+  return {
+    backend: 'redis',
+    waiting,
+    active,
+    completed,
+    failed,
+    delayed,
+    scheduledJobs: repeatableJobs.map(j => ({
+      name: j.name,
+      pattern: j.pattern,
+      next: j.next ? new Date(j.next).toISOString() : null,
+    })),
+  };
+}
+
+/**
+ * Get recent jobs
+ */
+async function getRecentJobs(limit = 10) {
+  const q = initQueue();
+
+  const [completed, failed, active, waiting, delayed] = await Promise.all([
+    q.getCompleted(0, limit),
+    q.getFailed(0, limit),
+    q.getActive(0, limit),
+    q.getWaiting(0, limit),
+    q.getDelayed(0, limit),
+  ]);
+
+  return {
+    completed: completed.map(job => formatJob(job, 'completed')),
+    failed: failed.map(job => formatJob(job, 'failed')),
+    active: active.map(job => formatJob(job, 'active')),
+    waiting: waiting.map(job => formatJob(job, 'waiting')),
+    delayed: delayed.map(job => formatJob(job, 'delayed')),
+  };
+}
+
+function formatJob(job, state = null) {
+  return {
+    id: job.id,
+    name: job.name,
+    data: job.data,
+    status: state || (job.finishedOn ? (job.failedReason ? 'failed' : 'completed') : job.failedReason ? 'failed' : 'active'),
+    createdAt: new Date(job.timestamp).toISOString(),
+    startedAt: job.processedOn ? new Date(job.processedOn).toISOString() : null,
+    finishedAt: job.finishedOn ? new Date(job.finishedOn).toISOString() : null,
+    failedReason: job.failedReason || null,
+    attemptsMade: job.attemptsMade,
+    progress: job.progress || null,
+    result: job.returnvalue || null,
+  };
+}
+
+/**
+ * One job with its current state ('waiting', 'active', 'completed', 'failed', …)
+ * and latest progress, or null if it doesn't exist (or has been cleaned up)
+ */
+async function getJob(id) {
+  const job = await initQueue().getJob(String(id));
+  if (!job) return null;
+  return formatJob(job, await job.getState());
+}
+
+/**
+ * Jobs that used up all their attempts, most recent first
+ */
+async function getDeadLetterJobs(limit = 50) {
+  const failed = await initQueue().getFailed(0, limit - 1);
+  return failed.map(job => formatJob(job, 'failed'));
+}
+
+/**
+ * Run a dead-lettered job again; false if there is no such failed job
+ */
+async function retryJob(id) {
+  const job = await initQueue().getJob(String(id));
+  if (!job || (await job.getState()) !== 'failed') return false;
+  await job.retry('failed');
+  return true;
+}
+
+/**
+ * Listen for progress and completion of one job, from whichever process runs it.
+ * The listener gets { type: 'progress', data } then { type: 'completed'|'failed' }.
+ * @returns {Function} unsubscribe
+ */
+function subscribeToJob(jobId, listener) {
+  if (!queueEvents) {
+    queueEvents = new QueueEvents(QUEUE_NAME, { connection: getConnection().duplicate() });
+    const dispatch = type => (event) => {
+      for (const fn of jobListeners.get(String(event.jobId)) || []) fn({ type, data: event.data ?? null });
+    };
+    queueEvents.on('progress', dispatch('progress'));
+    queueEvents.on('completed', dispatch('completed'));
+    queueEvents.on('failed', dispatch('failed'));
+    queueEvents.on('error', (err) => console.error('[JobQueue] Events error:', err.message));
+  }
+
+  const key = String(jobId);
+  if (!jobListeners.has(key)) jobListeners.set(key, new Set());
+  jobListeners.get(key).add(listener);
+  return () => {
+    const listeners = jobListeners.get(key);
+    listeners?.delete(listener);
+    if (listeners?.size === 0) jobListeners.delete(key);
+  };
+}
+
+/**
+ * Close all connections
+ */
+async function close() {
+  if (queueEvents) {
+    await queueEvents.close();
+    queueEvents = null;
+  }
+  if (worker) {
+    await worker.close();
+    worker = null;
+  }
+  if (queue) {
+    await queue.close();
+    queue = null;
+  }
+  if (connection) {
+    await connection.quit();
+    connection = null;
+  }
+}
+
+module.exports = {
+  waitForQueue,
+  add,
+  scheduleRecurring,
+  startWorker,
+  getQueueStatus,
+  getRecentJobs,
+  getJob,
+  getDeadLetterJobs,
+  retryJob,
+  subscribeToJob,
+  close,
+};
@@ -0,0 +1,269 @@
+// queue-sqlite.js — SQLite backend for job-queue.js (the default; no Redis needed)
+//
+// Jobs live in the `jobs` table of the tracker database (migrations/006), so the
+// server, scheduler and worker share the queue through DATABASE_PATH. A worker
+// polls for the next due job (lowest priority number first), holds a lock on it
+// that a heartbeat keeps renewing, and retries failures with exponential backoff.
+// Jobs out of attempts stay in the table with status 'failed' — the dead-letter
+// list. A job whose worker died mid-run has its lock expire and is picked up again.
+
+'use strict';
+
+const os = require('os');
+const crypto = require('crypto');
+const {
+  enqueueJob,
+  claimNextJob,
+  heartbeatJob,
+  saveJobProgress,
+  completeJob,
+  failJob,
+  recoverStalledJobs,
+  getQueueJob,
+  listQueueJobs,
+  countQueueJobs,
+  requeueFailedJob,
+  pruneQueueJobs,
+} = require('./database');
+
+const POLL_MS = 1000;
+const LOCK_MS = 30 * 1000;              // a job is stalled once its lock is this stale
+const HEARTBEAT_MS = LOCK_MS / 3;
+const WATCH_MS = 500;                   // subscribeToJob polling interval
+const RETENTION = {
+  completedAgeMs: 24 * 3600 * 1000,     // Keep completed jobs for 24 hours
+  keepCompleted: 100,                   // Keep last 100 completed jobs
+  failedAgeMs: 7 * 24 * 3600 * 1000,    // Keep failed jobs for 7 days
+};
+
+let worker = null;
+const watchers = new Set(); // intervals from subscribeToJob, cleared by close()
+
+/**
+ * Always ready — the database is local
+ */
+function waitForQueue() {
+  return Promise.resolve();
+}
+
+/**
+ * Add a job
+ * @param {object} options - { priority, attempts, backoffMs, delayMs } (see job-queue.js)
+ */
+async function add(name, data, options) {
+  return { id: String(enqueueJob(name, data, options)) };
+}
+
+async function scheduleRecurring() {
+  throw new Error('Recurring jobs need QUEUE_BACKEND=redis; with SQLite, scheduler.js enqueues the nightly run');
+}
+
+/**
+ * Start polling for jobs, one at a time
+ * @param {Function} handler - Called with (job.data, job); use job.updateProgress() to report progress
+ * @param {object} [options] - { pollMs, lockMs } (for tests)
+ * @returns {{ id:string, close:Function }} close() stops polling and waits for the running job
+ */
+function startWorker(handler, { pollMs = POLL_MS, lockMs = LOCK_MS } = {}) {
+  if (worker) {
+    console.log('[JobQueue] Worker already running');
+    return worker;
+  }
+
+  const id = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+  let stopped = false;
+  let timer = null;
+  let running = Promise.resolve();
+
+  async function runJob(row) {
+    const jobId = String(row.id);
+    console.log(`[JobQueue] Processing job: ${jobId} (${row.name}), attempt ${row.attemptsMade}/${row.maxAttempts}`);
+    const startTime = Date.now();
+    const heartbeat = setInterval(() => {
+      if (!heartbeatJob(row.id, id, lockMs)) console.error(`[JobQueue] Lost the lock on job ${jobId}`);
+    }, Math.min(HEARTBEAT_MS, lockMs / 3));
+
+    const job = {
+      id: jobId,
+      name: row.name,
+      data: row.data,
+      attemptsMade: row.attemptsMade,
+      updateProgress: async progress => saveJobProgress(row.id, id, progress),
+    };
+
+    try {
+      const result = await handler(row.data, job);
+      clearInterval(heartbeat);
+      const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+      if (completeJob(row.id, id, result)) {
+        console.log(`[JobQueue] Job ${jobId} completed in ${duration}s`);
+      } else {
+        console.error(`[JobQueue] Job ${jobId} finished after its lock expired; result discarded`);
+      }
+    } catch (error) {
+      clearInterval(heartbeat);
+      const outcome = failJob(row.id, id, error.message);
+      if (outcome?.retrying) {
+        console.error(`[JobQueue] Job ${jobId} failed, retrying at ${new Date(outcome.runAt).toISOString()}:`, error.message);
+      } else {
+        console.error(`[JobQueue] Job ${jobId} failed:`, error.message);
+      }
+    }
+    pruneQueueJobs(RETENTION);
+  }
+
+  async function poll() {
+    timer = null;
+    if (stopped) return;
+    let row = null;
+    try {
+      for (const stalledId of recoverStalledJobs()) {
+        console.log(`[JobQueue] Recovered stalled job ${stalledId}`);
+      }
+      row = claimNextJob(id, lockMs);
+    } catch (err) {
+      console.error('[JobQueue] Worker error:', err.message);
+    }
+    if (row) {
+      running = runJob(row);
+      await running;
+    }
+    if (!stopped) timer = setTimeout(poll, row ? 0 : pollMs);
+  }
+
+  worker = {
+    id,
+    async close() {
+      stopped = true;
+      clearTimeout(timer);
+      await running;
+    },
+  };
+  poll();
+
+  console.log('[JobQueue] Worker started');
+  return worker;
+}
+
+function formatJob(row, now = Date.now()) {
+  const iso = ms => (ms ? new Date(ms).toISOString() : null);
+  return {
+    id: String(row.id),
+    name: row.name,
+    data: row.data,
+    status: row.status === 'waiting' && row.runAt > now ? 'delayed' : row.status,
+    createdAt: iso(row.createdAt),
+    startedAt: iso(row.startedAt),
+    finishedAt: iso(row.finishedAt),
+    failedReason: row.error || null,
+    attemptsMade: row.attemptsMade,
+    runAt: iso(row.runAt),
+    progress: row.progress,
+    result: row.result,
+  };
+}
+
+/**
+ * Get queue status
+ */
+async function getQueueStatus() {
+  return { backend: 'sqlite', ...countQueueJobs(), scheduledJobs: [] };
+}
+
+/**
+ * Get recent jobs
+ */
+async function getRecentJobs(limit = 10) {
+  const now = Date.now();
+  const waiting = listQueueJobs('waiting', { limit: 1000 }).map(row => formatJob(row, now));
+  return {
+    completed: listQueueJobs('completed', { limit }).map(row => formatJob(row, now)),
+    failed: listQueueJobs('failed', { limit }).map(row => formatJob(row, now)),
+    active: listQueueJobs('active', { limit }).map(row => formatJob(row, now)),
+    waiting: waiting.filter(job => job.status === 'waiting').slice(0, limit),
+    delayed: waiting.filter(job => job.status === 'delayed').slice(0, limit),
+  };
+}
+
+/**
+ * One job with its latest progress, or null if it doesn't exist (or has been pruned)
+ */
+async function getJob(id) {
+  const row = /^\d+$/.test(String(id)) ? getQueueJob(Number(id)) : null;
+  return row ? formatJob(row) : null;
+}
+
+/**
+ * Jobs that used up all their attempts, most recent first
+ */
+async function getDeadLetterJobs(limit = 50) {
+  return listQueueJobs('failed', { limit }).map(row => formatJob(row));
+}
+
+/**
+ * Run a dead-lettered job again with a fresh set of attempts; false if there is no such failed job
+ */
+async function retryJob(id) {
+  return /^\d+$/.test(String(id)) && requeueFailedJob(Number(id));
+}
+
+/**
+ * Listen for progress and completion of one job, from whichever process runs it.
+ * Polls the jobs table; the listener gets { type: 'progress', data } on every
+ * change, then { type: 'completed'|'failed' }. A failed attempt that will be
+ * retried is not the end.
+ * @returns {Function} unsubscribe
+ */
+function subscribeToJob(jobId, listener) {
+  let last = getQueueJob(Number(jobId));
+  let lastProgress = JSON.stringify(last?.progress ?? null);
+
+  const interval = setInterval(() => {
+    const row = getQueueJob(Number(jobId));
+    if (!row) return;
+    const progress = JSON.stringify(row.progress ?? null);
+    if (progress !== lastProgress) {
+      lastProgress = progress;
+      listener({ type: 'progress', data: row.progress });
+    }
+    if (row.status !== last?.status && (row.status === 'completed' || row.status === 'failed')) {
+      unsubscribe();
+      listener({ type: row.status, data: null });
+    }
+    last = row;
+  }, WATCH_MS);
+  interval.unref();
+  watchers.add(interval);
+
+  function unsubscribe() {
+    clearInterval(interval);
+    watchers.delete(interval);
+  }
+  return unsubscribe;
+}
+
+/**
+ * Stop the worker (after its current job) and any job subscriptions
+ */
+async function close() {
+  for (const interval of watchers) clearInterval(interval);
+  watchers.clear();
+  if (worker) {
+    await worker.close();
+    worker = null;
+  }
+}
+
+module.exports = {
+  waitForQueue,
+  add,
+  scheduleRecurring,
+  startWorker,
+  getQueueStatus,
+  getRecentJobs,
+  getJob,
+  getDeadLetterJobs,
+  retryJob,
+  subscribeToJob,
+  close,
+};
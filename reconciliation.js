@@ -0,0 +1,248 @@
+// reconciliation.js — Checks that courses completed on CE platforms (NetCE,
+// CEUfast, ...) were also reported to CE Broker
+//
+// Providers often finish a course on a platform we pay for and never report it
+// to CE Broker, so CE Broker shows them short of hours. For each provider, every
+// scraped platform course from the start of their oldest known CE Broker cycle
+// is compared with their CE Broker course history:
+//   - title: fuzzy — shared words, ignoring filler ("part", "course", "the"),
+//     tolerant of one-letter typos and of CE Broker's shortened titles
+//   - date:  within RECONCILE_DATE_WINDOW_DAYS of each other (default 30)
+//   - hours: within HOURS_TOLERANCE of each other
+// Each CE Broker course pairs with at most one platform course, best pairs first.
+// A platform course ends up reported (a confident pair), possible (a weak pair
+// someone should check) or missing (nothing in CE Broker near that date).
+//
+// The dashboard's provider panel, the Platforms tab's credential gaps view, the
+// email digest and the report's "CE Broker Reconciliation" sheet show the results.
+
+'use strict';
+
+const { parseDate } = require('./utils');
+
+const DEFAULT_DATE_WINDOW_DAYS = 30;
+const HOURS_TOLERANCE = 0.25;
+const MATCH_SIMILARITY = 0.6;      // a confident pair when hours agree
+const STRONG_SIMILARITY = 0.85;    // a confident pair even when hours differ
+const POSSIBLE_SIMILARITY = 0.3;   // below this, only a same-day, same-hours course is a candidate
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FILLER_WORDS = new Set([
+  'a', 'an', 'and', 'the', 'of', 'for', 'in', 'on', 'to', 'with', 'at', 'by', 'from', 'your',
+  'part', 'module', 'course', 'ce', 'ceu', 'ceus', 'hour', 'hours', 'contact', 'credit', 'credits',
+  'edition', 'update', 'updated',
+]);
+
+function dateWindowDays() {
+  const days = parseInt(process.env.RECONCILE_DATE_WINDOW_DAYS, 10);
+  return Number.isFinite(days) && days >= 0 ? days : DEFAULT_DATE_WINDOW_DAYS;
+}
+
+/** YYYY-MM-DD for a scraped (MM/DD/YYYY) or exported (ISO) date, or null */
+function isoDay(value) {
+  const d = parseDate(value);
+  return d ? d.toISOString().slice(0, 10) : null;
+}
+
+// ─── Titles ───────────────────────────────────────────────────────────────────
+
+/** The distinctive words of a course title, lower-case and singular */
+function titleWords(title) {
+  return String(title || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(w => w && !FILLER_WORDS.has(w))
+    .map(w => (w.length > 4 && w.endsWith('s') && !w.endsWith('ss') ? w.slice(0, -1) : w));
+}
+
+/** Whether two words differ by at most one edit (for words of 5+ letters) */
+function nearlySameWord(a, b) {
+  if (a === b) return true;
+  if (a.length < 5 || b.length < 5 || Math.abs(a.length - b.length) > 1) return false;
+  let i = 0;
+  let j = 0;
+  let edits = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) { i++; j++; continue; }
+    if (++edits > 1) return false;
+    if (a.length > b.length) i++;
+    else if (b.length > a.length) j++;
+    else { i++; j++; }
+  }
+  return edits + (a.length - i) + (b.length - j) <= 1;
+}
+
+/**
+ * How alike two course titles are, 0–1: the overlap of their distinctive words
+ * (Dice coefficient), or — when one title is a shortened form of the other —
+ * how much of the shorter one the longer contains
+ */
+function titleSimilarity(a, b) {
+  const wordsA = [...new Set(titleWords(a))];
+  const wordsB = [...new Set(titleWords(b))];
+  if (wordsA.length === 0 || wordsB.length === 0) return 0;
+
+  const unmatched = [...wordsB];
+  let shared = 0;
+  for (const word of wordsA) {
+    const i = unmatched.findIndex(other => nearlySameWord(word, other));
+    if (i !== -1) {
+      shared++;
+      unmatched.splice(i, 1);
+    }
+  }
+  const dice = (2 * shared) / (wordsA.length + wordsB.length);
+  const shorter = Math.min(wordsA.length, wordsB.length);
+  const containment = shorter >= 2 ? (shared / shorter) * 0.9 : 0;
+  return Math.round(Math.max(dice, containment) * 100) / 100;
+}
+
+// ─── Matching ─────────────────────────────────────────────────────────────────
+
+/**
+ * How a platform course and a CE Broker course compare, or null when they are
+ * too far apart in date (or too unalike) to be the same course
+ */
+function comparePair(course, reported, windowDays) {
+  const daysApart = Math.round(Math.abs(Date.parse(course.date) - Date.parse(reported.date)) / DAY_MS);
+  if (daysApart > windowDays) return null;
+
+  const similarity = titleSimilarity(course.name, reported.name);
+  const hoursAgree = course.hours == null || reported.hours == null
+    || Math.abs(Number(course.hours) - Number(reported.hours)) <= HOURS_TOLERANCE;
+  if (similarity < POSSIBLE_SIMILARITY && !(daysApart === 0 && hoursAgree)) return null;
+
+  const confident = similarity >= STRONG_SIMILARITY || (similarity >= MATCH_SIMILARITY && hoursAgree);
+  return {
+    similarity,
+    daysApart,
+    hoursAgree,
+    confident,
+    score: similarity + (hoursAgree ? 0.1 : 0) - daysApart / (windowDays + 1) / 10,
+  };
+}
+
+/**
+ * Reconcile one provider's platform courses against their CE Broker courses
+ * @param {Array<{ name, date, hours, platform }>} platformCourses
+ * @param {Array<{ name, date, hours }>} ceBrokerCourses
+ * @param {{ since?:string, windowDays?:number }} [options] - since: ignore platform courses before this YYYY-MM-DD
+ * @returns {{ reported:Array, possible:Array, missing:Array }} each entry { course, match?, similarity?, daysApart? }
+ */
+function reconcileCourses(platformCourses, ceBrokerCourses, { since = null, windowDays = dateWindowDays() } = {}) {
+  const courses = platformCourses
+    .map(c => ({ ...c, date: isoDay(c.date) }))
+    .filter(c => c.date && (!since || c.date >= since));
+  const reported = ceBrokerCourses
+    .map(c => ({ ...c, date: isoDay(c.date) }))
+    .filter(c => c.date);
+
+  const pairs = [];
+  courses.forEach((course, i) => {
+    reported.forEach((entry, j) => {
+      const pair = comparePair(course, entry, windowDays);
+      if (pair) pairs.push({ i, j, ...pair });
+    });
+  });
+  pairs.sort((a, b) => b.score - a.score);
+
+  const pairedCourse = new Map();
+  const usedReported = new Set();
+  for (const pair of pairs) {
+    if (pairedCourse.has(pair.i) || usedReported.has(pair.j)) continue;
+    pairedCourse.set(pair.i, pair);
+    usedReported.add(pair.j);
+  }
+
+  const result = { reported: [], possible: [], missing: [] };
+  courses.forEach((course, i) => {
+    const pair = pairedCourse.get(i);
+    if (!pair) {
+      result.missing.push({ course });
+      return;
+    }
+    const { name, date, hours } = reported[pair.j];
+    const entry = { course, match: { name, date, hours }, similarity: pair.similarity, daysApart: pair.daysApart };
+    (pair.confident ? result.reported : result.possible).push(entry);
+  });
+  return result;
+}
+
+// ─── Providers ────────────────────────────────────────────────────────────────
+
+function dedupe(courses) {
+  const seen = new Set();
+  return courses.filter(c => {
+    const key = [String(c.name || '').toLowerCase(), isoDay(c.date), c.hours, c.platform || ''].join('|');
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Reconcile every provider with both CE Broker courses and scraped platform
+ * courses. Courses come from this run (license records, platform results) and
+ * from course-history.json, where CE Broker courses carry a `state` and scraped
+ * platform courses a `platform`; hand-imported courses (importId) are left out.
+ * @param {{ courseHistory?:object, records?:Array, platformData?:Array, windowDays?:number }} sources
+ * @returns {Array<{ providerName, since, checked, reported, possible, missing, missingHours }>}
+ *   providers with anything missing or possible first, most missing hours first
+ */
+function reconcileProviders({ courseHistory = {}, records = [], platformData = [], windowDays = dateWindowDays() } = {}) {
+  const names = new Set([
+    ...Object.keys(courseHistory),
+    ...records.map(r => r.providerName),
+    ...platformData.map(pr => pr.providerName),
+  ]);
+
+  const results = [];
+  for (const providerName of [...names].filter(Boolean)) {
+    const history = courseHistory[providerName] || {};
+    const providerRecords = records.filter(r => r.providerName === providerName);
+    const archived = (history.courses || []).filter(c => !c.importId);
+
+    const ceBrokerCourses = dedupe([
+      ...providerRecords.flatMap(r => [r, ...(r.priorCycles || [])].flatMap(c => c.completedCourses || [])),
+      ...archived.filter(c => c.state),
+    ]);
+    const platformCourses = dedupe([
+      ...platformData
+        .filter(pr => pr.providerName === providerName && pr.status === 'success')
+        .flatMap(pr => (pr.courses || []).map(c => ({ ...c, platform: pr.platform }))),
+      ...archived.filter(c => c.platform),
+    ]);
+    if (ceBrokerCourses.length === 0 || platformCourses.length === 0) continue;
+
+    // Only courses CE Broker could be expected to show: from its oldest cycle on
+    const cycleStarts = [
+      ...(history.cycles || []).map(c => c.startDate),
+      ...providerRecords.flatMap(r => [r, ...(r.priorCycles || [])].map(c => c.cycleId?.split('/')[0])),
+    ].filter(d => /^\d{4}-\d{2}-\d{2}$/.test(d || ''));
+    const since = cycleStarts.sort()[0]
+      || ceBrokerCourses.map(c => isoDay(c.date)).filter(Boolean).sort()[0];
+
+    const result = reconcileCourses(platformCourses, ceBrokerCourses, { since, windowDays });
+    const checked = result.reported.length + result.possible.length + result.missing.length;
+    if (checked === 0) continue;
+    results.push({
+      providerName,
+      since,
+      checked,
+      ...result,
+      missingHours: Math.round(result.missing.reduce((sum, m) => sum + (Number(m.course.hours) || 0), 0) * 100) / 100,
+    });
+  }
+
+  const needsLook = r => r.missing.length + r.possible.length > 0;
+  return results.sort((a, b) =>
+    needsLook(b) - needsLook(a) || b.missingHours - a.missingHours || a.providerName.localeCompare(b.providerName));
+}
+
+module.exports = {
+  titleSimilarity,
+  reconcileCourses,
+  reconcileProviders,
+};
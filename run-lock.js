@@ -0,0 +1,253 @@
+// run-lock.js — One scrape at a time, whoever starts it
+//
+// index.js (CLI, GitHub Actions and queued runs via worker.js) and
+// rebuild-dashboard.js take this lock before touching CE Broker or the dashboard
+// files, so a scheduled run can never log into the same accounts as a manual one
+// (two sessions at once can trip CE Broker's account lockout).
+//
+// The lock is a lease: the holder renews it every HEARTBEAT_MS, and a lease not
+// renewed for LEASE_MS — its process crashed or was killed — is stale and the
+// next run takes it over.
+//
+// Leases live in a store with this async interface:
+//   acquire(lease) → { acquired, current } / renew(token, expiresAt) → bool / release(token) / get()
+// The default is the tracker database (SQLite), which only covers one machine. Set
+// KV_REST_API_URL + KV_REST_API_TOKEN (Vercel KV / Upstash Redis) to share the lock
+// between machines, e.g. CI and a desktop; CI without them gets a warning.
+
+'use strict';
+
+const os = require('os');
+const crypto = require('crypto');
+
+const LOCK_NAME = 'scrape';
+const LEASE_MS = 2 * 60 * 1000;
+const HEARTBEAT_MS = 30 * 1000;
+
+/** Thrown when another run holds the lock; `lock` describes that run */
+class RunLockedError extends Error {
+  constructor(lock) {
+    super(`A run is already in progress (${describeLock(lock)})`);
+    this.lock = lock;
+  }
+}
+
+/** Thrown by lock.assertHeld() once the heartbeat has found the lock taken over */
+class RunLockLostError extends Error {
+  constructor(step) {
+    super(`Lost the run lock before ${step} — another run may have taken over, so this one stops instead of overwriting its results`);
+  }
+}
+
+/** "GitHub Actions run 123 on runner-1 (pid 42), started 2026-10-19T22:30:00.000Z" */
+function describeLock(lock) {
+  if (!lock) return 'unknown holder';
+  return `${lock.holder}, started ${new Date(lock.acquiredAt).toISOString()}`;
+}
+
+/**
+ * Take the run lock
+ * @param {string} owner - What is running, e.g. 'node index.js' or 'queue job 12'
+ * @param {object} [options] - { store, leaseMs, heartbeatMs }
+ * @returns {Promise<{ holder:string, lost:boolean, assertHeld:Function, release:Function }>} release() stops
+ *   the heartbeat and frees the lock; assertHeld(step) throws RunLockLostError once the lock is lost
+ * @throws {RunLockedError} if an unexpired lease is held by someone else
+ */
+async function acquireRunLock(owner, { store = defaultStore(), leaseMs = LEASE_MS, heartbeatMs = HEARTBEAT_MS } = {}) {
+  const now = Date.now();
+  const lease = {
+    token: crypto.randomBytes(16).toString('hex'),
+    holder: `${owner} on ${os.hostname()} (pid ${process.pid})`,
+    acquiredAt: now,
+    heartbeatAt: now,
+    expiresAt: now + leaseMs,
+  };
+
+  const { acquired, current } = await store.acquire(lease);
+  if (!acquired) throw new RunLockedError(current);
+  if (current) console.log(`[RunLock] Took over a stale lock from ${describeLock(current)}`);
+
+  const lock = {
+    holder: lease.holder,
+    lost: false,
+    release,
+    assertHeld(step) {
+      if (lock.lost) throw new RunLockLostError(step);
+    },
+  };
+
+  const heartbeat = setInterval(async () => {
+    try {
+      if (!(await store.renew(lease.token, Date.now() + leaseMs))) {
+        lock.lost = true;
+        console.error('[RunLock] Lost the run lock — another run may have taken it over');
+      }
+    } catch (err) {
+      console.error('[RunLock] Heartbeat failed:', err.message);
+    }
+  }, heartbeatMs);
+  heartbeat.unref();
+
+  async function release() {
+    clearInterval(heartbeat);
+    if (!lock.lost) await store.release(lease.token);
+  }
+
+  return lock;
+}
+
+/**
+ * Run fn while holding the lock
+ * @throws {RunLockedError} without calling fn if another run holds the lock
+ */
+async function withRunLock(owner, fn, options) {
+  const lock = await acquireRunLock(owner, options);
+  try {
+    return await fn(lock);
+  } finally {
+    await lock.release();
+  }
+}
+
+/**
+ * The run currently holding the lock, or null (stale leases count as free)
+ */
+async function getRunLock({ store = defaultStore() } = {}) {
+  const lease = await store.get();
+  if (!lease || lease.expiresAt < Date.now()) return null;
+  return { holder: lease.holder, acquiredAt: lease.acquiredAt, heartbeatAt: lease.heartbeatAt, expiresAt: lease.expiresAt };
+}
+
+// ─── Stores ───────────────────────────────────────────────────────────────────
+
+let warnedLocalOnly = false;
+
+/**
+ * KV when configured (shared across machines), otherwise the tracker database.
+ * A CI runner starts with a fresh database, so there the local lock guards
+ * nothing against runs elsewhere — say so loudly.
+ */
+function defaultStore() {
+  if (process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN) {
+    return kvStore(process.env.KV_REST_API_URL, process.env.KV_REST_API_TOKEN);
+  }
+  if ((process.env.GITHUB_ACTIONS || process.env.CI) && !warnedLocalOnly) {
+    warnedLocalOnly = true;
+    console.warn('[RunLock] WARNING: running in CI without KV_REST_API_URL/KV_REST_API_TOKEN. ' +
+      'The run lock lives in this runner\'s own database, so it will NOT stop a run on another machine ' +
+      'from logging into the same CE Broker accounts. Set both secrets to share the lock.');
+  }
+  return sqliteStore();
+}
+
+/**
+ * The run_locks table in the tracker database — shared by every process on this machine
+ */
+function sqliteStore(name = LOCK_NAME) {
+  const { acquireRunLease, renewRunLease, releaseRunLease, getRunLease } = require('./database');
+  return {
+    async acquire(lease) {
+      return acquireRunLease(name, lease);
+    },
+    async renew(token, expiresAt) {
+      return renewRunLease(name, token, expiresAt);
+    },
+    async release(token) {
+      releaseRunLease(name, token);
+    },
+    async get() {
+      return getRunLease(name);
+    },
+  };
+}
+
+/**
+ * Per-process store (tests)
+ */
+function memoryStore() {
+  let current = null;
+  return {
+    async acquire(lease) {
+      if (current && current.expiresAt >= Date.now()) return { acquired: false, current: { ...current } };
+      const previous = current;
+      current = { ...lease };
+      return { acquired: true, current: previous };
+    },
+    async renew(token, expiresAt) {
+      if (current?.token !== token) return false;
+      current = { ...current, heartbeatAt: Date.now(), expiresAt };
+      return true;
+    },
+    async release(token) {
+      if (current?.token === token) current = null;
+    },
+    async get() {
+      return current ? { ...current } : null;
+    },
+  };
+}
+
+/**
+ * Vercel KV / Upstash Redis over its REST API. The key expires with the lease,
+ * so a stale lock frees itself; renew and release only touch our own lease.
+ */
+function kvStore(url, token, key = `ceu:run-lock:${LOCK_NAME}`) {
+  const written = new Map(); // lease token → the exact value we last stored
+
+  async function command(...args) {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(args),
+    });
+    if (!res.ok) throw new Error(`KV ${args[0]} failed: HTTP ${res.status}`);
+    return (await res.json()).result;
+  }
+
+  const RENEW = "if redis.call('GET', KEYS[1]) == ARGV[1] then redis.call('SET', KEYS[1], ARGV[2], 'PX', ARGV[3]) return 1 end return 0";
+  const RELEASE = "if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('DEL', KEYS[1]) end return 0";
+
+  return {
+    async acquire(lease) {
+      const value = JSON.stringify(lease);
+      const ok = await command('SET', key, value, 'NX', 'PX', Math.max(1, lease.expiresAt - Date.now()));
+      if (ok !== 'OK') {
+        const raw = await command('GET', key);
+        return { acquired: false, current: raw ? JSON.parse(raw) : null };
+      }
+      written.set(lease.token, value);
+      return { acquired: true, current: null };
+    },
+    async renew(leaseToken, expiresAt) {
+      const previous = written.get(leaseToken);
+      if (!previous) return false;
+      const value = JSON.stringify({ ...JSON.parse(previous), heartbeatAt: Date.now(), expiresAt });
+      const renewed = await command('EVAL', RENEW, 1, key, previous, value, Math.max(1, expiresAt - Date.now()));
+      if (renewed === 1) written.set(leaseToken, value);
+      return renewed === 1;
+    },
+    async release(leaseToken) {
+      const previous = written.get(leaseToken);
+      written.delete(leaseToken);
+      if (previous) await command('EVAL', RELEASE, 1, key, previous);
+    },
+    async get() {
+      const raw = await command('GET', key);
+      return raw ? JSON.parse(raw) : null;
+    },
+  };
+}
+
+module.exports = {
+  LEASE_MS,
+  RunLockedError,
+  RunLockLostError,
+  acquireRunLock,
+  withRunLock,
+  getRunLock,
+  describeLock,
+  defaultStore,
+  sqliteStore,
+  memoryStore,
+  kvStore,
+};
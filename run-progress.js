@@ -0,0 +1,75 @@
+// run-progress.js — Live per-provider progress for a scrape run
+//
+// index.js reports each provider's stage (login → license → courses → platforms →
+// done) here; the tracker keeps a snapshot of the whole run and hands it to a
+// listener after every change. The queue worker (worker.js) forwards snapshots to
+// BullMQ job progress, which server.js streams to the dashboard over SSE.
+
+'use strict';
+
+const STAGES = ['queued', 'login', 'license', 'courses', 'platforms', 'done'];
+
+/**
+ * Start tracking a run
+ * @param {string[]} providerNames - Providers in this run, in processing order
+ * @param {Function} [onChange] - Called with a fresh snapshot after every update
+ */
+function createRunProgress(providerNames, onChange = () => {}) {
+  const state = {
+    phase: 'starting',
+    startedAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    providers: providerNames.map(name => ({ name, stage: 'queued', status: 'pending', detail: null, error: null })),
+  };
+
+  function snapshot() {
+    const providers = state.providers.map(p => ({ ...p }));
+    return {
+      phase: state.phase,
+      startedAt: state.startedAt,
+      updatedAt: state.updatedAt,
+      total: providers.length,
+      completed: providers.filter(p => p.stage === 'done').length,
+      failed: providers.filter(p => p.status === 'failed').length,
+      providers,
+    };
+  }
+
+  function changed() {
+    state.updatedAt = new Date().toISOString();
+    try {
+      onChange(snapshot());
+    } catch {
+      // progress is best-effort — never let a listener break the run
+    }
+  }
+
+  return {
+    /** Move the whole run to a new phase: 'providers', 'platforms', 'verification', 'saving', 'finished' */
+    phase(name) {
+      state.phase = name;
+      changed();
+    },
+
+    /**
+     * Update one provider
+     * @param {string} name
+     * @param {string} stage - One of STAGES
+     * @param {object} [update] - { status: 'running'|'success'|'failed'|'skipped', detail, error }
+     */
+    provider(name, stage, { status = 'running', detail = null, error = null } = {}) {
+      const entry = state.providers.find(p => p.name === name);
+      if (!entry) return;
+      entry.stage = stage;
+      // A failure sticks for the rest of the run even as later stages succeed
+      if (entry.status !== 'failed') entry.status = status;
+      entry.detail = detail;
+      if (error) entry.error = error;
+      changed();
+    },
+
+    snapshot,
+  };
+}
+
+module.exports = { STAGES, createRunProgress };
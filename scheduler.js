@@ -2,11 +2,18 @@
 // Usage: node scheduler.js
 // Leave this running and it will scrape daily at 10:30 PM
 // Email digest and renewal reminders sent weekly on Mondays at 8:00 AM (if configured)
+//
+// The nightly scrape is queued through job-queue.js like runs started from the
+// dashboard, so it gets the queue's retries. Jobs are processed by a worker in this
+// process; set SCHEDULER_WORKER=false when worker.js runs separately.
 
 const cron = require('node-cron');
-const { execSync } = require('child_process');
 const path = require('path');
 const { loadJson } = require('./utils');
+const { addScrapeJob, closeQueue } = require('./job-queue');
+const { getRunLock, describeLock } = require('./run-lock');
+
+const RUN_WORKER = process.env.SCHEDULER_WORKER !== 'false';
 
 // Check if email is configured
 function isEmailConfigured() {
@@ -21,6 +28,7 @@ function isEmailConfigured() {
 console.log('═'.repeat(50));
 console.log('  CEU Tracker Scheduler Started');
 console.log('  Scraping will run daily at 10:30 PM EST');
+console.log(RUN_WORKER ? '  Queued runs are processed here' : '  Queued runs are left to worker.js');
 if (isEmailConfigured()) {
   console.log('  Email digest & reminders: Mondays at 8:00 AM EST');
 } else {
@@ -30,17 +38,23 @@ if (isEmailConfigured()) {
 console.log('  Press Ctrl+C to stop');
 console.log('═'.repeat(50));
 
-// Schedule: 10:30 PM EST every day - Run scraper
-cron.schedule('30 22 * * *', () => {
-  console.log(`\n[${new Date().toLocaleString()}] Starting scheduled scrape...`);
+if (RUN_WORKER) {
+  require('./worker').startScrapeWorker();
+}
+
+// Schedule: 10:30 PM EST every day - Queue the scraper
+cron.schedule('30 22 * * *', async () => {
+  console.log(`\n[${new Date().toLocaleString()}] Queueing scheduled scrape...`);
   try {
-    execSync('node index.js', {
-      cwd: __dirname,
-      stdio: 'inherit'
-    });
-    console.log(`[${new Date().toLocaleString()}] Scrape completed successfully`);
+    const running = await getRunLock();
+    if (running) {
+      console.log(`[${new Date().toLocaleString()}] Run already in progress (${describeLock(running)}) — skipping tonight's scrape`);
+      return;
+    }
+    const job = await addScrapeJob({ fullRun: true, scheduled: true });
+    console.log(`[${new Date().toLocaleString()}] Scrape queued as job ${job.id}`);
   } catch (err) {
-    console.error(`[${new Date().toLocaleString()}] Scrape failed:`, err.message);
+    console.error(`[${new Date().toLocaleString()}] Could not queue scrape:`, err.message);
   }
 }, {
   timezone: 'America/New_York'
@@ -85,3 +99,12 @@ if (isEmailConfigured()) {
   console.log(`Next email: Monday ${nextMonday.toLocaleDateString()} at 8:00 AM EST`);
 }
 console.log(`Current time: ${new Date().toLocaleString()}\n`);
+
+async function shutdown() {
+  console.log('\nScheduler stopping...');
+  await closeQueue();
+  process.exit(0);
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,390 @@
+// scrape-fixtures.js — Record scraper page visits as fixtures and replay them offline
+//
+// Every scraper opens its browser contexts through newScrapeContext(), so:
+//
+//   SCRAPE_RECORD=<dir> node index.js --force
+//     records each context (one CE Broker login, one platform, one state board
+//     lookup) into <dir>/<id>/: session.har with the network traffic, and
+//     pages/*.html with the HTML of every page loaded. On close the fixture is
+//     scrubbed: cookies, auth headers, POST bodies and tokens are dropped, the
+//     provider's name, username, password, email and phone are replaced by an
+//     alias ("Pat FixtureA, NP"), and other emails/phone numbers are masked.
+//     <dir>/manifest.json lists the fixtures with each one's aliased login.
+//
+//   node scrape-fixtures.js replay <dir> [fixture id]
+//     runs the same scraper against each fixture and prints what it parsed. With
+//     SCRAPE_REPLAY set, contexts are served from session.har via Playwright
+//     routing; anything that wasn't recorded is aborted, never fetched live.
+//
+// Replays run as the aliased providers, so URLs and pages line up with the
+// scrubbed recording.
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { logger } = require('./utils');
+const { startTrace } = require('./evidence');
+
+const MANIFEST = 'manifest.json';
+const HAR_FILE = 'session.har';
+const PAGES_DIR = 'pages';
+
+// Responses the parsers never read; dropped to keep fixtures small
+const DROPPED_MIME = /^(image|font|video|audio)\//i;
+const DROPPED_REQUEST_HEADERS = /^(cookie|authorization|proxy-authorization)$|token|csrf|xsrf/i;
+const DROPPED_RESPONSE_HEADERS = /^set-cookie$|token|csrf|xsrf/i;
+
+// ─── Mode ─────────────────────────────────────────────────────────────────────
+
+/**
+ * { mode: 'record' | 'replay', dir } from SCRAPE_RECORD / SCRAPE_REPLAY, or null for live runs
+ */
+function fixtureMode() {
+  if (process.env.SCRAPE_REPLAY) return { mode: 'replay', dir: path.resolve(process.env.SCRAPE_REPLAY) };
+  if (process.env.SCRAPE_RECORD) return { mode: 'record', dir: path.resolve(process.env.SCRAPE_RECORD) };
+  return null;
+}
+
+/**
+ * browser.newContext(options), recording or replaying it when fixtures are on, and
+ * tracing it so a failed attempt can keep the trace (evidence.js)
+ * @param {import('playwright').Browser} browser
+ * @param {object} options - Playwright context options
+ * @param {object} fixture - { source, providerName, secrets } — source is 'CE Broker',
+ *   a platform name or '<state> license'; secrets are the login's { username, password, email, phone }
+ * @returns {Promise<import('playwright').BrowserContext>}
+ */
+async function newScrapeContext(browser, options, { source, providerName, secrets = {} }) {
+  const fixtures = fixtureMode();
+  let context;
+  if (!fixtures) context = await browser.newContext(options);
+  else if (fixtures.mode === 'replay') context = await replayContext(browser, options, fixtures.dir, source, providerName);
+  else context = await recordContext(browser, options, fixtures.dir, source, providerName, secrets);
+
+  // Kept only if the attempt fails (evidence.js); a password login is traced from
+  // after its submit, see startTraceAfterLogin
+  await startTrace(context, `${source} — ${providerName}`, { afterLogin: Boolean(secrets.password) });
+  return context;
+}
+
+// ─── Manifest ─────────────────────────────────────────────────────────────────
+
+function loadManifest(dir) {
+  const file = path.join(dir, MANIFEST);
+  if (!fs.existsSync(file)) return { version: 1, fixtures: [] };
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function saveManifest(dir, manifest) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, MANIFEST), JSON.stringify(manifest, null, 2));
+}
+
+function slug(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60) || 'page';
+}
+
+// ─── Recording ────────────────────────────────────────────────────────────────
+
+// Per output directory: the manifest and which real provider got which alias.
+// Aliases only live in memory, so the manifest never links them to real names.
+const recordings = new Map();
+
+function recordingFor(dir) {
+  if (!recordings.has(dir)) {
+    const manifest = loadManifest(dir);
+    // Appending to an earlier recording: carry on after its aliases
+    const taken = new Set(manifest.fixtures.map(f => f.providerName)).size;
+    recordings.set(dir, { manifest, aliases: new Map(), taken });
+  }
+  return recordings.get(dir);
+}
+
+/** A, B, … Z, AA, AB, … */
+function letters(index) {
+  let s = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + (n - 1) % 26) + s;
+  return s;
+}
+
+/**
+ * The stand-in for a real provider in this recording: { name, username, password }
+ */
+function aliasFor(recording, providerName, secrets) {
+  if (!recording.aliases.has(providerName)) {
+    const tag = letters(recording.taken + recording.aliases.size);
+    const suffix = providerName.match(/,\s*[A-Z]+$/)?.[0] || '';
+    recording.aliases.set(providerName, { name: `Pat Fixture${tag}${suffix}`, tag });
+  }
+  const { name, tag } = recording.aliases.get(providerName);
+  const username = secrets.username?.includes('@') ? `fixture-${tag.toLowerCase()}@example.com` : `fixture-${tag.toLowerCase()}`;
+  return { name, username, password: 'fixture-password' };
+}
+
+/**
+ * [pattern, replacement] pairs that turn a provider's details into their alias.
+ * Longest first, so the full name goes before its parts.
+ */
+function scrubRules(providerName, secrets, alias) {
+  const escape = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const bare = name => name.replace(/,\s*[A-Z]+$/, '').trim();
+  const rules = [];
+  const add = (value, replacement, { words = false } = {}) => {
+    if (!value || String(value).length < 2) return;
+    const source = escape(String(value));
+    rules.push([new RegExp(words ? `\\b${source}\\b` : source, 'gi'), replacement, String(value).length]);
+  };
+
+  add(secrets.password, '********');
+  add(secrets.username, alias.username);
+  add(secrets.email, alias.username.includes('@') ? alias.username : `${alias.username}@example.com`);
+  add(secrets.phone, '555-0100');
+  add(providerName, alias.name);
+  add(bare(providerName), bare(alias.name), { words: true });
+  const [aliasFirst, aliasLast] = bare(alias.name).split(' ');
+  const parts = bare(providerName).split(/\s+/);
+  if (parts.length > 1) {
+    add(parts[parts.length - 1], aliasLast, { words: true });
+    add(parts[0], aliasFirst, { words: true });
+    parts.slice(1, -1).forEach(middle => add(middle, '', { words: true }));
+  }
+  return rules.sort((a, b) => b[2] - a[2]).map(([pattern, replacement]) => [pattern, replacement]);
+}
+
+/**
+ * Apply scrub rules, keeping upper-case matches upper-case ("AHN, ADA" → "FIXTUREA, PAT"),
+ * then mask tokens and any other emails and phone numbers
+ */
+function scrubText(text, rules) {
+  if (typeof text !== 'string' || text.length === 0) return text;
+  let out = text;
+  for (const [pattern, replacement] of rules) {
+    out = out.replace(pattern, match => (match === match.toUpperCase() && /[A-Z]/.test(match) ? replacement.toUpperCase() : replacement));
+  }
+  return out
+    .replace(/eyJ[\w-]+\.[\w-]+\.[\w-]+/g, 'redacted.jwt.token')
+    .replace(/("(?:access_token|refresh_token|id_token|token|sessionId|session_id|csrfToken)"\s*:\s*")[^"]*"/gi, '$1redacted"')
+    .replace(/\b[\w.+-]+@(?!example\.com\b)[\w-]+(?:\.[\w-]+)+\b/gi, 'redacted@example.com')
+    .replace(/\(?\b\d{3}\)?[-.\s]\d{3}[-.\s]\d{4}\b/g, '555-0100');
+}
+
+/**
+ * A recorded HAR with credentials removed and PII scrubbed (returns a new object)
+ */
+function scrubHar(har, rules) {
+  const headers = (list, dropped) => (list || [])
+    .filter(h => !dropped.test(h.name))
+    .map(h => ({ ...h, value: scrubText(h.value, rules) }));
+
+  const entries = har.log.entries
+    .filter(entry => !DROPPED_MIME.test(entry.response?.content?.mimeType || ''))
+    .map((entry) => {
+      const request = {
+        ...entry.request,
+        url: scrubText(entry.request.url, rules),
+        headers: headers(entry.request.headers, DROPPED_REQUEST_HEADERS),
+        cookies: [],
+        queryString: (entry.request.queryString || []).map(q => ({ ...q, value: scrubText(q.value, rules) })),
+      };
+      delete request.postData; // login forms; replay matches POSTs by URL
+      const content = { ...entry.response.content };
+      if (content.text && content.encoding !== 'base64') content.text = scrubText(content.text, rules);
+      return {
+        ...entry,
+        request,
+        response: {
+          ...entry.response,
+          headers: headers(entry.response.headers, DROPPED_RESPONSE_HEADERS),
+          cookies: [],
+          redirectURL: scrubText(entry.response.redirectURL, rules),
+          content,
+        },
+      };
+    });
+
+  return {
+    log: {
+      ...har.log,
+      pages: (har.log.pages || []).map(p => ({ ...p, title: scrubText(p.title, rules) })),
+      entries,
+    },
+  };
+}
+
+async function recordContext(browser, options, dir, source, providerName, secrets) {
+  const recording = recordingFor(dir);
+  const alias = aliasFor(recording, providerName, secrets);
+  const rules = scrubRules(providerName, secrets, alias);
+  const id = `${String(recording.manifest.fixtures.length + 1).padStart(3, '0')}-${slug(source)}-${slug(alias.name)}`;
+  const login = secrets.username ? { username: alias.username, password: alias.password } : null;
+  recording.manifest.fixtures.push({ id, source, providerName: alias.name, login, recordedAt: new Date().toISOString(), pages: null });
+
+  // Playwright writes the raw HAR on close; it stays in the temp dir until scrubbed
+  const rawHar = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ceu-har-')), HAR_FILE);
+  const context = await browser.newContext({ ...options, recordHar: { path: rawHar, content: 'embed', mode: 'minimal' } });
+
+  const pages = [];
+  const snapshot = async (page) => {
+    try {
+      pages.push({ url: page.url(), html: await page.content() });
+    } catch { /* page closed or mid-navigation */ }
+  };
+  context.on('page', page => page.on('load', () => snapshot(page)));
+
+  const close = context.close.bind(context);
+  context.close = async (...args) => {
+    // The final DOM of each open page is what the scraper just parsed
+    await Promise.all(context.pages().map(snapshot));
+    await close(...args);
+    writeFixture(dir, recording.manifest, id, rawHar, pages, rules);
+  };
+
+  logger.info(`[Fixtures] Recording ${source} for ${providerName} as ${alias.name} → ${id}`);
+  return context;
+}
+
+function writeFixture(dir, manifest, id, rawHar, pages, rules) {
+  const fixture = manifest.fixtures.find(f => f.id === id);
+  if (fixture.pages) return; // closed twice
+  try {
+    const fixtureDir = path.join(dir, id);
+    fs.mkdirSync(path.join(fixtureDir, PAGES_DIR), { recursive: true });
+
+    if (fs.existsSync(rawHar)) {
+      const har = scrubHar(JSON.parse(fs.readFileSync(rawHar, 'utf8')), rules);
+      fs.writeFileSync(path.join(fixtureDir, HAR_FILE), JSON.stringify(har, null, 2));
+    }
+
+    fixture.pages = pages.map((page, i) => {
+      const url = scrubText(page.url, rules);
+      let name = url;
+      try { name = new URL(url).hostname + new URL(url).pathname; } catch { /* about:blank */ }
+      const file = `${PAGES_DIR}/${String(i + 1).padStart(2, '0')}-${slug(name)}.html`;
+      fs.writeFileSync(path.join(fixtureDir, file), scrubText(page.html, rules));
+      return { url, file };
+    });
+    saveManifest(dir, manifest);
+  } catch (err) {
+    logger.error(`[Fixtures] Could not write fixture ${id}: ${err.message}`);
+  } finally {
+    fs.rmSync(path.dirname(rawHar), { recursive: true, force: true });
+  }
+}
+
+// ─── Replay ───────────────────────────────────────────────────────────────────
+
+// How many contexts each source/provider has opened, so retries replay in order
+const replayCounts = new Map();
+
+async function replayContext(browser, options, dir, source, providerName) {
+  const matching = loadManifest(dir).fixtures.filter(f => f.source === source && f.providerName === providerName);
+  if (matching.length === 0) throw new Error(`No ${source} fixture for ${providerName} in ${dir}`);
+
+  const key = `${dir}\u0000${source}\u0000${providerName}`;
+  const n = replayCounts.get(key) || 0;
+  replayCounts.set(key, n + 1);
+  const fixture = matching[Math.min(n, matching.length - 1)];
+
+  const context = await browser.newContext(options);
+  await context.routeFromHAR(path.join(dir, fixture.id, HAR_FILE), { notFound: 'abort' });
+  logger.info(`[Fixtures] Replaying ${fixture.id}`);
+  return context;
+}
+
+/**
+ * Run each recorded scraper against its fixture
+ * @param {string} dir - A recording made with SCRAPE_RECORD
+ * @param {object} [options] - { only: fixture id }
+ * @returns {Promise<Array<{ id:string, source:string, providerName:string, result?:any, error?:string }>>}
+ */
+async function replayFixtures(dir, { only = null } = {}) {
+  const manifest = loadManifest(dir);
+  const fixtures = manifest.fixtures.filter(f => !only || f.id === only);
+  if (fixtures.length === 0) throw new Error(only ? `No fixture ${only} in ${dir}` : `No fixtures in ${dir}`);
+
+  const previous = process.env.SCRAPE_REPLAY;
+  process.env.SCRAPE_REPLAY = dir;
+  replayCounts.clear();
+  const { launchBrowser } = require('./scraper');
+  const browser = await launchBrowser();
+  const results = [];
+  try {
+    // One replay per source/provider: a login that was retried replays every attempt
+    const seen = new Set();
+    for (const fixture of fixtures) {
+      const key = `${fixture.source}\u0000${fixture.providerName}`;
+      if (!only && seen.has(key)) continue;
+      seen.add(key);
+
+      const provider = { name: fixture.providerName, type: fixture.providerName.match(/,\s*([A-Z]+)$/)?.[1], ...fixture.login };
+      try {
+        results.push({ id: fixture.id, source: fixture.source, providerName: provider.name, result: await runScraper(browser, fixture.source, provider) });
+      } catch (err) {
+        results.push({ id: fixture.id, source: fixture.source, providerName: provider.name, error: err.message });
+      }
+    }
+  } finally {
+    await browser.close();
+    if (previous === undefined) delete process.env.SCRAPE_REPLAY; else process.env.SCRAPE_REPLAY = previous;
+  }
+  return results;
+}
+
+/**
+ * The scraper that produced a fixture's source
+ */
+async function runScraper(browser, source, provider) {
+  if (source === 'CE Broker') {
+    const { loginProvider, scrapeLicenseData, closePage } = require('./scraper');
+    const page = await loginProvider(browser, provider);
+    try {
+      return await scrapeLicenseData(page, provider);
+    } finally {
+      await closePage(page);
+    }
+  }
+
+  const stateCode = source.match(/^([A-Z]{2}) license$/)?.[1];
+  if (stateCode) return require('./license-scraper').scrapeStateLicense(browser, provider, stateCode);
+
+  const { scrapePlatform } = require('./platform-scrapers');
+  return scrapePlatform(browser, { platform: source, username: provider.username, password: provider.password }, provider.name);
+}
+
+// ─── CLI ──────────────────────────────────────────────────────────────────────
+
+if (require.main === module) {
+  const [cmd, dir, only] = process.argv.slice(2);
+
+  if (cmd === 'list' && dir) {
+    for (const f of loadManifest(path.resolve(dir)).fixtures) {
+      console.log(`  ${f.id.padEnd(50)} ${f.recordedAt}  ${(f.pages || []).length} page(s)`);
+    }
+  } else if (cmd === 'replay' && dir) {
+    replayFixtures(path.resolve(dir), { only })
+      .then((results) => {
+        console.log(JSON.stringify(results, null, 2));
+        if (results.some(r => r.error)) process.exitCode = 1;
+      })
+      .catch((err) => {
+        console.error('[Fixtures]', err.message);
+        process.exitCode = 1;
+      });
+  } else {
+    console.log('Usage:');
+    console.log('  SCRAPE_RECORD=<dir> node index.js --force     - Record every scraper page visit into <dir>');
+    console.log('  node scrape-fixtures.js list <dir>            - List recorded fixtures');
+    console.log('  node scrape-fixtures.js replay <dir> [id]     - Re-run the scrapers offline against the fixtures');
+  }
+}
+
+module.exports = {
+  fixtureMode,
+  newScrapeContext,
+  scrubRules,
+  scrubText,
+  scrubHar,
+  replayFixtures,
+};
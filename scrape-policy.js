@@ -0,0 +1,175 @@
+// scrape-policy.js — Decide which providers and platforms a run actually logs into
+//
+// Each source (a provider's CE Broker account, or one of their CEU platforms) gets
+// a refresh interval from how close the provider's renewal deadline is, tightened
+// for high-risk providers (risk-prediction.js) and for data that changes often,
+// loosened for data that hasn't changed in a long time. A source is due once its
+// last success is older than that interval; never-scraped and last-failed sources
+// are always due, and --force makes everything due.
+//
+// Sources that aren't due are not logged into: index.js reuses their last
+// successful result (scrape_state in the database) for the run.
+
+'use strict';
+
+const crypto = require('crypto');
+const { parseDate, daysUntil } = require('./utils');
+const { calculateRisk } = require('./risk-prediction');
+
+const CE_BROKER = 'CE Broker';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const POLICY = {
+  // Refresh interval by days until the renewal deadline (first match wins)
+  deadlineBands: [
+    { withinDays: 30, intervalHours: 0 },        // every run
+    { withinDays: 90, intervalHours: 24 },
+    { withinDays: 180, intervalHours: 3 * 24 },
+    { withinDays: 365, intervalHours: 7 * 24 },
+  ],
+  defaultIntervalHours: 14 * 24,                 // deadline far away or unknown
+  riskIntervalHours: { critical: 0, high: 24 },  // caps for risky providers
+  changeWindowDays: 30,
+  busyChanges: 2,                                // this many changes in the window halves the interval
+  stableDays: 90,                                // no change for this long stretches it by half
+  maxIntervalHours: 30 * 24,
+  slackHours: 2,                                 // nightly runs drift; don't skip by minutes
+};
+
+/**
+ * Decide for every provider whether to scrape CE Broker and each platform
+ * @param {Array} providers - From credentials-loader.js
+ * @param {Array} states - getScrapeStates() rows: { providerName, source, lastAttemptAt, lastSuccessAt, lastStatus, changeTimes, data }
+ * @param {object} [options] - { force, now }
+ * @returns {Object<string, { ceBroker:object|null, platforms:Object<string, object>, riskLevel:string|null, daysToDeadline:number|null }>}
+ *   per provider name; each decision is { scrape:boolean, reason:string, intervalHours:number|null }
+ *   (ceBroker is null for providers without CE Broker credentials)
+ */
+function planScrape(providers, states, { force = false, now = Date.now() } = {}) {
+  const byKey = new Map(states.map(s => [`${s.providerName}\u0000${s.source}`, s]));
+  const stateOf = (name, source) => byKey.get(`${name}\u0000${source}`) || null;
+
+  const plan = {};
+  for (const provider of providers) {
+    const ceBrokerState = stateOf(provider.name, CE_BROKER);
+    const platformStates = (provider.platforms || []).map(p => stateOf(provider.name, p.platform)).filter(Boolean);
+    const context = providerContext(ceBrokerState, platformStates, now);
+
+    plan[provider.name] = {
+      ...context,
+      // Providers without CE Broker credentials are never logged into anyway
+      ceBroker: provider.username && provider.password ? decide(ceBrokerState, context, now, force) : null,
+      platforms: Object.fromEntries((provider.platforms || []).map(p => [
+        p.platform,
+        decide(stateOf(provider.name, p.platform), context, now, force),
+      ])),
+    };
+  }
+  return plan;
+}
+
+/**
+ * Deadline and risk level from the provider's last known data
+ */
+function providerContext(ceBrokerState, platformStates, now) {
+  const records = ceBrokerState?.data?.records || [];
+  const deadlines = records
+    .map(r => daysUntil(parseDate(r.renewalDeadline)))
+    .filter(d => d !== null && d !== undefined && !Number.isNaN(d));
+  const daysToDeadline = deadlines.length > 0 ? Math.min(...deadlines) : null;
+
+  const courses = [
+    ...records.flatMap(r => r.completedCourses || []),
+    ...platformStates.flatMap(s => s.data?.courses || []),
+  ].filter(c => c.date);
+  const lastCourseDate = courses.map(c => c.date).sort((a, b) => new Date(b) - new Date(a))[0] || null;
+
+  const ranked = ['minimal', 'low', 'medium', 'high', 'critical'];
+  let riskLevel = null;
+  for (const record of records.filter(r => r.renewalDeadline || r.hoursRequired)) {
+    const { level } = calculateRisk(record, { courses, lastCourseDate });
+    if (!riskLevel || ranked.indexOf(level) > ranked.indexOf(riskLevel)) riskLevel = level;
+  }
+
+  return { daysToDeadline, riskLevel };
+}
+
+/**
+ * Whether one source is due
+ */
+function decide(state, { daysToDeadline, riskLevel }, now, force) {
+  if (force) return { scrape: true, reason: 'forced', intervalHours: null };
+  if (!state?.lastSuccessAt || !state.data) return { scrape: true, reason: 'never scraped', intervalHours: null };
+  if (state.lastAttemptAt > state.lastSuccessAt) return { scrape: true, reason: `last attempt ${state.lastStatus || 'failed'}`, intervalHours: null };
+
+  const intervalHours = refreshIntervalHours({ daysToDeadline, riskLevel, changeTimes: state.changeTimes || [], now });
+  const ageHours = (now - state.lastSuccessAt) / HOUR_MS;
+  if (ageHours + POLICY.slackHours >= intervalHours) {
+    return { scrape: true, reason: `${formatHours(ageHours)} old, refresh every ${formatHours(intervalHours)}`, intervalHours };
+  }
+  return { scrape: false, reason: `fresh (${formatHours(ageHours)} old, refresh every ${formatHours(intervalHours)})`, intervalHours };
+}
+
+/**
+ * How long a source's data stays fresh enough to skip
+ */
+function refreshIntervalHours({ daysToDeadline, riskLevel, changeTimes, now }) {
+  const band = daysToDeadline === null || daysToDeadline === undefined
+    ? null
+    : POLICY.deadlineBands.find(b => daysToDeadline <= b.withinDays);
+  let hours = band ? band.intervalHours : POLICY.defaultIntervalHours;
+
+  if (riskLevel in POLICY.riskIntervalHours) hours = Math.min(hours, POLICY.riskIntervalHours[riskLevel]);
+
+  const recentChanges = changeTimes.filter(t => now - t <= POLICY.changeWindowDays * DAY_MS).length;
+  const lastChange = changeTimes.length > 0 ? Math.max(...changeTimes) : null;
+  if (recentChanges >= POLICY.busyChanges) {
+    hours /= 2;
+  } else if (lastChange === null || now - lastChange >= POLICY.stableDays * DAY_MS) {
+    hours *= 1.5;
+  }
+
+  return Math.min(hours, POLICY.maxIntervalHours);
+}
+
+function formatHours(hours) {
+  return hours >= 48 ? `${Math.round(hours / 24)}d` : `${Math.round(hours)}h`;
+}
+
+/**
+ * Stable hash of a source's scraped data, ignoring fields that change every run,
+ * so scrape_state can tell when the data itself changed
+ */
+function fingerprint(data) {
+  const volatile = new Set(['lastUpdated', 'scrapedAt', 'timestamp', 'duration']);
+  const normalize = (value) => {
+    if (Array.isArray(value)) return value.map(normalize);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.keys(value).filter(k => !volatile.has(k)).sort().map(k => [k, normalize(value[k])]));
+    }
+    return value;
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(normalize(data ?? null))).digest('hex');
+}
+
+/**
+ * One-line summary of a plan for the run log
+ */
+function summarizePlan(plan) {
+  const decisions = Object.values(plan);
+  const ceBroker = decisions.map(d => d.ceBroker).filter(Boolean);
+  const platforms = decisions.flatMap(d => Object.values(d.platforms));
+  const due = list => list.filter(d => d.scrape).length;
+  return `CE Broker ${due(ceBroker)}/${ceBroker.length} due, platforms ${due(platforms)}/${platforms.length} due`;
+}
+
+module.exports = {
+  CE_BROKER,
+  POLICY,
+  planScrape,
+  refreshIntervalHours,
+  fingerprint,
+  summarizePlan,
+};
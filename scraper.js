@@ -1,16 +1,50 @@
 // scraper.js — Playwright login + CE Broker (Propelus) data scraping
 
-const fs = require('fs');
-const path = require('path');
 const { chromium } = require('playwright');
-const { logger, sleep, screenshotOnError } = require('./utils');
+const { logger, sleep } = require('./utils');
 const { recordSuccess, recordFailure } = require('./credential-health');
+const { newScrapeContext } = require('./scrape-fixtures');
+const { captureFailure, startTraceAfterLogin } = require('./evidence');
+const { defineAnchors, checkAnchors } = require('./layout-drift');
+const { loadSession, saveSession, clearSession } = require('./session-store');
+const { passChallenge } = require('./login-challenges');
+const { attachCertificates } = require('./certificates');
+const { getPlatformConfig } = require('./platform-registry');
 
 // ─── Platform Registry ────────────────────────────────────────────────────────
 
-const platformsPath = path.join(__dirname, 'platforms.json');
-const platforms = JSON.parse(fs.readFileSync(platformsPath, 'utf8'));
-const cebrokerConfig = platforms.cebroker;
+const cebrokerConfig = getPlatformConfig('CE Broker');
+
+// ─── Layout Anchors ──────────────────────────────────────────────────────────
+// What each CE Broker page must show for the scraper to work (layout-drift.js)
+
+// The provider name header, shown once logged in
+const PROVIDER_HEADER = '.lic-navbar-name, h1.provider-name, [data-testid="provider-name"]';
+
+const CE_BROKER_ANCHORS = defineAnchors('CE Broker', {
+  usernameField: { page: 'login', selector: 'input[name="username"]', description: 'login username field' },
+  passwordField: { page: 'password', selector: 'input[name="password"]', description: 'login password field' },
+  providerName: { page: 'overview', selector: PROVIDER_HEADER, description: 'provider name header' },
+  licenseState: { page: 'overview', text: /State\s*\n/, description: '"State" overview label' },
+  ceCycle: { page: 'overview', text: /CE Cycle\s*\n/, description: '"CE Cycle" overview label' },
+  licenseNumber: { page: 'overview', text: /License #\s*\n/, description: '"License #" overview label' },
+  transcriptTab: {
+    page: 'overview',
+    selector: 'a:has-text("REQUIREMENTS"), a:has-text("TRANSCRIPT")',
+    description: 'REQUIREMENTS / TRANSCRIPT tab',
+  },
+  hoursSummary: {
+    page: 'transcript',
+    anyOf: [
+      { text: /Hours Required\s*\n[\s\S]*Hours Posted\s*\n[\s\S]*Hours Needed/i },
+      { text: /Total Hours:/i },
+    ],
+    description: 'transcript hours summary',
+  },
+  subjectRows: { page: 'transcript', selector: 'table tbody tr', description: 'subject area table' },
+  coursePager: { page: 'courses', selector: '.eui-pager', description: 'course history pager' },
+  courseHours: { page: 'courses', selector: 'p.course-hours', description: 'course hours entries', required: false },
+});
 
 // ─── Browser Launch ──────────────────────────────────────────────────────────
 
@@ -37,6 +71,17 @@ function classifyLoginError(error, pageContent = '') {
   const msg = (error?.message || '').toLowerCase();
   const content = pageContent.toLowerCase();
 
+  // A verification code was asked for but not given, or not accepted (login-challenges.js)
+  if (error?.challenge) {
+    return {
+      code: 'mfa_required',
+      message: error.challenge.outcome === 'rejected'
+        ? 'Verification code was rejected'
+        : 'Verification code was not entered in time',
+      action: 'Enter the code when the next run asks for it (dashboard Run History, terminal, or OTP_DROP_DIR)'
+    };
+  }
+
   // Check for invalid credentials (wrong password)
   if (content.includes('invalid') || content.includes('incorrect') ||
       content.includes('wrong password') || content.includes('password is incorrect') ||
@@ -120,13 +165,36 @@ function classifyLoginError(error, pageContent = '') {
   };
 }
 
+/**
+ * Open the dashboard with a saved session (session-store.js). Returns false —
+ * with the session forgotten and the context's cookies cleared, ready for a
+ * full login — when CE Broker shows the login form instead.
+ */
+async function resumeSession(page, name) {
+  try {
+    await page.goto(cebrokerConfig.urls.dashboard, { waitUntil: 'domcontentloaded', timeout: 30000 });
+    await page.waitForSelector(`${PROVIDER_HEADER}, input[name="username"]`, { timeout: 20000 });
+    if (!page.url().includes('/login') && await page.locator(PROVIDER_HEADER).count() > 0) {
+      logger.success(`Resumed saved session for ${name}`);
+      return true;
+    }
+    logger.info(`  Saved session for ${name} has expired — logging in`);
+  } catch (err) {
+    logger.warn(`  Could not resume saved session for ${name}: ${err.message} — logging in`);
+  }
+  clearSession(name, 'CE Broker');
+  await page.context().clearCookies();
+  return false;
+}
+
 /**
  * Two-step login on launchpad.cebroker.com/login:
  *   Step 1 → fill username → click Continue
  *   Step 2 → fill password → click Log in
  *
  * Returns an open page on the dashboard, throws on failure.
- * Retries up to MAX_LOGIN_RETRIES times on failure.
+ * Retries up to MAX_LOGIN_RETRIES times on failure. The first attempt reuses
+ * the provider's saved session when there is one, and a successful login saves it.
  */
 async function loginProvider(browser, provider) {
   const { name, username, password } = provider;
@@ -135,11 +203,17 @@ async function loginProvider(browser, provider) {
   let lastError;
 
   for (let attempt = 1; attempt <= MAX_LOGIN_RETRIES; attempt++) {
-    const context = await browser.newContext({
+    const savedSession = attempt === 1 ? loadSession(name, 'CE Broker') : null;
+    const context = await newScrapeContext(browser, {
       viewport: { width: 1400, height: 900 },
       userAgent:
         'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 ' +
         '(KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36',
+      ...(savedSession && { storageState: savedSession }),
+    }, {
+      source: 'CE Broker',
+      providerName: name,
+      secrets: { username, password, email: provider.email, phone: provider.phone },
     });
     const page = await context.newPage();
 
@@ -149,6 +223,13 @@ async function loginProvider(browser, provider) {
         await sleep(1000);
       }
 
+      if (savedSession && await resumeSession(page, name)) {
+        await startTraceAfterLogin(page);
+        recordSuccess(name, 'CE Broker');
+        await saveSession(context, name, 'CE Broker');   // refreshed cookies
+        return page;
+      }
+
       await page.goto(cebrokerConfig.urls.login, {
         waitUntil: 'domcontentloaded',
         timeout: 30000,
@@ -156,13 +237,21 @@ async function loginProvider(browser, provider) {
       await sleep(1500);
 
       // Step 1 — username
-      await page.waitForSelector('input[name="username"]', { timeout: 15000 });
+      try {
+        await page.waitForSelector('input[name="username"]', { timeout: 15000 });
+      } finally {
+        await checkAnchors(page, CE_BROKER_ANCHORS, name, 'login');
+      }
       await page.fill('input[name="username"]', username);
       await sleep(400);
       await page.click('button[type="submit"]');   // "Continue"
 
       // Step 2 — password (same URL, SPA reveals the field)
-      await page.waitForSelector('input[name="password"]', { timeout: 15000 });
+      try {
+        await page.waitForSelector('input[name="password"]', { timeout: 15000 });
+      } finally {
+        await checkAnchors(page, CE_BROKER_ANCHORS, name, 'password');
+      }
       await sleep(400);
       await page.fill('input[name="password"]', password);
       await sleep(300);
@@ -170,6 +259,7 @@ async function loginProvider(browser, provider) {
 
       // Handle "Security Update" prompt if it appears (skip email verification)
       await sleep(2000);
+      await startTraceAfterLogin(page);   // the password is sent: trace from here on
       try {
         const skipBtn = page.locator('button:has-text("Skip for now")');
         if (await skipBtn.isVisible({ timeout: 3000 }).catch(() => false)) {
@@ -179,6 +269,9 @@ async function loginProvider(browser, provider) {
         }
       } catch { /* No security prompt — continue */ }
 
+      // One-time passcode / emailed code: ask for it and continue with it
+      await passChallenge(page, { providerName: name, source: 'CE Broker' });
+
       // Wait for URL to reach the licensees dashboard (handles redirect via /login?redirect_to=...)
       await page.waitForURL(
         u => u.toString().includes(cebrokerConfig.urls.dashboard.replace('https://', '')) && !u.toString().includes('/login'),
@@ -188,6 +281,7 @@ async function loginProvider(browser, provider) {
 
       logger.success(`Logged in as ${name}`);
       recordSuccess(name, 'CE Broker');
+      await saveSession(context, name, 'CE Broker');
       return page;
 
     } catch (err) {
@@ -205,9 +299,12 @@ async function loginProvider(browser, provider) {
       const classified = classifyLoginError(err, pageContent);
       lastError.classified = classified;
 
-      await screenshotOnError(page, name, `login_error_attempt${attempt}`);
+      await captureFailure(page, { providerName: name, source: 'CE Broker', label: `login_error_attempt${attempt}`, error: lastError });
       try { await context.close(); } catch { /* Context may already be closed */ }
 
+      // Logging in again would only ask for another code
+      if (err.challenge) break;
+
       if (attempt < MAX_LOGIN_RETRIES) {
         logger.warn(`Login attempt ${attempt}/${MAX_LOGIN_RETRIES} failed for ${name}: ${classified.message}. Retrying in 3s...`);
         await sleep(3000);
@@ -236,9 +333,10 @@ async function loginProvider(browser, provider) {
  *
  * @param {import('playwright').Page} page
  * @param {{ name: string, type: string }} provider
+ * @param {{ onStage?: Function }} [options] - onStage('courses') fires before course history
  * @returns {Promise<LicenseRecord[]>}
  */
-async function scrapeLicenseData(page, provider) {
+async function scrapeLicenseData(page, provider, { onStage = () => {} } = {}) {
   logger.info(`Scraping CEU data for ${provider.name}...`);
   const records = [];
 
@@ -250,7 +348,7 @@ async function scrapeLicenseData(page, provider) {
 
     if (licenseIds.length === 0) {
       // Scrape whatever is currently showing
-      const rec = await scrapeCurrentLicense(page, provider);
+      const rec = await scrapeCurrentLicense(page, provider, onStage);
       if (rec) records.push(rec);
     } else {
       for (const licId of licenseIds) {
@@ -258,12 +356,12 @@ async function scrapeLicenseData(page, provider) {
         const licUrl = `${cebrokerConfig.urls.dashboard}/license/${licId}/overview`;
         await page.goto(licUrl, { waitUntil: 'domcontentloaded', timeout: 20000 });
         await sleep(2500);
-        const rec = await scrapeCurrentLicense(page, provider);
+        const rec = await scrapeCurrentLicense(page, provider, onStage);
         if (rec) records.push(rec);
       }
     }
   } catch (err) {
-    await screenshotOnError(page, provider.name, 'scrape_error');
+    await captureFailure(page, { providerName: provider.name, source: 'CE Broker', label: 'scrape_error', error: err });
     logger.error(`Scrape error for ${provider.name}: ${err.message}`);
   }
 
@@ -323,13 +421,13 @@ async function getLicenseIds(page) {
 /**
  * Scrape the license currently shown on screen (Overview tab must be active).
  */
-async function scrapeCurrentLicense(page, provider) {
+async function scrapeCurrentLicense(page, provider, onStage = () => {}) {
   // ── Provider name ─────────────────────────────────────────────────────────
   let providerName = provider.name;
   try {
     // The name appears in e.g. <span class="lic-navbar-name">Bryana Anderson</span>
     // or in a top-level heading — try a few selectors
-    const nameEl = page.locator('.lic-navbar-name, h1.provider-name, [data-testid="provider-name"]').first();
+    const nameEl = page.locator(PROVIDER_HEADER).first();
     if (await nameEl.isVisible({ timeout: 2000 }).catch(() => false)) {
       providerName = (await nameEl.textContent() || '').trim() || providerName;
     }
@@ -345,6 +443,7 @@ async function scrapeCurrentLicense(page, provider) {
   const state           = stateMatch  ? stateMatch[1].trim()  : null;
   const cycleStr        = cycleMatch  ? cycleMatch[1].trim()  : null;
   const renewalDeadline = cycleStr ? cycleStr.split(' - ')[1] : null; // end of CE cycle
+  const cycleId         = parseCycle(cycleStr)?.cycleId ?? null;
   const licenseNumber   = licNumMatch ? licNumMatch[1].trim() : null;
 
   // ── License ID from the current page URL ──────────────────────────────────
@@ -363,7 +462,10 @@ async function scrapeCurrentLicense(page, provider) {
 
   // ── Requirements tab — get required hours & subject areas ─────────────────
   let hoursRequired  = null;
+  let hoursPosted    = null;
+  let hoursNeeded    = null;
   const subjectAreas = [];
+  let priorCycles    = [];
 
   try {
     // Dismiss any Pendo tutorial overlay that intercepts clicks
@@ -371,7 +473,11 @@ async function scrapeCurrentLicense(page, provider) {
 
     // Both Basic ("REQUIREMENTS") and Professional ("TRANSCRIPT") accounts link to
     // the same transcript page — just the tab label differs.
-    await page.waitForSelector('a:has-text("REQUIREMENTS"), a:has-text("TRANSCRIPT")', { timeout: 15000 });
+    try {
+      await page.waitForSelector('a:has-text("REQUIREMENTS"), a:has-text("TRANSCRIPT")', { timeout: 15000 });
+    } finally {
+      await checkAnchors(page, CE_BROKER_ANCHORS, provider.name, 'overview');
+    }
     const tabLink = page.locator('a:has-text("REQUIREMENTS"), a:has-text("TRANSCRIPT")').first();
     const tabHref = await tabLink.getAttribute('href').catch(() => null);
     if (tabHref) {
@@ -384,60 +490,18 @@ async function scrapeCurrentLicense(page, provider) {
     }
     await sleep(2000);
 
-    // ── Professional accounts: summary numbers shown at top of transcript ──
-    // Layout: "24\nHours Required\n45\nHours Posted\n6\nHours Needed"
-    const transcriptBody = await page.locator('body').innerText().catch(() => '');
-    const proSummaryMatch = transcriptBody.match(
-      /(\d+(?:\.\d+)?)\s*\n\s*Hours Required\s*\n\s*(\d+(?:\.\d+)?)\s*\n\s*Hours Posted\s*\n\s*(\d+(?:\.\d+)?)\s*\n\s*Hours Needed/i
-    );
-    if (proSummaryMatch) {
-      hoursRequired = parseFloat(proSummaryMatch[1]);
-      // For Professional accounts use the transcript's own Posted & Needed values;
-      // they're more accurate than summing raw course history.
-      const postedOverride  = parseFloat(proSummaryMatch[2]);
-      const neededOverride  = parseFloat(proSummaryMatch[3]);
-      // We'll store these on the record after this block via the outer scope vars.
-      // Pass them out via a small side-channel on the subjectAreas array.
-      subjectAreas._proHoursCompleted = postedOverride;
-      subjectAreas._proHoursRemaining = neededOverride;
-    }
-
-    // ── Subject area table rows ────────────────────────────────────────────
-    // Basic:        TD[0]=name  TD[1]=required   TD[2]= (empty)  TD[3]= (empty)
-    // Professional: TD[0]=name  TD[1]=required   TD[2]=posted    TD[3]=needed
-    const reqRows = await page.locator('table tbody tr').all();
-    for (const row of reqRows) {
-      const tds = await row.locator('td').all();
-      if (tds.length < 2) continue;
-      const rawName  = (await tds[0].textContent().catch(() => '')).trim();
-      // The name cell may contain course sub-rows — keep only the first line
-      const subjectName = rawName.split('\n')[0].trim();
-      const reqHoursStr = (await tds[1].textContent().catch(() => '')).trim();
-      const reqH        = parseFloat(reqHoursStr);
-      if (!subjectName || subjectName.toLowerCase().startsWith('total') || isNaN(reqH)) continue;
-
-      const postedStr = tds[2] ? (await tds[2].textContent().catch(() => '')).trim() : '';
-      const neededStr = tds[3] ? (await tds[3].textContent().catch(() => '')).trim() : '';
-      const posted    = parseFloat(postedStr);
-      const needed    = parseFloat(neededStr);
-
-      subjectAreas.push({
-        topicName:      subjectName,
-        hoursRequired:  reqH,
-        hoursCompleted: isNaN(posted) ? null : posted,
-        hoursNeeded:    isNaN(needed) ? null : needed,
-      });
-    }
+    await checkAnchors(page, CE_BROKER_ANCHORS, provider.name, 'transcript');
+    const transcript = await readTranscript(page);
+    hoursRequired = transcript.hoursRequired;
+    hoursPosted   = transcript.hoursPosted;
+    hoursNeeded   = transcript.hoursNeeded;
+    subjectAreas.push(...transcript.subjectAreas);
 
-    // ── Total hours — prefer the summary row over individual sums ─────────
-    if (hoursRequired === null) {
-      // Basic accounts: parse "Total Hours:\t50\t-\t-" from page text
-      const totalMatch = transcriptBody.match(/Total Hours:\s*([\d.]+)/i);
-      if (totalMatch) hoursRequired = parseFloat(totalMatch[1]);
-    }
-    // Still null → sum from subject areas
-    if (hoursRequired === null && subjectAreas.length > 0) {
-      hoursRequired = subjectAreas.reduce((s, a) => s + (a.hoursRequired || 0), 0);
+    // ── Earlier cycles, from the transcript's cycle picker ─────────────────
+    try {
+      priorCycles = await scrapePriorCycles(page, provider, cycleId);
+    } catch (cycleErr) {
+      logger.warn(`Cycle history error for ${provider.name}: ${cycleErr.message}`);
     }
 
   } catch (reqErr) {
@@ -458,16 +522,18 @@ async function scrapeCurrentLicense(page, provider) {
   } catch { /* may already be on overview */ }
 
   // ── Scrape course history ─────────────────────────────────────────────────
+  onStage('courses');
   // For Professional accounts the transcript already gives accurate totals.
   // We still attempt to collect individual course records for both account types.
-  let hoursCompleted = subjectAreas._proHoursCompleted ?? null;
-  let hoursRemaining = subjectAreas._proHoursRemaining ?? null;
+  let hoursCompleted = hoursPosted;
+  let hoursRemaining = hoursNeeded;
   let completedCourses = [];
 
   if (hoursCompleted === null) {
     // Basic account — navigate to Overview first, then paginate course history
+    await checkAnchors(page, CE_BROKER_ANCHORS, provider.name, 'courses');
     try {
-      const result = await scrapeCourseHistory(page);
+      const result = await scrapeCourseHistory(page, provider.name);
       hoursCompleted   = result.total;
       completedCourses = result.courses;
     } catch (histErr) {
@@ -477,7 +543,7 @@ async function scrapeCurrentLicense(page, provider) {
     logger.info(`  Using Professional transcript totals (skipping course history pagination)`);
     // Professional: try to collect courses from the transcript page we're already on
     try {
-      const result = await scrapeCourseHistory(page);
+      const result = await scrapeCourseHistory(page, provider.name);
       if (result.courses.length > 0) completedCourses = result.courses;
     } catch { /* not available on this page — ok */ }
   }
@@ -498,22 +564,91 @@ async function scrapeCurrentLicense(page, provider) {
     licenseNumber,
     licenseId,
     renewalDeadline,
+    cycleId,
     hoursRequired,
     hoursCompleted,
     hoursRemaining,
     lastUpdated:   new Date().toLocaleDateString('en-US'),
     subjectAreas,
     completedCourses,
+    priorCycles,
     providerEmail: provider.email || (provider.username?.includes('@') ? provider.username : null),
     providerPhone: provider.phone || null,
   };
 }
 
 /**
- * Paginate through course history and collect individual course records.
- * Returns { total: number, courses: Array<{ name, hours, date, category }> }
+ * Read the requirement breakdown of the CE cycle the transcript page is showing.
+ * Professional accounts show Required / Posted / Needed totals at the top and
+ * posted hours per subject; Basic accounts only show what is required.
+ * @returns {Promise<{ hoursRequired:number|null, hoursPosted:number|null, hoursNeeded:number|null, subjectAreas:object[] }>}
  */
-async function scrapeCourseHistory(page) {
+async function readTranscript(page) {
+  let hoursRequired = null;
+  let hoursPosted   = null;
+  let hoursNeeded   = null;
+  const subjectAreas = [];
+
+  // ── Professional accounts: summary numbers shown at top of transcript ──
+  // Layout: "24\nHours Required\n45\nHours Posted\n6\nHours Needed"
+  // These are more accurate than summing raw course history.
+  const transcriptBody = await page.locator('body').innerText().catch(() => '');
+  const proSummaryMatch = transcriptBody.match(
+    /(\d+(?:\.\d+)?)\s*\n\s*Hours Required\s*\n\s*(\d+(?:\.\d+)?)\s*\n\s*Hours Posted\s*\n\s*(\d+(?:\.\d+)?)\s*\n\s*Hours Needed/i
+  );
+  if (proSummaryMatch) {
+    hoursRequired = parseFloat(proSummaryMatch[1]);
+    hoursPosted   = parseFloat(proSummaryMatch[2]);
+    hoursNeeded   = parseFloat(proSummaryMatch[3]);
+  }
+
+  // ── Subject area table rows ────────────────────────────────────────────
+  // Basic:        TD[0]=name  TD[1]=required   TD[2]= (empty)  TD[3]= (empty)
+  // Professional: TD[0]=name  TD[1]=required   TD[2]=posted    TD[3]=needed
+  const reqRows = await page.locator('table tbody tr').all();
+  for (const row of reqRows) {
+    const tds = await row.locator('td').all();
+    if (tds.length < 2) continue;
+    const rawName  = (await tds[0].textContent().catch(() => '')).trim();
+    // The name cell may contain course sub-rows — keep only the first line
+    const subjectName = rawName.split('\n')[0].trim();
+    const reqHoursStr = (await tds[1].textContent().catch(() => '')).trim();
+    const reqH        = parseFloat(reqHoursStr);
+    if (!subjectName || subjectName.toLowerCase().startsWith('total') || isNaN(reqH)) continue;
+
+    const postedStr = tds[2] ? (await tds[2].textContent().catch(() => '')).trim() : '';
+    const neededStr = tds[3] ? (await tds[3].textContent().catch(() => '')).trim() : '';
+    const posted    = parseFloat(postedStr);
+    const needed    = parseFloat(neededStr);
+
+    subjectAreas.push({
+      topicName:      subjectName,
+      hoursRequired:  reqH,
+      hoursCompleted: isNaN(posted) ? null : posted,
+      hoursNeeded:    isNaN(needed) ? null : needed,
+    });
+  }
+
+  // ── Total hours — prefer the summary row over individual sums ─────────
+  if (hoursRequired === null) {
+    // Basic accounts: parse "Total Hours:\t50\t-\t-" from page text
+    const totalMatch = transcriptBody.match(/Total Hours:\s*([\d.]+)/i);
+    if (totalMatch) hoursRequired = parseFloat(totalMatch[1]);
+  }
+  // Still null → sum from subject areas
+  if (hoursRequired === null && subjectAreas.length > 0) {
+    hoursRequired = subjectAreas.reduce((s, a) => s + (a.hoursRequired || 0), 0);
+  }
+
+  return { hoursRequired, hoursPosted, hoursNeeded, subjectAreas };
+}
+
+/**
+ * Paginate through course history and collect individual course records,
+ * downloading any linked certificates (certificates.js).
+ * Returns { total: number, courses: Array<{ name, hours, date, category, certificateUrl? }> }
+ */
+async function scrapeCourseHistory(page, providerName) {
   let total = 0;
   const courses = [];
 
@@ -575,7 +710,10 @@ async function scrapeCourseHistory(page) {
         );
         const category = catEl ? (catEl.textContent || '').trim().split('\n')[0].trim() : '';
 
-        items.push({ name: name.substring(0, 200), hours, date, category });
+        // Certificate: a download link on the entry, when the course has one
+        const certLink = block.querySelector('a[href*="certificate" i], a[href$=".pdf" i]');
+
+        items.push({ name: name.substring(0, 200), hours, date, category, certificateHref: certLink ? certLink.href : null });
       });
       return items;
     });
@@ -596,7 +734,96 @@ async function scrapeCourseHistory(page) {
     if (page_num > 20) break;
   }
 
-  return { total, courses };
+  return { total, courses: await attachCertificates(page, courses, { providerName, source: 'CE Broker' }) };
+}
+
+// ─── CE Cycles ───────────────────────────────────────────────────────────────
+// The transcript shows one CE cycle at a time; a cycle picker above it lists the
+// license's earlier cycles. Each cycle is identified by its dates
+// ("YYYY-MM-DD/YYYY-MM-DD"), so the database can archive it once a renewal
+// rolls over. CE_PRIOR_CYCLES caps how many earlier cycles are read (0: none).
+
+const DEFAULT_PRIOR_CYCLES = 3;
+const CYCLE_RANGE  = /(\d{1,2})\/(\d{1,2})\/(\d{4})\s*-\s*(\d{1,2})\/(\d{1,2})\/(\d{4})/;
+const CYCLE_PICKER = '[class*="cycle"] .eui-select-trigger, [data-testid="cycle-selector"] .eui-select-trigger';
+const CYCLE_OPTION = 'a.eui-dropdown-item, button.eui-dropdown-item, li.eui-dropdown-item';
+
+function priorCycleLimit() {
+  const limit = parseInt(process.env.CE_PRIOR_CYCLES, 10);
+  return limit >= 0 ? limit : DEFAULT_PRIOR_CYCLES;
+}
+
+/**
+ * Dates of a CE cycle label like "01/01/2022 - 12/31/2023"
+ * @returns {{ cycleId:string, startDate:string, endDate:string }|null} ISO dates
+ */
+function parseCycle(label) {
+  const m = String(label || '').match(CYCLE_RANGE);
+  if (!m) return null;
+  const iso = (mo, day, yr) => `${yr}-${mo.padStart(2, '0')}-${day.padStart(2, '0')}`;
+  const startDate = iso(m[1], m[2], m[3]);
+  const endDate   = iso(m[4], m[5], m[6]);
+  return { cycleId: `${startDate}/${endDate}`, startDate, endDate };
+}
+
+/**
+ * Read the license's earlier CE cycles through the transcript's cycle picker,
+ * newest first (the transcript page must be showing). Leaves the picker on the
+ * last cycle read — callers navigate away afterwards.
+ * @param {string|null} currentCycleId - skipped; it was read already
+ * @returns {Promise<Array<{ cycleId, startDate, endDate, hoursRequired, hoursCompleted, hoursRemaining, subjectAreas, completedCourses }>>}
+ */
+async function scrapePriorCycles(page, provider, currentCycleId) {
+  const limit = priorCycleLimit();
+  if (limit === 0) return [];
+  const picker = page.locator(CYCLE_PICKER).first();
+  if (!await picker.isVisible({ timeout: 3000 }).catch(() => false)) return [];
+
+  await picker.click();
+  await sleep(600);
+  const labels = await page.locator(CYCLE_OPTION).allTextContents().catch(() => []);
+  await page.keyboard.press('Escape');
+  await sleep(400);
+
+  const seen = new Set([currentCycleId]);
+  const prior = labels
+    .map(label => ({ label: label.trim(), ...parseCycle(label) }))
+    .filter(c => c.cycleId && !seen.has(c.cycleId) && seen.add(c.cycleId))
+    .sort((a, b) => b.endDate.localeCompare(a.endDate))
+    .slice(0, limit);
+
+  const cycles = [];
+  for (const c of prior) {
+    try {
+      await dismissPendo(page);
+      await picker.click();
+      await sleep(600);
+      await page.locator(CYCLE_OPTION).filter({ hasText: c.label }).first().click();
+      await sleep(2000);
+
+      const transcript = await readTranscript(page);
+      const history = await scrapeCourseHistory(page, provider.name).catch(() => ({ total: 0, courses: [] }));
+      const hoursCompleted = transcript.hoursPosted ?? (history.courses.length > 0 ? history.total : null);
+      const hoursRemaining = transcript.hoursNeeded
+        ?? (transcript.hoursRequired !== null && hoursCompleted !== null ? Math.max(0, transcript.hoursRequired - hoursCompleted) : null);
+
+      cycles.push({
+        cycleId:          c.cycleId,
+        startDate:        c.startDate,
+        endDate:          c.endDate,
+        hoursRequired:    transcript.hoursRequired,
+        hoursCompleted,
+        hoursRemaining,
+        subjectAreas:     transcript.subjectAreas,
+        completedCourses: history.courses,
+      });
+      logger.info(`  Cycle ${c.label} — Req: ${transcript.hoursRequired ?? '?'}h  Posted: ${hoursCompleted ?? '?'}h`);
+    } catch (err) {
+      logger.warn(`Cycle ${c.label} for ${provider.name}: ${err.message}`);
+      await page.keyboard.press('Escape').catch(() => {});
+    }
+  }
+  return cycles;
 }
 
 // ─── Helpers ─────────────────────────────────────────────────────────────────
@@ -631,12 +858,14 @@ function emptyRecord(provider) {
     licenseNumber:    null,
     licenseId:        null,
     renewalDeadline:  null,
+    cycleId:          null,
     hoursRequired:    null,
     hoursCompleted:   null,
     hoursRemaining:   null,
     lastUpdated:      null,
     subjectAreas:     [],
     completedCourses: [],
+    priorCycles:      [],
     providerEmail:    provider.email || (provider.username?.includes('@') ? provider.username : null),
     providerPhone:    provider.phone || null,
   };
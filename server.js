@@ -3,18 +3,370 @@
 const express = require('express');
 const path    = require('path');
 const fs      = require('fs');
-const { loadJson } = require('./utils');
+const crypto  = require('crypto');
+const { loadJson, parseDate, daysUntil, licenseStatus, providerStatus } = require('./utils');
+const {
+  getComplianceAsOf, getProviders, getProvider, getProviderCourses, getCertificates,
+  getLoginThrottle, saveLoginThrottle, recordLoginAudit, getLoginAudit,
+  getEvidenceRuns, getRunEvidence, getEvidence,
+  getPendingLoginChallenges, getLoginChallenge, answerLoginChallenge,
+  getCourseImport, listCourseImports, getCourseMergeReviews,
+} = require('./database');
+const { calculateRisk } = require('./risk-prediction');
+const { getStateName } = require('./license-scraper');
+const {
+  SESSION_COOKIE, PUBLIC_PATHS, loadAuthConfig, login, ssoLogin, verifySession, canAccess, homePath,
+  getCookie, sessionCookie, clearSessionCookie, oidcStateCookie, clearOidcStateCookie, readOidcState,
+  oidcRedirectUri, loginOptions, loginPage,
+} = require('./auth');
+const { OidcError, authorizationRequest, completeAuthorization } = require('./oidc');
+const { loadUsersFile } = require('./users');
+const { checkLogin, recordLogin } = require('./login-guard');
+const { waitForQueue, triggerManualScrape, getJob, getRecentJobs, subscribeToJob } = require('./job-queue');
+const { getRunLock, describeLock } = require('./run-lock');
+const { retentionDays, resolveEvidenceFile } = require('./evidence');
+const { resolveCertificate } = require('./certificates');
+const { ImportError, stageImport, confirmImport, discardImport, sourcePath } = require('./course-import');
+const { ReviewError, decideReview } = require('./course-dedupe');
 
 const app  = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1 or "loopback") so req.ip is the
+// client address — sign-in throttling is per IP.
+if (process.env.TRUST_PROXY) app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+
 const DASHBOARD_FILE = path.join(__dirname, 'dashboard.html');
 const CMO_FILE       = path.join(__dirname, 'cmo.html');
 const HISTORY_FILE   = path.join(__dirname, 'history.json');
 const LAST_RUN_FILE  = path.join(__dirname, 'last_run.json');
+// Only public/ is served as-is (as on Vercel) — the repo root holds users.json,
+// the database and the source, none of which a viewer should be able to fetch.
+const PUBLIC_DIR     = path.join(__dirname, 'public');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE     = 200;
+const STATUSES = ['Complete', 'At Risk', 'In Progress', 'Unknown'];
+const SSE_HEARTBEAT_MS = 15000;
+
+// ── Auth ──────────────────────────────────────────────────────────────────────
+// The same gate as middleware.js (accounts, roles and sessions live in auth.js),
+// applied to every route including static files, so a local server behaves like
+// the Vercel deployment. People sign in with a local account (POST /__auth) or
+// through the company identity provider (/__oidc/login, see oidc.js). HR tooling
+// can send CEU_API_TOKEN as a bearer token instead; it gets read-only (compliance
+// viewer) access to /api/*.
+
+// users.json is re-read per request so `node users.js revoke` applies immediately
+function authConfig() {
+  return loadAuthConfig(process.env, process.env.CEU_USERS ? null : loadUsersFile());
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function sendLoginPage(res, auth, { error = false, username = '', retryAfter = 0, message = '', status = null } = {}) {
+  if (retryAfter > 0) res.set('Retry-After', String(retryAfter));
+  res.status(status || (retryAfter > 0 ? 429 : error ? 401 : 200))
+    .set({ 'Cache-Control': 'no-store', 'X-Robots-Tag': 'noindex, nofollow' })
+    .type('html')
+    .send(loginPage({ ...loginOptions(auth), error, username, retryAfter, message }));
+}
+
+// Sign-in throttling and audit events are kept in SQLite (see login-guard.js)
+const loginStore = {
+  async getThrottle(key) { return getLoginThrottle(key); },
+  async setThrottle(key, state) { saveLoginThrottle(key, state); },
+  async appendAudit(event) { recordLoginAudit(event); },
+  async recentAudit(options) { return getLoginAudit(options); },
+};
+
+async function handleSignIn(req, res, auth) {
+  const attempt = {
+    ip: req.ip,
+    username: String(req.body?.username || ''),
+    userAgent: req.get('user-agent') || null,
+  };
+
+  const gate = await checkLogin(loginStore, attempt);
+  if (!gate.allowed) {
+    await recordLogin(loginStore, { ...attempt, outcome: 'locked' });
+    return sendLoginPage(res, auth, { username: attempt.username, retryAfter: gate.retryAfter });
+  }
+
+  const session = await login(auth, attempt.username, String(req.body?.password || ''));
+  if (!session) {
+    await recordLogin(loginStore, { ...attempt, outcome: 'failure' });
+    return sendLoginPage(res, auth, { error: true, username: attempt.username });
+  }
+
+  await recordLogin(loginStore, { ...attempt, outcome: 'success', role: session.user.role });
+  res.set('Set-Cookie', sessionCookie(session.token, session.maxAge, { secure: req.secure }));
+  return res.redirect(303, homePath(session.user.role));
+}
+
+function requestOrigin(req) {
+  return `${req.protocol}://${req.get('host')}`;
+}
+
+const SSO_UNREACHABLE = 'Could not reach the identity provider. Please try again shortly.';
+
+// GET /__oidc/login — send the browser to the identity provider
+async function startSso(req, res, auth) {
+  let request;
+  try {
+    request = await authorizationRequest(auth.oidc, oidcRedirectUri(auth, requestOrigin(req)));
+  } catch (err) {
+    console.log(`[OIDC] ${err.message}`);
+    return sendLoginPage(res, auth, { message: SSO_UNREACHABLE, status: 502 });
+  }
+  const { url, state } = request;
+  res.set('Cache-Control', 'no-store');
+  res.set('Set-Cookie', await oidcStateCookie(auth, state, { secure: req.secure }));
+  return res.redirect(303, url);
+}
+
+// GET /__oidc/callback — the identity provider sends the browser back here
+async function finishSso(req, res, auth) {
+  const cookieOptions = { secure: req.secure };
+  const attempt = { ip: req.ip, username: '', userAgent: req.get('user-agent') || null, method: 'oidc' };
+  res.set('Set-Cookie', clearOidcStateCookie(cookieOptions));
+
+  const saved = await readOidcState(auth, req.get('cookie'));
+  if (req.query.error || !saved || req.query.state !== saved.state || typeof req.query.code !== 'string') {
+    const message = req.query.error
+      ? `Single sign-on was cancelled or refused (${req.query.error}).`
+      : 'Your single sign-on session expired. Please try again.';
+    await recordLogin(loginStore, { ...attempt, outcome: 'failure' });
+    return sendLoginPage(res, auth, { message, status: 400 });
+  }
+
+  let identity;
+  try {
+    identity = await completeAuthorization(auth.oidc, {
+      code: req.query.code,
+      redirectUri: oidcRedirectUri(auth, requestOrigin(req)),
+      expected: saved,
+    });
+  } catch (err) {
+    if (!(err instanceof OidcError)) {
+      console.log(`[OIDC] ${err.message}`);
+      return sendLoginPage(res, auth, { message: SSO_UNREACHABLE, status: 502 });
+    }
+    await recordLogin(loginStore, { ...attempt, username: err.username || '', outcome: 'failure' });
+    return sendLoginPage(res, auth, { message: err.message, status: 403 });
+  }
+
+  const session = await ssoLogin(auth, identity);
+  await recordLogin(loginStore, { ...attempt, username: identity.username, outcome: 'success', role: identity.role });
+  res.append('Set-Cookie', sessionCookie(session.token, session.maxAge, cookieOptions));
+  return res.redirect(303, homePath(identity.role));
+}
+
+async function authGate(req, res, next) {
+  const isApi = req.path.startsWith('/api/');
+
+  const apiToken = process.env.CEU_API_TOKEN;
+  const bearer = (req.get('authorization') || '').match(/^Bearer\s+(.+)$/i)?.[1];
+  if (isApi && apiToken && bearer && safeEqual(bearer, apiToken)) {
+    if (!canAccess('compliance', req.method, req.path)) return res.status(403).json({ error: 'Forbidden' });
+    req.user = { username: 'api-token', name: 'API token', role: 'compliance' };
+    return next();
+  }
+
+  // Fail closed: if no accounts are configured, do NOT serve the data.
+  const auth = authConfig();
+  if (!auth) {
+    const message = 'Login is not configured. Set SESSION_SECRET and add users with node users.js add.';
+    return isApi ? res.status(503).json({ error: message }) : res.status(503).type('text').send(message);
+  }
+
+  if (PUBLIC_PATHS.has(req.path)) return next();
+
+  if (req.path === '/__auth' && req.method === 'POST') return handleSignIn(req, res, auth);
+  if (auth.oidc && req.path === '/__oidc/login') return startSso(req, res, auth);
+  if (auth.oidc && req.path === '/__oidc/callback') return finishSso(req, res, auth);
+
+  if (req.path === '/__logout') {
+    res.set('Set-Cookie', clearSessionCookie({ secure: req.secure }));
+    return res.redirect(303, '/');
+  }
+
+  const session = await verifySession(auth, getCookie(req.get('cookie'), SESSION_COOKIE));
+  if (!session) return isApi ? res.status(401).json({ error: 'Authentication required' }) : sendLoginPage(res, auth);
+
+  if (canAccess(session.role, req.method, req.path)) {
+    req.user = session;
+    return next();
+  }
+  if (req.path === '/' && req.method === 'GET') return res.redirect(303, homePath(session.role));
+  return isApi
+    ? res.status(403).json({ error: 'Forbidden' })
+    : res.status(403).type('text').send('You do not have access to this page.');
+}
+
+// ── Query Helpers ─────────────────────────────────────────────────────────────
+
+class QueryError extends Error {}
+
+function parseIntParam(value, name, { min = 0, max = Infinity } = {}) {
+  if (value === undefined) return undefined;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min || n > max) {
+    throw new QueryError(`${name} must be an integer between ${min} and ${max === Infinity ? 'any' : max}`);
+  }
+  return n;
+}
+
+function parseDateParam(value, name) {
+  if (value === undefined) return undefined;
+  const parsed = new Date(`${value}T00:00:00Z`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(parsed) || parsed.toISOString().slice(0, 10) !== value) {
+    throw new QueryError(`${name} must be a date in YYYY-MM-DD format`);
+  }
+  return value;
+}
+
+function parsePagination(query) {
+  return {
+    limit:  parseIntParam(query.limit, 'limit', { min: 1, max: MAX_PAGE_SIZE }) ?? DEFAULT_PAGE_SIZE,
+    offset: parseIntParam(query.offset, 'offset') ?? 0,
+  };
+}
+
+/** state / status / deadlineWithin / type, shared by /api/providers and /api/licenses */
+function parseFilters(query) {
+  for (const key of ['state', 'status', 'type']) {
+    if (query[key] !== undefined && typeof query[key] !== 'string') throw new QueryError(`${key} may only be given once`);
+  }
+  if (query.status !== undefined && !STATUSES.includes(query.status)) {
+    throw new QueryError(`status must be one of: ${STATUSES.join(', ')}`);
+  }
+  return {
+    state: query.state,
+    status: query.status,
+    type: query.type,
+    deadlineWithin: parseIntParam(query.deadlineWithin, 'deadlineWithin'),
+  };
+}
+
+/** CE Broker records use full state names; accept either "FL" or "Florida". */
+function matchesState(recordState, wanted) {
+  if (!wanted) return true;
+  const target = (recordState || '').toLowerCase();
+  return [wanted, getStateName(wanted.toUpperCase())].some(s => s.toLowerCase() === target);
+}
+
+function withinDeadline(license, days) {
+  return days === undefined ||
+    (license.daysUntilDeadline !== null && license.daysUntilDeadline >= 0 && license.daysUntilDeadline <= days);
+}
+
+/** Add the dashboard's status math to a CE Broker license record */
+function withStatus(license) {
+  return {
+    ...license,
+    status: licenseStatus(license),
+    daysUntilDeadline: daysUntil(parseDate(license.renewalDeadline)),
+  };
+}
+
+function summarizeProvider(p) {
+  const licenses = p.licenses.map(withStatus);
+  const upcoming = licenses
+    .filter(l => l.daysUntilDeadline !== null)
+    .sort((a, b) => a.daysUntilDeadline - b.daysUntilDeadline)[0];
+  return {
+    id: p.id,
+    name: p.name,
+    type: p.type,
+    status: providerStatus(p.licenses),
+    nextDeadline: upcoming ? upcoming.renewalDeadline : null,
+    daysUntilDeadline: upcoming ? upcoming.daysUntilDeadline : null,
+    hoursRemaining: licenses.reduce((sum, l) => sum + (l.hoursRemaining || 0), 0),
+    licenses,
+  };
+}
+
+function paginate(items, { limit, offset }) {
+  return { data: items.slice(offset, offset + limit), total: items.length, limit, offset };
+}
+
+/** Wrap a handler so QueryErrors become 400s */
+function handleQuery(handler) {
+  return (req, res, next) => {
+    try {
+      handler(req, res);
+    } catch (err) {
+      if (err instanceof QueryError) return res.status(400).json({ error: err.message });
+      next(err);
+    }
+  };
+}
+
+/** Like handleQuery, for async handlers; a down queue (no Redis) becomes a 503 */
+function handleQueue(handler) {
+  return async (req, res, next) => {
+    try {
+      await waitForQueue();
+    } catch (err) {
+      return res.status(503).json({ error: `Run queue unavailable: ${err.message}` });
+    }
+    try {
+      await handler(req, res);
+    } catch (err) {
+      if (err instanceof QueryError) return res.status(400).json({ error: err.message });
+      next(err);
+    }
+  };
+}
+
+/** Like handleQuery, for the async course import and review routes; an ImportError or ReviewError carries its status */
+function handleImport(handler) {
+  return async (req, res, next) => {
+    try {
+      await handler(req, res);
+    } catch (err) {
+      if (err instanceof QueryError) return res.status(400).json({ error: err.message });
+      if (err instanceof ImportError) {
+        return res.status(err.status).json({ error: err.message, ...(err.details ? { details: err.details } : {}) });
+      }
+      if (err instanceof ReviewError) return res.status(err.status).json({ error: err.message });
+      next(err);
+    }
+  };
+}
+
+/** providers in a POST /api/runs body → canonical names, or null for a full run */
+function parseRunProviders(body) {
+  const requested = body?.providers;
+  if (requested === undefined || requested === null) return null;
+  if (!Array.isArray(requested) || requested.length === 0 || !requested.every(n => typeof n === 'string' && n.trim())) {
+    throw new QueryError('providers must be a non-empty array of provider names');
+  }
+  const known = getProviders().map(p => p.name);
+  const unknown = requested.filter(n => !known.some(k => k.toLowerCase() === n.trim().toLowerCase()));
+  if (unknown.length > 0) throw new QueryError(`Unknown provider(s): ${unknown.join(', ')}`);
+  return requested.map(n => known.find(k => k.toLowerCase() === n.trim().toLowerCase()));
+}
+
+/** code in a POST /api/admin/challenges/:id body → the trimmed code */
+function parseChallengeCode(body) {
+  const code = typeof body?.code === 'string' ? body.code.trim() : '';
+  if (!/^[A-Za-z0-9-]{4,12}$/.test(code)) throw new QueryError('code must be 4–12 letters, digits or dashes');
+  return code;
+}
+
+// ── Login Gate ────────────────────────────────────────────────────────────────
+app.use(express.urlencoded({ extended: false }));
+app.use(express.json());
+app.use(authGate);
 
 // ── Static Files ──────────────────────────────────────────────────────────────
-app.use(express.static(__dirname));
+app.use(express.static(PUBLIC_DIR, { index: false }));
 
 // ── Routes ────────────────────────────────────────────────────────────────────
 
@@ -32,7 +384,7 @@ app.get('/', (req, res) => {
 });
 
 // Serve the CMO executive dashboard
-app.get('/cmo', (req, res) => {
+app.get(['/cmo', '/cmo.html'], (req, res) => {
   if (!fs.existsSync(CMO_FILE)) {
     return res.status(404).send(`
       <html><body style="font-family:sans-serif;padding:40px;color:#475569">
@@ -56,14 +408,355 @@ app.get('/api/status', (req, res) => {
   res.json(data);
 });
 
-// ── Start ─────────────────────────────────────────────────────────────────────
+// API: compliance snapshot, courses and credential health as of a past date
+app.get('/api/compliance', handleQuery((req, res) => {
+  const asOf = parseDateParam(req.query.asOf, 'asOf') ?? new Date().toISOString().slice(0, 10);
+  res.json(getComplianceAsOf(asOf));
+}));
+
+// API: providers with current status — ?state=&status=&type=&deadlineWithin=&limit=&offset=
+app.get('/api/providers', handleQuery((req, res) => {
+  const filters = parseFilters(req.query);
+  const page = parsePagination(req.query);
+
+  const providers = getProviders()
+    .map(summarizeProvider)
+    .filter(p => !filters.status || p.status === filters.status)
+    .filter(p => !filters.type || p.type === filters.type)
+    .filter(p => (!filters.state && filters.deadlineWithin === undefined) ||
+      p.licenses.some(l => matchesState(l.state, filters.state) && withinDeadline(l, filters.deadlineWithin)));
+
+  res.json(paginate(providers, page));
+}));
+
+// API: one provider — records, subject areas, recent courses, platform results, licenses,
+// risk and archived CE cycles
+app.get('/api/providers/:id', handleQuery((req, res) => {
+  const id = parseIntParam(req.params.id, 'id', { min: 1 });
+  const provider = getProvider(id);
+  if (!provider) return res.status(404).json({ error: 'Provider not found' });
+
+  const { total, courses } = getProviderCourses(id, { limit: MAX_PAGE_SIZE });
+  const history = { courses, lastCourseDate: courses[0]?.date || null };
+  const licenses = provider.licenses.map(l => ({ ...withStatus(l), risk: calculateRisk(l, history) }));
+  const risk = licenses.reduce((worst, l) => (!worst || l.risk.score > worst.score ? l.risk : worst), null);
+
+  res.json({
+    ...summarizeProvider(provider),
+    email: provider.email,
+    hasCEBrokerCreds: provider.hasCEBrokerCreds,
+    licenses,
+    risk,
+    courses: courses.slice(0, DEFAULT_PAGE_SIZE),
+    courseCount: total,
+    platformResults: provider.platformResults,
+    stateLicenses: provider.stateLicenses,
+    cycles: provider.cycles,
+  });
+}));
 
-app.listen(PORT, () => {
-  console.log(`\nCE Broker Dashboard running at http://localhost:${PORT}`);
-  console.log(`Routes:`);
-  console.log(`  GET /           — Main Dashboard`);
-  console.log(`  GET /cmo        — CMO Executive Dashboard`);
-  console.log(`API endpoints:`);
-  console.log(`  GET /api/status — Last run summary`);
-  console.log(`  GET /api/history — Full history\n`);
+// API: a provider's courses — ?from=&to=&platform=&limit=&offset=
+app.get('/api/providers/:id/courses', handleQuery((req, res) => {
+  const id = parseIntParam(req.params.id, 'id', { min: 1 });
+  if (!getProvider(id)) return res.status(404).json({ error: 'Provider not found' });
+
+  const page = parsePagination(req.query);
+  const { total, courses } = getProviderCourses(id, {
+    from: parseDateParam(req.query.from, 'from') ?? null,
+    to: parseDateParam(req.query.to, 'to') ?? null,
+    platform: req.query.platform ?? null,
+    ...page,
+  });
+  res.json({ data: courses, total, ...page });
+}));
+
+// API: a provider's stored completion certificates, newest first
+app.get('/api/providers/:id/certificates', handleQuery((req, res) => {
+  const id = parseIntParam(req.params.id, 'id', { min: 1 });
+  if (!getProvider(id)) return res.status(404).json({ error: 'Provider not found' });
+  const certificates = getCertificates({ providerId: id }).map(({ providerName, ...c }) => c);
+  res.json({ data: certificates, total: certificates.length });
+}));
+
+// API: one certificate PDF, by the content hash in its certificateUrl
+app.get('/api/certificates/:sha256', (req, res) => {
+  const file = resolveCertificate(req.params.sha256);
+  if (!file) return res.status(404).json({ error: 'Certificate not found' });
+  res.set('Cache-Control', 'private, max-age=86400, immutable');
+  res.download(file, `certificate-${req.params.sha256.slice(0, 12)}.pdf`);
 });
+
+// API: every CE Broker license with status and matching state board verification,
+// soonest deadline first — ?state=&status=&type=&deadlineWithin=&limit=&offset=
+app.get('/api/licenses', handleQuery((req, res) => {
+  const filters = parseFilters(req.query);
+  const page = parsePagination(req.query);
+
+  const licenses = getProviders()
+    .flatMap(p => p.licenses.map(l => ({
+      providerId: p.id,
+      providerName: p.name,
+      providerType: p.type,
+      ...withStatus(l),
+      stateBoard: p.stateLicenses.filter(sl => matchesState(l.state, sl.state)),
+    })))
+    .filter(l => matchesState(l.state, filters.state))
+    .filter(l => !filters.status || l.status === filters.status)
+    .filter(l => !filters.type || l.providerType === filters.type)
+    .filter(l => withinDeadline(l, filters.deadlineWithin))
+    .sort((a, b) => (a.daysUntilDeadline ?? Infinity) - (b.daysUntilDeadline ?? Infinity));
+
+  res.json(paginate(licenses, page));
+}));
+
+// API: queue a scrape — body { providers?: [names], force?: true } (omit providers for
+// every provider; force scrapes sources scrape-policy.js would skip as still fresh).
+// Admins only (compliance viewers are read-only). The run itself happens in worker.js.
+// 409 while another run (scheduled, CI or manual) holds the run lock.
+app.post('/api/runs', handleQueue(async (req, res) => {
+  const providerNames = parseRunProviders(req.body);
+  const running = await getRunLock();
+  if (running) {
+    return res.status(409).json({ error: `A run is already in progress (${describeLock(running)})`, running });
+  }
+  const job = await triggerManualScrape(providerNames, { force: req.body?.force === true });
+  console.log(`[Runs] ${req.user.username} queued run ${job.id} (${providerNames ? providerNames.join(', ') : 'all providers'})`);
+  res.status(202)
+    .location(`/api/runs/${job.id}`)
+    .json({ id: job.id, status: 'waiting', providerNames, events: `/api/runs/${job.id}/events` });
+}));
+
+// API: queued, running and recent runs
+app.get('/api/runs', handleQueue(async (req, res) => {
+  const limit = parseIntParam(req.query.limit, 'limit', { min: 1, max: 50 }) ?? 10;
+  res.json(await getRecentJobs(limit));
+}));
+
+// API: one run with its latest progress snapshot
+app.get('/api/runs/:id', handleQueue(async (req, res) => {
+  const job = await getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Run not found' });
+  res.json(job);
+}));
+
+// API: live progress as Server-Sent Events — a `progress` event with the full
+// snapshot on connect and after every change, then one `end` event.
+app.get('/api/runs/:id/events', handleQueue(async (req, res) => {
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  let heartbeat = null;
+  let unsubscribe = () => {};
+  const finish = async () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    if (!res.writableEnded) {
+      send('end', await getJob(req.params.id).catch(() => null));
+      res.end();
+    }
+  };
+
+  const onEvent = (event) => {
+    if (event.type === 'progress') send('progress', { id: req.params.id, status: 'active', progress: event.data });
+    else finish();
+  };
+
+  // Subscribe before reading the job so nothing between the two is missed, but
+  // hold what arrives until the headers are out
+  const held = [];
+  let streaming = false;
+  unsubscribe = subscribeToJob(req.params.id, (event) => (streaming ? onEvent(event) : held.push(event)));
+
+  const job = await getJob(req.params.id);
+  if (!job) {
+    unsubscribe();
+    return res.status(404).json({ error: 'Run not found' });
+  }
+
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-store', 'X-Accel-Buffering': 'no' });
+  res.flushHeaders();
+  send('progress', job);
+  if (job.status === 'completed' || job.status === 'failed') return finish();
+
+  heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+  streaming = true;
+  held.forEach(onEvent);
+}));
+
+// API (admin): recent sign-in attempts, newest first — ?username=&limit=
+app.get('/api/admin/logins', handleQuery((req, res) => {
+  const limit = parseIntParam(req.query.limit, 'limit', { min: 1, max: MAX_PAGE_SIZE }) ?? DEFAULT_PAGE_SIZE;
+  const username = typeof req.query.username === 'string' ? req.query.username : null;
+  res.json({ data: getLoginAudit({ limit, username }), limit });
+}));
+
+// API (admin): runs with failure evidence, newest first — ?limit=
+app.get('/api/admin/evidence', handleQuery((req, res) => {
+  const limit = parseIntParam(req.query.limit, 'limit', { min: 1, max: 100 }) ?? 20;
+  res.json({ retentionDays: retentionDays(), runs: getEvidenceRuns({ limit }) });
+}));
+
+// API (admin): one run's failed attempts with their classified errors and links
+// to the screenshot and Playwright trace
+app.get('/api/admin/evidence/runs/:runId', handleQuery((req, res) => {
+  const runId = parseIntParam(req.params.runId, 'runId', { min: 1 });
+  const link = (e, kind, file) => (resolveEvidenceFile(file) ? `/api/admin/evidence/${e.id}/${kind}` : null);
+  res.json({
+    runId,
+    data: getRunEvidence(runId).map(e => ({
+      ...e,
+      screenshotUrl: link(e, 'screenshot', e.screenshotPath),
+      traceUrl: link(e, 'trace', e.tracePath),
+    })),
+  });
+}));
+
+// API (admin): an evidence file — the screenshot inline, the trace as a download
+// (open it with `npx playwright show-trace <file>` or trace.playwright.dev)
+app.get('/api/admin/evidence/:id/:kind', handleQuery((req, res) => {
+  const id = parseIntParam(req.params.id, 'id', { min: 1 });
+  if (!['screenshot', 'trace'].includes(req.params.kind)) return res.status(404).json({ error: 'Not found' });
+  const evidence = getEvidence(id);
+  const file = evidence && resolveEvidenceFile(req.params.kind === 'trace' ? evidence.tracePath : evidence.screenshotPath);
+  if (!file) return res.status(404).json({ error: 'Evidence not found (it may have expired)' });
+  res.set('Cache-Control', 'private, no-store');
+  if (req.params.kind === 'trace') res.download(file);
+  else res.sendFile(file);
+}));
+
+// API (admin): portal logins waiting for a verification code (login-challenges.js)
+app.get('/api/admin/challenges', handleQuery((req, res) => {
+  res.json({ data: getPendingLoginChallenges() });
+}));
+
+// API (admin): give the code for a waiting login — body { code }. 409 once the
+// challenge was answered or has expired.
+app.post('/api/admin/challenges/:id', handleQuery((req, res) => {
+  const id = parseIntParam(req.params.id, 'id', { min: 1 });
+  const code = parseChallengeCode(req.body);
+  const challenge = getLoginChallenge(id);
+  if (!challenge) return res.status(404).json({ error: 'Challenge not found' });
+  if (!answerLoginChallenge(id, code, req.user.username)) {
+    const status = challenge.status === 'pending' ? 'expired' : challenge.status;
+    return res.status(409).json({ error: `Challenge is no longer waiting for a code (${status})` });
+  }
+  console.log(`[Challenges] ${req.user.username} answered challenge #${id} (${challenge.providerName}, ${challenge.source})`);
+  res.json(getLoginChallenge(id));
+}));
+
+// API (admin): hand-uploaded transcripts and certificates (course-import.js),
+// newest first — ?status=pending|confirmed|discarded&limit=
+app.get('/api/admin/imports', handleQuery((req, res) => {
+  const status = req.query.status;
+  if (status !== undefined && !['pending', 'confirmed', 'discarded'].includes(status)) {
+    throw new QueryError('status must be one of: pending, confirmed, discarded');
+  }
+  const limit = parseIntParam(req.query.limit, 'limit', { min: 1, max: MAX_PAGE_SIZE }) ?? DEFAULT_PAGE_SIZE;
+  res.json({ data: listCourseImports({ status: status ?? null, limit }), limit });
+}));
+
+// API (admin): upload a CSV transcript, XLSX export or PDF certificate as the
+// raw request body — ?provider=<name>&filename=<original name>. Responds with
+// the pending import's parsed rows for review.
+app.post('/api/admin/imports', express.raw({ type: () => true, limit: '10mb' }), handleImport(async (req, res) => {
+  if (typeof req.query.provider !== 'string' || !req.query.provider.trim()) throw new QueryError('provider is required');
+  const entry = await stageImport({
+    providerName: req.query.provider.trim(),
+    filename: typeof req.query.filename === 'string' ? req.query.filename : '',
+    content: Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0),
+    importedBy: req.user.username,
+  });
+  console.log(`[Imports] ${req.user.username} uploaded ${entry.filename} for ${entry.providerName} (import #${entry.id})`);
+  res.status(201).json(entry);
+}));
+
+app.get('/api/admin/imports/:id', handleQuery((req, res) => {
+  const entry = getCourseImport(parseIntParam(req.params.id, 'id', { min: 1 }));
+  if (!entry) return res.status(404).json({ error: 'Import not found' });
+  res.json({ ...entry, sourceUrl: sourcePath(entry) ? `/api/admin/imports/${entry.id}/source` : null });
+}));
+
+// API (admin): the uploaded file, as it was received
+app.get('/api/admin/imports/:id/source', handleQuery((req, res) => {
+  const entry = getCourseImport(parseIntParam(req.params.id, 'id', { min: 1 }));
+  const file = sourcePath(entry);
+  if (!file) return res.status(404).json({ error: 'Source file not found' });
+  res.set('Cache-Control', 'private, no-store');
+  res.download(file, entry.filename);
+}));
+
+// API (admin): confirm a pending import — body { rows } with the reviewed rows
+// (optional; the staged rows otherwise). 400 with details when rows need fixing,
+// 409 once the import was confirmed or discarded.
+app.post('/api/admin/imports/:id/confirm', handleImport(async (req, res) => {
+  const id = parseIntParam(req.params.id, 'id', { min: 1 });
+  const entry = confirmImport(id, { rows: req.body?.rows, reviewedBy: req.user.username });
+  console.log(`[Imports] ${req.user.username} confirmed import #${id}: ${entry.courseCount} course(s) for ${entry.providerName}`);
+  res.json(entry);
+}));
+
+app.post('/api/admin/imports/:id/discard', handleImport(async (req, res) => {
+  const id = parseIntParam(req.params.id, 'id', { min: 1 });
+  const entry = discardImport(id, { reviewedBy: req.user.username });
+  console.log(`[Imports] ${req.user.username} discarded import #${id}`);
+  res.json(entry);
+}));
+
+// API (admin): the course deduplication review queue (course-dedupe.js) — hours
+// conflicts and possible matches — ?status=pending|decided|all&provider=
+app.get('/api/admin/course-reviews', handleQuery((req, res) => {
+  const status = req.query.status ?? 'pending';
+  if (!['pending', 'decided', 'all'].includes(status)) {
+    throw new QueryError('status must be one of: pending, decided, all');
+  }
+  const providerName = typeof req.query.provider === 'string' ? req.query.provider : null;
+  res.json({ data: getCourseMergeReviews({ providerName, status: status === 'all' ? null : status }) });
+}));
+
+// API (admin): decide a review — body { provider, kind, key, decision, hours }.
+// decision: 'hours' (with hours) for an hours conflict, 'merge' or 'separate'
+// for a possible match, or 'reopen' to put it back in the queue.
+app.post('/api/admin/course-reviews', handleImport(async (req, res) => {
+  const { provider, kind, key, decision, hours } = req.body || {};
+  if (typeof provider !== 'string' || !provider.trim()) throw new QueryError('provider is required');
+  if (!['hours', 'match'].includes(kind)) throw new QueryError('kind must be one of: hours, match');
+  if (typeof key !== 'string' || !key) throw new QueryError('key is required');
+  const review = decideReview({
+    providerName: provider.trim(), kind, key, decision, hours: hours ?? null, decidedBy: req.user.username,
+  });
+  console.log(`[Reviews] ${req.user.username} ${decision === 'reopen' ? 'reopened' : `chose ${decision}`} for ${review.providerName}: ${key}`);
+  res.json(review);
+}));
+
+// ── Start ─────────────────────────────────────────────────────────────────────
+
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`\nCE Broker Dashboard running at http://localhost:${PORT}`);
+    console.log(`Routes:`);
+    console.log(`  GET /           — Main Dashboard`);
+    console.log(`  GET /cmo        — CMO Executive Dashboard`);
+    console.log(`API endpoints:`);
+    console.log(`  GET /api/status — Last run summary`);
+    console.log(`  GET /api/history — Full history`);
+    console.log(`  GET /api/compliance?asOf=YYYY-MM-DD — Compliance as of a date`);
+    console.log(`  GET /api/providers — Providers with status (filters + pagination)`);
+    console.log(`  GET /api/providers/:id — Provider detail`);
+    console.log(`  GET /api/providers/:id/courses — Provider courses`);
+    console.log(`  GET /api/providers/:id/certificates — Provider certificates`);
+    console.log(`  GET /api/certificates/:sha256 — Download a certificate PDF`);
+    console.log(`  GET /api/licenses — Licenses with status (filters + pagination)`);
+    console.log(`  POST /api/runs — Queue a scrape (admins; processed by node worker.js)`);
+    console.log(`  GET /api/runs/:id/events — Live run progress (Server-Sent Events)`);
+    console.log(`  GET /api/admin/logins — Sign-in audit log (admins)`);
+    console.log(`  GET /api/admin/evidence — Failure screenshots and traces by run (admins)`);
+    console.log(`  GET /api/admin/challenges — Logins waiting for a verification code (admins)`);
+    console.log(`  POST /api/admin/imports — Upload a transcript or certificate for review (admins)`);
+    console.log(`  POST /api/admin/imports/:id/confirm — Save a reviewed import's courses (admins)`);
+    console.log(`  GET /api/admin/course-reviews — Duplicate courses waiting for a decision (admins)\n`);
+  });
+}
+
+module.exports = app;
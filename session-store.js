@@ -0,0 +1,172 @@
+// session-store.js — Saved browser sessions, so scrapers skip logging in
+//
+// After a successful login a scraper saves its context's Playwright storageState
+// (cookies + local storage) for that provider and portal. The next run opens its
+// context with the saved state and only logs in again when the portal no longer
+// accepts it — fewer logins means fewer lockouts, MFA prompts and slow runs.
+//
+// Sessions are encrypted with CREDENTIALS_KEY (the same passphrase and
+// AES-256-GCM blob as credentials.enc, credentials-loader.js) and written to
+// sessions/<hash>.enc with 0600 permissions; file names are a hash, so they don't
+// reveal who the session belongs to. Without CREDENTIALS_KEY, and while
+// recording or replaying fixtures, sessions are neither saved nor used.
+//
+// Configuration:
+//   SESSION_REUSE=off            always log in
+//   SESSION_MAX_AGE_HOURS=72     don't reuse a session older than this
+//   SESSIONS_DIR=<dir>           where sessions are kept (default: sessions/)
+//
+//   node session-store.js list   show saved sessions
+//   node session-store.js clear  delete them all (e.g. after rotating CREDENTIALS_KEY)
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./utils');
+const { encryptString, decryptString } = require('./credentials-loader');
+const { fixtureMode } = require('./scrape-fixtures');
+
+const DEFAULT_MAX_AGE_HOURS = 72;
+
+function sessionsDir() {
+  return process.env.SESSIONS_DIR || path.join(__dirname, 'sessions');
+}
+
+function maxAgeHours() {
+  const hours = parseFloat(process.env.SESSION_MAX_AGE_HOURS);
+  return hours > 0 ? hours : DEFAULT_MAX_AGE_HOURS;
+}
+
+/** Whether saved sessions are used this run */
+function sessionsEnabled() {
+  if (/^(0|off|false|no)$/i.test(process.env.SESSION_REUSE || '')) return false;
+  return Boolean(process.env.CREDENTIALS_KEY) && !fixtureMode();
+}
+
+function sessionFile(providerName, source) {
+  const id = crypto.createHash('sha256').update(`${providerName}\u0000${source}`).digest('hex').slice(0, 32);
+  return path.join(sessionsDir(), `${id}.enc`);
+}
+
+function readSession(file) {
+  return JSON.parse(decryptString(fs.readFileSync(file, 'utf8'), process.env.CREDENTIALS_KEY));
+}
+
+// ─── Load / save ──────────────────────────────────────────────────────────────
+
+/**
+ * The saved storageState for a provider on a portal, or null when there is none,
+ * it is too old, or it can't be decrypted (both of which delete it)
+ * @param {string} providerName
+ * @param {string} source - 'CE Broker' or a platform name
+ * @returns {object|null} Playwright storageState, for browser.newContext({ storageState })
+ */
+function loadSession(providerName, source, { now = Date.now() } = {}) {
+  if (!sessionsEnabled()) return null;
+  const file = sessionFile(providerName, source);
+  if (!fs.existsSync(file)) return null;
+
+  let saved;
+  try {
+    saved = readSession(file);
+  } catch (err) {
+    logger.warn(`[Session] Discarding unreadable session for ${providerName} (${source}): ${err.message}`);
+    clearSession(providerName, source);
+    return null;
+  }
+
+  const ageHours = (now - new Date(saved.savedAt).getTime()) / 3600000;
+  if (!(ageHours < maxAgeHours())) {
+    clearSession(providerName, source);
+    return null;
+  }
+  return saved.state;
+}
+
+/**
+ * Save a logged-in context's storageState for the next run; never throws
+ * @param {import('playwright').BrowserContext} context
+ * @returns {Promise<boolean>} whether it was saved
+ */
+async function saveSession(context, providerName, source) {
+  if (!sessionsEnabled()) return false;
+  try {
+    const state = await context.storageState();
+    const payload = { providerName, source, savedAt: new Date().toISOString(), state };
+    fs.mkdirSync(sessionsDir(), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(sessionFile(providerName, source), encryptString(JSON.stringify(payload), process.env.CREDENTIALS_KEY), { mode: 0o600 });
+    return true;
+  } catch (err) {
+    logger.warn(`[Session] Could not save session for ${providerName} (${source}): ${err.message}`);
+    return false;
+  }
+}
+
+/** Forget a provider's saved session on a portal (expired, or the attempt using it failed) */
+function clearSession(providerName, source) {
+  try {
+    fs.rmSync(sessionFile(providerName, source), { force: true });
+  } catch (err) {
+    logger.warn(`[Session] Could not delete session for ${providerName} (${source}): ${err.message}`);
+  }
+}
+
+// ─── Maintenance ──────────────────────────────────────────────────────────────
+
+/**
+ * Saved sessions, newest first; ones that can't be decrypted are listed without details
+ * @returns {Array<{ file:string, providerName:string|null, source:string|null, savedAt:string|null }>}
+ */
+function listSessions() {
+  const dir = sessionsDir();
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith('.enc'))
+    .map(file => {
+      try {
+        const { providerName, source, savedAt } = readSession(path.join(dir, file));
+        return { file, providerName, source, savedAt };
+      } catch {
+        return { file, providerName: null, source: null, savedAt: null };
+      }
+    })
+    .sort((a, b) => String(b.savedAt).localeCompare(String(a.savedAt)));
+}
+
+/** Delete every saved session; returns how many were deleted */
+function clearAllSessions() {
+  const sessions = listSessions();
+  sessions.forEach(s => fs.rmSync(path.join(sessionsDir(), s.file), { force: true }));
+  return sessions.length;
+}
+
+// CLI support
+if (require.main === module) {
+  const cmd = process.argv[2];
+  if (cmd === 'list') {
+    const sessions = listSessions();
+    if (sessions.length === 0) console.log('No saved sessions.');
+    for (const s of sessions) {
+      console.log(s.savedAt
+        ? `${s.savedAt}  ${s.source} — ${s.providerName}`
+        : `${s.file}  (can't be decrypted with this CREDENTIALS_KEY)`);
+    }
+  } else if (cmd === 'clear') {
+    console.log(`Deleted ${clearAllSessions()} saved session(s).`);
+  } else {
+    console.log('Usage:');
+    console.log('  node session-store.js list  - Show saved sessions (needs CREDENTIALS_KEY)');
+    console.log('  node session-store.js clear - Delete all saved sessions');
+  }
+}
+
+module.exports = {
+  sessionsEnabled,
+  loadSession,
+  saveSession,
+  clearSession,
+  listSessions,
+  clearAllSessions,
+};
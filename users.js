@@ -0,0 +1,165 @@
+// users.js — Manage login accounts for the dashboard gate (auth.js)
+//
+// Accounts are kept in users.json (git-ignored). server.js reads it directly;
+// for Vercel, `node users.js env` prints the CEU_USERS value to paste into the
+// project settings.
+//
+//   node users.js add <username> <role> [display name]   (prompts for password)
+//   node users.js passwd <username>
+//   node users.js role <username> <role>
+//   node users.js revoke <username>      — sign the user out everywhere
+//   node users.js disable|enable <username>
+//   node users.js remove <username>
+//   node users.js list
+//   node users.js env                    — CEU_USERS value for Vercel
+//   node users.js secret                 — generate a SESSION_SECRET
+//
+// Set CEU_NEW_PASSWORD to skip the password prompt (scripts, CI).
+
+'use strict';
+
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const { loadJson, saveJson } = require('./utils');
+const { ROLES, hashPassword, parseUsers } = require('./auth');
+
+const USERS_FILE = path.join(__dirname, 'users.json');
+
+/**
+ * Accounts from users.json (empty if the file doesn't exist)
+ */
+function loadUsersFile() {
+  return parseUsers(loadJson(USERS_FILE, { users: [] }));
+}
+
+function saveUsersFile(users) {
+  saveJson(USERS_FILE, { users });
+}
+
+function findIndex(users, username) {
+  const i = users.findIndex(u => u.username.toLowerCase() === String(username || '').toLowerCase());
+  if (i === -1) throw new Error(`No such user: ${username}`);
+  return i;
+}
+
+function checkRole(role) {
+  if (!ROLES[role]) throw new Error(`Role must be one of: ${Object.keys(ROLES).join(', ')}`);
+}
+
+/**
+ * Prompt for a password without echoing it
+ */
+function promptPassword(label = 'Password: ') {
+  if (process.env.CEU_NEW_PASSWORD) return Promise.resolve(process.env.CEU_NEW_PASSWORD);
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+  rl._writeToOutput = (str) => {
+    if (str.includes(label)) rl.output.write(str);
+  };
+  return new Promise((resolve) => {
+    rl.question(label, (answer) => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+async function readNewPassword() {
+  const password = await promptPassword();
+  if (password.length < 12) throw new Error('Password must be at least 12 characters');
+  return password;
+}
+
+async function main(argv) {
+  const [cmd, username, ...rest] = argv;
+  const users = loadUsersFile();
+
+  switch (cmd) {
+    case 'add': {
+      const [role, ...nameParts] = rest;
+      checkRole(role);
+      if (!username) throw new Error('Usage: node users.js add <username> <role> [display name]');
+      if (users.some(u => u.username.toLowerCase() === username.toLowerCase())) {
+        throw new Error(`User already exists: ${username}`);
+      }
+      users.push({
+        username,
+        name: nameParts.join(' ') || username,
+        role,
+        passwordHash: await hashPassword(await readNewPassword()),
+        sessionVersion: 0,
+        disabled: false,
+      });
+      saveUsersFile(users);
+      console.log(`Added ${username} (${ROLES[role]})`);
+      break;
+    }
+    case 'passwd': {
+      const user = users[findIndex(users, username)];
+      user.passwordHash = await hashPassword(await readNewPassword());
+      // A new password should also end sessions opened with the old one
+      user.sessionVersion = (user.sessionVersion || 0) + 1;
+      saveUsersFile(users);
+      console.log(`Password changed for ${user.username}; existing sessions revoked`);
+      break;
+    }
+    case 'role': {
+      const [role] = rest;
+      checkRole(role);
+      const user = users[findIndex(users, username)];
+      user.role = role;
+      saveUsersFile(users);
+      console.log(`${user.username} is now ${ROLES[role]}`);
+      break;
+    }
+    case 'revoke': {
+      const user = users[findIndex(users, username)];
+      user.sessionVersion = (user.sessionVersion || 0) + 1;
+      saveUsersFile(users);
+      console.log(`Revoked all sessions for ${user.username}`);
+      break;
+    }
+    case 'disable':
+    case 'enable': {
+      const user = users[findIndex(users, username)];
+      user.disabled = cmd === 'disable';
+      saveUsersFile(users);
+      console.log(`${user.username} ${cmd}d`);
+      break;
+    }
+    case 'remove': {
+      const [removed] = users.splice(findIndex(users, username), 1);
+      saveUsersFile(users);
+      console.log(`Removed ${removed.username}`);
+      break;
+    }
+    case 'list':
+      for (const u of users) {
+        console.log(`  ${u.username.padEnd(24)} ${ROLES[u.role].padEnd(18)} ${u.disabled ? 'disabled' : 'active'}`);
+      }
+      if (users.length === 0) console.log('No users yet — node users.js add <username> <role>');
+      break;
+    case 'env':
+      console.log(JSON.stringify({ users }));
+      break;
+    case 'secret':
+      console.log(crypto.randomBytes(32).toString('hex'));
+      break;
+    default:
+      console.log(
+        'Usage: node users.js <add|passwd|role|revoke|disable|enable|remove|list|env|secret> [username] ...\n' +
+        `Roles: ${Object.entries(ROLES).map(([k, v]) => `${k} (${v})`).join(', ')}`
+      );
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { loadUsersFile };
@@ -98,15 +98,17 @@ function ensureScreenshotsDir() {
  * @param {import('playwright').Page} page
  * @param {string} providerName
  * @param {string} [suffix]
+ * @param {string} [dir] - Where to save it (default: /screenshots)
  */
-async function screenshotOnError(page, providerName, suffix = 'error') {
+async function screenshotOnError(page, providerName, suffix = 'error', dir = SCREENSHOTS_DIR) {
   try {
-    ensureScreenshotsDir();
+    if (dir === SCREENSHOTS_DIR) ensureScreenshotsDir();
+    else fs.mkdirSync(dir, { recursive: true });
     const safeName = providerName.replace(/[^a-z0-9]/gi, '_');
     const filename = `${safeName}_${suffix}.png`;
-    const filepath = path.join(SCREENSHOTS_DIR, filename);
+    const filepath = path.join(dir, filename);
     await page.screenshot({ path: filepath, fullPage: true });
-    logger.warn(`Screenshot saved: screenshots/${filename}`);
+    logger.warn(`Screenshot saved: ${path.relative(__dirname, filepath)}`);
     return filepath;
   } catch (screenshotErr) {
     logger.error(`Could not save screenshot: ${screenshotErr.message}`);
@@ -210,6 +212,20 @@ function licenseStatus(rec) {
   return getStatus(rec.hoursRemaining, daysUntil(parseDate(rec.renewalDeadline)), rec.hoursRequired);
 }
 
+/**
+ * Overall status for a provider with several licenses: the worst license wins
+ * (same rule as the dashboard's provider cards).
+ * @param {Array<{hoursRemaining:number|null, renewalDeadline:string|null, hoursRequired:number|null}>} licenses
+ * @returns {'Complete'|'At Risk'|'In Progress'|'Unknown'}
+ */
+function providerStatus(licenses) {
+  const statuses = (licenses || []).map(licenseStatus);
+  if (statuses.includes('At Risk')) return 'At Risk';
+  if (statuses.includes('In Progress')) return 'In Progress';
+  if (statuses.length > 0 && statuses.every(s => s === 'Complete')) return 'Complete';
+  return 'Unknown';
+}
+
 /**
  * Summarise compliance across a flat list of license records.
  *
@@ -268,6 +284,65 @@ function courseSearchUrl(state, licenseType) {
   return `https://cebroker.com/#!/courses/search?state=${s}&licenseType=${lt}`;
 }
 
+// ─── CE Cycles ───────────────────────────────────────────────────────────────
+
+/**
+ * A CE Broker license record's cycles — the current one and the earlier ones the
+ * scraper read from the transcript — newest first, as course-history.json keeps
+ * them. Records without a state or cycle dates have none.
+ * @param {object} rec - scraper record (cycleId, priorCycles, …)
+ * @param {{ withCourses?:boolean }} [options] - include each cycle's courses
+ *   instead of just counting them
+ * @returns {Array<{ cycleId, state, licenseType, licenseNumber, startDate, endDate, current:boolean,
+ *   hoursRequired, hoursCompleted, hoursRemaining, subjectAreas:Array<{topic,required,completed,needed}>,
+ *   courseCount?:number, courses?:Array }>}
+ */
+function licenseCycles(rec, { withCourses = false } = {}) {
+  if (!rec || !rec.state) return [];
+  const toCycle = (c, current) => {
+    const [startDate, endDate] = c.cycleId.split('/');
+    const courses = c.completedCourses || [];
+    return {
+      cycleId:        c.cycleId,
+      state:          rec.state,
+      licenseType:    rec.licenseType || rec.providerType || null,
+      licenseNumber:  rec.licenseNumber || null,
+      startDate,
+      endDate,
+      current,
+      hoursRequired:  c.hoursRequired ?? null,
+      hoursCompleted: c.hoursCompleted ?? null,
+      hoursRemaining: c.hoursRemaining ?? null,
+      subjectAreas:   (c.subjectAreas || []).map(sa => ({
+        topic:     sa.topicName || sa.topic,
+        required:  sa.hoursRequired ?? sa.required ?? null,
+        completed: sa.hoursCompleted ?? sa.completed ?? null,
+        needed:    sa.hoursNeeded ?? sa.needed ?? null,
+      })),
+      ...(withCourses ? { courses } : { courseCount: courses.length }),
+    };
+  };
+  const cycles = [];
+  if (rec.cycleId) cycles.push(toCycle(rec, true));
+  for (const c of rec.priorCycles || []) {
+    if (c.cycleId) cycles.push(toCycle(c, false));
+  }
+  return cycles.sort((a, b) => b.endDate.localeCompare(a.endDate));
+}
+
+/**
+ * How a cycle turned out: Met, Short (an earlier cycle that ended without its
+ * hours), In Progress (the current cycle) or Unknown
+ * @param {{ current:boolean, hoursRequired:number|null, hoursCompleted:number|null, hoursRemaining:number|null }} cycle
+ * @returns {'Met'|'Short'|'In Progress'|'Unknown'}
+ */
+function cycleResult(cycle) {
+  const known = cycle.hoursRequired != null && cycle.hoursCompleted != null;
+  if (cycle.hoursRemaining === 0 || (known && cycle.hoursCompleted >= cycle.hoursRequired)) return 'Met';
+  if (cycle.current) return 'In Progress';
+  return known || cycle.hoursRemaining > 0 ? 'Short' : 'Unknown';
+}
+
 // ─── Lookback Period Utilities ───────────────────────────────────────────────
 
 /**
@@ -392,8 +467,12 @@ module.exports = {
   daysUntil,
   getStatus,
   licenseStatus,
+  providerStatus,
   computeComplianceSummary,
   courseSearchUrl,
+  // CE cycles
+  licenseCycles,
+  cycleResult,
   // Lookback utilities
   filterCoursesByLookback,
   calculateSubjectHoursWithLookback,
@@ -0,0 +1,59 @@
+// worker.js — Runs queued scrape jobs (job-queue.js), e.g. from POST /api/runs
+// Run with: node worker.js   (scheduler.js also runs one in-process)
+//
+// Each job is one runScrape() from index.js. Progress snapshots (run-progress.js)
+// are published as job progress so server.js can stream them to the dashboard.
+
+'use strict';
+
+const { startWorker, closeQueue } = require('./job-queue');
+const { runScrape } = require('./index');
+const { RunLockedError } = require('./run-lock');
+const { closeDatabase } = require('./database');
+const { flush } = require('./sentry');
+
+/**
+ * Start processing scrape jobs in this process
+ */
+function startScrapeWorker() {
+  return startWorker(async (data, job) => {
+    let pending = Promise.resolve();
+    let result;
+    try {
+      result = await runScrape({
+        providerNames: data.providerNames,
+        force: data.force,
+        owner: `queue job ${job.id}`,
+        // Keep updates in order; a failed progress write shouldn't fail the run
+        onProgress: (snapshot) => {
+          pending = pending.then(() => job.updateProgress(snapshot)).catch(() => {});
+        },
+      });
+    } catch (err) {
+      // Another run is already scraping: skip this job rather than spend its
+      // retries (and land in the dead-letter list) waiting for that run to end
+      if (!(err instanceof RunLockedError)) throw err;
+      console.log(`[Worker] Skipped job ${job.id}: ${err.message}`);
+      return { skipped: true, reason: err.message };
+    }
+    await pending;
+    return result;
+  });
+}
+
+if (require.main === module) {
+  startScrapeWorker();
+
+  const shutdown = async () => {
+    console.log('[Worker] Shutting down...');
+    await closeQueue();
+    closeDatabase();
+    await flush();
+    process.exit(0);
+  };
+
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+module.exports = { startScrapeWorker };